@@ -35,11 +35,17 @@ export default defineManifest({
     'clipboardWrite',
     'cookies',
     'webNavigation',
-    'webRequest'
+    'webRequest',
+    'alarms',
+    'notifications'
   ],
   host_permissions: ['*://*.domo.com/*'],
   content_security_policy: {
-    extension_pages: "script-src 'self'; object-src 'none'; base-uri 'self'; frame-ancestors 'none';"
+    extension_pages: "script-src 'self'; object-src 'none'; base-uri 'self'; frame-ancestors 'none';",
+    // The Code Engine test runner evaluates package source, in a worker it
+    // creates from a blob URL. It must never reach the network.
+    sandbox:
+      "sandbox allow-scripts; script-src 'self' 'unsafe-eval'; worker-src blob:; connect-src 'none'; object-src 'none';"
   },
   action: {
     default_icon: {
@@ -66,6 +72,9 @@ export default defineManifest({
       all_frames: false
     }
   ],
+  sandbox: {
+    pages: ['src/codeEngineRunner/index.html']
+  },
   side_panel: {
     default_path: 'src/sidepanel/index.html'
   },
@@ -26,17 +26,38 @@ import { usePerInstanceSettings } from '@/hooks/usePerInstanceSettings';
 import { useResolveTabId } from '@/hooks/useResolveTabId';
 import { DomoObject } from '@/models/DomoObject';
 import { fetchUserDisplayNames, getCustomAvatarUserIds, getInactiveUserIds } from '@/services/users';
+import {
+  acknowledgeActivityLogWatch,
+  ACTIVITY_LOG_WATCHES_KEY,
+  getActivityLogWatches,
+  startActivityLogWatch,
+  stopActivityLogWatch
+} from '@/utils/activityLogWatches';
 import { ACTION_COLOR_PATTERNS } from '@/utils/constants';
 import { getInitials } from '@/utils/general';
 import IconCalendar from '@icons/calendar.svg?react';
+import IconChartBarVertical from '@icons/chart-bar-vertical.svg?react';
 import IconCheckCircle from '@icons/check-circle.svg?react';
 import IconExclamationPointCircle from '@icons/exclamation-point-circle.svg?react';
 import IconFunnel from '@icons/funnel.svg?react';
+import IconRingingBell from '@icons/ringing-bell.svg?react';
+import IconStar from '@icons/star.svg?react';
 
+import { ActivityLogPresetsModal } from './components/ActivityLogPresetsModal';
+import { ActivityLogWatchesModal } from './components/ActivityLogWatchesModal';
+import { ActivitySummaryPanel } from './components/ActivitySummaryPanel';
 import { DataTable } from './components/DataTable';
 import { getActivityLogForObject, getEventTypesForObjectType } from './services/activityLog';
 import { getActivityLogFromDataset } from './services/activityLogDataset';
 import { findActivityLogDataset } from './services/findActivityLogDataset';
+import {
+  deleteActivityLogPreset,
+  describeFilters,
+  fromPresetDateRange,
+  getActivityLogPresets,
+  saveActivityLogPreset,
+  toPresetDateRange
+} from './utils/activityLogPresets';
 
 /**
  * ActivityLogTable Component
@@ -54,6 +75,16 @@ export function ActivityLogTable() {
   const [isFetchingMore, setIsFetchingMore] = useState(false);
   const [error, setError] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [showSummary, setShowSummary] = useState(false);
+  // Saved filter presets and background watches for this instance, kept live
+  // from storage (see utils/activityLogPresets and @/utils/activityLogWatches).
+  const [presets, setPresets] = useState([]);
+  const [isPresetsOpen, setIsPresetsOpen] = useState(false);
+  const [watches, setWatches] = useState([]);
+  const [isWatchesOpen, setIsWatchesOpen] = useState(false);
+  // {id, displayName} pairs for users set by a preset, so the user filter's
+  // tags show names without a search.
+  const [knownUsers, setKnownUsers] = useState([]);
   // Starts null (unresolved) and is set once we know whether this instance is
   // configured to always use the DomoStats dataset, so the audit-API event fetch
   // never fires before that preference is known (it would race and clobber the
@@ -206,6 +237,27 @@ export function ActivityLogTable() {
     loadObjects();
   }, []);
 
+  useEffect(() => {
+    if (!domoInstance) return;
+    const loadPresets = () =>
+      getActivityLogPresets(domoInstance)
+        .then(setPresets)
+        .catch(() => {});
+    const loadWatches = () =>
+      getActivityLogWatches(domoInstance)
+        .then(setWatches)
+        .catch(() => {});
+    loadPresets();
+    loadWatches();
+    const handleStorageChange = (changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (changes.activityLogPresets) loadPresets();
+      if (changes[ACTIVITY_LOG_WATCHES_KEY]) loadWatches();
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [domoInstance]);
+
   // Fetch all possible event types from the API for each unique object type
   const [actionOptions, setActionOptions] = useState([]);
 
@@ -427,9 +479,13 @@ export function ActivityLogTable() {
   // Last column varies by source: Description (additionalComment) on api,
   // Source (sourceId/sourceName/sourceType) on dataset since the dataset has
   // no description field but does carry actor info the API doesn't expose.
+  const actionTranslations = useMemo(
+    () => Object.fromEntries(actionOptions.map((a) => [a.type, a.translation])),
+    [actionOptions]
+  );
+
   const columns = useMemo(() => {
     const baseUrl = domoInstance ? `https://${domoInstance}.domo.com` : null;
-    const actionTranslations = Object.fromEntries(actionOptions.map((a) => [a.type, a.translation]));
     const isDataset = source === 'dataset';
     return [
       createTimestampColumn({ manualSort: isDataset }),
@@ -438,7 +494,7 @@ export function ActivityLogTable() {
       createObjectColumn({ baseUrl, objectUrlMap }),
       isDataset ? createSourceColumn({ objectUrlMap }) : createAdditionalCommentColumn()
     ];
-  }, [domoInstance, tabId, actionOptions, customAvatarIds, inactiveUserIds, objectUrlMap, source, userNameMap]);
+  }, [domoInstance, tabId, actionTranslations, customAvatarIds, inactiveUserIds, objectUrlMap, source, userNameMap]);
 
   // Set initial column visibility based on number of objects
   const initialColumnVisibility = useMemo(
@@ -812,6 +868,103 @@ export function ActivityLogTable() {
     setRefreshKey((prev) => prev + 1);
   }, []);
 
+  // The table's filters in preset shape. Users carry whatever display names
+  // are already known; saving fills in the rest.
+  const currentFilters = useMemo(() => {
+    const names = Object.fromEntries(knownUsers.map((user) => [String(user.id), user.displayName]));
+    return {
+      actions: [...actionFilter],
+      dateRange: toPresetDateRange(dateRange),
+      objectTypes: [...objectTypeFilter],
+      userMode: userFilterMode,
+      users: userFilter.map((id) => ({ displayName: names[id] ?? userNameMap[id] ?? null, id }))
+    };
+  }, [actionFilter, dateRange, knownUsers, objectTypeFilter, userFilter, userFilterMode, userNameMap]);
+
+  const currentWatch = useMemo(() => {
+    const key = objectsKey(objects);
+    return watches.find((watch) => objectsKey(watch.objects) === key) ?? null;
+  }, [objects, watches]);
+
+  const resolveFilterUserNames = useCallback(
+    async (users) => {
+      const missing = users.filter((user) => !user.displayName).map((user) => String(user.id));
+      if (missing.length === 0) return users;
+      const names = await resolveTabId()
+        .then((resolvedTabId) => fetchUserDisplayNames(missing, resolvedTabId))
+        .catch(() => ({}));
+      return users.map((user) => ({ ...user, displayName: user.displayName ?? names?.[user.id] ?? null }));
+    },
+    [resolveTabId]
+  );
+
+  const handleSavePreset = useCallback(
+    async (name) => {
+      await saveActivityLogPreset({
+        ...currentFilters,
+        instance: domoInstance,
+        name,
+        users: await resolveFilterUserNames(currentFilters.users)
+      });
+    },
+    [currentFilters, domoInstance, resolveFilterUserNames]
+  );
+
+  // Apply a preset's filters. The action filter change bumps refreshKey, and
+  // the user/date changes re-run the fetch effect on their own.
+  const handleApplyPreset = useCallback(
+    (preset) => {
+      setKnownUsers(preset.users);
+      setUserFilter(preset.users.map((user) => user.id));
+      setUserFilterMode(preset.userMode);
+      setDateRange(fromPresetDateRange(preset.dateRange));
+      setObjectTypeFilter(new Set(preset.objectTypes));
+      handleActionFilterChange(new Set(preset.actions));
+      setIsPresetsOpen(false);
+    },
+    [handleActionFilterChange]
+  );
+
+  const handleStartWatch = useCallback(
+    async (intervalMinutes) => {
+      const { dateRange: _dateRange, ...filters } = currentFilters;
+      await startActivityLogWatch({
+        filters: { ...filters, users: await resolveFilterUserNames(filters.users) },
+        instance: domoInstance,
+        intervalMinutes,
+        label: describeObjects(objects, activityLogType),
+        logType: activityLogType,
+        objects
+      });
+    },
+    [activityLogType, currentFilters, domoInstance, objects, resolveFilterUserNames]
+  );
+
+  const handleAcknowledgeWatch = useCallback(
+    (watchId) => {
+      acknowledgeActivityLogWatch(watchId);
+      if (watchId === currentWatch?.id) {
+        setIsWatchesOpen(false);
+        setRefreshKey((prev) => prev + 1);
+      }
+    },
+    [currentWatch]
+  );
+
+  // Switch the table to another watch's log, with the watch's filters, and
+  // remember it in session storage so a reload stays on it.
+  const handleOpenWatch = useCallback(
+    (watch) => {
+      chrome.storage.session.set({ activityLogObjects: watch.objects, activityLogType: watch.logType });
+      setActivityLogType(watch.logType);
+      setObjects(watch.objects);
+      handleApplyPreset({ ...watch.filters, dateRange: null });
+      acknowledgeActivityLogWatch(watch.id);
+      setIsWatchesOpen(false);
+    },
+    [handleApplyPreset]
+  );
+
   // Fetch all data for export — paginates through all (object × user) tasks
   const fetchAllDataForExport = useCallback(async () => {
     if (objects.length === 0) {
@@ -1001,6 +1154,7 @@ export function ActivityLogTable() {
         </ButtonGroup>
         <UserFilterAutocomplete
           domoInstance={domoInstance}
+          knownUsers={knownUsers}
           mode={userFilterMode}
           tabId={tabId}
           value={userFilter}
@@ -1017,6 +1171,7 @@ export function ActivityLogTable() {
       objectTypeOptions,
       objectTypeFilter,
       domoInstance,
+      knownUsers,
       tabId,
       userFilter,
       userFilterMode
@@ -1157,41 +1312,77 @@ export function ActivityLogTable() {
               }`
             )}
           </span>
-          {total > 0 && (
-            <p className='text-base text-muted'>
-              {filteredEvents.length !== events.length ? (
-                <>
-                  Showing {filteredEvents.length.toLocaleString()} filtered of {events.length.toLocaleString()} fetched (
-                  {total.toLocaleString()} total)
-                </>
-              ) : (
-                <>
-                  Showing {events.length.toLocaleString()} of {total.toLocaleString()} events
-                </>
+          <div className='flex items-center gap-2'>
+            <Button size='sm' variant='tertiary' onPress={() => setIsPresetsOpen(true)}>
+              <IconStar />
+              Saved Filters
+            </Button>
+            <Button size='sm' variant={currentWatch ? 'primary' : 'tertiary'} onPress={() => setIsWatchesOpen(true)}>
+              <IconRingingBell />
+              {currentWatch ? 'Watching' : 'Watch'}
+              {watches.some((watch) => watch.newCount > 0) && (
+                <Chip color='warning' size='sm' variant='soft'>
+                  {watches.reduce((sum, watch) => sum + watch.newCount, 0)} new
+                </Chip>
               )}
-              {isFetchingMore && ' (loading more...)'}
-              {isSearching && ' (searching...)'}
-            </p>
-          )}
+            </Button>
+            {total > 0 && (
+              <Button size='sm' variant={showSummary ? 'primary' : 'tertiary'} onPress={() => setShowSummary((v) => !v)}>
+                <IconChartBarVertical />
+                Summary
+              </Button>
+            )}
+            {total > 0 && (
+              <p className='text-base text-muted'>
+                {filteredEvents.length !== events.length ? (
+                  <>
+                    Showing {filteredEvents.length.toLocaleString()} filtered of {events.length.toLocaleString()} fetched (
+                    {total.toLocaleString()} total)
+                  </>
+                ) : (
+                  <>
+                    Showing {events.length.toLocaleString()} of {total.toLocaleString()} events
+                  </>
+                )}
+                {isFetchingMore && ' (loading more...)'}
+                {isSearching && ' (searching...)'}
+              </p>
+            )}
+          </div>
         </div>
+        {showSummary && total > 0 && (
+          <ActivitySummaryPanel
+            actionTranslations={actionTranslations}
+            events={filteredEvents}
+            getActionColor={getActionColor}
+            hasMore={hasMore}
+            userNameMap={userNameMap}
+          />
+        )}
       </div>
     ),
     [
+      actionTranslations,
       activityLogType,
+      currentWatch,
       datasetFetchError,
       discoveryError,
       domoInstance,
       events.length,
-      filteredEvents.length,
+      filteredEvents,
       handleUseDomoStats,
+      hasMore,
       isDiscovering,
       isFetchingMore,
       isSearching,
       objects,
       perInstanceSettings,
+      showSummary,
       source,
       total,
-      updatePerInstance
+      updatePerInstance,
+      userNameMap,
+      watches
     ]
   );
 
@@ -1255,22 +1446,44 @@ export function ActivityLogTable() {
   }
 
   return (
-    <DataTable
-      columns={columns}
-      customFilters={customFilters}
-      data={filteredEvents}
-      entityName='events'
-      exportConfig={exportConfig}
-      getRowId={(row, i) => `${row.objectType}:${row.objectId}:${row.time}:${row.actionType}:${row.userId}:${i}`}
-      hasMore={hasMore}
-      header={header}
-      initialColumnVisibility={initialColumnVisibility}
-      isRefreshing={isInitialLoad || isSearching}
-      sortDescriptor={sortDescriptor}
-      onLoadMore={fetchMoreEvents}
-      onRefresh={handleRefresh}
-      onSortChange={setSortDescriptor}
-    />
+    <>
+      <DataTable
+        columns={columns}
+        customFilters={customFilters}
+        data={filteredEvents}
+        entityName='events'
+        exportConfig={exportConfig}
+        getRowId={(row, i) => `${row.objectType}:${row.objectId}:${row.time}:${row.actionType}:${row.userId}:${i}`}
+        hasMore={hasMore}
+        header={header}
+        initialColumnVisibility={initialColumnVisibility}
+        isRefreshing={isInitialLoad || isSearching}
+        sortDescriptor={sortDescriptor}
+        onLoadMore={fetchMoreEvents}
+        onRefresh={handleRefresh}
+        onSortChange={setSortDescriptor}
+      />
+      <ActivityLogPresetsModal
+        currentSummary={`Current filters: ${describeFilters(currentFilters)}`}
+        isOpen={isPresetsOpen}
+        presets={presets}
+        onApply={handleApplyPreset}
+        onDelete={deleteActivityLogPreset}
+        onOpenChange={setIsPresetsOpen}
+        onSave={handleSavePreset}
+      />
+      <ActivityLogWatchesModal
+        currentSummary={`New events on this log matching: ${describeFilters({ ...currentFilters, dateRange: null })}`}
+        currentWatchId={currentWatch?.id ?? null}
+        isOpen={isWatchesOpen}
+        watches={watches}
+        onAcknowledge={handleAcknowledgeWatch}
+        onOpen={handleOpenWatch}
+        onOpenChange={setIsWatchesOpen}
+        onStart={handleStartWatch}
+        onStop={stopActivityLogWatch}
+      />
+    </>
   );
 }
 
@@ -1572,6 +1785,19 @@ function deduplicateEvents(events) {
   });
 }
 
+/**
+ * Plain-text name for an activity log's objects, used to label watches.
+ */
+function describeObjects(objects, activityLogType) {
+  const [first, second] = objects;
+  if (activityLogType === 'single-object') return `${first?.type} ${first?.name ?? first?.id}`;
+  if (activityLogType === 'object-and-parent') {
+    return `${first?.type} ${first?.name ?? first?.id} and its parent ${second?.type} ${second?.name ?? second?.id}`;
+  }
+  const noun = activityLogType === 'child-cards' ? 'card' : activityLogType === 'child-pages' ? 'page' : 'object';
+  return `${objects.length} ${noun}${objects.length !== 1 ? 's' : ''}`;
+}
+
 /**
  * Get color for an action based on exact match or partial match
  * @param {string} action - The action string
@@ -1623,6 +1849,14 @@ function getSourceTypeColor(type) {
   return SOURCE_TYPE_FALLBACK_COLORS[index];
 }
 
+// Order-independent identity for a set of activity log objects.
+function objectsKey(objects) {
+  return objects
+    .map((obj) => `${obj.type}:${obj.id}`)
+    .sort()
+    .join(',');
+}
+
 /**
  * Run an array of thunks (functions returning promises) with limited concurrency.
  * Returns results in the same order as the input thunks.
@@ -0,0 +1,108 @@
+import { Button, Input, Label, Modal, TextField } from '@heroui/react';
+import { useState } from 'react';
+
+import IconTrash from '@icons/trash.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { describeFilters } from '../utils/activityLogPresets';
+
+/**
+ * Modal for saved activity log filter presets (see `../utils/activityLogPresets`):
+ * save the table's current filters under a name, then apply or delete saved
+ * ones. Saving with an existing name replaces that preset. The parent keeps
+ * `presets` live from storage.
+ *
+ * @param {Object} props
+ * @param {string} props.currentSummary - Description of the filters that would be saved
+ * @param {boolean} props.isOpen
+ * @param {(preset: Object) => void} props.onApply
+ * @param {(presetId: string) => void} props.onDelete
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {(name: string) => Promise<void>} props.onSave
+ * @param {Array<Object>} props.presets
+ */
+export function ActivityLogPresetsModal({ currentSummary, isOpen, onApply, onDelete, onOpenChange, onSave, presets }) {
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(name);
+      setName('');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onOpenChange={onOpenChange}>
+      <Modal.Backdrop>
+        <Modal.Container className='p-1' placement='center' scroll='outside'>
+          <Modal.Dialog className='p-2'>
+            <Modal.CloseTrigger className='absolute top-2 right-2' variant='ghost'>
+              <IconX />
+            </Modal.CloseTrigger>
+            <Modal.Header>
+              <Modal.Heading>Saved Filters</Modal.Heading>
+            </Modal.Header>
+            <Modal.Body className='flex flex-col gap-3'>
+              <div className='flex flex-col gap-1'>
+                <div className='flex items-end gap-2'>
+                  <TextField className='min-w-0 flex-1' value={name} variant='secondary' onChange={setName}>
+                    <Label>Save current filters as</Label>
+                    <Input placeholder='e.g. Dataset deletes this week' />
+                  </TextField>
+                  <Button
+                    isDisabled={!name.trim() || isSaving}
+                    isPending={isSaving}
+                    size='sm'
+                    variant='primary'
+                    onPress={handleSave}
+                  >
+                    Save
+                  </Button>
+                </div>
+                <p className='text-xs text-muted'>{currentSummary}</p>
+              </div>
+              {presets.length === 0 ? (
+                <p className='text-sm text-muted'>No saved filters for this instance yet.</p>
+              ) : (
+                presets.map((preset) => (
+                  <div
+                    className='flex items-center justify-between gap-2 rounded-md border border-border p-2'
+                    key={preset.id}
+                  >
+                    <div className='min-w-0 text-xs'>
+                      <p className='truncate font-medium'>{preset.name}</p>
+                      <p className='text-muted'>{describeFilters(preset)}</p>
+                    </div>
+                    <div className='flex shrink-0 items-center gap-1'>
+                      <Button size='sm' variant='tertiary' onPress={() => onApply(preset)}>
+                        Apply
+                      </Button>
+                      <Button
+                        isIconOnly
+                        aria-label={`Delete ${preset.name}`}
+                        size='sm'
+                        variant='ghost'
+                        onPress={() => onDelete(preset.id)}
+                      >
+                        <IconTrash />
+                      </Button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </Modal.Body>
+            <Modal.Footer className='flex justify-end gap-2'>
+              <Button size='sm' slot='close' variant='tertiary'>
+                Close
+              </Button>
+            </Modal.Footer>
+          </Modal.Dialog>
+        </Modal.Container>
+      </Modal.Backdrop>
+    </Modal>
+  );
+}
@@ -0,0 +1,165 @@
+import { Button, Chip, Label, ListBox, Modal, Select } from '@heroui/react';
+import { useState } from 'react';
+
+import { WATCH_INTERVAL_OPTIONS } from '@/utils/activityLogWatches';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { describeFilters } from '../utils/activityLogPresets';
+
+/**
+ * Modal for activity log watches (see `@/utils/activityLogWatches`): start
+ * watching the table's current objects and filters, and review, acknowledge,
+ * open or stop the instance's watches. The background worker polls each watch
+ * and badges the extension icon with the unacknowledged count. The parent
+ * keeps `watches` live from storage, so counts update while the modal is open.
+ *
+ * @param {Object} props
+ * @param {string|null} props.currentWatchId - Watch on the log currently shown, if any
+ * @param {string} props.currentSummary - Description of the filters a new watch would use
+ * @param {boolean} props.isOpen
+ * @param {(watchId: string) => void} props.onAcknowledge
+ * @param {(watch: Object) => void} props.onOpen - Show a watch's log in the table
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {(intervalMinutes: number) => Promise<void>} props.onStart
+ * @param {(watchId: string) => void} props.onStop
+ * @param {Array<Object>} props.watches
+ */
+export function ActivityLogWatchesModal({
+  currentSummary,
+  currentWatchId,
+  isOpen,
+  onAcknowledge,
+  onOpen,
+  onOpenChange,
+  onStart,
+  onStop,
+  watches
+}) {
+  const [intervalMinutes, setIntervalMinutes] = useState(15);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    try {
+      await onStart(intervalMinutes);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onOpenChange={onOpenChange}>
+      <Modal.Backdrop>
+        <Modal.Container className='p-1' placement='center' scroll='outside'>
+          <Modal.Dialog className='p-2'>
+            <Modal.CloseTrigger className='absolute top-2 right-2' variant='ghost'>
+              <IconX />
+            </Modal.CloseTrigger>
+            <Modal.Header>
+              <Modal.Heading>Watched Activity</Modal.Heading>
+            </Modal.Header>
+            <Modal.Body className='flex flex-col gap-3'>
+              {!currentWatchId && (
+                <div className='flex flex-col gap-1'>
+                  <div className='flex items-end gap-2'>
+                    <Select
+                      className='min-w-0 flex-1'
+                      value={intervalMinutes}
+                      variant='secondary'
+                      onChange={(value) => setIntervalMinutes(Number(value))}
+                    >
+                      <Label>Watch this log, checking every</Label>
+                      <Select.Trigger>
+                        <Select.Value />
+                        <Select.Indicator>
+                          <IconChevronDown />
+                        </Select.Indicator>
+                      </Select.Trigger>
+                      <Select.Popover>
+                        <ListBox>
+                          {WATCH_INTERVAL_OPTIONS.map((minutes) => (
+                            <ListBox.Item id={minutes} key={minutes} textValue={`${minutes} minutes`}>
+                              {minutes} minutes
+                              <ListBox.ItemIndicator>
+                                {({ isSelected }) => (isSelected ? <IconCheck /> : null)}
+                              </ListBox.ItemIndicator>
+                            </ListBox.Item>
+                          ))}
+                        </ListBox>
+                      </Select.Popover>
+                    </Select>
+                    <Button isDisabled={isStarting} isPending={isStarting} size='sm' variant='primary' onPress={handleStart}>
+                      Start Watching
+                    </Button>
+                  </div>
+                  <p className='text-xs text-muted'>
+                    {currentSummary}. New matching events badge the extension icon; a Domo tab on this instance must be open
+                    for checks to run.
+                  </p>
+                </div>
+              )}
+              {watches.length === 0 ? (
+                <p className='text-sm text-muted'>No watches on this instance.</p>
+              ) : (
+                watches.map((watch) => (
+                  <div className='flex flex-col gap-1 rounded-md border border-border p-2' key={watch.id}>
+                    <div className='flex items-center justify-between gap-2'>
+                      <div className='min-w-0 text-xs'>
+                        <p className='truncate font-medium'>
+                          {watch.label}
+                          {watch.id === currentWatchId && <span className='text-muted'> (this log)</span>}
+                        </p>
+                        <p className='text-muted'>
+                          {describeFilters(watch.filters)} · every {watch.intervalMinutes} min · checked{' '}
+                          {new Date(watch.checkedAt).toLocaleTimeString()}
+                        </p>
+                        {watch.lastError && <p className='text-danger'>{watch.lastError}</p>}
+                      </div>
+                      <div className='flex shrink-0 items-center gap-1'>
+                        {watch.newCount > 0 && (
+                          <Chip color='warning' size='sm' variant='soft'>
+                            <Chip.Label>{watch.newCount} new</Chip.Label>
+                          </Chip>
+                        )}
+                        {watch.id !== currentWatchId && (
+                          <Button size='sm' variant='tertiary' onPress={() => onOpen(watch)}>
+                            Open
+                          </Button>
+                        )}
+                        {watch.newCount > 0 && (
+                          <Button size='sm' variant='tertiary' onPress={() => onAcknowledge(watch.id)}>
+                            {watch.id === currentWatchId ? 'Show' : 'Mark Seen'}
+                          </Button>
+                        )}
+                        <Button size='sm' variant='ghost' onPress={() => onStop(watch.id)}>
+                          Stop
+                        </Button>
+                      </div>
+                    </div>
+                    {watch.recent.length > 0 && (
+                      <ul className='flex flex-col gap-0.5 text-xs text-muted'>
+                        {watch.recent.slice(0, 5).map((event, index) => (
+                          <li className='truncate' key={index}>
+                            {new Date(event.time).toLocaleString()} · {event.userName || 'Unknown user'} · {event.actionType}{' '}
+                            · {event.objectName || event.objectType}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))
+              )}
+            </Modal.Body>
+            <Modal.Footer className='flex justify-end gap-2'>
+              <Button size='sm' slot='close' variant='tertiary'>
+                Close
+              </Button>
+            </Modal.Footer>
+          </Modal.Dialog>
+        </Modal.Container>
+      </Modal.Backdrop>
+    </Modal>
+  );
+}
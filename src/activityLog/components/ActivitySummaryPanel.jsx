@@ -0,0 +1,188 @@
+import { Chip, Tooltip } from '@heroui/react';
+import { useMemo } from 'react';
+
+import { Alert } from '@/components/Alert';
+import IconExclamationPointCircle from '@icons/exclamation-point-circle.svg?react';
+
+import { BURST_WINDOW_MS, summarizeActivity } from '../utils/activitySummary';
+
+const TOP_LIMIT = 8;
+
+/**
+ * ActivitySummaryPanel Component
+ * Aggregates the currently loaded events into a timeline histogram, top
+ * actors, action and day breakdowns, and burst warnings. Only loaded rows are
+ * summarized; `hasMore` adds a note that scrolling the table loads more.
+ *
+ * @param {Object} props
+ * @param {Object<string, string>} props.actionTranslations - actionType → label
+ * @param {Array<Object>} props.events - Loaded (and locally filtered) events
+ * @param {(action: string) => string} props.getActionColor - Chip color for an action
+ * @param {boolean} props.hasMore - Whether the table has more events to load
+ * @param {Object<string, string>} props.userNameMap - userId → display name for nameless rows
+ */
+export function ActivitySummaryPanel({ actionTranslations, events, getActionColor, hasMore, userNameMap }) {
+  const summary = useMemo(
+    () => summarizeActivity(events, { actionTranslations, userNameMap }),
+    [events, actionTranslations, userNameMap]
+  );
+
+  if (summary.total === 0) {
+    return <p className='text-sm text-muted'>No loaded events to summarize</p>;
+  }
+
+  const busiestDays = [...summary.days].sort((a, b) => b.count - a.count).slice(0, TOP_LIMIT);
+
+  return (
+    <div className='flex max-h-96 flex-col gap-3 overflow-y-auto rounded-xl border border-border p-3'>
+      {summary.bursts.length > 0 && (
+        <Alert status={summary.bursts.some((burst) => burst.isDestructive) ? 'danger' : 'warning'}>
+          <Alert.Content>
+            <Alert.Title className='flex items-center gap-1'>
+              <Alert.Indicator>
+                <IconExclamationPointCircle data-slot='alert-default-icon' />
+              </Alert.Indicator>
+              {summary.bursts.length} unusual burst{summary.bursts.length !== 1 ? 's' : ''} of activity
+            </Alert.Title>
+            {summary.bursts.map((burst) => (
+              <Alert.Description className='text-xs' key={`${burst.actorId}:${burst.actionType}:${burst.start}`}>
+                <span className='font-medium'>{burst.actorName}</span> — {burst.count.toLocaleString()} ×{' '}
+                {actionTranslations[burst.actionType] || burst.actionType} on {burst.objectCount.toLocaleString()} object
+                {burst.objectCount !== 1 ? 's' : ''} in {formatDuration(burst.end - burst.start)} (
+                {new Date(burst.start).toLocaleString()})
+              </Alert.Description>
+            ))}
+            <Alert.Description className='mt-1 text-xs text-muted'>
+              Flagged when one actor repeats the same action within {BURST_WINDOW_MS / 60000} minutes.
+            </Alert.Description>
+          </Alert.Content>
+        </Alert>
+      )}
+
+      <div className='flex flex-col gap-1'>
+        <div className='flex items-baseline justify-between text-xs text-muted'>
+          <span className='font-semibold uppercase'>Timeline</span>
+          <span>
+            {summary.total.toLocaleString()} loaded event{summary.total !== 1 ? 's' : ''} ·{' '}
+            {formatBucket(summary.histogram.bucketMs)} buckets
+            {hasMore && ' · scroll the table to load more'}
+          </span>
+        </div>
+        <Histogram histogram={summary.histogram} />
+        {summary.range && (
+          <div className='flex justify-between text-xs text-muted'>
+            <span>{new Date(summary.range.start).toLocaleString()}</span>
+            <span>{new Date(summary.range.end).toLocaleString()}</span>
+          </div>
+        )}
+      </div>
+
+      <div className='grid grid-cols-1 gap-4 sm:grid-cols-3'>
+        <Breakdown
+          title={`Top actors (${summary.actors.length})`}
+          total={summary.total}
+          rows={summary.actors.slice(0, TOP_LIMIT).map((actor) => ({
+            count: actor.count,
+            id: actor.id,
+            label: (
+              <span className='flex min-w-0 items-center gap-1'>
+                <span className='truncate' title={actor.name}>
+                  {actor.name}
+                </span>
+                {actor.type !== 'USER' && (
+                  <Chip className='shrink-0' size='sm' variant='soft'>
+                    {actor.type}
+                  </Chip>
+                )}
+              </span>
+            )
+          }))}
+        />
+        <Breakdown
+          title={`Actions (${summary.actions.length})`}
+          total={summary.total}
+          rows={summary.actions.slice(0, TOP_LIMIT).map((action) => ({
+            count: action.count,
+            id: action.id,
+            label: (
+              <Chip className='max-w-full' color={getActionColor(action.id)} size='sm' variant='soft'>
+                <span className='truncate'>{action.label}</span>
+              </Chip>
+            )
+          }))}
+        />
+        <Breakdown
+          title={`Busiest days (${summary.days.length})`}
+          total={summary.total}
+          rows={busiestDays.map((day) => ({
+            count: day.count,
+            id: day.day,
+            label: <span className='truncate'>{formatDay(day.day)}</span>
+          }))}
+        />
+      </div>
+    </div>
+  );
+}
+
+function Breakdown({ rows, title, total }) {
+  return (
+    <div className='flex min-w-0 flex-col gap-1.5'>
+      <div className='text-xs font-semibold text-muted uppercase'>{title}</div>
+      {rows.map((row) => (
+        <div className='flex flex-col gap-0.5' key={row.id}>
+          <div className='flex items-center justify-between gap-2 text-sm'>
+            {row.label}
+            <span className='shrink-0 text-xs text-muted tabular-nums'>{row.count.toLocaleString()}</span>
+          </div>
+          <div className='h-1 rounded-full bg-surface-secondary'>
+            <div className='h-1 rounded-full bg-accent' style={{ width: `${(row.count / total) * 100}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function formatBucket(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 24) return hours === 1 ? 'hourly' : `${hours}-hour`;
+  const days = hours / 24;
+  return days === 1 ? 'daily' : days === 7 ? 'weekly' : `${days}-day`;
+}
+
+// YYYY-MM-DD day keys are local dates; parse them as local, not UTC.
+function formatDay(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+}
+
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return seconds % 60 === 0 ? `${minutes}m` : `${minutes}m ${seconds % 60}s`;
+}
+
+function Histogram({ histogram }) {
+  const max = Math.max(1, ...histogram.buckets.map((bucket) => bucket.count));
+  return (
+    <div className='flex h-20 items-end gap-px'>
+      {histogram.buckets.map((bucket) => (
+        <Tooltip delay={0} key={bucket.start}>
+          <Tooltip.Trigger className='flex h-full min-w-0 flex-1 items-end'>
+            <div
+              className={`w-full rounded-t-sm ${bucket.hasBurst ? 'bg-danger' : 'bg-accent'}`}
+              style={{ height: bucket.count > 0 ? `${Math.max(4, (bucket.count / max) * 100)}%` : 0 }}
+            />
+          </Tooltip.Trigger>
+          <Tooltip.Content>
+            {new Date(bucket.start).toLocaleString()}: {bucket.count.toLocaleString()} event
+            {bucket.count !== 1 ? 's' : ''}
+            {bucket.hasBurst && ' (burst)'}
+          </Tooltip.Content>
+        </Tooltip>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { getLocalTimeZone, parseDate, today } from '@internationalized/date';
+
+/**
+ * Named activity log filter presets ("DELETEs on datasets by non-admins this
+ * week"), kept in `chrome.storage.local` per instance since user ids only mean
+ * something on the instance they came from.
+ *
+ * A preset is
+ *   { id, instance, name, actions, objectTypes, users: [{ id, displayName }],
+ *     userMode, dateRange, createdAt }
+ * `users` carries display names so the user filter can render its tags
+ * without a lookup. `dateRange` is null, `{ days }` for a rolling range that
+ * ends today, or `{ start, end }` as ISO dates for a fixed one.
+ */
+
+const STORAGE_KEY = 'activityLogPresets';
+
+/**
+ * Delete a preset.
+ * @param {string} presetId
+ * @returns {Promise<void>}
+ */
+export async function deleteActivityLogPreset(presetId) {
+  const presets = await readPresets();
+  await chrome.storage.local.set({ [STORAGE_KEY]: presets.filter((preset) => preset.id !== presetId) });
+}
+
+/**
+ * One-line description of a preset-shaped filter set, e.g.
+ * "2 actions · 1 object type · not 3 users · last 7 days".
+ * @param {{ actions: string[], dateRange?: Object|null, objectTypes: string[], userMode: string, users: Array }} filters
+ * @returns {string}
+ */
+export function describeFilters({ actions, dateRange, objectTypes, userMode, users }) {
+  const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+  const parts = [];
+  if (actions.length > 0) parts.push(actions.length <= 2 ? actions.join(', ') : plural(actions.length, 'action'));
+  if (objectTypes.length > 0) {
+    parts.push(objectTypes.length <= 2 ? objectTypes.join(', ') : plural(objectTypes.length, 'object type'));
+  }
+  if (users.length > 0) {
+    const names =
+      users.length <= 2 ? users.map((user) => user.displayName || user.id).join(', ') : plural(users.length, 'user');
+    parts.push(userMode === 'exclude' ? `not ${names}` : names);
+  }
+  if (dateRange?.days) parts.push(`last ${plural(dateRange.days, 'day')}`);
+  else if (dateRange?.start) parts.push(`${dateRange.start} to ${dateRange.end}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No filters (all events)';
+}
+
+/**
+ * Turn a stored preset date range back into a DateRangePicker value. Rolling
+ * ranges are re-anchored to today.
+ * @param {{ days: number } | { end: string, start: string } | null} range
+ * @returns {{ end: import('@internationalized/date').CalendarDate, start: import('@internationalized/date').CalendarDate } | null}
+ */
+export function fromPresetDateRange(range) {
+  if (!range) return null;
+  if (range.days) {
+    const end = today(getLocalTimeZone());
+    return { end, start: end.subtract({ days: range.days - 1 }) };
+  }
+  return { end: parseDate(range.end), start: parseDate(range.start) };
+}
+
+/**
+ * Presets saved for an instance, by name.
+ * @param {string} instance
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getActivityLogPresets(instance) {
+  const presets = await readPresets();
+  return presets.filter((preset) => preset.instance === instance).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a preset. A preset with the same name on the same instance is replaced.
+ * @param {Object} params
+ * @param {string[]} params.actions - Event types
+ * @param {{ days: number } | { end: string, start: string } | null} params.dateRange - See toPresetDateRange
+ * @param {string} params.instance
+ * @param {string} params.name
+ * @param {string[]} params.objectTypes
+ * @param {'exclude'|'include'} params.userMode
+ * @param {Array<{ displayName: string, id: string }>} params.users
+ * @returns {Promise<Object>} The stored preset
+ */
+export async function saveActivityLogPreset({ actions, dateRange, instance, name, objectTypes, userMode, users }) {
+  const trimmed = name?.trim();
+  if (!trimmed) throw new Error('Preset name is required');
+  const preset = {
+    actions,
+    createdAt: Date.now(),
+    dateRange,
+    id: crypto.randomUUID(),
+    instance,
+    name: trimmed,
+    objectTypes,
+    userMode,
+    users
+  };
+  const presets = await readPresets();
+  const others = presets.filter((p) => !(p.instance === instance && p.name.toLowerCase() === trimmed.toLowerCase()));
+  await chrome.storage.local.set({ [STORAGE_KEY]: [...others, preset] });
+  return preset;
+}
+
+/**
+ * Store a DateRangePicker value for a preset. A range ending today is saved as
+ * rolling (its length in days), so "this week" still means this week when
+ * the preset is applied later; any other range is saved as fixed dates.
+ * @param {{ end: import('@internationalized/date').CalendarDate, start: import('@internationalized/date').CalendarDate } | null} dateRange
+ * @returns {{ days: number } | { end: string, start: string } | null}
+ */
+export function toPresetDateRange(dateRange) {
+  if (!dateRange) return null;
+  if (dateRange.end.compare(today(getLocalTimeZone())) === 0) {
+    return { days: dateRange.end.compare(dateRange.start) + 1 };
+  }
+  return { end: dateRange.end.toString(), start: dateRange.start.toString() };
+}
+
+async function readPresets() {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(stored?.[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
@@ -0,0 +1,185 @@
+/**
+ * Aggregate loaded activity log events for the summary panel: counts by
+ * actor, action and day, a timeline histogram, and bursts of the same action
+ * by the same actor in a short window (e.g. one user deleting dozens of
+ * objects in a few minutes).
+ *
+ * Works on the shared record shape produced by both sources. Audit-API rows
+ * always carry `userId`/`userName`; DomoStats rows may only carry the
+ * `source*` actor fields (system jobs, ETL), so the actor falls back to the
+ * source when there is no user.
+ */
+
+// A run of the same action by the same actor is a burst when it reaches the
+// threshold inside the window. Destructive actions flag much earlier.
+export const BURST_WINDOW_MS = 10 * 60 * 1000;
+export const BURST_THRESHOLD = 25;
+export const DESTRUCTIVE_BURST_THRESHOLD = 5;
+
+const DESTRUCTIVE_ACTION_RE = /delet|remov|revok/i;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Target upper bound on histogram bars; the bucket size steps up from hours
+// to days to weeks to stay under it.
+const MAX_BUCKETS = 60;
+
+/**
+ * @param {Array<Object>} events - Loaded activity records (either source)
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.actionTranslations] - actionType → label
+ * @param {Object<string, string>} [options.userNameMap] - userId → display name
+ * @returns {{
+ *   actions: Array<{ count: number, id: string, label: string }>,
+ *   actors: Array<{ count: number, id: string, lastTime: number, name: string, type: string }>,
+ *   bursts: Array<{ actionType: string, actorId: string, actorName: string, count: number, end: number, isDestructive: boolean, objectCount: number, start: number }>,
+ *   days: Array<{ count: number, day: string }>,
+ *   histogram: { bucketMs: number, buckets: Array<{ count: number, hasBurst: boolean, start: number }> },
+ *   range: { end: number, start: number } | null,
+ *   total: number
+ * }}
+ */
+export function summarizeActivity(events, { actionTranslations = {}, userNameMap = {} } = {}) {
+  const actors = new Map();
+  const actions = new Map();
+  const days = new Map();
+  const timed = [];
+
+  for (const event of events) {
+    const time = new Date(event.time).getTime();
+    const actor = getActor(event, userNameMap);
+    const action = event.actionType || 'UNKNOWN';
+
+    if (!actors.has(actor.id)) actors.set(actor.id, { ...actor, count: 0, lastTime: 0 });
+    const actorEntry = actors.get(actor.id);
+    actorEntry.count++;
+
+    actions.set(action, (actions.get(action) ?? 0) + 1);
+
+    if (Number.isNaN(time)) continue;
+    actorEntry.lastTime = Math.max(actorEntry.lastTime, time);
+    const day = toDayKey(time);
+    days.set(day, (days.get(day) ?? 0) + 1);
+    timed.push({ action, actor, event, time });
+  }
+
+  timed.sort((a, b) => a.time - b.time);
+  const range = timed.length > 0 ? { end: timed[timed.length - 1].time, start: timed[0].time } : null;
+  const bursts = findBursts(timed);
+
+  return {
+    actions: [...actions.entries()]
+      .map(([id, count]) => ({ count, id, label: actionTranslations[id] || id }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    actors: [...actors.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    bursts,
+    days: [...days.entries()].map(([day, count]) => ({ count, day })).sort((a, b) => a.day.localeCompare(b.day)),
+    histogram: buildHistogram(timed, range, bursts),
+    range,
+    total: events.length
+  };
+}
+
+/**
+ * Bucket events into evenly sized bars across the loaded range. Buckets that
+ * overlap a burst are marked so the chart can highlight them.
+ */
+function buildHistogram(timed, range, bursts) {
+  if (!range) return { bucketMs: HOUR_MS, buckets: [] };
+  const span = range.end - range.start;
+  const bucketMs = [HOUR_MS, 6 * HOUR_MS, DAY_MS, 7 * DAY_MS].find((size) => span / size < MAX_BUCKETS) ?? 30 * DAY_MS;
+  // Day-sized buckets and larger start at local midnight so bars line up with
+  // calendar days.
+  const origin = bucketMs >= DAY_MS ? startOfLocalDay(range.start) : range.start - (range.start % bucketMs);
+  const count = Math.floor((range.end - origin) / bucketMs) + 1;
+  const buckets = Array.from({ length: count }, (_, i) => ({ count: 0, hasBurst: false, start: origin + i * bucketMs }));
+
+  for (const { time } of timed) {
+    buckets[Math.floor((time - origin) / bucketMs)].count++;
+  }
+  for (const burst of bursts) {
+    const first = Math.floor((burst.start - origin) / bucketMs);
+    const last = Math.floor((burst.end - origin) / bucketMs);
+    for (let i = first; i <= last; i++) buckets[i].hasBurst = true;
+  }
+  return { bucketMs, buckets };
+}
+
+/**
+ * Slide a window over each actor's events per action and report every
+ * maximal run that reaches the threshold. Overlapping windows extend the same
+ * burst rather than reporting it again.
+ */
+function findBursts(timed) {
+  const groups = new Map();
+  for (const entry of timed) {
+    const key = `${entry.actor.id}\u0000${entry.action}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const bursts = [];
+  for (const entries of groups.values()) {
+    const { action, actor } = entries[0];
+    const isDestructive = DESTRUCTIVE_ACTION_RE.test(action);
+    const threshold = isDestructive ? DESTRUCTIVE_BURST_THRESHOLD : BURST_THRESHOLD;
+    if (entries.length < threshold) continue;
+
+    let current = null;
+    let windowStart = 0;
+    for (let i = 0; i < entries.length; i++) {
+      while (entries[i].time - entries[windowStart].time > BURST_WINDOW_MS) windowStart++;
+      if (i - windowStart + 1 < threshold) continue;
+      if (current && windowStart <= current.lastIndex) {
+        current.lastIndex = i;
+      } else {
+        if (current) bursts.push(toBurst(entries, current, action, actor, isDestructive));
+        current = { firstIndex: windowStart, lastIndex: i };
+      }
+    }
+    if (current) bursts.push(toBurst(entries, current, action, actor, isDestructive));
+  }
+
+  return bursts.sort((a, b) => b.isDestructive - a.isDestructive || b.count - a.count);
+}
+
+function getActor(event, userNameMap) {
+  if (event.userId != null && event.userId !== '') {
+    const id = String(event.userId);
+    return { id: `USER:${id}`, name: event.userName || userNameMap[id] || `User ${id}`, type: 'USER' };
+  }
+  if (event.sourceId != null && event.sourceId !== '') {
+    const type = event.sourceType || 'SOURCE';
+    return { id: `${type}:${event.sourceId}`, name: event.sourceName || `${type} ${event.sourceId}`, type };
+  }
+  return { id: 'UNKNOWN', name: 'Unknown', type: 'UNKNOWN' };
+}
+
+function startOfLocalDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function toBurst(entries, { firstIndex, lastIndex }, action, actor, isDestructive) {
+  const run = entries.slice(firstIndex, lastIndex + 1);
+  return {
+    actionType: action,
+    actorId: actor.id,
+    actorName: actor.name,
+    count: run.length,
+    end: run[run.length - 1].time,
+    isDestructive,
+    objectCount: new Set(run.map(({ event }) => `${event.objectType}:${event.objectId}`)).size,
+    start: run[0].time
+  };
+}
+
+// Local calendar day as YYYY-MM-DD so keys sort chronologically.
+function toDayKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -1,3 +1,5 @@
+import * as XLSX from 'xlsx';
+
 import { releases } from '@/data/releases';
 import { DomoContext } from '@/models/DomoContext';
 import { DomoObject } from '@/models/DomoObject';
@@ -7,10 +9,25 @@ import { runEnrichments } from '@/services/enrichments';
 import { getFeatureSwitches } from '@/services/features';
 import { checkPageType } from '@/services/pages';
 import { getCurrentUser, getUserGroups } from '@/services/users';
+import {
+  ACTIVITY_LOG_WATCHES_KEY,
+  activityLogWatchIdFromAlarm,
+  getActivityLogWatchBadgeCount,
+  handleActivityLogWatchMessage,
+  pollActivityLogWatch,
+  restoreActivityLogWatchAlarms
+} from '@/utils/activityLogWatches';
 import { clearCookies } from '@/utils/clearCookies';
 import { EXCLUDED_HOSTNAMES, SECTION_TITLES } from '@/utils/constants';
 import { detectCurrentObject, isDomoUrl } from '@/utils/currentObject';
 import { executeInPage } from '@/utils/executeInPage';
+import { getPinnedPreservation, markInstanceSignedOut, recordInstanceVisit } from '@/utils/instanceSessions';
+import {
+  handleScheduledTransferMessage,
+  restoreScheduledTransferAlarms,
+  runScheduledTransfer,
+  scheduledTransferIdFromAlarm
+} from '@/utils/scheduledTransfers';
 import { sidepanelStorageKeyPrefix } from '@/utils/sidepanel';
 
 // Generic titles the toolkit applies to list/index pages, in both the bare and
@@ -282,6 +299,7 @@ function getInstanceUser(instance, tabId) {
 function invalidateInstanceUser(instance) {
   instanceUserCache.delete(instance);
   persistInstanceUsers();
+  markInstanceSignedOut(instance).catch(() => {});
   console.log(`[Background] Invalidated user cache for instance: ${instance}`);
 }
 
@@ -767,8 +785,30 @@ applyIconFromStorage();
 
 chrome.runtime.onStartup.addListener(applyIconFromStorage);
 
+// Scheduled ownership transfers: re-arm pending jobs on every worker start and
+// run each one when its alarm fires. SheetJS is passed in because the worker
+// can't lazy-load it for the emailed transfer log.
+restoreScheduledTransferAlarms().catch((error) => console.error('[Background] Error restoring scheduled transfers:', error));
+
+// Activity log watches: re-arm each watch's repeating alarm on worker start and
+// poll it when the alarm fires. The badge follows the stored counts via the
+// storage listener below; it is only redrawn here when there are unseen events,
+// so a fresh install's release-notes bookkeeping isn't raced.
+restoreActivityLogWatchAlarms()
+  .then(async () => {
+    if ((await getActivityLogWatchBadgeCount()) > 0) await refreshBadge();
+  })
+  .catch((error) => console.error('[Background] Error restoring activity log watches:', error));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const jobId = scheduledTransferIdFromAlarm(alarm.name);
+  if (jobId) runScheduledTransfer(jobId, { xlsx: XLSX });
+  const watchId = activityLogWatchIdFromAlarm(alarm.name);
+  if (watchId) pollActivityLogWatch(watchId);
+});
+
 // 431 error handler function (stored for add/remove)
-// Only active when autoClearCookiesOn431 is true - preserves last 2 instances
+// Only active when autoClearCookiesOn431 is true - preserves last 2 instances and pinned instances
 async function handle431Response(details) {
   if (details.statusCode === 431) {
     try {
@@ -827,6 +867,11 @@ async function handle431Response(details) {
         console.log('[Background] No Domo tabs found, preserving current domain:', currentDomain);
       }
 
+      // Pinned instances (from the instance manager) are never cleared
+      const pinned = await getPinnedPreservation();
+      domainsToPreserve = [...new Set([...domainsToPreserve, ...pinned.domains])];
+      daSidsToPreserve.push(...pinned.daSids.filter((daSid) => !daSidsToPreserve.includes(daSid)));
+
       console.log('[Background] Preserving domains:', domainsToPreserve, 'DA-SIDs:', daSidsToPreserve);
 
       const result = await clearCookies({
@@ -1020,6 +1065,10 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
     applyIconFromStorage();
   }
 
+  if (areaName === 'local' && changes[ACTIVITY_LOG_WATCHES_KEY]) {
+    refreshBadge();
+  }
+
   if (areaName === 'sync' && changes.removeDomoTitleSuffix !== undefined) {
     removeDomoTitleSuffix = changes.removeDomoTitleSuffix.newValue ?? false;
 
@@ -1149,6 +1198,7 @@ async function detectAndStoreContext(tabId) {
     // Fetch current user + groups + feature switches (cached per instance, non-blocking)
     getInstanceUser(context.instance, tabId)
       .then(({ featureSwitches, user, userGroups }) => {
+        if (user?.id) recordInstanceVisit({ instance: context.instance, tabId, user });
         if (isStale()) return;
         const currentContext = getTabContext(tabId);
         if (currentContext) {
@@ -1513,6 +1563,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
     try {
       switch (message.type) {
+        case 'ACKNOWLEDGE_ACTIVITY_LOG_WATCH': {
+          // Watch writes are all made here so they share one queue (see
+          // activityLogWatches)
+          await handleActivityLogWatchMessage(message);
+          sendResponse({ success: true });
+          break;
+        }
+
         case 'API_ERROR_DETECTED': {
           const sourceTabId = sender.tab?.id;
           if (sourceTabId) {
@@ -1522,6 +1580,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
 
+        case 'CANCEL_SCHEDULED_TRANSFER':
+        case 'SCHEDULE_TRANSFER': {
+          // Job writes are all made here so they share one queue (see
+          // scheduledTransfers)
+          const result = await handleScheduledTransferMessage(message);
+          sendResponse({ result, success: true });
+          break;
+        }
+
         case 'CLEAR_API_ERRORS': {
           clearApiErrors(message.tabId);
           sendResponse({ success: true });
@@ -1592,11 +1659,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'RELEASE_NOTES_SEEN': {
           const currentVersion = chrome.runtime.getManifest().version;
           await chrome.storage.local.set({ lastSeenVersion: currentVersion });
-          chrome.action.setBadgeText({ text: '' });
+          await refreshBadge();
           sendResponse({ success: true });
           break;
         }
 
+        case 'START_ACTIVITY_LOG_WATCH':
+        case 'STOP_ACTIVITY_LOG_WATCH': {
+          const result = await handleActivityLogWatchMessage(message);
+          sendResponse({ result, success: true });
+          break;
+        }
+
         case 'UPDATE_CONTEXT_METADATA': {
           // Update cached context metadata without re-fetching from API
           const { contextUpdates, metadataUpdates, tabId } = message;
@@ -1662,16 +1736,26 @@ function compareVersions(a, b) {
   return 0;
 }
 
+/**
+ * Show the badge's resting state: NEW while release notes are unseen, else the
+ * count of new events from activity log watches, else nothing.
+ */
+async function refreshBadge() {
+  const { lastSeenVersion } = await chrome.storage.local.get(['lastSeenVersion']);
+  if (lastSeenVersion !== chrome.runtime.getManifest().version) {
+    chrome.action.setBadgeText({ text: 'NEW' });
+    chrome.action.setBadgeBackgroundColor({ color: '#6366f1' });
+    return;
+  }
+  const watchCount = await getActivityLogWatchBadgeCount();
+  if (watchCount > 0) {
+    chrome.action.setBadgeText({ text: watchCount > 99 ? '99+' : String(watchCount) });
+    chrome.action.setBadgeBackgroundColor({ color: '#f59e0b' });
+  } else {
+    chrome.action.setBadgeText({ text: '' });
+  }
+}
+
 function restoreBadgeAfterDelay(ms = 2000) {
-  setTimeout(() => {
-    chrome.storage.local.get(['lastSeenVersion'], (result) => {
-      const currentVersion = chrome.runtime.getManifest().version;
-      if (result.lastSeenVersion !== currentVersion) {
-        chrome.action.setBadgeText({ text: 'NEW' });
-        chrome.action.setBadgeBackgroundColor({ color: '#6366f1' });
-      } else {
-        chrome.action.setBadgeText({ text: '' });
-      }
-    });
-  }, ms);
+  setTimeout(refreshBadge, ms);
 }
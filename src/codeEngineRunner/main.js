@@ -0,0 +1,50 @@
+import RunnerWorker from './worker.js?worker&inline';
+
+/**
+ * Sandboxed page (see `sandbox` in the manifest) the side panel embeds to run
+ * Code Engine functions. Extension pages can't evaluate code under their CSP;
+ * this page can, but has no extension APIs and an opaque origin, so the code
+ * it runs can't reach chrome.* or the user's Domo session. Each run gets a
+ * fresh worker, which is terminated on completion or timeout so a runaway loop
+ * never outlives its run.
+ */
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent) return;
+  const { id, payload, timeoutMs } = event.data ?? {};
+  if (!id || !payload) return;
+
+  const startedAt = performance.now();
+  const worker = new RunnerWorker();
+  const finish = (result) => {
+    clearTimeout(timer);
+    worker.terminate();
+    // The parent is always the extension page that embedded us (sandbox pages
+    // aren't web accessible), but an opaque origin can't name it.
+    window.parent.postMessage({ id, result }, '*');
+  };
+  const timer = setTimeout(
+    () =>
+      finish({
+        calls: [],
+        durationMs: Math.round(performance.now() - startedAt),
+        error: { message: `Timed out after ${timeoutMs / 1000}s` },
+        logs: [],
+        status: 'timeout'
+      }),
+    timeoutMs
+  );
+
+  worker.onmessage = ({ data }) => finish(data);
+  worker.onerror = (error) => {
+    error.preventDefault();
+    finish({
+      calls: [],
+      durationMs: Math.round(performance.now() - startedAt),
+      error: { message: error.message || 'The worker failed to start' },
+      logs: [],
+      status: 'error'
+    });
+  };
+  worker.postMessage(payload);
+});
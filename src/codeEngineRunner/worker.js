@@ -0,0 +1,134 @@
+import { describeSdkCall, findFixture } from '@/utils/codeEngineTestHarness';
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+const LOG_LEVELS = ['debug', 'error', 'info', 'log', 'warn'];
+
+// Network entry points a package could reach through `self` or `globalThis`.
+// The sandbox CSP (`connect-src 'none'`) already refuses the requests; these
+// are replaced as well so the failure says why.
+const NETWORK_GLOBALS = ['EventSource', 'fetch', 'importScripts', 'WebSocket', 'XMLHttpRequest'];
+
+disableNetworkGlobals();
+
+/**
+ * Runs one Code Engine function from package source. `codeengine` (global or
+ * `require('codeengine')`) is a stub that answers from the run's fixtures and
+ * records every call; direct network access is disabled (see
+ * NETWORK_GLOBALS) so a test can never touch real data.
+ */
+self.onmessage = async ({ data: { args, code, fixtures, functionName } }) => {
+  const startedAt = performance.now();
+  const calls = [];
+  const logs = [];
+
+  const sdk = new Proxy(
+    {},
+    {
+      get(_, name) {
+        // `await codeengine` would otherwise find a callable `then` and hang.
+        if (typeof name !== 'string' || name === 'then') return undefined;
+        return (...callArgs) => {
+          const call = { args: toCloneable(callArgs), name };
+          const fixture = findFixture(fixtures, call);
+          calls.push({ ...call, matched: !!fixture, signature: describeSdkCall(call) });
+          if (!fixture) return Promise.reject(new Error(`No fixture for codeengine.${describeSdkCall(call)}`));
+          if ('error' in fixture) return Promise.reject(new Error(String(fixture.error)));
+          return Promise.resolve(structuredClone(fixture.response));
+        };
+      }
+    }
+  );
+
+  const sandboxRequire = (name) => {
+    if (name === 'codeengine') return sdk;
+    throw new Error(`require('${name}') is not available in the test harness; only 'codeengine' is stubbed`);
+  };
+  const sandboxConsole = Object.fromEntries(
+    LOG_LEVELS.map((level) => [level, (...parts) => logs.push({ level, text: parts.map(formatLogPart).join(' ') })])
+  );
+
+  let error = null;
+  let value;
+  try {
+    if (!IDENTIFIER_RE.test(functionName)) throw new Error(`${functionName} is not a valid function name`);
+    const sandboxModule = { exports: {} };
+    // The source runs inside its own function so its top-level declarations
+    // (`const codeengine = require('codeengine')`, say) shadow these
+    // parameters instead of colliding with them.
+    const load = new Function(
+      'codeengine',
+      'require',
+      'module',
+      'exports',
+      'console',
+      'fetch',
+      'XMLHttpRequest',
+      'importScripts',
+      `return (function () {\n${code}\n;return typeof ${functionName} === 'function' ? ${functionName} : module.exports[${JSON.stringify(functionName)}];\n})();`
+    );
+    const fn = load(
+      sdk,
+      sandboxRequire,
+      sandboxModule,
+      sandboxModule.exports,
+      sandboxConsole,
+      disabled('fetch'),
+      disabled('XMLHttpRequest'),
+      disabled('importScripts')
+    );
+    if (typeof fn !== 'function') throw new Error(`${functionName} is not defined in the source`);
+    value = toCloneable(await fn(...args));
+  } catch (err) {
+    error = { message: err?.message ?? String(err), stack: err?.stack ?? null };
+  }
+
+  self.postMessage({
+    calls,
+    durationMs: Math.round(performance.now() - startedAt),
+    error,
+    logs,
+    status: error ? 'error' : 'success',
+    value
+  });
+};
+
+function disabled(name) {
+  return () => {
+    throw new Error(`${name} is disabled in the test harness; answer Domo calls with codeengine fixtures instead`);
+  };
+}
+
+// Replace each network global on `self` and wherever it's inherited from, so
+// `Object.getPrototypeOf(self).fetch` doesn't get around it either.
+function disableNetworkGlobals() {
+  for (const name of NETWORK_GLOBALS) {
+    for (let target = self; target; target = Object.getPrototypeOf(target)) {
+      if (target === self || Object.hasOwn(target, name)) {
+        Object.defineProperty(target, name, { configurable: false, value: disabled(name), writable: false });
+      }
+    }
+  }
+}
+
+function formatLogPart(part) {
+  if (typeof part === 'string') return part;
+  try {
+    return JSON.stringify(part) ?? String(part);
+  } catch {
+    return String(part);
+  }
+}
+
+// postMessage can't carry functions or class instances with private state, so
+// fall back to the value's JSON form when a structured clone fails.
+function toCloneable(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch {
+      return String(value);
+    }
+  }
+}
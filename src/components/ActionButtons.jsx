@@ -3,8 +3,12 @@ import { useEffect, useLayoutEffect, useRef, useState } from 'react';
 
 import { ActivityLog } from '@/components/functions/ActivityLog';
 import { ApiErrors } from '@/components/functions/ApiErrors';
+import { BrowseDocuments } from '@/components/functions/BrowseDocuments';
 import { CancelStreamExecution } from '@/components/functions/CancelStreamExecution';
+import { CheckSchemaDrift } from '@/components/functions/CheckSchemaDrift';
 import { ClearCookies } from '@/components/functions/ClearCookies';
+import { CompareUsers } from '@/components/functions/CompareUsers';
+import { CompareVersions } from '@/components/functions/CompareVersions';
 import { Copy } from '@/components/functions/Copy';
 import { CopyColorRules } from '@/components/functions/CopyColorRules';
 import { CopyFilteredUrl } from '@/components/functions/CopyFilteredUrl';
@@ -25,15 +29,20 @@ import { GetViewInputs } from '@/components/functions/GetViewInputs';
 import { GetWorkspaces } from '@/components/functions/GetWorkspaces';
 import { InspectDataflow } from '@/components/functions/InspectDataflow';
 import { LockCards } from '@/components/functions/LockCards';
+import { ManageInstances } from '@/components/functions/ManageInstances';
 import { ManageTags } from '@/components/functions/ManageTags';
 import { MigrateDownstreamContent } from '@/components/functions/MigrateDownstreamContent';
 import { NavigateToCopiedObject } from '@/components/functions/NavigateToCopiedObject';
+import { PageBundle } from '@/components/functions/PageBundle';
+import { ProvisionUsers } from '@/components/functions/ProvisionUsers';
+import { RecycleBin } from '@/components/functions/RecycleBin';
 import { RemapColumns } from '@/components/functions/RemapColumns';
 import { RemoveEmptyStringsFromQuickFilters } from '@/components/functions/RemoveEmptyStringsFromQuickFilters';
 import { SetStreamToManual } from '@/components/functions/SetStreamToManual';
 import { ShareWithSelf } from '@/components/functions/ShareWithSelf';
 import { SwitchAccount } from '@/components/functions/SwitchAccount';
 import { Sync } from '@/components/functions/Sync';
+import { TestFunction } from '@/components/functions/TestFunction';
 import { TransferApproval } from '@/components/functions/TransferApproval';
 import { TransferOwnership } from '@/components/functions/TransferOwnership';
 import { UpdateCodeEngineVersions } from '@/components/functions/UpdateCodeEngineVersions';
@@ -41,6 +50,7 @@ import { UpdateDetails } from '@/components/functions/UpdateDetails';
 import { UpdateOwner } from '@/components/functions/UpdateOwner';
 import { UpdateTriggerVersions } from '@/components/functions/UpdateTriggerVersions';
 import { ViewLineage } from '@/components/functions/ViewLineage';
+import { WorkflowImpact } from '@/components/functions/WorkflowImpact';
 import { getAvailableActions } from '@/utils/availableActions';
 import { isSidepanel, openSidepanel } from '@/utils/sidepanel';
 import IconChevronDown from '@icons/chevron-down.svg?react';
@@ -314,9 +324,24 @@ export function ActionButtons({ collapsable = false, currentContext, defaultExpa
                     onStatusUpdate={onStatusUpdate}
                   />
                 )}
+                {availableActions.has('compareUsers') && (
+                  <CompareUsers
+                    currentContext={currentContext}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
                 {availableActions.has('export') && (
                   <Export currentContext={currentContext} isDisabled={!isDomoPage} onStatusUpdate={onStatusUpdate} />
                 )}
+                {availableActions.has('pageBundle') && (
+                  <PageBundle
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
                 {availableActions.has('cancelStreamExecution') && (
                   <CancelStreamExecution currentContext={currentContext} isDisabled={!isDomoPage} />
                 )}
@@ -358,6 +383,46 @@ export function ActionButtons({ collapsable = false, currentContext, defaultExpa
                     onStatusUpdate={onStatusUpdate}
                   />
                 )}
+                {availableActions.has('codeEngineTest') && (
+                  <TestFunction
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('codeEngineVersionDiff') && (
+                  <CompareVersions
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('codeEngineWorkflowImpact') && (
+                  <WorkflowImpact
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('schemaDrift') && (
+                  <CheckSchemaDrift
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('appDbDocuments') && (
+                  <BrowseDocuments
+                    currentContext={currentContext}
+                    isDisabled={!isDomoPage}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
                 {availableActions.has('sync') && (
                   <Sync
                     currentContext={currentContext}
@@ -372,6 +437,27 @@ export function ActionButtons({ collapsable = false, currentContext, defaultExpa
                 {availableActions.has('directSignOn') && (
                   <DirectSignOn currentContext={currentContext} isDisabled={!isDomoPage} />
                 )}
+                {availableActions.has('manageInstances') && (
+                  <ManageInstances
+                    currentContext={currentContext}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('recycleBin') && (
+                  <RecycleBin
+                    currentContext={currentContext}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
+                {availableActions.has('provisionUsers') && (
+                  <ProvisionUsers
+                    currentContext={currentContext}
+                    onCollapseActions={collapsable ? () => setIsExpanded(false) : undefined}
+                    onStatusUpdate={onStatusUpdate}
+                  />
+                )}
                 {availableActions.has('copyColorRules') && (
                   <CopyColorRules currentContext={currentContext} onStatusUpdate={onStatusUpdate} />
                 )}
@@ -0,0 +1,35 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconDatabase from '@icons/database.svg?react';
+
+export function BrowseDocuments({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isDisabled={isDisabled}
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'appDbDocuments'
+          })
+        }
+      >
+        <IconDatabase />
+        Browse Documents
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Page through this collection&apos;s documents with a Mongo-style query, edit, insert or delete them, and import or
+        export JSON/CSV
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
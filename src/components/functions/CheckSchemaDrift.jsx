@@ -0,0 +1,35 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconGetSchema from '@icons/get-schema.svg?react';
+
+export function CheckSchemaDrift({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isDisabled={isDisabled}
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'schemaDrift'
+          })
+        }
+      >
+        <IconGetSchema />
+        Check Schema Drift
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Compare the saved schema with recent documents: new fields, columns no document has, and values of the wrong type,
+        all of which sync drops
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -5,6 +5,7 @@ import { useEffect, useState } from 'react';
 import { useStatusBar } from '@/hooks/useStatusBar';
 import { clearCookies } from '@/utils/clearCookies';
 import { executeInPage } from '@/utils/executeInPage';
+import { getPinnedPreservation } from '@/utils/instanceSessions';
 
 const EXCLUDED_HOSTNAMES = ['domo-support.domo.com', 'developer.domo.com', 'www.domo.com', 'domo.com'];
 
@@ -80,7 +81,8 @@ export function ClearCookies({ currentContext, isDisabled }) {
     });
   };
 
-  const tooltipText = behavior === 'all' ? 'Clear all Domo cookies' : 'Clear Domo cookies and preserve last 2 instances';
+  const tooltipText =
+    behavior === 'all' ? 'Clear all Domo cookies' : 'Clear Domo cookies and preserve last 2 instances and pinned instances';
 
   return (
     <Tooltip delay={200}>
@@ -130,8 +132,11 @@ async function getDomainsToPreserve() {
     }
   }
 
+  // Pinned instances (from the instance manager) are kept on top of the recent two
+  const pinned = await getPinnedPreservation();
+
   return {
-    daSidsToPreserve,
-    domains: recentDomoTabs.map((t) => t.domain)
+    daSidsToPreserve: [...new Set([...daSidsToPreserve, ...pinned.daSids])],
+    domains: [...new Set([...recentDomoTabs.map((t) => t.domain), ...pinned.domains])]
   };
 }
@@ -0,0 +1,33 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconArrowsLeftRight from '@icons/arrows-left-right.svg?react';
+
+export function CompareUsers({ currentContext, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'compareUsers'
+          })
+        }
+      >
+        <IconArrowsLeftRight />
+        Compare Users
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Diff this user&apos;s role, groups, shares and owned objects against another user, and grant the missing access
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
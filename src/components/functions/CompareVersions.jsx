@@ -0,0 +1,34 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconArrowsLeftRight from '@icons/arrows-left-right.svg?react';
+
+export function CompareVersions({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isDisabled={isDisabled}
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'codeEngineVersionDiff'
+          })
+        }
+      >
+        <IconArrowsLeftRight />
+        Compare Versions
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Diff two versions of this package: code changes, added and removed functions, and input/output contract changes
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -1,25 +1,30 @@
 import { Button, Chip, Dropdown, Label, Tooltip } from '@heroui/react';
 import { useEffect, useState } from 'react';
 
+import { useLaunchView } from '@/hooks/useLaunchView';
 import { useLongPress } from '@/hooks/useLongPress';
 import { useStatusBar } from '@/hooks/useStatusBar';
 import { buildPfilterUrl, getAllFilters } from '@/services/filters';
 import IconClipboardCopy from '@icons/clipboard-copy.svg?react';
 import IconFunnel from '@icons/funnel.svg?react';
+import IconStarOutline from '@icons/star-outline.svg?react';
 import IconSync from '@icons/sync.svg?react';
 
 import { AnimatedCheck } from '../AnimatedCheck';
 import { AnimatedX } from '../AnimatedX';
 
-export function CopyFilteredUrl({ currentContext, isDisabled }) {
+export function CopyFilteredUrl({ currentContext, isDisabled, onStatusUpdate }) {
   const [isCopied, setIsCopied] = useState(false);
   const [isFailed, setIsFailed] = useState(false);
   const [filterCount, setFilterCount] = useState(0);
   const { LongPressOverlay, pressProps } = useLongPress();
   const { showStatus } = useStatusBar();
+  const { launch } = useLaunchView();
 
   const typeId = currentContext?.domoObject?.typeId;
   const isSupported = typeId === 'PAGE' || typeId === 'DATA_APP_VIEW' || typeId === 'CARD';
+  // Presets are saved per page, so cards (which have no page-level filter set) don't get them.
+  const supportsPresets = typeId === 'PAGE' || typeId === 'DATA_APP_VIEW';
 
   const longPressDisabled = isDisabled || !isSupported;
 
@@ -60,14 +65,14 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
       const objectId = currentContext.domoObject.id;
       const currentUrl = resolveCurrentUrl(currentContext, typeId, objectId);
 
-      const { allFilters } = await getAllFilters({
+      const { allFilters, variableControls } = await getAllFilters({
         pageId: typeId === 'CARD' ? null : objectId,
         tabId: currentContext.tabId
       });
 
       setFilterCount(allFilters.length);
 
-      const filteredUrl = buildPfilterUrl(currentUrl, objectId, allFilters);
+      const filteredUrl = buildPfilterUrl(currentUrl, objectId, allFilters, variableControls);
       const tabTitle = await getTabTitle(currentContext.tabId);
       const linkText = tabTitle || currentContext.domoObject?.metadata?.name?.trim() || filteredUrl;
       await copyUrlAsLink(filteredUrl, linkText);
@@ -78,9 +83,13 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
       if (allFilters.length === 0) {
         showStatus('No Filters Active', 'Copied base URL without filters', 'warning', 3000);
       } else {
+        const variableNote =
+          variableControls.length > 0
+            ? ` (${variableControls.length} variable${variableControls.length !== 1 ? 's' : ''})`
+            : '';
         showStatus(
           'Success',
-          `Captured ${allFilters.length} filter${allFilters.length !== 1 ? 's' : ''} and copied URL`,
+          `Captured ${allFilters.length} filter${allFilters.length !== 1 ? 's' : ''}${variableNote} and copied URL`,
           'success',
           3000
         );
@@ -95,6 +104,8 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
       handleApplyFilters();
     } else if (key === 'pfilters') {
       handleCopyPfilters();
+    } else if (key === 'presets') {
+      launch({ currentContext, onStatusUpdate, type: 'filterPresets' });
     }
   };
 
@@ -105,7 +116,7 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
       const objectId = currentContext.domoObject.id;
       const currentUrl = resolveCurrentUrl(currentContext, typeId, objectId);
 
-      const { allFilters } = await getAllFilters({
+      const { allFilters, variableControls } = await getAllFilters({
         pageId: typeId === 'CARD' ? null : objectId,
         tabId: currentContext.tabId
       });
@@ -119,7 +130,7 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
         return;
       }
 
-      const filteredUrl = buildPfilterUrl(currentUrl, objectId, allFilters);
+      const filteredUrl = buildPfilterUrl(currentUrl, objectId, allFilters, variableControls);
       chrome.tabs.update(currentContext.tabId, { url: filteredUrl });
 
       showStatus(
@@ -207,6 +218,12 @@ export function CopyFilteredUrl({ currentContext, isDisabled }) {
             <IconClipboardCopy className='size-4 shrink-0' />
             <Label>Copy pfilters param only</Label>
           </Dropdown.Item>
+          {supportsPresets && (
+            <Dropdown.Item id='presets' textValue='Filter presets'>
+              <IconStarOutline className='size-4 shrink-0' />
+              <Label>Filter presets</Label>
+            </Dropdown.Item>
+          )}
         </Dropdown.Menu>
       </Dropdown.Popover>
     </Dropdown>
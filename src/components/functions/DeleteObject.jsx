@@ -5,10 +5,14 @@ import { useLaunchView } from '@/hooks/useLaunchView';
 import IconTrash from '@icons/trash.svg?react';
 
 const SUPPORTED_TYPES = [
+  'ALERT',
   'APP',
   'BEAST_MODE_FORMULA',
+  'CARD',
   'DATA_APP_VIEW',
+  'DATA_SOURCE',
   'DATAFLOW_TYPE',
+  'GROUP',
   'PAGE',
   'MAGNUM_COLLECTION',
   'REPORT_SCHEDULE',
@@ -39,7 +43,10 @@ export function DeleteObject({ currentContext, isDisabled, onStatusUpdate }) {
     if (typeId === 'BEAST_MODE_FORMULA' || typeId === 'VARIABLE') {
       return !isOwner && !userRights.includes('content.admin');
     }
-    if (typeId === 'DATA_APP_VIEW' || typeId === 'PAGE' || typeId === 'WORKSHEET_VIEW') {
+    if (typeId === 'DATA_SOURCE') {
+      return !isOwner && !userRights.includes('dataset.admin');
+    }
+    if (typeId === 'CARD' || typeId === 'DATA_APP_VIEW' || typeId === 'PAGE' || typeId === 'WORKSHEET_VIEW') {
       return !isOwner && !userRights.includes('content.admin');
     }
     if (typeId === 'TEMPLATE') {
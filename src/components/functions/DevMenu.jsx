@@ -5,6 +5,7 @@ import { showReleaseToast } from '@/hooks/useReleaseNotification';
 import { useStatusBar } from '@/hooks/useStatusBar';
 import { uploadDataFile } from '@/services/files';
 import { sendEmail } from '@/services/messages';
+import { TRANSFER_LOG_COLUMNS, XLSX_MIME_TYPE } from '@/services/transferEmail';
 import { getCurrentUserId, getFullUserDetails } from '@/services/users';
 import { buildExcelBlob, generateExportFilename } from '@/utils/exportData';
 import IconAiSparkle from '@icons/ai-sparkle.svg?react';
@@ -24,21 +25,6 @@ const DEV_ACTIONS = [
   }
 ];
 
-const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-
-const DEV_LOG_COLUMNS = [
-  { accessorKey: 'Object Type', header: 'Object Type' },
-  { accessorKey: 'Object ID', header: 'Object ID' },
-  { accessorKey: 'Object Name', header: 'Object Name' },
-  { accessorKey: 'Date', header: 'Date' },
-  { accessorKey: 'Status', header: 'Status' },
-  { accessorKey: 'Notes', header: 'Notes' },
-  { accessorKey: 'Previous Owner ID', header: 'Previous Owner ID' },
-  { accessorKey: 'Previous Owner Name', header: 'Previous Owner Name' },
-  { accessorKey: 'New Owner ID', header: 'New Owner ID' },
-  { accessorKey: 'New Owner Name', header: 'New Owner Name' }
-];
-
 export function DevMenu() {
   const [developerMode, setDeveloperMode] = useState(false);
   const { showStatus } = useStatusBar();
@@ -132,7 +118,7 @@ async function runTestTransferEmail(showStatus) {
       }
     ];
 
-    const blob = await buildExcelBlob(rows, DEV_LOG_COLUMNS, 'Transfer Log');
+    const blob = await buildExcelBlob(rows, TRANSFER_LOG_COLUMNS, 'Transfer Log');
     const filename = `${generateExportFilename('dev-transfer-test')}.xlsx`;
     const dataFileId = await uploadDataFile(blob, filename, XLSX_MIME_TYPE);
 
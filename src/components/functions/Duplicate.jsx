@@ -1,10 +1,24 @@
 import { Button, Tooltip } from '@heroui/react';
 
 import { useLaunchView } from '@/hooks/useLaunchView';
+import IconDuplicate from '@icons/duplicate.svg?react';
 import IconPersonPlus from '@icons/person-plus.svg?react';
 
+const BUTTONS_BY_TYPE = {
+  CARD: { label: 'Duplicate Card', tooltip: 'Copy this card onto a page of your choice' },
+  GROUP: { label: 'Duplicate Group', tooltip: 'Create a new group with the same members and shared content' },
+  PAGE: { label: 'Duplicate Page', tooltip: "Create a new page with copies of this page's cards and its layout" },
+  USER: {
+    label: 'Duplicate User',
+    tooltip: 'Clone this user into a new user, or add their groups and individually-shared content to an existing user'
+  },
+  WORKFLOW_MODEL: { label: 'Duplicate Workflow', tooltip: 'Create a new workflow from the latest version of this one' }
+};
+
 export function Duplicate({ currentContext, onCollapseActions, onStatusUpdate }) {
   const { isPending, launch } = useLaunchView();
+  const typeId = currentContext?.domoObject?.typeId;
+  const { label, tooltip } = BUTTONS_BY_TYPE[typeId] ?? BUTTONS_BY_TYPE.USER;
 
   return (
     <Tooltip>
@@ -22,11 +36,11 @@ export function Duplicate({ currentContext, onCollapseActions, onStatusUpdate })
           })
         }
       >
-        <IconPersonPlus />
-        Duplicate User
+        {typeId === 'USER' ? <IconPersonPlus /> : <IconDuplicate />}
+        {label}
       </Button>
       <Tooltip.Content className='max-w-60' offset={4}>
-        Clone this user into a new user, or add their groups and individually-shared content to an existing user
+        {tooltip}
       </Tooltip.Content>
     </Tooltip>
   );
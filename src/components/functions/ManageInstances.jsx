@@ -0,0 +1,34 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconBuildings from '@icons/buildings-outline.svg?react';
+
+export function ManageInstances({ currentContext, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'manageInstances'
+          })
+        }
+      >
+        <IconBuildings />
+        Instances
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Every instance you've visited with its signed-in user and cookie size. Sign out, open, or pin instances so cookie
+        clearing never touches them
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -0,0 +1,96 @@
+import { Button, Dropdown, Label, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { buildPageBundle } from '@/services/pageBundle';
+import { exportToJson, generateExportFilename } from '@/utils/exportData';
+import IconDownload from '@icons/download.svg?react';
+import IconPackage from '@icons/package.svg?react';
+import IconUpload from '@icons/upload.svg?react';
+
+const BUNDLE_OPTIONS = [
+  {
+    icon: IconDownload,
+    id: 'export',
+    label: 'Export Bundle'
+  },
+  {
+    icon: IconUpload,
+    id: 'import',
+    label: 'Import Bundle'
+  }
+];
+
+export function PageBundle({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { showPromiseStatus } = useStatusBar();
+  const { isPending, launch } = useLaunchView();
+
+  const handleExport = () => {
+    const pageId = currentContext?.domoObject?.id;
+    if (!pageId) return;
+
+    const title = currentContext.domoObject.metadata?.name || `Page ${pageId}`;
+    const promise = buildPageBundle({
+      instance: currentContext.instance,
+      pageId,
+      tabId: currentContext.tabId,
+      title
+    }).then((bundle) => {
+      const fileName = generateExportFilename(`${title.replace(/[^\w-]+/g, '_')}_bundle`);
+      exportToJson(bundle, fileName);
+      return { bundle, fileName: `${fileName}.json` };
+    });
+
+    showPromiseStatus(promise, {
+      error: (err) => `Could not export page bundle – ${err.message}`,
+      loading: `Bundling **${title}**…`,
+      success: ({ bundle, fileName }) =>
+        `Downloading **${fileName}** with ${bundle.cards.length} card${bundle.cards.length === 1 ? '' : 's'}` +
+        (bundle.skipped.length > 0 ? ` (${bundle.skipped.length} skipped)` : '')
+    });
+  };
+
+  const handleAction = (key) => {
+    if (key === 'export') {
+      handleExport();
+      return;
+    }
+    launch({
+      currentContext,
+      onCollapseActions,
+      onStatusUpdate,
+      type: 'importPageBundle'
+    });
+  };
+
+  return (
+    <Dropdown isDisabled={isDisabled}>
+      <Tooltip>
+        <Button
+          fullWidth
+          className='min-w-36 flex-1 whitespace-normal'
+          isDisabled={isDisabled}
+          isPending={isPending}
+          variant='tertiary'
+        >
+          <IconPackage />
+          Page Bundle
+        </Button>
+        <Tooltip.Content className='max-w-60' offset={4}>
+          Export this page's cards, Beast Modes and color rules to a file, or recreate a bundle from another instance as a
+          new page
+        </Tooltip.Content>
+      </Tooltip>
+      <Dropdown.Popover className='w-fit min-w-40' placement='bottom'>
+        <Dropdown.Menu onAction={(key) => handleAction(key)}>
+          {BUNDLE_OPTIONS.map((opt) => (
+            <Dropdown.Item id={opt.id} key={opt.id} textValue={opt.label}>
+              <opt.icon className='size-4 shrink-0' />
+              <Label>{opt.label}</Label>
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown.Popover>
+    </Dropdown>
+  );
+}
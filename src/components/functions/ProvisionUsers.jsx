@@ -0,0 +1,33 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconPeoplePlus from '@icons/people-plus.svg?react';
+
+export function ProvisionUsers({ currentContext, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'provisionUsers'
+          })
+        }
+      >
+        <IconPeoplePlus />
+        Provision Users
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Create and update users in bulk from a CSV, with a preview before anything runs and a downloadable result
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -0,0 +1,34 @@
+import { Button, Tooltip } from '@heroui/react';
+import { IconRecycle } from '@tabler/icons-react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+
+export function RecycleBin({ currentContext, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'recycleBin'
+          })
+        }
+      >
+        <IconRecycle stroke={1.5} />
+        Recycle Bin
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Beast Modes, workflows and AppDB collections deleted with the toolkit on this instance. Recreate one from its saved
+        definition
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -0,0 +1,35 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconCode from '@icons/code.svg?react';
+
+export function TestFunction({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isDisabled={isDisabled}
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'codeEngineTest'
+          })
+        }
+      >
+        <IconCode />
+        Test Function
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Run a function from the editor source with test inputs and stubbed SDK calls, and check what it returns, without
+        publishing a version
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
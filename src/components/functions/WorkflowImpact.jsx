@@ -0,0 +1,34 @@
+import { Button, Tooltip } from '@heroui/react';
+
+import { useLaunchView } from '@/hooks/useLaunchView';
+import IconWorkflow from '@icons/workflow.svg?react';
+
+export function WorkflowImpact({ currentContext, isDisabled, onCollapseActions, onStatusUpdate }) {
+  const { isPending, launch } = useLaunchView();
+
+  return (
+    <Tooltip>
+      <Button
+        fullWidth
+        className='min-w-36 flex-1 whitespace-normal'
+        isDisabled={isDisabled}
+        isPending={isPending}
+        variant='tertiary'
+        onPress={() =>
+          launch({
+            currentContext,
+            onCollapseActions,
+            onStatusUpdate,
+            type: 'codeEngineWorkflowImpact'
+          })
+        }
+      >
+        <IconWorkflow />
+        Workflow Impact
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        Find the workflows that call this package, check what moving them to a version would break, and bump the safe ones
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -0,0 +1,80 @@
+import { Button, Modal } from '@heroui/react';
+
+import { countJournalItems } from '@/utils/transferJournal';
+import IconUndo from '@icons/undo.svg?react';
+import IconX from '@icons/x.svg?react';
+
+/**
+ * Modal listing the journaled transfers away from the user being browsed in
+ * OwnershipView, each with a "Reverse" action that sends every recorded object
+ * back to that user. The parent owns the journal and runs the reversal; like
+ * TransferOwnershipModal, picking an entry closes the modal immediately so the
+ * per-row progress in the DataList underneath stays visible.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.entries - Journal entries (see `@/utils/transferJournal`), newest first
+ * @param {boolean} props.isOpen
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {(entry: Object) => void} props.onReverse
+ */
+export function ReverseTransferModal({ entries, isOpen, onOpenChange, onReverse }) {
+  return (
+    <Modal isOpen={isOpen} onOpenChange={onOpenChange}>
+      <Modal.Backdrop>
+        <Modal.Container className='p-1' placement='center' scroll='outside'>
+          <Modal.Dialog className='p-2'>
+            <Modal.CloseTrigger className='absolute top-2 right-2' variant='ghost'>
+              <IconX />
+            </Modal.CloseTrigger>
+            <Modal.Header>
+              <Modal.Heading>Reverse a Transfer</Modal.Heading>
+            </Modal.Header>
+            <Modal.Body className='flex flex-col gap-2'>
+              {entries.length === 0 ? (
+                <p className='text-sm text-muted'>No journaled transfers for this user.</p>
+              ) : (
+                entries.map((entry) => {
+                  const count = countJournalItems(entry);
+                  return (
+                    <div
+                      className='flex items-center justify-between gap-2 rounded-md border border-border p-2'
+                      key={entry.id}
+                    >
+                      <div className='min-w-0 text-xs'>
+                        <p className='truncate'>
+                          <span className='font-medium'>{count}</span> object{count !== 1 ? 's' : ''} to{' '}
+                          <span className='font-medium'>{entry.toUser?.name || entry.toUser?.id}</span>
+                        </p>
+                        <p className='text-muted'>
+                          {new Date(entry.timestamp).toLocaleString()}
+                          {entry.reversedAt ? ` · reversed ${new Date(entry.reversedAt).toLocaleString()}` : ''}
+                        </p>
+                      </div>
+                      <Button
+                        isDisabled={!!entry.reversedAt || count === 0}
+                        size='sm'
+                        variant='tertiary'
+                        onPress={() => {
+                          onOpenChange(false);
+                          onReverse(entry);
+                        }}
+                      >
+                        <IconUndo />
+                        Reverse
+                      </Button>
+                    </div>
+                  );
+                })
+              )}
+            </Modal.Body>
+            <Modal.Footer className='flex justify-end gap-2'>
+              <Button size='sm' slot='close' variant='tertiary'>
+                Close
+              </Button>
+            </Modal.Footer>
+          </Modal.Dialog>
+        </Modal.Container>
+      </Modal.Backdrop>
+    </Modal>
+  );
+}
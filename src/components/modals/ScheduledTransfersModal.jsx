@@ -0,0 +1,94 @@
+import { Button, Chip, Modal } from '@heroui/react';
+
+import IconCancel from '@icons/cancel.svg?react';
+import IconX from '@icons/x.svg?react';
+
+const STATUS_CHIP = {
+  completed: { color: 'success', label: 'Completed' },
+  failed: { color: 'danger', label: 'Failed' },
+  running: { color: 'accent', label: 'Running' },
+  scheduled: { color: 'default', label: 'Scheduled' }
+};
+
+/**
+ * Modal listing the transfers queued away from the user being browsed in
+ * OwnershipView (see `@/utils/scheduledTransfers`), soonest first. Pending
+ * jobs can be cancelled; finished ones show their outcome. The parent keeps
+ * `jobs` live from storage, so rows update while the modal is open.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Array<Object>} props.jobs - Scheduled transfer jobs
+ * @param {(jobId: string) => void} props.onCancel
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+export function ScheduledTransfersModal({ isOpen, jobs, onCancel, onOpenChange }) {
+  return (
+    <Modal isOpen={isOpen} onOpenChange={onOpenChange}>
+      <Modal.Backdrop>
+        <Modal.Container className='p-1' placement='center' scroll='outside'>
+          <Modal.Dialog className='p-2'>
+            <Modal.CloseTrigger className='absolute top-2 right-2' variant='ghost'>
+              <IconX />
+            </Modal.CloseTrigger>
+            <Modal.Header>
+              <Modal.Heading>Scheduled Transfers</Modal.Heading>
+            </Modal.Header>
+            <Modal.Body className='flex flex-col gap-2'>
+              {jobs.length === 0 ? (
+                <p className='text-sm text-muted'>No scheduled transfers for this user.</p>
+              ) : (
+                jobs.map((job) => {
+                  const chip = STATUS_CHIP[job.status] ?? STATUS_CHIP.scheduled;
+                  return (
+                    <div
+                      className='flex items-center justify-between gap-2 rounded-md border border-border p-2'
+                      key={job.id}
+                    >
+                      <div className='min-w-0 text-xs'>
+                        <p className='truncate'>
+                          {job.typeKeys.length} type{job.typeKeys.length !== 1 ? 's' : ''} to{' '}
+                          <span className='font-medium'>{job.toUser?.name || job.toUser?.id}</span>
+                        </p>
+                        <p className='text-muted'>{new Date(job.finishedAt ?? job.runAt).toLocaleString()}</p>
+                        {job.summary && (
+                          <p className='text-muted'>
+                            {job.summary.succeeded} transferred
+                            {job.summary.failed > 0 ? `, ${job.summary.failed} failed` : ''}
+                            {job.summary.deleted ? ', user deleted' : ''}
+                          </p>
+                        )}
+                        {job.error && <p className='text-danger'>{job.error}</p>}
+                      </div>
+                      <div className='flex shrink-0 items-center gap-1'>
+                        <Chip color={chip.color} size='sm' variant='soft'>
+                          <Chip.Label>{chip.label}</Chip.Label>
+                        </Chip>
+                        {job.status === 'scheduled' && (
+                          <Button
+                            isIconOnly
+                            aria-label='Cancel scheduled transfer'
+                            size='sm'
+                            variant='ghost'
+                            onPress={() => onCancel(job.id)}
+                          >
+                            <IconCancel />
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })
+              )}
+            </Modal.Body>
+            <Modal.Footer className='flex justify-end gap-2'>
+              <Button size='sm' slot='close' variant='tertiary'>
+                Close
+              </Button>
+            </Modal.Footer>
+          </Modal.Dialog>
+        </Modal.Container>
+      </Modal.Backdrop>
+    </Modal>
+  );
+}
@@ -1,4 +1,5 @@
-import { Button, Description, Form, Input, Label, Modal, Switch, TextField, Tooltip } from '@heroui/react';
+import { Button, DateField, Description, Form, Input, Label, Modal, Switch, TextField, Tooltip } from '@heroui/react';
+import { getLocalTimeZone, now } from '@internationalized/date';
 import { useEffect, useState } from 'react';
 
 import { UserComboBox } from '@/components/UserComboBox';
@@ -14,13 +15,14 @@ import IconX from '@icons/x.svg?react';
  * modal closes immediately and hands form data to the parent's `onSubmit` —
  * the parent runs the transfer pipeline (transferAllOwnership +
  * email-new-owner + delete-user) and threads progress into DataList rows via
- * the parent's transferStatus state.
+ * the parent's transferStatus state, or queues it for the background worker
+ * when a schedule time is set.
  *
  * @param {Object} props
  * @param {Object} props.currentContext - Active DomoContext (carries baseUrl, tabId, user.metadata.USER_RIGHTS, and the source user's reportsTo).
  * @param {boolean} props.isOpen
  * @param {(open: boolean) => void} props.onOpenChange
- * @param {(formData: { toUserId: number, toUserDisplayName: string|null, emailNewOwner: boolean, emailCurrentUser: boolean, deleteAfterTransfer: boolean, targetUser: { displayName: string|null, email: string|null }|null, currentUser: { displayName: string|null, email: string|null }|null }) => void} props.onSubmit
+ * @param {(formData: { toUserId: number, toUserDisplayName: string|null, dryRun: boolean, scheduleAt: Date|null, emailNewOwner: boolean, emailCurrentUser: boolean, deleteAfterTransfer: boolean, targetUser: { displayName: string|null, email: string|null }|null, currentUser: { displayName: string|null, email: string|null }|null }) => void} props.onSubmit
  * @param {number} props.selectedObjectCount - Number of individual leaves currently selected, summed across types. Drives the confirmation summary line.
  * @param {number} props.selectedTypeCount - Number of types with ≥1 leaf selected. Drives the summary line AND gates submit (0 ⇒ disabled).
  * @param {{ id: number|string, name: string }} props.sourceUser
@@ -39,6 +41,9 @@ export function TransferOwnershipModal({
   const [emailNewOwner, setEmailNewOwner] = useState(false);
   const [emailCurrentUser, setEmailCurrentUser] = useState(true);
   const [deleteAfterTransfer, setDeleteAfterTransfer] = useState(false);
+  const [dryRun, setDryRun] = useState(false);
+  const [scheduleLater, setScheduleLater] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState(null);
   const [targetUser, setTargetUser] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
   const [manager, setManager] = useState(null);
@@ -55,6 +60,9 @@ export function TransferOwnershipModal({
     setEmailNewOwner(false);
     setEmailCurrentUser(true);
     setDeleteAfterTransfer(false);
+    setDryRun(false);
+    setScheduleLater(false);
+    setScheduleAt(defaultScheduleTime());
   }, [isOpen]);
 
   // Resolve manager (reportsTo) for the manager-shortcut button. Only fires
@@ -143,15 +151,22 @@ export function TransferOwnershipModal({
   const userRights = currentContext?.user?.metadata?.USER_RIGHTS || [];
   const canDeleteUsers = userRights.includes('user.edit');
 
+  const isScheduled = !dryRun && scheduleLater;
+  const scheduleInvalid = isScheduled && (!scheduleAt || scheduleAt.toDate().getTime() <= Date.now());
+
   const handleSubmit = (e) => {
     if (e) e.preventDefault();
-    if (!selectedUserId || selectedTypeCount === 0) return;
+    if (!selectedUserId || selectedTypeCount === 0 || scheduleInvalid) return;
 
+    // A dry run never writes, so the email and delete side effects are forced
+    // off rather than trusting the parent to ignore them.
     const formData = {
       currentUser,
-      deleteAfterTransfer: deleteAfterTransfer && canDeleteUsers,
-      emailCurrentUser: emailCurrentUser && !!currentUser?.email,
-      emailNewOwner: emailNewOwner && !!targetUser?.email,
+      deleteAfterTransfer: !dryRun && deleteAfterTransfer && canDeleteUsers,
+      dryRun,
+      emailCurrentUser: !dryRun && emailCurrentUser && !!currentUser?.email,
+      emailNewOwner: !dryRun && emailNewOwner && !!targetUser?.email,
+      scheduleAt: isScheduled ? scheduleAt.toDate() : null,
       targetUser,
       toUserDisplayName: selectedDisplayName ?? targetUser?.displayName ?? null,
       toUserId: selectedUserId
@@ -220,7 +235,44 @@ export function TransferOwnershipModal({
                   </Tooltip>
                 </div>
 
-                <Switch isSelected={emailNewOwner} onChange={setEmailNewOwner}>
+                <Switch isSelected={dryRun} onChange={setDryRun}>
+                  <Switch.Content>
+                    <Switch.Control>
+                      <Switch.Thumb />
+                    </Switch.Control>
+                    Dry run
+                  </Switch.Content>
+                  <Description>Downloads the transfer plan without changing any owners</Description>
+                </Switch>
+
+                <Switch isDisabled={dryRun} isSelected={scheduleLater} onChange={setScheduleLater}>
+                  <Switch.Content>
+                    <Switch.Control>
+                      <Switch.Thumb />
+                    </Switch.Control>
+                    Schedule for later
+                  </Switch.Content>
+                  <Description>Runs in the background at the chosen time, even with the side panel closed</Description>
+                </Switch>
+
+                {isScheduled && (
+                  <DateField
+                    hideTimeZone
+                    granularity='minute'
+                    isInvalid={scheduleInvalid}
+                    minValue={now(getLocalTimeZone())}
+                    value={scheduleAt}
+                    onChange={setScheduleAt}
+                  >
+                    <Label>Run At</Label>
+                    <DateField.Group variant='secondary'>
+                      <DateField.Input>{(segment) => <DateField.Segment segment={segment} />}</DateField.Input>
+                    </DateField.Group>
+                    <Description>Domo must stay signed in on this browser until then</Description>
+                  </DateField>
+                )}
+
+                <Switch isDisabled={dryRun} isSelected={emailNewOwner} onChange={setEmailNewOwner}>
                   <Switch.Content>
                     <Switch.Control>
                       <Switch.Thumb />
@@ -236,7 +288,7 @@ export function TransferOwnershipModal({
                   </Description>
                 </Switch>
 
-                <Switch isSelected={emailCurrentUser} onChange={setEmailCurrentUser}>
+                <Switch isDisabled={dryRun} isSelected={emailCurrentUser} onChange={setEmailCurrentUser}>
                   <Switch.Content>
                     <Switch.Control>
                       <Switch.Thumb />
@@ -251,7 +303,7 @@ export function TransferOwnershipModal({
                 </Switch>
 
                 {canDeleteUsers && (
-                  <Switch isSelected={deleteAfterTransfer} onChange={setDeleteAfterTransfer}>
+                  <Switch isDisabled={dryRun} isSelected={deleteAfterTransfer} onChange={setDeleteAfterTransfer}>
                     {({ isSelected }) => (
                       <>
                         <Switch.Content>
@@ -277,8 +329,13 @@ export function TransferOwnershipModal({
                 <Button size='sm' slot='close' variant='tertiary'>
                   Cancel
                 </Button>
-                <Button isDisabled={!selectedUserId || selectedTypeCount === 0} size='sm' type='submit' variant='primary'>
-                  Transfer
+                <Button
+                  isDisabled={!selectedUserId || selectedTypeCount === 0 || scheduleInvalid}
+                  size='sm'
+                  type='submit'
+                  variant='primary'
+                >
+                  {dryRun ? 'Export Plan' : isScheduled ? 'Schedule' : 'Transfer'}
                 </Button>
               </Modal.Footer>
             </Form>
@@ -288,3 +345,11 @@ export function TransferOwnershipModal({
     </Modal>
   );
 }
+
+// Default run time for a scheduled transfer: 5pm today (end of a typical last
+// day), or an hour from now once 5pm has passed.
+function defaultScheduleTime() {
+  const current = now(getLocalTimeZone());
+  const fivePm = current.set({ hour: 17, millisecond: 0, minute: 0, second: 0 });
+  return fivePm.compare(current) > 0 ? fivePm : current.add({ hours: 1 }).set({ millisecond: 0, second: 0 });
+}
@@ -293,7 +293,8 @@ export function GeneralSettings() {
                 Auto-clear cookies on 431 errors
               </Switch.Content>
               <Description className='w-lg'>
-                When a Domo page returns HTTP 431, automatically clear cookies and preserve the last 2 instances.
+                When a Domo page returns HTTP 431, automatically clear cookies and preserve the last 2 instances plus any
+                pinned in the instance manager.
               </Description>
             </Switch>
             <Switch isSelected={settings.showClearCookiesButton} onChange={handleShowButtonChange}>
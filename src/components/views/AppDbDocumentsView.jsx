@@ -0,0 +1,609 @@
+import {
+  AlertDialog,
+  Button,
+  Card,
+  Label,
+  ListBox,
+  ScrollShadow,
+  Select,
+  Separator,
+  Spinner,
+  TextArea,
+  Tooltip
+} from '@heroui/react';
+import { useEffect, useRef, useState } from 'react';
+
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import {
+  deleteAppDbDocument,
+  insertAppDbDocuments,
+  queryAppDbCollectionDocuments,
+  updateAppDbDocument
+} from '@/services/appDb';
+import {
+  fetchAllAppDbDocuments,
+  importAppDbDocuments,
+  parseDocumentsFile,
+  parseJsonObject,
+  toDocumentCsv
+} from '@/services/appDbDocuments';
+import { exportToCSV, exportToJson, generateExportFilename } from '@/utils/exportData';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconChevronLeft from '@icons/chevron-left.svg?react';
+import IconChevronRight from '@icons/chevron-right.svg?react';
+import IconClipboardCopy from '@icons/clipboard-copy.svg?react';
+import IconCsv from '@icons/csv.svg?react';
+import IconCurlyBrackets from '@icons/curly-brackets.svg?react';
+import IconDatabase from '@icons/database.svg?react';
+import IconPencil from '@icons/pencil.svg?react';
+import IconPlus from '@icons/plus.svg?react';
+import IconTrash from '@icons/trash.svg?react';
+import IconUpload from '@icons/upload.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+const PAGE_SIZES = [25, 50, 100];
+
+/**
+ * Browse an AppDB collection's documents a page at a time, narrowed by a
+ * Mongo-style query, and edit, insert, delete, import or export them without
+ * going through the browser console.
+ */
+export function AppDbDocumentsView({
+  instance = null,
+  isActive = true,
+  liveContext = null,
+  onBackToDefault = null,
+  onStatusUpdate = null
+}) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [queryText, setQueryText] = useState('{}');
+  // The query the current page was fetched with; the box may hold unsaved edits.
+  const [appliedQuery, setAppliedQuery] = useState({});
+  const [queryError, setQueryError] = useState(null);
+  const [pageSize, setPageSize] = useState(25);
+  const [offset, setOffset] = useState(0);
+  const [documents, setDocuments] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isFetching, setIsFetching] = useState(false);
+  // { documentId: string|null (null for a new document), error, text }
+  const [editor, setEditor] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [transferProgress, setTransferProgress] = useState(null);
+  const fileInputRef = useRef(null);
+  const mountedRef = useRef(true);
+  // Latest page request; a slower response for an earlier page is dropped.
+  const fetchRequestRef = useRef(0);
+  const { showStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'appDbDocuments') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.domoObject || context.domoObject.typeId !== 'MAGNUM_COLLECTION') {
+        onStatusUpdate?.('Error', 'No AppDB collection context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+      await fetchPage({ context });
+    } catch (error) {
+      console.error('[AppDbDocumentsView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load documents', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  // Asks for one document more than the page size to know whether a next page exists.
+  const fetchPage = async ({
+    context = currentContext,
+    nextOffset = offset,
+    nextPageSize = pageSize,
+    query = appliedQuery
+  } = {}) => {
+    const requestId = ++fetchRequestRef.current;
+    setIsFetching(true);
+    try {
+      const page = await queryAppDbCollectionDocuments({
+        collectionId: context.domoObject.id,
+        limit: nextPageSize + 1,
+        offset: nextOffset,
+        query,
+        tabId: context.tabId
+      });
+      if (!mountedRef.current || requestId !== fetchRequestRef.current) return;
+      setDocuments(page.slice(0, nextPageSize));
+      setHasMore(page.length > nextPageSize);
+      setOffset(nextOffset);
+      setPageSize(nextPageSize);
+      setAppliedQuery(query);
+    } catch (error) {
+      if (requestId !== fetchRequestRef.current) return;
+      showStatus('Query Failed', error.message || 'Failed to query documents', 'danger');
+    } finally {
+      if (mountedRef.current && requestId === fetchRequestRef.current) setIsFetching(false);
+    }
+  };
+
+  const collectionName = currentContext?.domoObject?.metadata?.name || `Collection ${currentContext?.domoObject?.id}`;
+  const collectionId = currentContext?.domoObject?.id;
+  const tabId = currentContext?.tabId;
+
+  const handleRunQuery = () => {
+    try {
+      const query = parseJsonObject(queryText, 'The query');
+      setQueryError(null);
+      fetchPage({ nextOffset: 0, query });
+    } catch (error) {
+      setQueryError(error.message);
+    }
+  };
+
+  const handleClearQuery = () => {
+    setQueryText('{}');
+    setQueryError(null);
+    fetchPage({ nextOffset: 0, query: {} });
+  };
+
+  const handleSaveEditor = async () => {
+    let content;
+    try {
+      content = parseJsonObject(editor.text, 'The document');
+    } catch (error) {
+      setEditor((prev) => ({ ...prev, error: error.message }));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      if (editor.documentId) {
+        await updateAppDbDocument({ collectionId, content, documentId: editor.documentId, tabId });
+        showStatus('Document Saved', `Updated document **${editor.documentId}**`, 'success', 3000);
+      } else {
+        await insertAppDbDocuments({ collectionId, documents: [content], tabId });
+        showStatus('Document Inserted', `Added a document to **${collectionName}**`, 'success', 3000);
+      }
+      if (!mountedRef.current) return;
+      setEditor(null);
+      await fetchPage({ nextOffset: editor.documentId ? offset : 0 });
+    } catch (error) {
+      if (mountedRef.current) setEditor((prev) => ({ ...prev, error: error.message || 'Failed to save document' }));
+    } finally {
+      if (mountedRef.current) setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await deleteAppDbDocument({ collectionId, documentId: deleteTarget.id, tabId });
+      showStatus('Document Deleted', `Deleted document **${deleteTarget.id}**`, 'success', 3000);
+      if (!mountedRef.current) return;
+      if (editor?.documentId === deleteTarget.id) setEditor(null);
+      setDeleteTarget(null);
+      // Step back a page when the last document on this one is gone.
+      await fetchPage({ nextOffset: documents.length === 1 && offset > 0 ? Math.max(0, offset - pageSize) : offset });
+    } catch (error) {
+      showStatus('Delete Failed', error.message || 'Failed to delete document', 'danger');
+    } finally {
+      if (mountedRef.current) setIsDeleting(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setTransferProgress('Fetching documents...');
+    try {
+      const all = await fetchAllAppDbDocuments({
+        collectionId,
+        onProgress: (count) => mountedRef.current && setTransferProgress(`Fetched ${count} documents...`),
+        query: appliedQuery,
+        tabId
+      });
+      if (all.length === 0) {
+        showStatus('Nothing to Export', 'No documents match the current query', 'warning', 3000);
+        return;
+      }
+      const filename = generateExportFilename(`appdb-${collectionId}`);
+      if (format === 'csv') {
+        const { columns, rows } = toDocumentCsv(all);
+        exportToCSV(rows, columns, filename);
+      } else {
+        exportToJson(all, filename);
+      }
+      showStatus(
+        'Export Complete',
+        `Exported **${all.length}** document${all.length === 1 ? '' : 's'} as ${format.toUpperCase()}`,
+        'success',
+        3000
+      );
+    } catch (error) {
+      showStatus('Export Failed', error.message || 'Failed to export documents', 'danger');
+    } finally {
+      if (mountedRef.current) setTransferProgress(null);
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setTransferProgress('Reading file...');
+    try {
+      const contents = await parseDocumentsFile(await file.text(), file.name);
+      if (contents.length === 0) throw new Error('The file has no documents');
+      const result = await importAppDbDocuments({
+        collectionId,
+        documents: contents,
+        onProgress: ({ done, total }) => mountedRef.current && setTransferProgress(`Inserted ${done} of ${total}...`),
+        tabId
+      });
+      if (result.failed > 0) {
+        const ranges = result.errors.map(({ error, from, to }) => `${from}–${to} (${error})`).join(', ');
+        showStatus(
+          'Import Incomplete',
+          `Inserted **${result.inserted}** of ${contents.length} documents. Failed rows: ${ranges}`,
+          'warning'
+        );
+      } else {
+        showStatus(
+          'Import Complete',
+          `Inserted **${result.inserted}** document${result.inserted === 1 ? '' : 's'} into **${collectionName}**`,
+          'success',
+          4000
+        );
+      }
+      if (mountedRef.current) await fetchPage({ nextOffset: 0 });
+    } catch (error) {
+      showStatus('Import Failed', error.message || 'Failed to import documents', 'danger');
+    } finally {
+      if (mountedRef.current) setTransferProgress(null);
+    }
+  };
+
+  const copyDocumentId = async (documentId) => {
+    await navigator.clipboard.writeText(documentId);
+    showStatus('Copied', `Document ID **${documentId}** copied`, 'success', 2000);
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading documents...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const isBusy = isFetching || !!transferProgress;
+  const hasQuery = Object.keys(appliedQuery).length > 0;
+  const rangeLabel =
+    documents.length === 0
+      ? 'No documents'
+      : `Documents ${offset + 1}–${offset + documents.length}${hasQuery ? ' matching the query' : ''}`;
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='AppDB Documents'
+        featureIcon={<IconDatabase />}
+        subtext={`**${collectionName}**`}
+        onClose={onBackToDefault}
+        actions={[
+          {
+            ariaLabel: 'Import documents',
+            disabledReason: isBusy ? 'Wait for the current operation to finish' : null,
+            icon: <IconUpload />,
+            key: 'import',
+            onPress: () => fileInputRef.current?.click(),
+            tooltip: 'Import documents from JSON or CSV (always inserted as new documents)'
+          },
+          {
+            ariaLabel: 'Export as JSON',
+            disabledReason: isBusy ? 'Wait for the current operation to finish' : null,
+            icon: <IconCurlyBrackets />,
+            key: 'exportJson',
+            onPress: () => handleExport('json'),
+            tooltip: 'Export all documents matching the query as JSON'
+          },
+          {
+            ariaLabel: 'Export as CSV',
+            disabledReason: isBusy ? 'Wait for the current operation to finish' : null,
+            icon: <IconCsv />,
+            key: 'exportCsv',
+            onPress: () => handleExport('csv'),
+            tooltip: 'Export all documents matching the query as CSV (nested values as JSON)'
+          },
+          buildRefreshAction({ isRefreshing: isFetching, onRefresh: () => fetchPage() }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: collectionId,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'appDbDocuments'
+          })
+        ]}
+      />
+      <Separator />
+      <input
+        accept='.json,.csv,application/json,text/csv'
+        className='hidden'
+        ref={fileInputRef}
+        type='file'
+        onChange={handleImportFile}
+      />
+
+      <div className='flex shrink-0 flex-col gap-1 px-1 pt-2'>
+        <TextArea
+          aria-label='Query'
+          className='font-mono text-xs'
+          placeholder='{ "content.status": "open" }'
+          resize='vertical'
+          rows={2}
+          value={queryText}
+          variant='secondary'
+          onChange={(e) => setQueryText(e.target.value)}
+        />
+        {queryError && <span className='text-xs text-danger'>{queryError}</span>}
+        <div className='flex items-center gap-2'>
+          <Button isDisabled={isBusy} size='sm' variant='primary' onPress={handleRunQuery}>
+            Run query
+          </Button>
+          <Button
+            isDisabled={isBusy || (!hasQuery && queryText.trim() === '{}')}
+            size='sm'
+            variant='ghost'
+            onPress={handleClearQuery}
+          >
+            Clear
+          </Button>
+          <span className='min-w-0 flex-1' />
+          <Button
+            isDisabled={isBusy || editor?.documentId === null}
+            size='sm'
+            variant='tertiary'
+            onPress={() => setEditor({ documentId: null, error: null, text: '{\n  \n}' })}
+          >
+            <IconPlus />
+            New document
+          </Button>
+        </div>
+        {transferProgress && (
+          <div className='flex items-center gap-2 text-xs text-muted'>
+            <Spinner size='sm' />
+            {transferProgress}
+          </div>
+        )}
+      </div>
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-1.5'>
+          {editor?.documentId === null && (
+            <DocumentEditor
+              editor={editor}
+              isSaving={isSaving}
+              title='New document'
+              onCancel={() => setEditor(null)}
+              onChange={(text) => setEditor((prev) => ({ ...prev, error: null, text }))}
+              onSave={handleSaveEditor}
+            />
+          )}
+          {isFetching && documents.length === 0 ? (
+            <div className='flex items-center justify-center gap-2 py-4'>
+              <Spinner size='sm' />
+              <span className='text-sm text-muted'>Querying documents...</span>
+            </div>
+          ) : documents.length === 0 ? (
+            <p className='text-sm text-muted'>{hasQuery ? 'No documents match this query.' : 'This collection is empty.'}</p>
+          ) : (
+            documents.map((doc) =>
+              editor?.documentId === doc.id ? (
+                <DocumentEditor
+                  editor={editor}
+                  isSaving={isSaving}
+                  key={doc.id}
+                  title={doc.id}
+                  onCancel={() => setEditor(null)}
+                  onChange={(text) => setEditor((prev) => ({ ...prev, error: null, text }))}
+                  onSave={handleSaveEditor}
+                />
+              ) : (
+                <DocumentRow
+                  document={doc}
+                  isDisabled={isBusy || isSaving}
+                  key={doc.id}
+                  onCopyId={() => copyDocumentId(doc.id)}
+                  onDelete={() => setDeleteTarget(doc)}
+                  onEdit={() =>
+                    setEditor({ documentId: doc.id, error: null, text: JSON.stringify(doc.content ?? {}, null, 2) })
+                  }
+                />
+              )
+            )
+          )}
+        </div>
+      </ScrollShadow>
+
+      <div className='flex shrink-0 items-center gap-2 border-t border-border px-1 pt-2'>
+        <span className='min-w-0 flex-1 truncate text-xs text-muted'>{rangeLabel}</span>
+        <Select
+          aria-label='Page size'
+          className='w-20'
+          isDisabled={isBusy}
+          selectionMode='single'
+          value={String(pageSize)}
+          variant='secondary'
+          onChange={(key) => fetchPage({ nextOffset: 0, nextPageSize: Number(key) })}
+        >
+          <Select.Trigger className='h-8 items-center py-0'>
+            <Select.Value />
+            <Select.Indicator>
+              <IconChevronDown />
+            </Select.Indicator>
+          </Select.Trigger>
+          <Select.Popover>
+            <ListBox>
+              {PAGE_SIZES.map((size) => (
+                <ListBox.Item id={String(size)} key={size} textValue={String(size)}>
+                  <Label>{size}</Label>
+                  <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
+                </ListBox.Item>
+              ))}
+            </ListBox>
+          </Select.Popover>
+        </Select>
+        <Tooltip>
+          <Button
+            isIconOnly
+            aria-label='Previous page'
+            isDisabled={isBusy || offset === 0}
+            size='sm'
+            variant='ghost'
+            onPress={() => fetchPage({ nextOffset: Math.max(0, offset - pageSize) })}
+          >
+            <IconChevronLeft />
+          </Button>
+          <Tooltip.Content>Previous page</Tooltip.Content>
+        </Tooltip>
+        <Tooltip>
+          <Button
+            isIconOnly
+            aria-label='Next page'
+            isDisabled={isBusy || !hasMore}
+            size='sm'
+            variant='ghost'
+            onPress={() => fetchPage({ nextOffset: offset + pageSize })}
+          >
+            <IconChevronRight />
+          </Button>
+          <Tooltip.Content>Next page</Tooltip.Content>
+        </Tooltip>
+      </div>
+
+      <AlertDialog
+        isOpen={!!deleteTarget && isActive}
+        onOpenChange={(open) => {
+          if (!open && !isDeleting) setDeleteTarget(null);
+        }}
+      >
+        <AlertDialog.Backdrop>
+          <AlertDialog.Container className='p-1'>
+            <AlertDialog.Dialog className='p-2 pt-3'>
+              <div className='absolute top-0 left-0 h-1.25 w-full bg-danger' />
+              <AlertDialog.CloseTrigger className='absolute top-3 right-2' variant='ghost'>
+                <IconX />
+              </AlertDialog.CloseTrigger>
+              <AlertDialog.Header>
+                <AlertDialog.Heading>Delete Document</AlertDialog.Heading>
+              </AlertDialog.Header>
+              <AlertDialog.Body>
+                <p className='text-sm'>
+                  Permanently delete document <span className='font-mono'>{deleteTarget?.id}</span> from{' '}
+                  <span className='font-semibold'>{collectionName}</span>? This cannot be undone.
+                </p>
+              </AlertDialog.Body>
+              <AlertDialog.Footer>
+                <Button size='sm' slot='close' variant='tertiary'>
+                  Cancel
+                </Button>
+                <Button isPending={isDeleting} size='sm' variant='danger' onPress={handleDelete}>
+                  {isDeleting ? <Spinner color='currentColor' size='sm' /> : 'Delete'}
+                </Button>
+              </AlertDialog.Footer>
+            </AlertDialog.Dialog>
+          </AlertDialog.Container>
+        </AlertDialog.Backdrop>
+      </AlertDialog>
+    </Card>
+  );
+}
+
+function DocumentEditor({ editor, isSaving, onCancel, onChange, onSave, title }) {
+  return (
+    <div className='flex flex-col gap-1 rounded-lg border border-accent p-2'>
+      <span className='truncate font-mono text-xs font-semibold'>{title}</span>
+      <TextArea
+        aria-label='Document content'
+        className='font-mono text-xs'
+        resize='vertical'
+        rows={Math.min(16, Math.max(4, editor.text.split('\n').length))}
+        value={editor.text}
+        variant='secondary'
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {editor.error && <span className='text-xs text-danger'>{editor.error}</span>}
+      <div className='flex gap-2'>
+        <Button isPending={isSaving} size='sm' variant='primary' onPress={onSave}>
+          {editor.documentId ? 'Save' : 'Insert'}
+        </Button>
+        <Button isDisabled={isSaving} size='sm' variant='ghost' onPress={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function DocumentRow({ document, isDisabled, onCopyId, onDelete, onEdit }) {
+  const preview = JSON.stringify(document.content ?? {});
+  const updated = document.updatedOn || document.createdOn;
+
+  return (
+    <div className='flex items-start gap-2 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex min-w-0 flex-1 flex-col gap-0.5'>
+        <div className='flex min-w-0 items-center gap-2'>
+          <span className='truncate font-mono font-semibold' title={document.id}>
+            {document.id}
+          </span>
+          {updated && <span className='shrink-0 text-muted'>{new Date(updated).toLocaleString()}</span>}
+        </div>
+        <span
+          className='line-clamp-3 font-mono break-all text-muted'
+          title={JSON.stringify(document.content ?? {}, null, 2)}
+        >
+          {preview}
+        </span>
+      </div>
+      <Tooltip>
+        <Button isIconOnly aria-label='Copy ID' size='sm' variant='ghost' onPress={onCopyId}>
+          <IconClipboardCopy />
+        </Button>
+        <Tooltip.Content>Copy document ID</Tooltip.Content>
+      </Tooltip>
+      <Tooltip>
+        <Button isIconOnly aria-label='Edit' isDisabled={isDisabled} size='sm' variant='ghost' onPress={onEdit}>
+          <IconPencil />
+        </Button>
+        <Tooltip.Content>Edit document</Tooltip.Content>
+      </Tooltip>
+      <Tooltip>
+        <Button isIconOnly aria-label='Delete' isDisabled={isDisabled} size='sm' variant='ghost' onPress={onDelete}>
+          <IconTrash className='text-danger' />
+        </Button>
+        <Tooltip.Content>Delete document</Tooltip.Content>
+      </Tooltip>
+    </div>
+  );
+}
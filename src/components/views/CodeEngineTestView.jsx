@@ -0,0 +1,528 @@
+import {
+  Button,
+  Card,
+  Chip,
+  Disclosure,
+  Input,
+  Label,
+  ListBox,
+  ScrollShadow,
+  Select,
+  Separator,
+  Spinner,
+  Switch,
+  TextArea,
+  TextField
+} from '@heroui/react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { AlertStatusIcon } from '@/components/AlertStatusIcon';
+import { DomoContext } from '@/models/DomoContext';
+import { getCodeEngineEditorSource, getCodeEngineFixtureResponse } from '@/services/codeEngine';
+import { DEFAULT_RUN_TIMEOUT_MS, runCodeEngineFunction } from '@/utils/codeEngineRunner';
+import {
+  defaultInputText,
+  getTestFixtures,
+  parseFixturesText,
+  parseInputValue,
+  saveTestFixtures,
+  validateOutputValue
+} from '@/utils/codeEngineTestHarness';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { parseSourceToManifest } from '@/utils/jsdocToPackage/parseSourceToManifest';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconCode from '@icons/code.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+/**
+ * Run a package function from the live editor source without publishing a
+ * version. The input form comes from the function's JSDoc (the same parse
+ * Generate Definition uses), calls to the `codeengine` SDK are answered from
+ * saved fixtures, and the returned value is checked against the declared
+ * output.
+ */
+export function CodeEngineTestView({ instance = null, liveContext = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [sourceRead, setSourceRead] = useState(null);
+  const [selectedName, setSelectedName] = useState(null);
+  const [inputTexts, setInputTexts] = useState({});
+  const [fixtures, setFixtures] = useState([]);
+  const [fixturesText, setFixturesText] = useState('[]');
+  const [fixturesError, setFixturesError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [run, setRun] = useState(null);
+  const [recordingCall, setRecordingCall] = useState(null);
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'codeEngineTest') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      const packageId = context?.domoObject?.parentId || context?.domoObject?.id;
+      if (!packageId) {
+        onStatusUpdate?.('Error', 'No package context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+      const stored = await getTestFixtures(context.instance, packageId);
+      if (!mountedRef.current) return;
+      setFixtures(stored);
+      setFixturesText(JSON.stringify(stored, null, 2));
+      await readSource(context);
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const readSource = async (context = currentContext) => {
+    try {
+      const packageId = context.domoObject.parentId || context.domoObject.id;
+      const result = await getCodeEngineEditorSource({ packageId, tabId: context.tabId });
+      if (!mountedRef.current) return;
+      setSourceRead(result);
+      setError(null);
+    } catch (err) {
+      console.error('[CodeEngineTestView] Error reading source:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to read package source');
+    }
+  };
+
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      await readSource();
+    } finally {
+      if (mountedRef.current) setIsRefreshing(false);
+    }
+  };
+
+  const parsed = useMemo(() => {
+    if (!sourceRead?.code) return null;
+    try {
+      return parseSourceToManifest(sourceRead.code);
+    } catch (err) {
+      console.error('[CodeEngineTestView] Parse error:', err);
+      return { error: err.message || 'Parser threw an error' };
+    }
+  }, [sourceRead]);
+
+  const functions = parsed?.derivedFunctions ?? [];
+  const selectedFn = functions.find((fn) => fn.name === selectedName) ?? functions[0] ?? null;
+  const parseErrors = (parsed?.warnings ?? []).filter(
+    (w) => w.severity === 'error' && (!w.functionName || w.functionName === selectedFn?.name)
+  );
+
+  const inputText = (entry) => inputTexts[`${selectedFn.name}.${entry.name}`] ?? defaultInputText(entry);
+  const setInputText = (entry, text) => setInputTexts((prev) => ({ ...prev, [`${selectedFn.name}.${entry.name}`]: text }));
+
+  const handleRun = async () => {
+    let args;
+    try {
+      args = selectedFn.inputs.map((entry) => parseInputValue(entry, inputText(entry)));
+    } catch (err) {
+      setRun({ inputError: err.message });
+      return;
+    }
+    setIsRunning(true);
+    try {
+      const result = await runCodeEngineFunction({
+        args,
+        code: sourceRead.code,
+        fixtures,
+        functionName: selectedFn.name
+      });
+      if (!mountedRef.current) return;
+      setRun({
+        fn: selectedFn,
+        issues: result.status === 'success' ? validateOutputValue(selectedFn, result.value) : [],
+        result
+      });
+    } catch (err) {
+      console.error('[CodeEngineTestView] Run failed:', err);
+      if (mountedRef.current) setRun({ inputError: err.message || 'The run failed' });
+    } finally {
+      if (mountedRef.current) setIsRunning(false);
+    }
+  };
+
+  const storeFixtures = async (next) => {
+    const packageId = currentContext.domoObject.parentId || currentContext.domoObject.id;
+    await saveTestFixtures(currentContext.instance, packageId, next);
+    setFixtures(next);
+    setFixturesText(JSON.stringify(next, null, 2));
+    setFixturesError(null);
+  };
+
+  const handleSaveFixtures = async () => {
+    try {
+      await storeFixtures(parseFixturesText(fixturesText));
+      onStatusUpdate?.('Saved', 'Fixtures saved', 'success', 2000);
+    } catch (err) {
+      setFixturesError(err.message);
+    }
+  };
+
+  const handleRecord = async (call) => {
+    setRecordingCall(call.signature);
+    try {
+      const response = await getCodeEngineFixtureResponse(call.args[1], currentContext.tabId);
+      await storeFixtures([
+        ...fixtures.filter((fixture) => fixture.call !== call.signature),
+        { call: call.signature, response }
+      ]);
+      onStatusUpdate?.('Recorded', `Saved the response for ${call.signature}`, 'success', 2000);
+    } catch (err) {
+      onStatusUpdate?.('Record failed', err.message || `Could not fetch ${call.args[1]}`, 'danger');
+    } finally {
+      if (mountedRef.current) setRecordingCall(null);
+    }
+  };
+
+  const packageName =
+    currentContext?.domoObject?.metadata?.parent?.name ||
+    currentContext?.domoObject?.metadata?.name ||
+    `Package ${currentContext?.domoObject?.parentId || currentContext?.domoObject?.id}`;
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Reading package source...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Test Function'
+        featureIcon={<IconCode />}
+        onClose={onBackToDefault}
+        actions={[
+          buildRefreshAction({ isRefreshing, onRefresh: handleRefresh }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: currentContext?.domoObject?.id,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'codeEngineTest'
+          })
+        ]}
+        subtext={`**${packageName}** • ${
+          sourceRead?.source === 'api' ? `saved version ${sourceRead.version} (editor not open)` : 'editor source'
+        }`}
+      />
+      <Separator />
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-2'>
+          {error || parsed?.error ? (
+            <Alert className='w-full border border-border bg-transparent' status='danger'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Could not read the package
+                </Alert.Title>
+                <Alert.Description>{error || parsed.error}</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : !selectedFn ? (
+            <Alert className='w-full border border-border bg-transparent' status='warning'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  No documented functions
+                </Alert.Title>
+                <Alert.Description>
+                  Add a JSDoc block with @param and @returns tags above a function to test it here.
+                </Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : (
+            <>
+              <Select
+                aria-label='Function'
+                isDisabled={isRunning}
+                selectionMode='single'
+                value={selectedFn.name}
+                variant='secondary'
+                onChange={(key) => {
+                  setSelectedName(key);
+                  setRun(null);
+                }}
+              >
+                <Select.Trigger className='h-8 items-center py-0'>
+                  <Select.Value />
+                  <Select.Indicator>
+                    <IconChevronDown />
+                  </Select.Indicator>
+                </Select.Trigger>
+                <Select.Popover>
+                  <ListBox>
+                    {functions.map((fn) => (
+                      <ListBox.Item id={fn.name} key={fn.name} textValue={fn.displayName || fn.name}>
+                        <Label>{fn.displayName || fn.name}</Label>
+                        <ListBox.ItemIndicator>
+                          {({ isSelected }) => (isSelected ? <IconCheck /> : null)}
+                        </ListBox.ItemIndicator>
+                      </ListBox.Item>
+                    ))}
+                  </ListBox>
+                </Select.Popover>
+              </Select>
+
+              {parseErrors.length > 0 && (
+                <Alert className='w-full border border-border bg-transparent' status='warning'>
+                  <Alert.Content>
+                    <Alert.Title className='flex items-center gap-1'>
+                      <AlertStatusIcon />
+                      The JSDoc has problems
+                    </Alert.Title>
+                    <Alert.Description>{parseErrors.map((w) => w.message).join(' ')}</Alert.Description>
+                  </Alert.Content>
+                </Alert>
+              )}
+
+              {selectedFn.inputs.length === 0 ? (
+                <p className='text-xs text-muted'>This function takes no inputs.</p>
+              ) : (
+                selectedFn.inputs.map((entry) => (
+                  <InputField
+                    entry={entry}
+                    isDisabled={isRunning}
+                    key={`${selectedFn.name}.${entry.name}`}
+                    value={inputText(entry)}
+                    onChange={(text) => setInputText(entry, text)}
+                  />
+                ))
+              )}
+
+              <Button fullWidth isPending={isRunning} variant='primary' onPress={handleRun}>
+                Run {selectedFn.name}
+              </Button>
+
+              {run?.inputError && <span className='text-xs text-danger'>{run.inputError}</span>}
+              {run?.result && (
+                <RunResult fixtureCount={fixtures.length} recordingCall={recordingCall} run={run} onRecord={handleRecord} />
+              )}
+            </>
+          )}
+
+          <Separator className='my-1' />
+
+          <Disclosure>
+            <Disclosure.Heading>
+              <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+                <span className='text-sm'>SDK fixtures</span>
+                <span className='flex items-center gap-1'>
+                  <Chip color='accent' size='sm' variant='soft'>
+                    {fixtures.length}
+                  </Chip>
+                  <Disclosure.Indicator />
+                </span>
+              </Button>
+            </Disclosure.Heading>
+            <Disclosure.Content>
+              <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1'>
+                <p className='text-xs text-muted'>
+                  Each codeengine call is answered by the fixture whose call matches it, e.g.{' '}
+                  <span className='font-mono'>sendRequest GET /api/content/v2/users/27</span>. Record GET responses from a
+                  run, or give a fixture an &quot;error&quot; instead of a &quot;response&quot; to make the call throw.
+                </p>
+                <TextArea
+                  aria-label='SDK fixtures'
+                  className='font-mono text-xs'
+                  resize='vertical'
+                  rows={Math.min(16, Math.max(4, fixturesText.split('\n').length))}
+                  value={fixturesText}
+                  variant='secondary'
+                  onChange={(e) => setFixturesText(e.target.value)}
+                />
+                {fixturesError && <span className='text-xs text-danger'>{fixturesError}</span>}
+                <div className='flex gap-2'>
+                  <Button size='sm' variant='primary' onPress={handleSaveFixtures}>
+                    Save fixtures
+                  </Button>
+                  <Button size='sm' variant='ghost' onPress={() => setFixturesText(JSON.stringify(fixtures, null, 2))}>
+                    Discard changes
+                  </Button>
+                </div>
+              </Disclosure.Body>
+            </Disclosure.Content>
+          </Disclosure>
+        </div>
+      </ScrollShadow>
+    </Card>
+  );
+}
+
+function describeEntryType(entry) {
+  const type = entry.entitySubType ? `${entry.type}:${entry.entitySubType}` : entry.type;
+  return entry.isList ? `list of ${type}` : type;
+}
+
+function InputField({ entry, isDisabled, onChange, value }) {
+  if (entry.type === 'boolean' && !entry.isList) {
+    return (
+      <Switch isDisabled={isDisabled} isSelected={value === 'true'} onChange={(v) => onChange(String(v))}>
+        <Switch.Content className='text-sm'>
+          {entry.name}
+          <span className='text-xs text-muted'>boolean</span>
+          <Switch.Control>
+            <Switch.Thumb />
+          </Switch.Control>
+        </Switch.Content>
+      </Switch>
+    );
+  }
+
+  const isJson = entry.isList || entry.type === 'object';
+  return (
+    <TextField isDisabled={isDisabled} name={entry.name} variant='secondary'>
+      <Label className='flex items-center gap-1'>
+        {entry.name}
+        <span className='text-xs font-normal text-muted'>{describeEntryType(entry)}</span>
+      </Label>
+      {isJson ? (
+        <TextArea
+          className='font-mono text-xs'
+          resize='vertical'
+          rows={Math.min(8, Math.max(2, value.split('\n').length))}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      ) : (
+        <Input
+          className='h-8'
+          placeholder={entry.nullable === false ? 'Required' : 'Empty passes null'}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      )}
+    </TextField>
+  );
+}
+
+// Only reads are fetched live; a recorded POST would have really written.
+function isRecordable(call) {
+  return (
+    call.name === 'sendRequest' &&
+    String(call.args[0] ?? 'GET').toUpperCase() === 'GET' &&
+    typeof call.args[1] === 'string' &&
+    call.args[1].startsWith('/')
+  );
+}
+
+function RunResult({ fixtureCount, onRecord, recordingCall, run }) {
+  const { fn, issues, result } = run;
+  const unmatched = result.calls.filter((call) => !call.matched);
+
+  const alert =
+    result.status === 'timeout'
+      ? {
+          description: `${result.error.message}. Check for a loop or a call that never resolves.`,
+          status: 'danger',
+          title: 'Timed out'
+        }
+      : result.status === 'error'
+        ? { description: result.error.message, status: 'danger', title: 'Threw an error' }
+        : issues.length > 0
+          ? {
+              description: issues.map((issue) => `${issue.path} ${issue.message}`).join('. '),
+              status: 'warning',
+              title: "Returned a value that doesn't match the declared output"
+            }
+          : {
+              description: fn.output ? `Matches ${describeEntryType(fn.output)}.` : 'No return value declared.',
+              status: 'success',
+              title: 'Passed'
+            };
+
+  return (
+    <div className='flex flex-col gap-2'>
+      <Alert className='w-full border border-border bg-transparent' status={alert.status}>
+        <Alert.Content>
+          <Alert.Title className='flex items-center gap-1'>
+            <AlertStatusIcon />
+            {alert.title}
+            <span className='text-xs font-normal text-muted'>
+              {result.durationMs} ms
+              {result.status === 'timeout' ? ` (limit ${DEFAULT_RUN_TIMEOUT_MS / 1000}s)` : ''}
+            </span>
+          </Alert.Title>
+          <Alert.Description>{alert.description}</Alert.Description>
+        </Alert.Content>
+      </Alert>
+
+      {result.status === 'success' && result.value !== undefined && (
+        <pre className='max-h-60 overflow-auto rounded-lg border border-border p-2 font-mono text-xs whitespace-pre-wrap'>
+          {JSON.stringify(result.value, null, 2)}
+        </pre>
+      )}
+
+      {result.calls.length > 0 && (
+        <div className='flex flex-col gap-1'>
+          <span className='text-xs text-muted'>
+            {result.calls.length} SDK call{result.calls.length === 1 ? '' : 's'}
+            {unmatched.length > 0 ? `, ${unmatched.length} without a fixture (of ${fixtureCount} saved)` : ''}
+          </span>
+          {result.calls.map((call, i) => (
+            <div className='flex items-center gap-2 rounded-lg border border-border p-2 text-xs' key={i}>
+              <span className='min-w-0 flex-1 truncate font-mono' title={call.signature}>
+                {call.signature}
+              </span>
+              {call.matched ? (
+                <Chip color='success' size='sm' variant='soft'>
+                  Fixture
+                </Chip>
+              ) : isRecordable(call) ? (
+                <Button
+                  isDisabled={recordingCall !== null}
+                  isPending={recordingCall === call.signature}
+                  size='sm'
+                  variant='tertiary'
+                  onPress={() => onRecord(call)}
+                >
+                  Record
+                </Button>
+              ) : (
+                <Chip color='warning' size='sm' variant='soft'>
+                  No fixture
+                </Chip>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result.logs.length > 0 && (
+        <pre className='max-h-40 overflow-auto rounded-lg border border-border p-2 font-mono text-xs whitespace-pre-wrap'>
+          {result.logs.map((log) => `${log.level === 'log' ? '' : `[${log.level}] `}${log.text}`).join('\n')}
+        </pre>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,458 @@
+import {
+  Button,
+  Card,
+  Chip,
+  Disclosure,
+  Label,
+  ListBox,
+  ScrollShadow,
+  Select,
+  Separator,
+  Spinner,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@heroui/react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { AlertStatusIcon } from '@/components/AlertStatusIcon';
+import { DomoContext } from '@/models/DomoContext';
+import { getCodeEnginePackageVersion, getCodeEnginePackageVersions } from '@/services/codeEngine';
+import { comparePackageFunctions } from '@/utils/ceContractDiff';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { diffLines, groupDiffHunks, pairDiffLines } from '@/utils/lineDiff';
+import { compareSemver } from '@/utils/semver';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconArrowsLeftRight from '@icons/arrows-left-right.svg?react';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+const FIELD_LABELS = {
+  description: 'description',
+  displayName: 'display name',
+  hasReturn: 'returns a value',
+  isPrivate: 'private'
+};
+
+/**
+ * Compare two versions of a Code Engine package: which functions were added,
+ * removed, or changed, how each changed function's inputs and output moved
+ * (what a workflow tile on the old version would have to reconcile), and a
+ * line diff of the code.
+ */
+export function CodeEngineVersionDiffView({
+  instance = null,
+  liveContext = null,
+  onBackToDefault = null,
+  onStatusUpdate = null
+}) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [definitions, setDefinitions] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [codeMode, setCodeMode] = useState('split');
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'codeEngineVersionDiff') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      const packageId = context?.domoObject?.parentId || context?.domoObject?.id;
+      if (!packageId) {
+        onStatusUpdate?.('Error', 'No package context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+
+      const envelope = await getCodeEnginePackageVersions(packageId, context.tabId);
+      const sorted = (envelope?.versions ?? [])
+        .filter((v) => v?.version)
+        .sort((a, b) => compareSemver(b.version, a.version));
+      if (!mountedRef.current) return;
+      setVersions(sorted);
+      if (sorted.length < 2) return;
+
+      // Default to the version being viewed against the one before it, or the
+      // latest two when on the package itself.
+      const viewed =
+        context.domoObject.typeId === 'CODEENGINE_PACKAGE_VERSION'
+          ? sorted.findIndex((v) => v.version === context.domoObject.id)
+          : 0;
+      const toIndex = viewed >= 0 && viewed < sorted.length - 1 ? viewed : 0;
+      const from = sorted[toIndex + 1].version;
+      const to = sorted[toIndex].version;
+      setFromVersion(from);
+      setToVersion(to);
+      await runCompare({ context, from, to });
+    } catch (err) {
+      console.error('[CodeEngineVersionDiffView] Error loading versions:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to load package versions');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const runCompare = async ({ context = currentContext, from = fromVersion, to = toVersion } = {}) => {
+    if (!from || !to) return;
+    setIsComparing(true);
+    try {
+      const packageId = context.domoObject.parentId || context.domoObject.id;
+      const [fromDef, toDef] = await Promise.all([
+        getCodeEnginePackageVersion(packageId, from, context.tabId),
+        getCodeEnginePackageVersion(packageId, to, context.tabId)
+      ]);
+      if (!mountedRef.current) return;
+      setDefinitions({ from: fromDef, to: toDef });
+      setError(null);
+    } catch (err) {
+      console.error('[CodeEngineVersionDiffView] Error comparing versions:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to load versions');
+    } finally {
+      if (mountedRef.current) setIsComparing(false);
+    }
+  };
+
+  const handleVersionChange = (side, version) => {
+    const from = side === 'from' ? version : fromVersion;
+    const to = side === 'to' ? version : toVersion;
+    setFromVersion(from);
+    setToVersion(to);
+    runCompare({ from, to });
+  };
+
+  const functionChanges = useMemo(
+    () => (definitions ? comparePackageFunctions(definitions.from?.functions, definitions.to?.functions) : null),
+    [definitions]
+  );
+
+  const codeDiff = useMemo(() => {
+    if (!definitions) return null;
+    const lines = diffLines(definitions.from?.code ?? '', definitions.to?.code ?? '');
+    return {
+      added: lines.filter((line) => line.type === 'added').length,
+      hunks: groupDiffHunks(lines),
+      removed: lines.filter((line) => line.type === 'removed').length
+    };
+  }, [definitions]);
+
+  const packageName =
+    currentContext?.domoObject?.metadata?.parent?.name ||
+    currentContext?.domoObject?.metadata?.name ||
+    `Package ${currentContext?.domoObject?.parentId || currentContext?.domoObject?.id}`;
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading versions...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const changeCount = functionChanges
+    ? functionChanges.added.length + functionChanges.removed.length + functionChanges.changed.length
+    : 0;
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Compare Versions'
+        featureIcon={<IconArrowsLeftRight />}
+        subtext={`**${packageName}** • ${versions.length} version${versions.length === 1 ? '' : 's'}`}
+        onClose={onBackToDefault}
+        actions={[
+          buildRefreshAction({ isRefreshing: isComparing, onRefresh: () => runCompare() }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: currentContext?.domoObject?.id,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'codeEngineVersionDiff'
+          })
+        ]}
+      />
+      <Separator />
+
+      {versions.length >= 2 && (
+        <div className='flex shrink-0 items-end gap-2 px-1 pt-2'>
+          <VersionSelect
+            isDisabled={isComparing}
+            label='From'
+            value={fromVersion}
+            versions={versions}
+            onChange={(version) => handleVersionChange('from', version)}
+          />
+          <VersionSelect
+            isDisabled={isComparing}
+            label='To'
+            value={toVersion}
+            versions={versions}
+            onChange={(version) => handleVersionChange('to', version)}
+          />
+        </div>
+      )}
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-2'>
+          {error ? (
+            <Alert className='w-full border border-border bg-transparent' status='danger'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Comparison failed
+                </Alert.Title>
+                <Alert.Description>{error}</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : versions.length < 2 ? (
+            <Alert className='w-full border border-border bg-transparent' status='warning'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Nothing to compare
+                </Alert.Title>
+                <Alert.Description>This package has fewer than two versions.</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : isComparing && !definitions ? (
+            <div className='flex justify-center py-6'>
+              <Spinner />
+            </div>
+          ) : functionChanges && codeDiff ? (
+            <>
+              <p className='text-xs text-muted'>
+                {fromVersion === toVersion
+                  ? 'Both sides are the same version.'
+                  : `${changeCount} function${changeCount === 1 ? '' : 's'} changed, ${functionChanges.unchanged} unchanged`}
+              </p>
+
+              <ChangeSection color='success' count={functionChanges.added.length} title='Added functions'>
+                {functionChanges.added.map((fn) => (
+                  <FunctionRow fn={fn} key={fn.name} />
+                ))}
+              </ChangeSection>
+              <ChangeSection color='danger' count={functionChanges.removed.length} title='Removed functions'>
+                {functionChanges.removed.map((fn) => (
+                  <FunctionRow
+                    fn={fn}
+                    key={fn.name}
+                    notes={['Workflow tiles calling this function break on the new version']}
+                  />
+                ))}
+              </ChangeSection>
+              <ChangeSection color='warning' count={functionChanges.changed.length} title='Changed functions'>
+                {functionChanges.changed.map((change) => (
+                  <FunctionRow fn={change.new} key={change.name} notes={describeFunctionChange(change)} />
+                ))}
+              </ChangeSection>
+
+              <Separator className='my-1' />
+
+              <div className='flex items-center justify-between gap-2'>
+                <span className='text-sm'>Code</span>
+                <span className='text-xs text-muted'>
+                  <span className='text-success'>+{codeDiff.added}</span>{' '}
+                  <span className='text-danger'>-{codeDiff.removed}</span>
+                </span>
+              </div>
+              <ToggleButtonGroup
+                disallowEmptySelection
+                aria-label='Code diff layout'
+                className='w-full'
+                selectedKeys={new Set([codeMode])}
+                selectionMode='single'
+                size='sm'
+                onSelectionChange={(keys) => setCodeMode([...keys][0])}
+              >
+                <ToggleButton className='flex-1' id='split'>
+                  Side by side
+                </ToggleButton>
+                <ToggleButton className='flex-1' id='unified'>
+                  Unified
+                </ToggleButton>
+              </ToggleButtonGroup>
+              {codeDiff.hunks.length === 0 ? (
+                <p className='py-2 text-center text-xs text-muted'>The code is identical.</p>
+              ) : (
+                <CodeDiff hunks={codeDiff.hunks} mode={codeMode} />
+              )}
+            </>
+          ) : null}
+        </div>
+      </ScrollShadow>
+    </Card>
+  );
+}
+
+function ChangeSection({ children, color, count, title }) {
+  if (count === 0) {
+    return (
+      <div className='flex items-center justify-between py-1'>
+        <span className='text-sm'>{title}</span>
+        <span className='shrink-0 text-xs text-muted'>None</span>
+      </div>
+    );
+  }
+
+  return (
+    <Disclosure defaultExpanded>
+      <Disclosure.Heading>
+        <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+          <span className='text-sm'>{title}</span>
+          <span className='flex items-center gap-1'>
+            <Chip color={color} size='sm' variant='soft'>
+              {count}
+            </Chip>
+            <Disclosure.Indicator />
+          </span>
+        </Button>
+      </Disclosure.Heading>
+      <Disclosure.Content>
+        <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1'>{children}</Disclosure.Body>
+      </Disclosure.Content>
+    </Disclosure>
+  );
+}
+
+// One unchanged-lines fold, then the hunk's rows, for each hunk.
+function CodeDiff({ hunks, mode }) {
+  return (
+    <div className='overflow-x-auto rounded-lg border border-border font-mono text-[11px] leading-4'>
+      {hunks.map((hunk, i) => (
+        <div key={i}>
+          {hunk.hiddenBefore > 0 && (
+            <div className='bg-surface-secondary px-2 py-0.5 text-muted'>
+              ⋯ {hunk.hiddenBefore} unchanged line{hunk.hiddenBefore === 1 ? '' : 's'}
+            </div>
+          )}
+          {mode === 'split'
+            ? pairDiffLines(hunk.lines).map((row, j) => (
+                <div className='grid grid-cols-2' key={j}>
+                  <DiffCell line={row.left} lineNumber={row.left?.oldLine} />
+                  <DiffCell line={row.right} lineNumber={row.right?.newLine} />
+                </div>
+              ))
+            : hunk.lines.map((line, j) => (
+                <DiffCell key={j} line={line} lineNumber={line.type === 'removed' ? line.oldLine : line.newLine} />
+              ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One line per contract or descriptive change, worded from the point of view
+// of a workflow tile moving from the old version to the new one.
+function describeFunctionChange({ contract, fields }) {
+  const notes = [];
+  for (const [side, label] of [
+    ['inputs', 'Input'],
+    ['outputs', 'Output']
+  ]) {
+    const c = contract[side];
+    for (const entry of c.added) notes.push(`${label} added: ${entry.name} (${describeType(entry)})`);
+    for (const entry of c.removed) notes.push(`${label} removed: ${entry.name}`);
+    for (const r of c.renamed) notes.push(`${label} renamed: ${r.from} to ${r.to}`);
+    for (const t of c.typeChanged) {
+      notes.push(`${label} ${t.name} type changed: ${describeType(t.old)} to ${describeType(t.new)}`);
+    }
+    for (const t of c.schemaChanged) notes.push(`${label} ${t.name}: nested properties changed`);
+  }
+  if (fields.length > 0) {
+    notes.push(`Also changed: ${fields.map((field) => FIELD_LABELS[field] || field).join(', ')}`);
+  }
+  return notes;
+}
+
+// Read a type the way a user does, keeping list-ness visible.
+function describeType(entry) {
+  const type = entry?.type ?? 'unknown';
+  return entry?.isList ? `list of ${type}` : type;
+}
+
+function DiffCell({ line, lineNumber }) {
+  if (!line) return <div className='bg-surface-secondary' />;
+  const tone = line.type === 'added' ? 'bg-success-soft' : line.type === 'removed' ? 'bg-danger-soft' : '';
+  const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+  return (
+    <div className={`flex min-w-0 ${tone}`}>
+      <span className='w-8 shrink-0 pr-1 text-right text-muted select-none'>{lineNumber}</span>
+      <span className='w-3 shrink-0 text-muted select-none'>{marker}</span>
+      <span className='whitespace-pre'>{line.text}</span>
+    </div>
+  );
+}
+
+function FunctionRow({ fn, notes = [] }) {
+  return (
+    <div className='flex flex-col gap-0.5 rounded-lg border border-border p-2 text-xs'>
+      <span className='truncate font-semibold' title={fn.name}>
+        {fn.displayName || fn.name}
+      </span>
+      {fn.displayName && fn.displayName !== fn.name && <span className='font-mono text-muted'>{fn.name}</span>}
+      {notes.map((note) => (
+        <span className='text-muted' key={note}>
+          {note}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function VersionSelect({ isDisabled, label, onChange, value, versions }) {
+  return (
+    <div className='flex min-w-0 flex-1 flex-col gap-1'>
+      <Label className='text-xs text-muted'>{label}</Label>
+      <Select
+        aria-label={`${label} version`}
+        isDisabled={isDisabled}
+        selectionMode='single'
+        value={value}
+        variant='secondary'
+        onChange={(key) => key && onChange(String(key))}
+      >
+        <Select.Trigger className='h-8 items-center py-0'>
+          <Select.Value />
+          <Select.Indicator>
+            <IconChevronDown />
+          </Select.Indicator>
+        </Select.Trigger>
+        <Select.Popover>
+          <ListBox>
+            {versions.map((v) => (
+              <ListBox.Item id={v.version} key={v.version} textValue={v.version}>
+                <Label>
+                  {v.version}
+                  {v.released ? '' : ' (unreleased)'}
+                </Label>
+                <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
+              </ListBox.Item>
+            ))}
+          </ListBox>
+        </Select.Popover>
+      </Select>
+    </div>
+  );
+}
@@ -0,0 +1,507 @@
+import { Button, Card, Chip, Disclosure, Label, ListBox, ScrollShadow, Select, Separator, Spinner } from '@heroui/react';
+import { useEffect, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { AlertStatusIcon } from '@/components/AlertStatusIcon';
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { assessWorkflowImpact, bumpWorkflowToVersion, findPackageWorkflows } from '@/services/ceWorkflowImpact';
+import { getCodeEnginePackageVersions } from '@/services/codeEngine';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { compareSemver } from '@/utils/semver';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconWorkflow from '@icons/workflow.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+const SECTIONS = [
+  {
+    color: 'danger',
+    description: 'A tile would stop working as bound. Update these workflows by hand.',
+    status: 'breaking',
+    title: 'Breaking'
+  },
+  {
+    color: 'warning',
+    description: 'A bound variable would change type or properties. Open each workflow to review.',
+    status: 'review',
+    title: 'Needs review'
+  },
+  {
+    color: 'success',
+    description: 'Every change is handled automatically.',
+    status: 'safe',
+    title: 'Safe to bump'
+  },
+  { description: 'Already on this version.', status: 'current', title: 'Up to date' }
+];
+
+/**
+ * Which workflows a Code Engine package version would affect. Scans every
+ * workflow's latest version for tiles calling the package, classifies what
+ * moving them to a candidate version does (breaking, needs review, or safe),
+ * and bumps the safe ones in one go.
+ */
+export function CodeEngineWorkflowImpactView({
+  instance = null,
+  liveContext = null,
+  onBackToDefault = null,
+  onStatusUpdate = null
+}) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [candidateVersion, setCandidateVersion] = useState(null);
+  const [scan, setScan] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [reports, setReports] = useState({});
+  const [isAssessing, setIsAssessing] = useState(false);
+  const [isBumping, setIsBumping] = useState(false);
+  const [bumpResults, setBumpResults] = useState({});
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+  // Function manifests by `${packageId}@${version}`, shared by every workflow
+  // and candidate so each package version is fetched once.
+  const manifestCacheRef = useRef(new Map());
+  const { showPromiseStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'codeEngineWorkflowImpact') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      const packageId = context?.domoObject?.parentId || context?.domoObject?.id;
+      if (!packageId) {
+        onStatusUpdate?.('Error', 'No package context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+
+      const envelope = await getCodeEnginePackageVersions(packageId, context.tabId);
+      const sorted = (envelope?.versions ?? [])
+        .filter((v) => v?.version)
+        .sort((a, b) => compareSemver(b.version, a.version));
+      if (!mountedRef.current) return;
+      setVersions(sorted);
+      if (sorted.length === 0) return;
+
+      // Default to the version being viewed, or the latest on the package itself.
+      const viewed =
+        context.domoObject.typeId === 'CODEENGINE_PACKAGE_VERSION'
+          ? sorted.find((v) => v.version === context.domoObject.id)?.version
+          : null;
+      const candidate = viewed ?? sorted[0].version;
+      setCandidateVersion(candidate);
+      setIsLoading(false);
+      await runScan({ candidate, context });
+    } catch (err) {
+      console.error('[CodeEngineWorkflowImpactView] Error loading package:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to load package versions');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const runScan = async ({ candidate = candidateVersion, context = currentContext } = {}) => {
+    setProgress({ done: 0, total: null });
+    setBumpResults({});
+    try {
+      const result = await findPackageWorkflows({
+        onProgress: (next) => mountedRef.current && setProgress(next),
+        packageId: context.domoObject.parentId || context.domoObject.id,
+        tabId: context.tabId
+      });
+      if (!mountedRef.current) return;
+      setScan(result);
+      setError(null);
+      await runAssess({ candidate, context, workflows: result.workflows });
+    } catch (err) {
+      console.error('[CodeEngineWorkflowImpactView] Error scanning workflows:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to scan workflows');
+    } finally {
+      if (mountedRef.current) setProgress(null);
+    }
+  };
+
+  const runAssess = async ({ candidate = candidateVersion, context = currentContext, workflows = scan?.workflows } = {}) => {
+    if (!candidate || !workflows) return;
+    setIsAssessing(true);
+    try {
+      const packageId = context.domoObject.parentId || context.domoObject.id;
+      const entries = await Promise.all(
+        workflows.map(async (workflow) => {
+          try {
+            const report = await assessWorkflowImpact({
+              cache: manifestCacheRef.current,
+              candidateVersion: candidate,
+              packageId,
+              tabId: context.tabId,
+              workflow
+            });
+            return [workflow.modelId, report];
+          } catch (err) {
+            return [workflow.modelId, { actions: [], error: err.message, status: 'error' }];
+          }
+        })
+      );
+      if (mountedRef.current) setReports(Object.fromEntries(entries));
+    } finally {
+      if (mountedRef.current) setIsAssessing(false);
+    }
+  };
+
+  const handleCandidateChange = (version) => {
+    setCandidateVersion(version);
+    setBumpResults({});
+    runAssess({ candidate: version });
+  };
+
+  const candidateInfo = versions.find((v) => v.version === candidateVersion);
+  const isCandidateReleased = !!candidateInfo?.released;
+  const workflows = scan?.workflows ?? [];
+  const safeWorkflows = workflows.filter(
+    (workflow) => reports[workflow.modelId]?.status === 'safe' && !bumpResults[workflow.modelId]?.version
+  );
+  const isScanning = progress !== null;
+  const isBusy = isScanning || isAssessing || isBumping;
+
+  const packageName =
+    currentContext?.domoObject?.metadata?.parent?.name ||
+    currentContext?.domoObject?.metadata?.name ||
+    `Package ${currentContext?.domoObject?.parentId || currentContext?.domoObject?.id}`;
+
+  const handleBumpSafe = async () => {
+    const targets = safeWorkflows;
+    if (targets.length === 0) return;
+    setIsBumping(true);
+
+    const packageId = currentContext.domoObject.parentId || currentContext.domoObject.id;
+    const promise = (async () => {
+      let bumped = 0;
+      // One at a time: each bump re-reads and rewrites a whole definition, and
+      // a failure should leave the rest to be reported rather than abandoned.
+      for (const workflow of targets) {
+        try {
+          const result = await bumpWorkflowToVersion({
+            cache: manifestCacheRef.current,
+            candidateVersion,
+            packageId,
+            packageName,
+            tabId: currentContext.tabId,
+            workflow
+          });
+          bumped++;
+          if (mountedRef.current) setBumpResults((prev) => ({ ...prev, [workflow.modelId]: result }));
+        } catch (err) {
+          console.error(`[CodeEngineWorkflowImpactView] Error bumping ${workflow.name}:`, err);
+          if (mountedRef.current) {
+            setBumpResults((prev) => ({ ...prev, [workflow.modelId]: { error: err.message || 'Failed to update' } }));
+          }
+        }
+      }
+      if (bumped < targets.length) {
+        throw new Error(`Updated ${bumped} of ${targets.length} workflows; see the list for failures`);
+      }
+      return bumped;
+    })();
+
+    showPromiseStatus(promise, {
+      error: (err) => err.message || 'Failed to update workflows',
+      loading: `Updating **${targets.length}** workflow${targets.length === 1 ? '' : 's'} to ${candidateVersion}…`,
+      success: (count) => `Updated ${count} workflow${count === 1 ? '' : 's'} to ${candidateVersion}`
+    });
+
+    promise
+      .catch(() => {})
+      .finally(() => {
+        if (mountedRef.current) setIsBumping(false);
+      });
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading versions...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Workflow Impact'
+        featureIcon={<IconWorkflow />}
+        subtext={`**${packageName}**${scan ? ` • ${workflows.length} of ${scan.scanned} workflows use it` : ''}`}
+        onClose={onBackToDefault}
+        actions={[
+          buildRefreshAction({ isRefreshing: isScanning || isAssessing, onRefresh: () => runScan() }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: currentContext?.domoObject?.id,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'codeEngineWorkflowImpact'
+          })
+        ]}
+      />
+      <Separator />
+
+      {versions.length > 0 && (
+        <div className='flex shrink-0 flex-col gap-1 px-1 pt-2'>
+          <Label className='text-xs text-muted'>Candidate version</Label>
+          <Select
+            aria-label='Candidate version'
+            isDisabled={isBusy}
+            selectionMode='single'
+            value={candidateVersion}
+            variant='secondary'
+            onChange={(key) => key && handleCandidateChange(String(key))}
+          >
+            <Select.Trigger className='h-8 items-center py-0'>
+              <Select.Value />
+              <Select.Indicator>
+                <IconChevronDown />
+              </Select.Indicator>
+            </Select.Trigger>
+            <Select.Popover>
+              <ListBox>
+                {versions.map((v) => (
+                  <ListBox.Item id={v.version} key={v.version} textValue={v.version}>
+                    <Label>
+                      {v.version}
+                      {v.released ? '' : ' (unreleased)'}
+                    </Label>
+                    <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
+                  </ListBox.Item>
+                ))}
+              </ListBox>
+            </Select.Popover>
+          </Select>
+        </div>
+      )}
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-2'>
+          {error ? (
+            <Alert className='w-full border border-border bg-transparent' status='danger'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Impact check failed
+                </Alert.Title>
+                <Alert.Description>{error}</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : versions.length === 0 ? (
+            <Alert className='w-full border border-border bg-transparent' status='warning'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  No versions
+                </Alert.Title>
+                <Alert.Description>This package has no versions to check.</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : isScanning ? (
+            <div className='flex flex-col items-center gap-2 py-6'>
+              <Spinner />
+              <p className='text-xs text-muted'>
+                {progress.total === null
+                  ? 'Finding workflows...'
+                  : `Reading workflows ${progress.done} of ${progress.total}...`}
+              </p>
+            </div>
+          ) : isAssessing && Object.keys(reports).length === 0 ? (
+            <div className='flex justify-center py-6'>
+              <Spinner />
+            </div>
+          ) : scan ? (
+            <>
+              {workflows.length === 0 && (
+                <p className='py-2 text-center text-xs text-muted'>No workflow you can see uses this package.</p>
+              )}
+
+              {SECTIONS.map((section) => {
+                const matching = workflows.filter((workflow) => reports[workflow.modelId]?.status === section.status);
+                if (matching.length === 0) return null;
+                return (
+                  <ImpactSection
+                    color={section.color}
+                    count={matching.length}
+                    defaultExpanded={section.status !== 'current'}
+                    description={section.description}
+                    key={section.status}
+                    title={section.title}
+                  >
+                    {matching.map((workflow) => (
+                      <WorkflowRow
+                        bumpResult={bumpResults[workflow.modelId]}
+                        candidateVersion={candidateVersion}
+                        key={workflow.modelId}
+                        report={reports[workflow.modelId]}
+                        workflow={workflow}
+                      />
+                    ))}
+                  </ImpactSection>
+                );
+              })}
+
+              <ScanErrors
+                errors={[
+                  ...scan.errors,
+                  ...workflows
+                    .filter((workflow) => reports[workflow.modelId]?.status === 'error')
+                    .map((workflow) => ({ ...workflow, error: reports[workflow.modelId].error }))
+                ]}
+              />
+            </>
+          ) : null}
+        </div>
+      </ScrollShadow>
+
+      {scan && workflows.some((workflow) => reports[workflow.modelId]?.status === 'safe') && (
+        <div className='flex shrink-0 flex-col gap-1 px-1 pt-2'>
+          {!isCandidateReleased && (
+            <p className='text-xs text-muted'>Release {candidateVersion} before bumping workflows to it.</p>
+          )}
+          <Button
+            fullWidth
+            isDisabled={!isCandidateReleased || isBusy || safeWorkflows.length === 0}
+            isPending={isBumping}
+            size='sm'
+            variant='primary'
+            onPress={handleBumpSafe}
+          >
+            {isBumping ? (
+              <Spinner color='currentColor' size='sm' />
+            ) : safeWorkflows.length === 0 ? (
+              'Safe workflows updated'
+            ) : (
+              `Bump ${safeWorkflows.length} safe workflow${safeWorkflows.length === 1 ? '' : 's'} to ${candidateVersion}`
+            )}
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// One line per change a tile would see, breaking ones first.
+function describeImpact(info) {
+  if (!info) return [];
+  if (info.functionDeleted) return ['Function no longer exists in this version'];
+  return [
+    ...info.removedBoundInputs.map((r) => `Bound input ${r.paramName} removed (was ${r.binding})`),
+    ...info.addedRequiredInputs.map((name) => `New required input ${name} has no value`),
+    ...info.breakingRemovedOutputs.map(
+      (o) => `Output ${o.paramName} removed, but ${o.variableName} is read by ${o.consumers.length} other tile(s)`
+    ),
+    ...info.typeChangeImpacts.map(
+      (t) => `${t.paramName} changes to ${t.newType}; ${t.variableName} is ${t.currentType ?? 'untyped'}`
+    ),
+    ...info.schemaChangeImpacts.map((t) => `Properties of ${t.paramName} change; ${t.variableName} needs updating`),
+    ...info.addedOutputs.map((name) => `New output ${name} gets its own variable`),
+    ...info.autoNotes
+  ];
+}
+
+function ImpactSection({ children, color, count, defaultExpanded, description, title }) {
+  return (
+    <Disclosure defaultExpanded={defaultExpanded}>
+      <Disclosure.Heading>
+        <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+          <span className='text-sm'>{title}</span>
+          <span className='flex items-center gap-1'>
+            <Chip color={color} size='sm' variant='soft'>
+              {count}
+            </Chip>
+            <Disclosure.Indicator />
+          </span>
+        </Button>
+      </Disclosure.Heading>
+      <Disclosure.Content>
+        <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1'>
+          <p className='text-xs text-muted'>{description}</p>
+          {children}
+        </Disclosure.Body>
+      </Disclosure.Content>
+    </Disclosure>
+  );
+}
+
+function ScanErrors({ errors }) {
+  if (errors.length === 0) return null;
+  return (
+    <Alert className='w-full border border-border bg-transparent' status='warning'>
+      <Alert.Content>
+        <Alert.Title className='flex items-center gap-1'>
+          <AlertStatusIcon />
+          {errors.length} workflow{errors.length === 1 ? '' : 's'} couldn't be checked
+        </Alert.Title>
+        <Alert.Description>
+          <ul className='flex flex-col gap-0.5'>
+            {errors.map((e) => (
+              <li key={e.modelId}>
+                {e.name}: {e.error}
+              </li>
+            ))}
+          </ul>
+        </Alert.Description>
+      </Alert.Content>
+    </Alert>
+  );
+}
+
+function WorkflowRow({ bumpResult, candidateVersion, report, workflow }) {
+  return (
+    <div className='flex flex-col gap-1 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex items-center justify-between gap-2'>
+        <span className='truncate font-semibold' title={workflow.name}>
+          {workflow.name}
+        </span>
+        <span className='shrink-0 text-muted'>v{workflow.version}</span>
+      </div>
+      {report.actions.map((action) => (
+        <div className='flex flex-col gap-0.5' key={action.elementId}>
+          <span className='truncate' title={action.actionName}>
+            {action.actionName}{' '}
+            <span className='text-muted'>
+              {action.impact === 'current' ? `on ${candidateVersion}` : `${action.currentVersion} → ${candidateVersion}`}
+            </span>
+          </span>
+          {describeImpact(action.info).map((note) => (
+            <span className='pl-2 text-muted' key={note}>
+              {note}
+            </span>
+          ))}
+        </div>
+      ))}
+      {bumpResult?.error && <span className='text-danger'>{bumpResult.error}</span>}
+      {bumpResult?.version && (
+        <span className='text-success'>
+          {bumpResult.createdVersion
+            ? `Updated in new version ${bumpResult.version}; release it to take effect`
+            : `Updated version ${bumpResult.version}`}
+        </span>
+      )}
+    </div>
+  );
+}
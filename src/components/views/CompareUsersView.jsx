@@ -0,0 +1,566 @@
+import { AlertDialog, Button, Card, Chip, Disclosure, ScrollShadow, Separator, Spinner } from '@heroui/react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+import { UserComboBox } from '@/components/UserComboBox';
+import { useParallelFetches } from '@/hooks/useParallelFetches';
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { ACCESS_SECTIONS, compareUserAccess, getMissingAccess, grantMissingAccess } from '@/services/compareUsers';
+import { countOwned, flattenOwned, TRANSFER_TYPES, TYPE_KEY_TO_LOG_TYPE } from '@/services/transferOwnership';
+import { getRoles, getUserDetails } from '@/services/users';
+import { isTypeFeatureEnabled } from '@/utils/featureSwitches';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconArrowsLeftRight from '@icons/arrows-left-right.svg?react';
+import IconExclamationTriangle from '@icons/exclamation-triangle.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+export function CompareUsersView({
+  instance = null,
+  isActive = true,
+  liveContext = null,
+  onBackToDefault = null,
+  onStatusUpdate = null
+}) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [launchContext, setLaunchContext] = useState(null);
+  const [leftUser, setLeftUser] = useState(null);
+  const [rightUser, setRightUser] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [compareError, setCompareError] = useState(null);
+  // The side receiving access while its confirm dialog is open ('left' | 'right').
+  const [grantTo, setGrantTo] = useState(null);
+  const [isGranting, setIsGranting] = useState(false);
+  // Role id -> name for the role row, which shows the id until these load.
+  const [roleNames, setRoleNames] = useState({});
+  const mountedRef = useRef(true);
+  // Latest comparison request; a slower response for a previous pick is dropped.
+  const compareRequestRef = useRef(0);
+  const { showStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'compareUsers') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context || context.domoObject?.typeId !== 'USER') {
+        onStatusUpdate?.('Error', 'Open a user profile to compare users', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      const metadata = context.domoObject.metadata;
+      setLaunchContext(context);
+      setLeftUser({
+        displayName: metadata?.displayName || metadata?.name || `User ${context.domoObject.id}`,
+        id: context.domoObject.id
+      });
+    } catch (error) {
+      console.error('[CompareUsersView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load context', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!leftUser || !rightUser?.id) return;
+    loadComparison();
+  }, [leftUser, rightUser?.id]);
+
+  useEffect(() => {
+    if (!launchContext) return;
+    getRoles(launchContext.tabId)
+      .then((roles) => {
+        if (mountedRef.current) setRoleNames(Object.fromEntries(roles.map((role) => [String(role.id), role.name])));
+      })
+      .catch((error) => console.error('[CompareUsersView] Error loading roles:', error));
+  }, [launchContext]);
+
+  const loadComparison = async () => {
+    const requestId = ++compareRequestRef.current;
+    setIsComparing(true);
+    setCompareError(null);
+    try {
+      const result = await compareUserAccess({
+        leftUserId: leftUser.id,
+        rightUserId: rightUser.id,
+        tabId: launchContext?.tabId
+      });
+      if (!mountedRef.current || requestId !== compareRequestRef.current) return;
+      setComparison(result);
+    } catch (error) {
+      console.error('[CompareUsersView] Error comparing users:', error);
+      if (mountedRef.current && requestId === compareRequestRef.current) {
+        setCompareError(error.message || 'Failed to compare users');
+      }
+    } finally {
+      if (mountedRef.current && requestId === compareRequestRef.current) setIsComparing(false);
+    }
+  };
+
+  const handleRightChange = async (key) => {
+    setComparison(null);
+    if (key == null) {
+      setRightUser(null);
+      return;
+    }
+    setRightUser({ active: true, displayName: '', id: key });
+    let details = null;
+    try {
+      details = await getUserDetails(key, launchContext?.tabId);
+    } catch (error) {
+      console.error('[CompareUsersView] Error loading user details:', error);
+      if (mountedRef.current) onStatusUpdate?.('Error', error.message || 'Failed to load user details', 'danger');
+    }
+    if (!mountedRef.current) return;
+    setRightUser({
+      active: details?.active !== false,
+      displayName: details?.displayName ?? `User ${key}`,
+      id: key
+    });
+  };
+
+  const isSelf = rightUser != null && String(rightUser.id) === String(leftUser?.id);
+  const canCompare = !!rightUser?.id && !isSelf;
+
+  // Same feature-switch filter OwnershipView applies, so a type the instance
+  // doesn't have never gets a fetch.
+  const ownedTypes = useMemo(
+    () => TRANSFER_TYPES.filter((t) => isTypeFeatureEnabled(TYPE_KEY_TO_LOG_TYPE[t.key], launchContext)),
+    [launchContext]
+  );
+
+  // One spec per type per side, keyed `left:<type>` / `right:<type>`. Deferred
+  // until a second user is picked; a new pick produces a new array, which the
+  // hook treats as a fresh run.
+  const ownedSpecs = useMemo(() => {
+    if (!leftUser || !canCompare) return [];
+    const tabId = launchContext?.tabId;
+    return ownedTypes.flatMap((t) => [
+      { fetch: () => t.getOwned(leftUser.id, tabId), key: `left:${t.key}`, label: t.label },
+      { fetch: () => t.getOwned(rightUser.id, tabId), key: `right:${t.key}`, label: t.label }
+    ]);
+  }, [leftUser, rightUser?.id, canCompare, launchContext, ownedTypes]);
+
+  const { isFullyLoaded, refresh: refreshOwned, results: ownedResults } = useParallelFetches(ownedSpecs);
+
+  // Rows where neither user owns anything are folded into a single count once
+  // both sides have loaded, so the list only shows where the two differ or overlap.
+  const { emptyOwnedCount, ownedRows } = useMemo(() => {
+    const rows = [];
+    let empty = 0;
+    for (const t of ownedTypes) {
+      const left = ownedResults[`left:${t.key}`];
+      const right = ownedResults[`right:${t.key}`];
+      if (!left || !right) continue;
+      const leftCount = countOwned(t.key, left.items);
+      const rightCount = countOwned(t.key, right.items);
+      if (left.status === 'loaded' && right.status === 'loaded' && leftCount === 0 && rightCount === 0) {
+        empty++;
+        continue;
+      }
+      rows.push({
+        key: t.key,
+        label: t.label,
+        left: { ...left, count: leftCount, names: flattenOwned(t.key, left.items).map(ownedName) },
+        right: { ...right, count: rightCount, names: flattenOwned(t.key, right.items).map(ownedName) }
+      });
+    }
+    return { emptyOwnedCount: empty, ownedRows: rows };
+  }, [ownedResults, ownedTypes]);
+
+  const missingCounts = useMemo(() => {
+    if (!comparison) return { left: 0, right: 0 };
+    const count = (to) => Object.values(getMissingAccess(comparison, to)).reduce((total, list) => total + list.length, 0);
+    return { left: count('left'), right: count('right') };
+  }, [comparison]);
+
+  const handleGrant = async () => {
+    const to = grantTo;
+    const receiver = comparison[to];
+    setIsGranting(true);
+    try {
+      const result = await grantMissingAccess({ comparison, tabId: launchContext?.tabId, to });
+      if (!mountedRef.current) return;
+      const { copied } = result;
+      const parts = [
+        copied.groups.length && `${copied.groups.length} group${copied.groups.length === 1 ? '' : 's'}`,
+        copied.cards && `${copied.cards} card${copied.cards === 1 ? '' : 's'}`,
+        copied.pages && `${copied.pages} page${copied.pages === 1 ? '' : 's'}`
+      ].filter(Boolean);
+      const granted = parts.length ? parts.join(', ') : 'nothing new';
+      const errors = [...result.errors, ...result.cardResults.errors, ...result.pageResults.errors];
+      if (result.success) {
+        showStatus('Access Granted', `Gave **${receiver.displayName}** ${granted}`, 'success');
+      } else {
+        showStatus(
+          'Access Partially Granted',
+          `Gave **${receiver.displayName}** ${granted}; ${errors.length} failed: ${errors[0]?.message ?? 'unknown error'}`,
+          'warning',
+          8000
+        );
+      }
+      setGrantTo(null);
+      loadComparison();
+    } catch (error) {
+      console.error('[CompareUsersView] Error granting access:', error);
+      if (mountedRef.current) showStatus('Grant Failed', error.message || 'Failed to grant access', 'danger');
+    } finally {
+      if (mountedRef.current) setIsGranting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const leftName = comparison?.left.displayName || leftUser?.displayName || 'User A';
+  const rightName = comparison?.right.displayName || rightUser?.displayName || 'User B';
+  const grantPreview = grantTo && comparison ? getMissingAccess(comparison, grantTo) : null;
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Compare Users'
+        featureIcon={<IconArrowsLeftRight />}
+        subtext={leftUser ? `**${leftUser.displayName}**` : undefined}
+        onClose={onBackToDefault}
+        actions={[
+          buildRefreshAction({
+            isRefreshing: isComparing || (canCompare && !isFullyLoaded),
+            onRefresh: () => {
+              if (!canCompare) return;
+              loadComparison();
+              refreshOwned();
+            }
+          }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: launchContext?.domoObject?.id,
+            objectType: launchContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'compareUsers'
+          })
+        ]}
+      />
+      <Separator />
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-1'>
+          <UserComboBox
+            isRequired
+            avatarBaseUrl={launchContext?.domoObject?.baseUrl}
+            label='Compare with'
+            selectedKey={rightUser?.id ?? null}
+            tabId={launchContext?.tabId}
+            onSelectionChange={handleRightChange}
+          />
+          {isSelf && <p className='text-xs text-danger'>Pick a different user to compare against.</p>}
+          {rightUser?.active === false && <p className='text-xs text-warning'>This user is deactivated.</p>}
+        </div>
+
+        {canCompare && (
+          <>
+            <Separator className='my-2' />
+            <div className='grid grid-cols-2 gap-2 pb-1 text-xs font-medium text-muted uppercase'>
+              <span className='truncate'>A: {leftName}</span>
+              <span className='truncate text-right'>B: {rightName}</span>
+            </div>
+
+            {isComparing && !comparison ? (
+              <div className='flex items-center justify-center gap-2 py-2'>
+                <Spinner size='sm' />
+                <span className='text-sm text-muted'>Comparing access...</span>
+              </div>
+            ) : compareError ? (
+              <div className='flex items-center gap-2 py-1'>
+                <IconExclamationTriangle className='shrink-0 text-danger' size={18} />
+                <span className='min-w-0 flex-1 text-sm text-danger'>{compareError}</span>
+              </div>
+            ) : comparison ? (
+              <div className='flex flex-col gap-1'>
+                <div className='text-xs font-medium text-muted uppercase'>Access</div>
+                <RoleRow left={comparison.left.roleId} names={roleNames} right={comparison.right.roleId} />
+                {ACCESS_SECTIONS.map((section) => (
+                  <AccessSectionRow
+                    diff={comparison.sections[section.key]}
+                    key={section.key}
+                    leftName={leftName}
+                    rightName={rightName}
+                    section={section}
+                  />
+                ))}
+              </div>
+            ) : null}
+
+            <Separator className='my-2' />
+            <div className='text-xs font-medium text-muted uppercase'>Owned objects</div>
+            {ownedRows.map((row) => (
+              <OwnedRow key={row.key} row={row} />
+            ))}
+            {isFullyLoaded && (
+              <p className='py-1 text-xs text-muted italic'>
+                {ownedRows.length === 0
+                  ? 'Neither user owns anything.'
+                  : emptyOwnedCount > 0
+                    ? `${emptyOwnedCount} other type${emptyOwnedCount === 1 ? '' : 's'} owned by neither user.`
+                    : null}
+              </p>
+            )}
+          </>
+        )}
+      </ScrollShadow>
+
+      {comparison && (
+        <>
+          <Separator />
+          <div className='flex shrink-0 flex-col gap-2 pt-2'>
+            <Button
+              fullWidth
+              className='whitespace-normal'
+              isDisabled={missingCounts.right === 0 || isGranting}
+              variant='secondary'
+              onPress={() => setGrantTo('right')}
+            >
+              Give {rightName} what {leftName} has ({missingCounts.right})
+            </Button>
+            <Button
+              fullWidth
+              className='whitespace-normal'
+              isDisabled={missingCounts.left === 0 || isGranting}
+              variant='secondary'
+              onPress={() => setGrantTo('left')}
+            >
+              Give {leftName} what {rightName} has ({missingCounts.left})
+            </Button>
+          </div>
+        </>
+      )}
+
+      <AlertDialog
+        isOpen={!!grantPreview && isActive}
+        onOpenChange={(open) => {
+          if (!open && !isGranting) setGrantTo(null);
+        }}
+      >
+        <AlertDialog.Backdrop>
+          <AlertDialog.Container className='p-1'>
+            <AlertDialog.Dialog className='p-2 pt-3'>
+              <div className='absolute top-0 left-0 h-1.25 w-full bg-accent' />
+              <AlertDialog.CloseTrigger className='absolute top-3 right-2' variant='ghost'>
+                <IconX />
+              </AlertDialog.CloseTrigger>
+              <AlertDialog.Header>
+                <AlertDialog.Heading>Grant Missing Access</AlertDialog.Heading>
+              </AlertDialog.Header>
+              <AlertDialog.Body>
+                {grantPreview && (
+                  <GrantSummary
+                    missing={grantPreview}
+                    receiver={grantTo === 'right' ? rightName : leftName}
+                    sender={grantTo === 'right' ? leftName : rightName}
+                  />
+                )}
+              </AlertDialog.Body>
+              <AlertDialog.Footer>
+                <Button size='sm' slot='close' variant='tertiary'>
+                  Cancel
+                </Button>
+                <Button isPending={isGranting} size='sm' variant='primary' onPress={handleGrant}>
+                  {isGranting ? <Spinner color='currentColor' size='sm' /> : 'Grant'}
+                </Button>
+              </AlertDialog.Footer>
+            </AlertDialog.Dialog>
+          </AlertDialog.Container>
+        </AlertDialog.Backdrop>
+      </AlertDialog>
+    </Card>
+  );
+}
+
+// One access category: counts per side in the heading, names in the body.
+function AccessSectionRow({ diff, leftName, rightName, section }) {
+  const { onlyLeft, onlyRight, shared } = diff;
+  const total = onlyLeft.length + onlyRight.length + shared.length;
+
+  if (total === 0) {
+    return (
+      <div className='flex items-center justify-between py-1'>
+        <span className='text-sm'>{section.label}</span>
+        <span className='shrink-0 text-xs text-muted'>None</span>
+      </div>
+    );
+  }
+
+  return (
+    <Disclosure>
+      <Disclosure.Heading>
+        <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+          <span className='text-sm'>{section.label}</span>
+          <span className='flex items-center gap-1'>
+            <Chip color={onlyLeft.length ? 'warning' : undefined} size='sm' variant='soft'>
+              A {onlyLeft.length}
+            </Chip>
+            <Chip size='sm' variant='soft'>
+              Both {shared.length}
+            </Chip>
+            <Chip color={onlyRight.length ? 'warning' : undefined} size='sm' variant='soft'>
+              B {onlyRight.length}
+            </Chip>
+            <Disclosure.Indicator />
+          </span>
+        </Button>
+      </Disclosure.Heading>
+      <Disclosure.Content>
+        <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1 pl-2'>
+          <NameList items={onlyLeft.map(section.nameOf)} title={`Only ${leftName}`} />
+          <NameList items={onlyRight.map(section.nameOf)} title={`Only ${rightName}`} />
+          <NameList items={shared.map(section.nameOf)} title='Both' />
+        </Disclosure.Body>
+      </Disclosure.Content>
+    </Disclosure>
+  );
+}
+
+function GrantSummary({ missing, receiver, sender }) {
+  const lines = ACCESS_SECTIONS.filter(({ key }) => missing[key].length > 0).map(
+    ({ key, label }) => `${label}: ${missing[key].length}`
+  );
+
+  return (
+    <div className='flex flex-col gap-2 text-sm'>
+      <span>
+        Give <span className='font-bold'>{receiver}</span> the access only <span className='font-bold'>{sender}</span> has?
+        Nothing is removed, and role and ownership are not changed.
+      </span>
+      <ul className='list-disc pl-4 text-xs'>
+        {lines.map((line) => (
+          <li key={line}>{line}</li>
+        ))}
+      </ul>
+      {missing.customApps.length > 0 && (
+        <span className='text-xs text-warning'>
+          App sharing is not yet implemented, so {missing.customApps.length} app
+          {missing.customApps.length === 1 ? '' : 's'} must be shared manually.
+        </span>
+      )}
+    </div>
+  );
+}
+
+function NameList({ items, title }) {
+  if (items.length === 0) return null;
+  return (
+    <div className='flex flex-col'>
+      <span className='text-xs font-medium'>
+        {title} ({items.length})
+      </span>
+      <ul className='list-none space-y-0.5'>
+        {items.slice(0, 20).map((item, i) => (
+          <li className='text-xs text-muted' key={i}>
+            {item}
+          </li>
+        ))}
+        {items.length > 20 && <li className='text-xs text-muted'>...and {items.length - 20} more</li>}
+      </ul>
+    </div>
+  );
+}
+
+// Count for one side of an owned-objects row: spinner while loading, an error
+// marker when the fetch failed.
+function OwnedCount({ side }) {
+  if (side.status === 'loading') return <Spinner size='sm' />;
+  if (side.status === 'error') {
+    return (
+      <span className='text-xs text-danger' title={side.error}>
+        Error
+      </span>
+    );
+  }
+  return <span className='text-xs text-muted'>{side.count}</span>;
+}
+
+function ownedName(item) {
+  const name = item.name || item.title || `ID ${item.id}`;
+  return item.subType ? `${item.subType}: ${name}` : name;
+}
+
+function OwnedRow({ row }) {
+  const { label, left, right } = row;
+  const heading = (
+    <>
+      <span className='text-sm'>{label}</span>
+      <span className='flex items-center gap-3'>
+        <OwnedCount side={left} />
+        <span className='text-xs text-muted'>/</span>
+        <OwnedCount side={right} />
+      </span>
+    </>
+  );
+
+  if (left.count + right.count === 0) {
+    return <div className='flex items-center justify-between py-1'>{heading}</div>;
+  }
+
+  return (
+    <Disclosure>
+      <Disclosure.Heading>
+        <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+          {heading}
+        </Button>
+      </Disclosure.Heading>
+      <Disclosure.Content>
+        <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1 pl-2'>
+          <NameList items={left.names} title='A owns' />
+          <NameList items={right.names} title='B owns' />
+        </Disclosure.Body>
+      </Disclosure.Content>
+    </Disclosure>
+  );
+}
+
+function RoleRow({ left, names, right }) {
+  const format = (roleId) => (roleId == null ? 'Unknown' : names[String(roleId)] || `Role ID ${roleId}`);
+  const isSame = left != null && String(left) === String(right);
+
+  return (
+    <div className='flex items-center justify-between gap-2 py-1'>
+      <span className='text-sm'>Role</span>
+      <span className='flex items-center gap-1 text-xs text-muted'>
+        {isSame ? (
+          format(left)
+        ) : (
+          <>
+            {format(left)} / {format(right)}
+            <Chip color='warning' size='sm' variant='soft'>
+              Differs
+            </Chip>
+          </>
+        )}
+      </span>
+    </div>
+  );
+}
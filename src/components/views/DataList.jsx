@@ -4,6 +4,7 @@ import {
   Card,
   Checkbox,
   CheckboxGroup,
+  Chip,
   Disclosure,
   DisclosureGroup,
   Dropdown,
@@ -94,6 +95,7 @@ import { ViewHeader } from './ViewHeader';
  * @param {Function} [props.onSelectionChange] - `(newSelectedIds: Set<string>) => void` callback fired when the selection set changes. Required when `selectionMode` is true. Receives the full new Set after any add/remove from the wrapping `CheckboxGroup`'s `onChange`.
  * @param {Function} [props.isSelectable] - `(item) => boolean` filter. When `selectionMode` is true, only items returning true get a checkbox-wrapped label; others get an empty 16px placeholder to preserve column alignment. Defaults to `() => true`.
  * @param {Function} [props.getItemLock] - `(item) => { locked: boolean, tooltip: string } | null`. When it returns `locked`, the item's checkbox renders read-only (kept checked, can't be unchecked) and muted, wrapped in a tooltip showing `tooltip`. Uses `aria-disabled` rather than `isDisabled` so the tooltip still fires and the row's label link stays clickable. The consumer must also keep the id in `selectedIds` (e.g. re-add it in `onSelectionChange`) so the lock holds. Applies to both leaf rows and parent (group-header) rows; a locked parent gets the same read-only + muted checkbox while its disclosure toggle stays interactive.
+ * @param {Function} [props.getItemBadge] - `(item) => { color: 'accent'|'danger'|'success'|'warning', label: string, tooltip?: string } | null`. Selection-mode-only per-row status chip rendered right after the row's label (e.g. a bulk delete's "Deleted" / "Failed" result per item), with `tooltip` as its native `title`. Return null for rows with nothing to report.
  * @param {React.ReactNode} [props.selectionToolbar] - Selection-mode-only content rendered as a third header row directly under the action buttons. Use for "Select all"/"Deselect all" or other bulk-selection controls. Ignored when `selectionMode` is false.
  * @param {Boolean} [props.fillHeight] - When true, the root Card fills its parent's available height (`h-full`) instead of being content-sized (`max-h-fit`), so the items list scrolls internally and the footer stays pinned at the bottom. Requires a parent that provides a constrained height (a flex/grid column). Default false preserves content-sizing.
  * @param {React.ReactNode} [props.footer] - Content rendered inside the Card below the items list, separated from the scroll area by a `<Separator>`. Use for a primary action that should sit pinned beneath the list (e.g. a full-width "Transfer ownership to…" button in selection mode). Consumers decide visibility; pass `null`/`false` to omit.
@@ -115,6 +117,7 @@ export function DataList({
   featureIcon,
   fillHeight = false,
   footer,
+  getItemBadge,
   getItemLock,
   headerActions = [],
   isRefreshing = false,
@@ -528,6 +531,7 @@ export function DataList({
                       allowsMultipleExpanded={allowsMultipleExpanded}
                       defaultExpandedIds={defaultExpandedIds}
                       expandedIds={expandedIds}
+                      getItemBadge={getItemBadge}
                       getItemLock={getItemLock}
                       isSelectable={isSelectable}
                       item={item}
@@ -576,6 +580,7 @@ export function DataList({
                       allowsMultipleExpanded={allowsMultipleExpanded}
                       defaultExpandedIds={defaultExpandedIds}
                       expandedIds={expandedIds}
+                      getItemBadge={getItemBadge}
                       getItemLock={getItemLock}
                       isSelectable={isSelectable}
                       item={item}
@@ -754,6 +759,11 @@ function arePropsEqualForRow(prev, next) {
   const nextLock = next.getItemLock?.(next.item) || null;
   if ((prevLock?.locked ?? false) !== (nextLock?.locked ?? false)) return false;
   if ((prevLock?.tooltip ?? '') !== (nextLock?.tooltip ?? '')) return false;
+  const prevBadge = prev.getItemBadge?.(prev.item) || null;
+  const nextBadge = next.getItemBadge?.(next.item) || null;
+  if ((prevBadge?.label ?? '') !== (nextBadge?.label ?? '')) return false;
+  if ((prevBadge?.color ?? '') !== (nextBadge?.color ?? '')) return false;
+  if ((prevBadge?.tooltip ?? '') !== (nextBadge?.tooltip ?? '')) return false;
   // Parent rows must re-render when any DESCENDANT's selection or expansion
   // changes: a descendant's selection drives this row's indeterminate visual,
   // and a descendant Disclosure needs the fresh `expandedIds` reference to
@@ -792,6 +802,7 @@ function DataListItemImpl({
   defaultExpandedIds,
   depth = 0,
   expandedIds,
+  getItemBadge,
   getItemLock,
   isSelectable,
   item,
@@ -864,6 +875,12 @@ function DataListItemImpl({
   // read-only + muted and wrapped in a tooltip; the consumer keeps it selected.
   const itemLock = isItemSelectableInMode && typeof getItemLock === 'function' ? getItemLock(item) : null;
   const isLocked = Boolean(itemLock?.locked);
+  const badge = selectionMode && typeof getItemBadge === 'function' ? getItemBadge(item) : null;
+  const itemBadge = badge && (
+    <Chip className='shrink-0' color={badge.color} size='sm' title={badge.tooltip} variant='soft'>
+      {badge.label}
+    </Chip>
+  );
 
   // Visual indentation per nesting level so children read as descendants
   // rather than as siblings of their parent. Scoped to selection mode on
@@ -1370,6 +1387,7 @@ function DataListItemImpl({
           )}
           <div className='flex w-full min-w-0 flex-1 basis-4/5 items-center gap-2'>
             {itemLabel}
+            {itemBadge}
             {flatCount}
           </div>
           {statusIndicator ?? (selectionMode ? null : actions)}
@@ -1383,6 +1401,7 @@ function DataListItemImpl({
     defaultExpandedIds,
     depth: depth + 1,
     expandedIds,
+    getItemBadge,
     getItemLock,
     isSelectable,
     item: child,
@@ -1507,6 +1526,7 @@ function DataListItemImpl({
               // selects.
               <div className='flex w-full min-w-0 flex-1 basis-4/5 items-center gap-2'>
                 {itemLabel}
+                {itemBadge}
                 <Disclosure.Trigger
                   aria-label='Toggle'
                   className='flex flex-1 flex-row items-center gap-2 self-stretch'
@@ -1540,6 +1560,7 @@ function DataListItemImpl({
                 variant='tertiary'
               >
                 {itemLabel}
+                {itemBadge}
                 {statusIndicator
                   ? statusIndicator
                   : showCounts &&
@@ -1,4 +1,4 @@
-import { AlertDialog, Button, Card, Spinner, Tooltip } from '@heroui/react';
+import { AlertDialog, Button, Card, Checkbox, Spinner, Tooltip } from '@heroui/react';
 import { useEffect, useRef, useState } from 'react';
 
 import { Alert } from '@/components/Alert';
@@ -8,12 +8,13 @@ import { DomoContext } from '@/models/DomoContext';
 import { DomoObject } from '@/models/DomoObject';
 import { deleteApprovalTemplate } from '@/services/approvals';
 import { deleteAppAndAllContent } from '@/services/customApps';
-import { deleteDataflowAndOutputs } from '@/services/dataflows';
 import { deleteDataset } from '@/services/datasets';
-import { deleteObject } from '@/services/deleteObject';
+import { deleteObject, isDeletableType } from '@/services/deleteObject';
 import { getDependenciesForDelete } from '@/services/dependencies';
 import { deletePageAndAllCards } from '@/services/pages';
+import { isRecyclableType, snapshotForRecycleBin } from '@/services/recycleBin';
 import { parseMarkdownBold } from '@/utils/markdown';
+import { removeRecycleBinEntry } from '@/utils/recycleBin';
 import { collectShareableObjects } from '@/utils/rowActions';
 import { getSidepanelData } from '@/utils/sidepanel';
 import IconTrash from '@icons/trash.svg?react';
@@ -26,21 +27,35 @@ import { DataList } from './DataList';
  * Per-type delete behavior. Each entry declares the user-facing typeName, the
  * confirmation copy, the success/loading toast templates, and the actual
  * `run()` function. Optional `cascadeButtons` add secondary delete actions
- * (e.g. "Delete app and all cards" for a `DATA_APP_VIEW` page).
+ * (e.g. "Delete app and all cards" for a `DATA_APP_VIEW` page). Separately,
+ * any dependency group marked `cascadable` can be ticked to delete its items
+ * before the object itself (see `runSelectedCascade`).
  */
 const deletersByType = {
+  ALERT: {
+    confirmSuffix: '',
+    primaryLabel: 'Delete Alert',
+    run: runHandlerDelete,
+    typeName: 'Alert'
+  },
   APP: {
     confirmSuffix: '',
     primaryLabel: 'Delete App',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'App'
   },
   BEAST_MODE_FORMULA: {
     confirmSuffix: '',
     primaryLabel: 'Delete Beast Mode',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'Beast Mode Formula'
   },
+  CARD: {
+    confirmSuffix: '',
+    primaryLabel: 'Delete Card',
+    run: runHandlerDelete,
+    typeName: 'Card'
+  },
   DATA_APP_VIEW: {
     cascadeButtons: [
       {
@@ -82,35 +97,31 @@ const deletersByType = {
     run: ({ context }) => runPageDelete({ context, parentAppId: context.domoObject.parentId }),
     typeName: 'Page'
   },
+  DATA_SOURCE: {
+    confirmSuffix: ' and the cards built on it',
+    primaryLabel: 'Delete DataSet',
+    run: runHandlerDelete,
+    typeName: 'DataSet'
+  },
   DATAFLOW_TYPE: {
     confirmSuffix: ({ outputCount }) =>
       outputCount > 0 ? ` and ${outputCount} output dataset${outputCount !== 1 ? 's' : ''}` : '',
     primaryLabel: ({ outputCount }) => (outputCount > 0 ? 'Delete DataFlow and All Outputs' : 'Delete DataFlow'),
-    run: async ({ context }) => {
-      const outputs = context.domoObject.metadata?.details?.outputs || [];
-      const result = await deleteDataflowAndOutputs({
-        dataflowId: context.domoObject.id,
-        outputs,
-        tabId: context.tabId
-      });
-      if (!result.success) {
-        if (result.datasetsFailed > 0) {
-          throw new Error(
-            `Failed to delete ${result.datasetsFailed} of ${result.datasetsFailed + result.datasetsDeleted} output dataset${result.datasetsFailed + result.datasetsDeleted !== 1 ? 's' : ''}. Dataflow was not deleted.`
-          );
-        }
-        throw new Error(`Output datasets deleted, but dataflow deletion failed (HTTP ${result.statusCode}).`);
-      }
-      return result;
-    },
+    run: runHandlerDelete,
     successMessage: ({ name, outputCount }) =>
       `**${name}** and ${outputCount} output dataset${outputCount !== 1 ? 's' : ''} deleted`,
     typeName: 'DataFlow'
   },
+  GROUP: {
+    confirmSuffix: '',
+    primaryLabel: 'Delete Group',
+    run: runHandlerDelete,
+    typeName: 'Group'
+  },
   MAGNUM_COLLECTION: {
     confirmSuffix: '',
     primaryLabel: 'Delete Collection',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'Collection'
   },
   PAGE: {
@@ -122,7 +133,7 @@ const deletersByType = {
   REPORT_SCHEDULE: {
     confirmSuffix: '',
     primaryLabel: 'Delete Scheduled Report',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'Scheduled Report'
   },
   TEMPLATE: {
@@ -157,26 +168,20 @@ const deletersByType = {
     ],
     confirmSuffix: '',
     primaryLabel: 'Delete Template',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'Template'
   },
   VARIABLE: {
     confirmSuffix: '',
     primaryLabel: 'Delete Variable',
-    run: ({ context }) => deleteObject({ object: context.domoObject, tabId: context.tabId }),
+    run: runHandlerDelete,
     typeName: 'Variable'
   },
   WORKFLOW_MODEL: {
     confirmSuffix: '',
     primaryLabel: 'Delete Workflow',
     run: async ({ context }) => {
-      const result = await deleteObject({
-        object: context.domoObject,
-        tabId: context.tabId
-      });
-      if (result.statusType !== 'success') {
-        throw new Error(result.statusDescription || 'Delete failed');
-      }
+      const result = await runHandlerDelete({ context });
       const origin = `https://${context.instance}.domo.com`;
       chrome.tabs.update(context.tabId, { url: `${origin}/workflows` });
       return result;
@@ -209,6 +214,7 @@ export function DeleteObjectView({
   const [isDeleting, setIsDeleting] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [pendingAction, setPendingAction] = useState(null);
+  const [cascadeSelection, setCascadeSelection] = useState(() => new Set());
   const mountedRef = useRef(true);
   const { showPromiseStatus } = useStatusBar();
 
@@ -256,7 +262,19 @@ export function DeleteObjectView({
         object: context.domoObject,
         tabId: context.tabId
       });
-      if (mountedRef.current) setDeps(result);
+      if (mountedRef.current) {
+        setDeps(result);
+        // Groups are matched by label, so a refresh keeps ticks on groups that
+        // are still there.
+        setCascadeSelection(
+          (prev) =>
+            new Set(
+              getCascadableGroups(result)
+                .map((g) => g.label)
+                .filter((label) => prev.has(label))
+            )
+        );
+      }
     } catch (error) {
       console.error('[DeleteObjectView] Error loading dependencies:', error);
       if (mountedRef.current) {
@@ -286,9 +304,41 @@ export function DeleteObjectView({
     const cascade = isCascade ? action.cascade : null;
     const cascadeCtx = isCascade ? cascade.buildContext({ context: currentContext, deps }) : null;
 
+    const selectedGroups = isCascade ? [] : getCascadableGroups(deps).filter((g) => cascadeSelection.has(g.label));
+    // Only the object itself is snapshotted; cascaded dependencies aren't.
+    const isRecyclable = !isCascade && isRecyclableType(currentContext.domoObject.typeId);
+    let cascadeResult = null;
+
     const promise = isCascade
       ? Promise.resolve().then(() => cascade.run({ context: currentContext, deps }))
-      : Promise.resolve().then(() => config.run({ context: currentContext }));
+      : Promise.resolve().then(async () => {
+          let recycleEntry = null;
+          if (isRecyclable) {
+            try {
+              recycleEntry = await snapshotForRecycleBin({
+                instance: currentContext.instance,
+                object: currentContext.domoObject,
+                tabId: currentContext.tabId
+              });
+            } catch (err) {
+              throw new Error(`Could not save ${objectName} to the recycle bin, so it was not deleted: ${err.message}`, {
+                cause: err
+              });
+            }
+          }
+          cascadeResult = await runSelectedCascade({ context: currentContext, groups: selectedGroups });
+          try {
+            return await config.run({ context: currentContext });
+          } catch (err) {
+            // The object is still there, so its snapshot would only be a duplicate.
+            if (recycleEntry) await removeRecycleBinEntry(recycleEntry.id).catch(() => {});
+            if (cascadeResult.deleted === 0) throw err;
+            throw new Error(
+              `${cascadeResult.deleted} dependenc${cascadeResult.deleted === 1 ? 'y was' : 'ies were'} deleted, but ${objectName} was not: ${err.message}`,
+              { cause: err }
+            );
+          }
+        });
 
     showPromiseStatus(promise, {
       error: (err) => err.message || `Failed to delete ${config.typeName.toLowerCase()}`,
@@ -299,13 +349,14 @@ export function DeleteObjectView({
         if (isCascade) {
           return cascade.successMessage(cascadeCtx, result);
         }
-        if (config.successMessage) {
-          return config.successMessage({
-            name: objectName,
-            outputCount: currentContext.domoObject.metadata?.details?.outputs?.length || 0
-          });
-        }
-        return result?.statusDescription || `**${objectName}** deleted`;
+        const message = config.successMessage
+          ? config.successMessage({
+              name: objectName,
+              outputCount: currentContext.domoObject.metadata?.details?.outputs?.length || 0
+            })
+          : result?.statusDescription || `**${objectName}** deleted`;
+        const withCascade = cascadeResult?.attempted ? `${message}${describeCascadeResult(cascadeResult)}` : message;
+        return isRecyclable ? `${withCascade}. A copy is in the recycle bin` : withCascade;
       }
     });
 
@@ -346,6 +397,15 @@ export function DeleteObjectView({
     typeof config.primaryLabel === 'function' ? config.primaryLabel({ outputCount }) : config.primaryLabel;
 
   const availableCascades = (config.cascadeButtons || []).filter((c) => c.available({ context: currentContext, deps }));
+  const cascadableGroups = getCascadableGroups(deps);
+  const selectedCascadeGroups = cascadableGroups.filter((g) => cascadeSelection.has(g.label));
+  const toggleCascadeGroup = (label, isSelected) =>
+    setCascadeSelection((prev) => {
+      const next = new Set(prev);
+      if (isSelected) next.add(label);
+      else next.delete(label);
+      return next;
+    });
 
   // "Will also be deleted" and "Other dependencies" each become a top-level virtual
   // parent group, so the whole view is one DataList: its header carries the
@@ -414,6 +474,29 @@ export function DeleteObjectView({
         })}
         footer={
           <div className='flex flex-col gap-2'>
+            {cascadableGroups.length > 0 && (
+              <div className='flex flex-col gap-1'>
+                <span className='text-xs text-muted'>Also delete</span>
+                {cascadableGroups.map((group) => (
+                  <Checkbox
+                    isDisabled={isDeleting || isBlocked}
+                    isSelected={cascadeSelection.has(group.label)}
+                    key={group.label}
+                    variant='secondary'
+                    onChange={(checked) => toggleCascadeGroup(group.label, checked)}
+                  >
+                    <Checkbox.Content>
+                      <Checkbox.Control>
+                        <Checkbox.Indicator />
+                      </Checkbox.Control>
+                      <span className='text-sm'>
+                        {group.label} ({group.items.length})
+                      </span>
+                    </Checkbox.Content>
+                  </Checkbox>
+                ))}
+              </div>
+            )}
             {availableCascades.map((cascade, idx) => {
               const ctx = cascade.buildContext({ context: currentContext, deps });
               const cascadeLabel = cascade.label(ctx);
@@ -489,11 +572,25 @@ export function DeleteObjectView({
                       <span className='italic'> {resolveSuffix(config, currentContext)}</span>
                     ) : null}{' '}
                     permanently?
-                    {deletedCount > 0 && (
+                    {isRecyclableType(domoObject.typeId) && (
                       <div className='mt-2 text-xs text-muted'>
-                        {deletedCount} dependenc{deletedCount === 1 ? 'y' : 'ies'} shown will be deleted with it.
+                        Its full definition is saved to the recycle bin first, so it can be recreated (with a new ID) from
+                        the Recycle Bin view.
                       </div>
                     )}
+                    {selectedCascadeGroups.length > 0 ? (
+                      <DeleteSummary
+                        deletedGroups={deletedGroups}
+                        objectName={objectName}
+                        selectedGroups={selectedCascadeGroups}
+                      />
+                    ) : (
+                      deletedCount > 0 && (
+                        <div className='mt-2 text-xs text-muted'>
+                          {deletedCount} dependenc{deletedCount === 1 ? 'y' : 'ies'} shown will be deleted with it.
+                        </div>
+                      )
+                    )}
                   </>
                 )}
               </AlertDialog.Body>
@@ -556,10 +653,61 @@ function buildDependencyItems(groups, idPrefix, baseUrl) {
   });
 }
 
+// The final summary in the confirmation once the user has ticked dependency
+// groups to cascade over: everything that goes, in the order it's deleted.
+function DeleteSummary({ deletedGroups, objectName, selectedGroups }) {
+  const selectedCount = selectedGroups.reduce((n, g) => n + g.items.length, 0);
+  return (
+    <div className='mt-2 flex flex-col gap-1 text-xs'>
+      <span className='text-muted'>This deletes, in order:</span>
+      <ul className='list-disc pl-4'>
+        {selectedGroups.map((group) => (
+          <li key={group.label}>
+            {group.label} ({group.items.length})
+          </li>
+        ))}
+        <li>
+          <span className='font-bold'>{objectName}</span>
+          {deletedGroups.length > 0 &&
+            `, with ${deletedGroups.map((g) => `${g.label.toLowerCase()} (${g.items.length})`).join(', ')}`}
+        </li>
+      </ul>
+      <span className='text-muted'>
+        {selectedCount} selected dependenc{selectedCount === 1 ? 'y' : 'ies'} are deleted first. If any fail, the rest still
+        go ahead.
+      </span>
+    </div>
+  );
+}
+
+function describeCascadeResult({ attempted, deleted, failed }) {
+  const noun = `dependenc${attempted === 1 ? 'y' : 'ies'}`;
+  return failed.length === 0
+    ? `, along with ${deleted} ${noun}`
+    : `, along with ${deleted} of ${attempted} ${noun} (${failed.length} failed: ${failed
+        .slice(0, 3)
+        .map((f) => f.label)
+        .join(', ')}${failed.length > 3 ? '…' : ''})`;
+}
+
 function findRelatedDataset(deps) {
   return deps?.groups?.find((g) => g.key === 'relatedDataset') || null;
 }
 
+// Dependency groups the user may opt into deleting along with the object:
+// flagged by the fetcher, not blocking, and every item a type deleteObject
+// handles.
+function getCascadableGroups(deps) {
+  return (deps?.groups || []).filter(
+    (g) =>
+      g.cascadable &&
+      !g.deleted &&
+      !g.blocking &&
+      g.items.length > 0 &&
+      g.items.every((item) => isDeletableType(item.typeId))
+  );
+}
+
 // The dependency-check status shown above the affected-objects list: a loading
 // spinner, an error with retry, a "not supported" or "none found" notice, or a
 // blocking warning when something prevents the delete. Returns null once a
@@ -641,6 +789,16 @@ function resolveSuffix(config, context) {
   return config.confirmSuffix || '';
 }
 
+// Delete the launched object through deleteObject's handler map, throwing on
+// failure so the toast shows the error.
+async function runHandlerDelete({ context }) {
+  const result = await deleteObject({ object: context.domoObject, tabId: context.tabId });
+  if (!result.success) {
+    throw new Error(result.statusDescription || 'Delete failed');
+  }
+  return result;
+}
+
 async function runPageDelete({ context, parentAppId = null }) {
   const result = await deletePageAndAllCards({
     appId: parentAppId ? parseInt(parentAppId) : null,
@@ -656,6 +814,23 @@ async function runPageDelete({ context, parentAppId = null }) {
   return result;
 }
 
+// Delete the items of the ticked dependency groups one at a time, before the
+// object itself. A failed item is recorded and skipped, not fatal.
+async function runSelectedCascade({ context, groups }) {
+  const items = groups.flatMap((g) => g.items);
+  const failed = [];
+  let deleted = 0;
+  for (const item of items) {
+    const result = await deleteObject({
+      object: new DomoObject(item.typeId, item.id, context.domoObject.baseUrl),
+      tabId: context.tabId
+    });
+    if (result.success) deleted++;
+    else failed.push({ error: result.statusDescription, label: item.label });
+  }
+  return { attempted: items.length, deleted, failed };
+}
+
 async function runTemplateAndDatasetDelete({ context, datasetId }) {
   await deleteApprovalTemplate({ tabId: context.tabId, templateId: context.domoObject.id });
   try {
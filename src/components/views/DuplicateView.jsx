@@ -18,12 +18,25 @@ import { UserComboBox } from '@/components/UserComboBox';
 import { useStatusBar } from '@/hooks/useStatusBar';
 import { DataListItem } from '@/models/DataListItem';
 import { DomoContext } from '@/models/DomoContext';
-import { addAccessToExistingUser, duplicateUser, fetchDuplicationPreview } from '@/services/duplicate';
+import {
+  addAccessToExistingUser,
+  duplicateCard,
+  duplicateGroup,
+  duplicatePage,
+  duplicateUser,
+  duplicateWorkflow,
+  fetchCardDuplicationPreview,
+  fetchDuplicationPreview,
+  fetchGroupDuplicationPreview,
+  fetchPageDuplicationPreview,
+  fetchWorkflowDuplicationPreview
+} from '@/services/duplicate';
 import { getUserDetails } from '@/services/users';
 import { exportToExcel, generateExportFilename } from '@/utils/exportData';
 import { buildReloadAction } from '@/utils/headerActions';
 import { getSidepanelData } from '@/utils/sidepanel';
 import IconCheck from '@icons/check.svg?react';
+import IconDuplicate from '@icons/duplicate.svg?react';
 import IconExclamationTriangle from '@icons/exclamation-triangle.svg?react';
 import IconPersonPlus from '@icons/person-plus.svg?react';
 import IconSync from '@icons/sync.svg?react';
@@ -51,18 +64,99 @@ const LOG_COLUMNS = [
 
 /**
  * Registry of duplicatable object types. Add an entry here to support a new
- * typeId. Each entry defines the form fields, the preview fetcher, how to
- * render the preview, and the step-by-step status rows. USER currently calls
- * `duplicateUser` directly from `handleSubmit` so it can close over selection
- * state; the `run` field is reserved for future declarative types.
+ * typeId. Each entry defines the form fields, the preview fetcher, and the
+ * step-by-step status rows. USER calls `duplicateUser` /
+ * `addAccessToExistingUser` directly from `handleSubmit` so it can close over
+ * its selection and mode state; the other types are declarative: `run` starts
+ * the flow, `initialValues` seeds the form from the preview and `summary`
+ * lists what will be copied.
  */
 const duplicatorsByType = {
+  CARD: {
+    fetchPreview: ({ source, tabId }) => fetchCardDuplicationPreview({ cardId: source.id, name: source.name, tabId }),
+    fields: [
+      { key: 'newTitle', label: 'Card Title', required: true },
+      {
+        key: 'pageId',
+        label: 'Add to Page ID',
+        pattern: /^\d+$/,
+        required: true,
+        suggestions: (preview) => preview.pages.map((p) => ({ id: String(p.id), label: p.title }))
+      }
+    ],
+    icon: <IconDuplicate />,
+    initialValues: (preview, context) => ({
+      newTitle: `${preview.source.name} (copy)`,
+      pageId: String(context.domoObject?.parentId ?? preview.pages[0]?.id ?? '')
+    }),
+    run: ({ onStepProgress, preview, tabId, values }) =>
+      duplicateCard({
+        newTitle: values.newTitle,
+        onStepProgress,
+        pageId: values.pageId,
+        sourceCardId: preview.source.id,
+        tabId
+      }),
+    steps: [
+      { key: 'readDefinition', label: 'Read card definition' },
+      { key: 'createCard', label: 'Create card' }
+    ],
+    summary: () => [
+      { items: ['Same dataset, chart and card-level Beast Modes'], label: 'Definition' },
+      { emptyText: 'Not copied', items: [], label: 'Shares, alerts and subscriptions' }
+    ],
+    title: 'Duplicate Card'
+  },
+  GROUP: {
+    fetchPreview: ({ source, tabId }) => fetchGroupDuplicationPreview({ groupId: source.id, tabId }),
+    fields: [{ key: 'newName', label: 'Group Name', required: true }],
+    icon: <IconDuplicate />,
+    initialValues: (preview) => ({ newName: `${preview.source.name} (copy)` }),
+    run: ({ onStepProgress, preview, tabId, values }) =>
+      duplicateGroup({ newName: values.newName, onStepProgress, preview, tabId }),
+    steps: [
+      { key: 'createGroup', label: 'Create new group' },
+      { key: 'addMembers', label: 'Add members' },
+      { key: 'shareCards', label: 'Share cards shared with the group' },
+      { key: 'sharePages', label: 'Share pages shared with the group' }
+    ],
+    summary: (preview) => [
+      {
+        emptyText: ['dynamic', 'system'].includes(preview.source.type) ? 'Rule-managed, not copied' : 'None',
+        items: preview.members.map((m) => m.name),
+        label: 'Members'
+      },
+      { items: preview.cards.map((c) => c.name), label: 'Shared cards' },
+      { items: preview.pages.map((p) => p.title), label: 'Shared pages' }
+    ],
+    title: 'Duplicate Group'
+  },
+  PAGE: {
+    fetchPreview: ({ source, tabId }) => fetchPageDuplicationPreview({ name: source.name, pageId: source.id, tabId }),
+    fields: [{ key: 'newTitle', label: 'Page Title', required: true }],
+    icon: <IconDuplicate />,
+    initialValues: (preview) => ({ newTitle: `${preview.source.name} (copy)` }),
+    run: ({ onStepProgress, preview, tabId, values }) =>
+      duplicatePage({ newTitle: values.newTitle, onStepProgress, preview, tabId }),
+    steps: [
+      { key: 'createPage', label: 'Create new page' },
+      { key: 'copyCards', label: 'Copy cards' },
+      { key: 'copyLayout', label: 'Copy layout' }
+    ],
+    summary: (preview) => [
+      { items: preview.cards.map((c) => c.title), label: 'Cards copied' },
+      { emptyText: 'None', items: preview.skipped.map((c) => c.title), label: 'Not copyable (apps, documents)' },
+      { emptyText: 'None', items: preview.layout ? ['Positions, headers and text'] : [], label: 'Layout' }
+    ],
+    title: 'Duplicate Page'
+  },
   USER: {
-    fetchPreview: ({ sourceUserId, tabId }) => fetchDuplicationPreview({ sourceUserId, tabId }),
+    fetchPreview: ({ source, tabId }) => fetchDuplicationPreview({ sourceUserId: source.id, tabId }),
     fields: [
       { key: 'newDisplayName', label: 'Full Name', required: true },
       { key: 'newEmail', label: 'Email', required: true, type: 'email' }
     ],
+    icon: <IconPersonPlus />,
     steps: [
       { key: 'createUser', label: 'Create new user' },
       { key: 'copyProfile', label: 'Copy profile fields' },
@@ -73,6 +167,31 @@ const duplicatorsByType = {
       { key: 'shareApps', label: 'Share individually-shared apps' }
     ],
     title: 'Duplicate User'
+  },
+  WORKFLOW_MODEL: {
+    fetchPreview: ({ source, tabId }) => fetchWorkflowDuplicationPreview({ modelId: source.id, tabId }),
+    fields: [{ key: 'newName', label: 'Workflow Name', required: true }],
+    icon: <IconDuplicate />,
+    initialValues: (preview) => ({ newName: `${preview.source.name} (copy)` }),
+    run: ({ onStepProgress, preview, tabId, values }) =>
+      duplicateWorkflow({ newName: values.newName, onStepProgress, preview, tabId }),
+    steps: [
+      { key: 'readDefinition', label: 'Read latest version' },
+      { key: 'createModel', label: 'Create new workflow' },
+      { key: 'createVersion', label: 'Create version' },
+      { key: 'copyDefinition', label: 'Copy definition' }
+    ],
+    summary: (preview) => [
+      {
+        emptyText: 'No versions',
+        items: preview.version
+          ? [`${preview.version.version}${preview.version.active ? ' (active)' : ''}, created inactive`]
+          : [],
+        label: 'Latest version'
+      },
+      { emptyText: 'Not copied', items: [], label: 'Triggers and permissions' }
+    ],
+    title: 'Duplicate Workflow'
   }
 };
 
@@ -83,7 +202,7 @@ const buildInitialValues = (fields) => Object.fromEntries(fields.map((f) => [f.k
 export function DuplicateView({ instance = null, liveContext = null, onBackToDefault = null, onStatusUpdate = null }) {
   const [isLoading, setIsLoading] = useState(true);
   const [currentContext, setCurrentContext] = useState(null);
-  const [sourceUser, setSourceUser] = useState(null);
+  const [source, setSource] = useState(null);
   const [config, setConfig] = useState(null);
   const [values, setValues] = useState({});
   const [preview, setPreview] = useState(null);
@@ -130,9 +249,10 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
       setConfig(typeConfig);
       setValues(buildInitialValues(typeConfig.fields));
       setStepStates(buildInitialStepStates(typeConfig.steps));
-      const userId = context.domoObject?.id;
-      const userName = context.domoObject?.metadata?.name || context.domoObject?.metadata?.displayName || `User ${userId}`;
-      if (userId) setSourceUser({ id: userId, name: userName });
+      const sourceId = context.domoObject?.id;
+      const metadata = context.domoObject?.metadata;
+      const sourceName = metadata?.name || metadata?.displayName || metadata?.title || `${typeId} ${sourceId}`;
+      if (sourceId) setSource({ id: sourceId, name: sourceName });
     } catch (error) {
       console.error('[DuplicateView] Error loading data:', error);
       onStatusUpdate?.('Error', error.message || 'Failed to load context', 'danger');
@@ -142,9 +262,9 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
   };
 
   useEffect(() => {
-    if (!config || !sourceUser || !currentContext) return;
+    if (!config || !source || !currentContext) return;
     loadPreview();
-  }, [config, sourceUser, currentContext]);
+  }, [config, source, currentContext]);
 
   const loadPreview = async () => {
     if (!mountedRef.current) return;
@@ -152,10 +272,12 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
     setPreviewError(null);
     try {
       const data = await config.fetchPreview({
-        sourceUserId: sourceUser.id,
+        source,
         tabId: currentContext.tabId
       });
-      if (mountedRef.current) setPreview(data);
+      if (!mountedRef.current) return;
+      setPreview(data);
+      if (config.initialValues) setValues((prev) => ({ ...prev, ...config.initialValues(data, currentContext) }));
     } catch (error) {
       console.error('[DuplicateView] Error loading preview:', error);
       if (mountedRef.current) setPreviewError(error.message || 'Failed to load preview');
@@ -168,7 +290,7 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
   // namespaced (`card:123`) so the single DataList selection Set never collides a
   // card id with a page id, and the parent id (`cards`) drives the group checkbox.
   const { allLeafIds, groupLeafMap, items } = useMemo(() => {
-    if (!preview) return { allLeafIds: [], groupLeafMap: {}, items: [] };
+    if (!preview || config?.run) return { allLeafIds: [], groupLeafMap: {}, items: [] };
     const groups = [
       { idField: 'groupId', idPrefix: 'group', label: 'Group memberships', list: preview.groups, nameField: 'groupName', parentId: 'groups', typeId: 'GROUP' },
       { idField: 'id', idPrefix: 'card', label: 'Individually-shared cards', list: preview.cards, nameField: 'name', parentId: 'cards', typeId: 'CARD' },
@@ -201,7 +323,7 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
       );
     }
     return { allLeafIds: leaves, groupLeafMap: map, items: built };
-  }, [preview]);
+  }, [config, preview]);
 
   // Default every shared item to selected once the preview loads.
   useEffect(() => {
@@ -215,7 +337,7 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
 
   const fieldValidity = (field) => {
     const trimmed = (values[field.key] ?? '').trim();
-    return { ok: !field.required || !!trimmed };
+    return { ok: (!field.required || !!trimmed) && (!field.pattern || !trimmed || field.pattern.test(trimmed)) };
   };
 
   // "existing" mode runs only the additive-grant steps; "create" runs all of them.
@@ -224,14 +346,14 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
     return mode === 'existing' ? config.steps.filter((s) => GRANT_STEP_KEYS.has(s.key)) : config.steps;
   }, [config, mode]);
 
-  const isSelf = !!targetUser?.id && !!sourceUser?.id && String(targetUser.id) === String(sourceUser.id);
+  const isSelf = !!targetUser?.id && !!source?.id && String(targetUser.id) === String(source.id);
   const targetValid = !!targetUser?.id && !isSelf && targetUser.active !== false;
 
   const canSubmit =
     !!config &&
     !!preview &&
     !isSubmitting &&
-    (mode === 'existing' ? targetValid : config.fields.every((f) => fieldValidity(f).ok));
+    (mode === 'existing' && !config.run ? targetValid : config.fields.every((f) => fieldValidity(f).ok));
   const hasStarted = Object.values(stepStates).some((s) => s.status !== 'idle');
 
   const handleModeChange = (keys) => {
@@ -277,20 +399,54 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
     setSelectedIds(next);
   };
 
+  const onStepProgress = (stepKey, status, res) => {
+    if (!mountedRef.current) return;
+    setStepStates((prev) => ({
+      ...prev,
+      [stepKey]: { result: res, status }
+    }));
+  };
+
+  // Declarative types: one `run` call, reported through the same step rows.
+  const handleRun = async () => {
+    setIsSubmitting(true);
+    setCompletedResult(null);
+    setStepStates(buildInitialStepStates(config.steps));
+    const trimmedValues = Object.fromEntries(Object.entries(values).map(([key, v]) => [key, String(v ?? '').trim()]));
+    try {
+      const result = await config.run({ onStepProgress, preview, tabId: currentContext.tabId, values: trimmedValues });
+      if (!mountedRef.current) return;
+      setCompletedResult(result);
+      const noun = config.title.replace(/^Duplicate /, '').toLowerCase();
+      if (result.success) {
+        showStatus('Duplication Complete', `Created **${result.created.name}** (ID: ${result.created.id})`, 'success', 6000);
+      } else if (result.created) {
+        showStatus(
+          'Duplicated with Warnings',
+          `Created **${result.created.name}** (ID: ${result.created.id}), but ${result.errors.map((e) => e.message).join('; ')}`,
+          'warning',
+          8000
+        );
+      } else {
+        showStatus('Duplication Failed', result.errors[0]?.message || `Unable to create the ${noun}`, 'danger', 5000);
+      }
+    } catch (error) {
+      showStatus('Duplication Failed', error.message || 'An error occurred', 'danger', 5000);
+    } finally {
+      if (mountedRef.current) setIsSubmitting(false);
+    }
+  };
+
   const handleSubmit = async () => {
-    if (!canSubmit || !sourceUser) return;
+    if (!canSubmit || !source) return;
+    if (config.run) {
+      await handleRun();
+      return;
+    }
     setIsSubmitting(true);
     setCompletedResult(null);
     setStepStates(buildInitialStepStates(activeSteps));
 
-    const onStepProgress = (stepKey, status, res) => {
-      if (!mountedRef.current) return;
-      setStepStates((prev) => ({
-        ...prev,
-        [stepKey]: { result: res, status }
-      }));
-    };
-
     try {
       const selectedGroups = preview.groups.filter((g) => selectedIds.has(`group:${g.groupId}`));
       const selectedCards = preview.cards
@@ -324,14 +480,14 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
               onStepProgress,
               pages: selectedPages,
               profileFields: preview.profileFields,
-              sourceUserId: sourceUser.id,
+              sourceUserId: source.id,
               tabId: currentContext.tabId
             });
 
       if (!mountedRef.current) return;
       setCompletedResult(result);
 
-      await downloadAuditLog({ result, sourceUser });
+      await downloadAuditLog({ result, sourceUser: source });
 
       const sharedCardCount = result.cardResults.attempted.length - result.cardResults.errors.length;
       const sharedPageCount = result.pageResults.attempted.length - result.pageResults.errors.length;
@@ -403,8 +559,8 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
       <ViewHeader
         beta
         feature={mode === 'existing' ? 'Add to Existing User' : config?.title || 'Duplicate'}
-        featureIcon={<IconPersonPlus />}
-        subtext={sourceUser ? `from ${sourceUser.name}` : undefined}
+        featureIcon={config?.icon ?? <IconPersonPlus />}
+        subtext={source ? `from ${source.name}` : undefined}
         onClose={onBackToDefault}
         actions={[
           buildReloadAction({
@@ -420,42 +576,53 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
 
       <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
         <div className='flex flex-col gap-2'>
-          <ToggleButtonGroup
-            disallowEmptySelection
-            aria-label='Duplication mode'
-            className='w-full'
-            isDisabled={isSubmitting}
-            selectedKeys={new Set([mode])}
-            selectionMode='single'
-            size='sm'
-            onSelectionChange={handleModeChange}
-          >
-            <ToggleButton className='flex-1' id='create'>
-              New user
-            </ToggleButton>
-            <ToggleButton className='flex-1' id='existing'>
-              Existing user
-            </ToggleButton>
-          </ToggleButtonGroup>
+          {!config?.run && (
+            <ToggleButtonGroup
+              disallowEmptySelection
+              aria-label='Duplication mode'
+              className='w-full'
+              isDisabled={isSubmitting}
+              selectedKeys={new Set([mode])}
+              selectionMode='single'
+              size='sm'
+              onSelectionChange={handleModeChange}
+            >
+              <ToggleButton className='flex-1' id='create'>
+                New user
+              </ToggleButton>
+              <ToggleButton className='flex-1' id='existing'>
+                Existing user
+              </ToggleButton>
+            </ToggleButtonGroup>
+          )}
 
           {mode === 'create' ? (
             config?.fields.map((field) => (
-              <TextField
-                id={`duplicate-${field.key}`}
-                isRequired={field.required}
-                key={field.key}
-                name={field.key}
-                type={field?.type}
-                variant='secondary'
-              >
-                <Label>{field.label}</Label>
-                <Input
-                  className='h-8'
-                  value={values[field.key] ?? ''}
-                  onChange={(e) => setValue(field.key, e.target.value)}
-                />
-                <FieldError className='text-xs text-danger'>Invalid {field.label.toLowerCase()}</FieldError>
-              </TextField>
+              <div className='flex flex-col gap-1' key={field.key}>
+                <TextField
+                  id={`duplicate-${field.key}`}
+                  isInvalid={!!values[field.key] && !fieldValidity(field).ok}
+                  isRequired={field.required}
+                  name={field.key}
+                  type={field?.type}
+                  variant='secondary'
+                >
+                  <Label>{field.label}</Label>
+                  <Input
+                    className='h-8'
+                    value={values[field.key] ?? ''}
+                    onChange={(e) => setValue(field.key, e.target.value)}
+                  />
+                  <FieldError className='text-xs text-danger'>Invalid {field.label.toLowerCase()}</FieldError>
+                </TextField>
+                {field.suggestions && preview && (
+                  <FieldSuggestions
+                    suggestions={field.suggestions(preview)}
+                    value={values[field.key]}
+                    onSelect={(id) => setValue(field.key, id)}
+                  />
+                )}
+              </div>
             ))
           ) : (
             <div className='flex flex-col gap-1'>
@@ -489,6 +656,13 @@ export function DuplicateView({ instance = null, liveContext = null, onBackToDef
               Retry
             </Button>
           </div>
+        ) : preview && config?.summary ? (
+          <div className='flex flex-col gap-1'>
+            <div className='text-xs font-medium text-muted uppercase'>Copied</div>
+            {config.summary(preview).map((row) => (
+              <AggregateRow emptyText={row.emptyText} items={row.items} key={row.label} label={row.label} />
+            ))}
+          </div>
         ) : preview ? (
           <div className='flex flex-col gap-1'>
             {mode === 'create' && (
@@ -762,6 +936,28 @@ function buildDuplicationLogRows({ result, sourceUser }) {
   return rows;
 }
 
+// Quick picks under a field, e.g. the pages a card is already on.
+function FieldSuggestions({ onSelect, suggestions, value }) {
+  if (suggestions.length === 0) return null;
+  return (
+    <div className='flex flex-wrap items-center gap-1 text-xs text-muted'>
+      <span>On:</span>
+      {suggestions.map((s) => (
+        <Button
+          className='h-6 px-2 text-xs'
+          isDisabled={s.id === value}
+          key={s.id}
+          size='sm'
+          variant='tertiary'
+          onPress={() => onSelect(s.id)}
+        >
+          {s.label}
+        </Button>
+      ))}
+    </div>
+  );
+}
+
 function formatStepDetail(stepKey, result) {
   if (!result) return null;
   if (stepKey === 'copyLocale') return result.locale || null;
@@ -769,7 +965,8 @@ function formatStepDetail(stepKey, result) {
   if (typeof result.count === 'number') {
     return result.count > 0 ? String(result.count) : 'None';
   }
-  if (stepKey === 'createUser' && result.id) return `#${result.id}`;
+  if (stepKey === 'createVersion' && result.version) return result.version;
+  if (stepKey.startsWith('create') && result.id) return `#${result.id}`;
   return null;
 }
 
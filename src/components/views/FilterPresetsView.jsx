@@ -0,0 +1,487 @@
+import {
+  Button,
+  Card,
+  Chip,
+  Input,
+  Label,
+  ListBox,
+  ScrollShadow,
+  Select,
+  Separator,
+  Spinner,
+  TextArea,
+  TextField,
+  Tooltip
+} from '@heroui/react';
+import { useEffect, useRef, useState } from 'react';
+
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { buildPfilterUrl, getAllFilters, PFILTER_OPERANDS } from '@/services/filters';
+import { exportToJson, generateExportFilename } from '@/utils/exportData';
+import {
+  deleteFilterPreset,
+  getFilterPresets,
+  parseFilterPresetsFile,
+  saveFilterPreset,
+  serializeFilterPresets,
+  updateFilterPreset
+} from '@/utils/filterPresets';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconClipboardCopy from '@icons/clipboard-copy.svg?react';
+import IconDownload from '@icons/download.svg?react';
+import IconFunnel from '@icons/funnel.svg?react';
+import IconPencil from '@icons/pencil.svg?react';
+import IconSync from '@icons/sync.svg?react';
+import IconTrash from '@icons/trash.svg?react';
+import IconUpload from '@icons/upload.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+/**
+ * Save the page's current filters as named presets, reapply them by
+ * navigating to their pfilter URL, and hand-edit filter values before copying
+ * a link. The editor always holds a draft: the live filters on launch, or a
+ * preset picked for editing.
+ */
+export function FilterPresetsView({ instance = null, liveContext = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [presets, setPresets] = useState([]);
+  // { filters: [{ column, operand, valuesText, numeric, ...rest }], name, presetId }
+  const [draft, setDraft] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const mountedRef = useRef(true);
+  const { showStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'filterPresets') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.domoObject?.id) {
+        onStatusUpdate?.('Error', 'No context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+      await Promise.all([loadPresets(context), captureFilters(context)]);
+    } catch (error) {
+      console.error('[FilterPresetsView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load context', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const loadPresets = async (context = currentContext) => {
+    const stored = await getFilterPresets(context.instance, context.domoObject.id);
+    if (mountedRef.current) setPresets(stored);
+  };
+
+  const captureFilters = async (context = currentContext) => {
+    setIsCapturing(true);
+    try {
+      const { allFilters } = await getAllFilters({ pageId: context.domoObject.id, tabId: context.tabId });
+      if (mountedRef.current) setDraft({ filters: allFilters.map(toDraftFilter), name: '', presetId: null });
+    } catch (error) {
+      console.error('[FilterPresetsView] Error capturing filters:', error);
+      showStatus('Error', error.message || 'Failed to detect filters', 'danger');
+    } finally {
+      if (mountedRef.current) setIsCapturing(false);
+    }
+  };
+
+  const baseUrl = currentContext?.domoObject?.url || currentContext?.url;
+  const pageName = currentContext?.domoObject?.metadata?.name || `Page ${currentContext?.domoObject?.id}`;
+  const draftFilters = draft ? draft.filters.map(fromDraftFilter).filter((filter) => filter.values.length > 0) : [];
+  const editingPreset = presets.find((preset) => preset.id === draft?.presetId);
+
+  const updateDraftFilter = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      filters: prev.filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter))
+    }));
+  };
+
+  const removeDraftFilter = (index) => {
+    setDraft((prev) => ({ ...prev, filters: prev.filters.filter((_, i) => i !== index) }));
+  };
+
+  const applyFilters = (filters, label) => {
+    chrome.tabs.update(currentContext.tabId, { url: buildPfilterUrl(baseUrl, currentContext.domoObject.id, filters) });
+    showStatus(
+      'Applying Filters',
+      `Reloading this tab with ${label ? `**${label}**` : `${filters.length} filter${filters.length === 1 ? '' : 's'}`}`,
+      'success',
+      3000
+    );
+  };
+
+  const copyLink = async (filters, label) => {
+    try {
+      await navigator.clipboard.writeText(buildPfilterUrl(baseUrl, currentContext.domoObject.id, filters));
+      showStatus(
+        'Copied',
+        `Filtered URL${label ? ` for **${label}**` : ''} copied with ${filters.length} filter${filters.length === 1 ? '' : 's'}`,
+        'success',
+        3000
+      );
+    } catch (error) {
+      showStatus('Error', error.message || 'Failed to copy URL', 'danger');
+    }
+  };
+
+  const handleSave = async () => {
+    const name = draft.name.trim();
+    setIsSaving(true);
+    try {
+      if (editingPreset) {
+        await updateFilterPreset(editingPreset.id, { filters: draftFilters, name: name || editingPreset.name });
+        showStatus('Preset Updated', `**${name || editingPreset.name}** saved`, 'success', 3000);
+      } else {
+        const preset = await saveFilterPreset({
+          filters: draftFilters,
+          instance: currentContext.instance,
+          name,
+          objectId: currentContext.domoObject.id,
+          typeId: currentContext.domoObject.typeId
+        });
+        if (mountedRef.current) setDraft((prev) => ({ ...prev, presetId: preset.id }));
+        showStatus('Preset Saved', `**${name}** saved for this page`, 'success', 3000);
+      }
+      await loadPresets();
+    } catch (error) {
+      showStatus('Error', error.message || 'Failed to save preset', 'danger');
+    } finally {
+      if (mountedRef.current) setIsSaving(false);
+    }
+  };
+
+  const handleEdit = (preset) => {
+    setDraft({ filters: preset.filters.map(toDraftFilter), name: preset.name, presetId: preset.id });
+  };
+
+  const handleDelete = async (preset) => {
+    await deleteFilterPreset(preset.id);
+    if (draft?.presetId === preset.id) setDraft((prev) => ({ ...prev, presetId: null }));
+    showStatus('Preset Deleted', `**${preset.name}** removed`, 'success', 3000);
+    await loadPresets();
+  };
+
+  const handleExport = () => {
+    exportToJson(
+      serializeFilterPresets(presets, {
+        instance: currentContext.instance,
+        objectId: currentContext.domoObject.id,
+        pageName
+      }),
+      generateExportFilename(`filter-presets-${currentContext.domoObject.id}`)
+    );
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { presets: imported, source } = parseFilterPresetsFile(await file.text());
+      if (imported.length === 0) throw new Error('The file has no presets with usable filters');
+      for (const preset of imported) {
+        await saveFilterPreset({
+          filters: preset.filters,
+          instance: currentContext.instance,
+          name: preset.name,
+          objectId: currentContext.domoObject.id,
+          typeId: currentContext.domoObject.typeId
+        });
+      }
+      const fromElsewhere =
+        source &&
+        (source.instance !== currentContext.instance || String(source.objectId) !== String(currentContext.domoObject.id));
+      showStatus(
+        'Presets Imported',
+        `Added **${imported.length}** preset${imported.length === 1 ? '' : 's'} to this page${
+          fromElsewhere ? ` (exported from ${source.pageName || `page ${source.objectId}`})` : ''
+        }`,
+        'success',
+        4000
+      );
+      await loadPresets();
+    } catch (error) {
+      showStatus('Import Failed', error.message || 'Failed to read presets file', 'danger');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const canSave = draftFilters.length > 0 && (editingPreset || draft?.name.trim());
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        feature='Filter Presets'
+        featureIcon={<IconFunnel />}
+        subtext={`**${pageName}** • ${presets.length} preset${presets.length === 1 ? '' : 's'}`}
+        onClose={onBackToDefault}
+        actions={[
+          {
+            ariaLabel: 'Import presets',
+            icon: <IconUpload />,
+            key: 'import',
+            onPress: () => fileInputRef.current?.click(),
+            tooltip: 'Import presets from JSON'
+          },
+          {
+            ariaLabel: 'Export presets',
+            disabledReason: presets.length === 0 ? 'No presets to export' : null,
+            icon: <IconDownload />,
+            key: 'export',
+            onPress: handleExport,
+            tooltip: 'Export presets as JSON'
+          },
+          buildRefreshAction({ isRefreshing: isCapturing, onRefresh: () => captureFilters() }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: currentContext?.domoObject?.id,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'filterPresets'
+          })
+        ]}
+      />
+      <Separator />
+      <input accept='.json,application/json' className='hidden' ref={fileInputRef} type='file' onChange={handleImportFile} />
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-2'>
+          <div className='flex items-center justify-between gap-2'>
+            <span className='text-xs font-medium text-muted uppercase'>
+              {editingPreset ? `Editing ${editingPreset.name}` : 'Current filters'}
+            </span>
+            {editingPreset && (
+              <Button size='sm' variant='ghost' onPress={() => captureFilters()}>
+                <IconSync />
+                Back to current filters
+              </Button>
+            )}
+          </div>
+
+          {isCapturing ? (
+            <div className='flex items-center justify-center gap-2 py-2'>
+              <Spinner size='sm' />
+              <span className='text-sm text-muted'>Detecting filters...</span>
+            </div>
+          ) : draft?.filters.length ? (
+            draft.filters.map((filter, index) => (
+              <FilterEditor
+                filter={filter}
+                key={`${filter.column}-${index}`}
+                onChange={(changes) => updateDraftFilter(index, changes)}
+                onRemove={() => removeDraftFilter(index)}
+              />
+            ))
+          ) : (
+            <p className='text-sm text-muted'>No filters are active on this page.</p>
+          )}
+
+          <TextField name='presetName' variant='secondary'>
+            <Label>{editingPreset ? 'Preset name' : 'Save as preset'}</Label>
+            <Input
+              className='h-8'
+              placeholder={editingPreset?.name ?? 'Preset name'}
+              value={draft?.name ?? ''}
+              onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+            />
+          </TextField>
+          <div className='flex flex-wrap gap-2'>
+            <Button isDisabled={!canSave} isPending={isSaving} size='sm' variant='primary' onPress={handleSave}>
+              {editingPreset ? 'Save changes' : 'Save preset'}
+            </Button>
+            <Button
+              isDisabled={draftFilters.length === 0}
+              size='sm'
+              variant='secondary'
+              onPress={() => copyLink(draftFilters)}
+            >
+              <IconClipboardCopy />
+              Copy link
+            </Button>
+            <Button
+              isDisabled={draftFilters.length === 0}
+              size='sm'
+              variant='tertiary'
+              onPress={() => applyFilters(draftFilters)}
+            >
+              Apply here
+            </Button>
+          </div>
+        </div>
+
+        <Separator className='my-3' />
+
+        <div className='flex flex-col gap-1.5'>
+          <span className='text-xs font-medium text-muted uppercase'>Saved presets</span>
+          {presets.length === 0 ? (
+            <p className='text-sm text-muted'>No presets saved for this page yet.</p>
+          ) : (
+            presets.map((preset) => (
+              <PresetRow
+                isEditing={preset.id === draft?.presetId}
+                key={preset.id}
+                preset={preset}
+                onApply={() => applyFilters(preset.filters, preset.name)}
+                onCopy={() => copyLink(preset.filters, preset.name)}
+                onDelete={() => handleDelete(preset)}
+                onEdit={() => handleEdit(preset)}
+              />
+            ))
+          )}
+        </div>
+      </ScrollShadow>
+    </Card>
+  );
+}
+
+function FilterEditor({ filter, onChange, onRemove }) {
+  const operands = PFILTER_OPERANDS.includes(filter.operand) ? PFILTER_OPERANDS : [filter.operand, ...PFILTER_OPERANDS];
+
+  return (
+    <div className='flex flex-col gap-1 rounded-lg border border-border p-2'>
+      <div className='flex items-center gap-2'>
+        <span className='min-w-0 flex-1 truncate text-sm font-semibold' title={filter.column}>
+          {filter.column}
+        </span>
+        <Select
+          aria-label={`Operand for ${filter.column}`}
+          className='w-44'
+          selectionMode='single'
+          value={filter.operand}
+          variant='secondary'
+          onChange={(key) => onChange({ operand: key })}
+        >
+          <Select.Trigger className='items-center py-0'>
+            <Select.Value />
+            <Select.Indicator>
+              <IconChevronDown />
+            </Select.Indicator>
+          </Select.Trigger>
+          <Select.Popover className='max-h-60!'>
+            <ListBox>
+              {operands.map((operand) => (
+                <ListBox.Item id={operand} key={operand} textValue={operand}>
+                  <Label>{operand}</Label>
+                  <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
+                </ListBox.Item>
+              ))}
+            </ListBox>
+          </Select.Popover>
+        </Select>
+        <Tooltip>
+          <Button isIconOnly aria-label={`Remove ${filter.column}`} size='sm' variant='ghost' onPress={onRemove}>
+            <IconX />
+          </Button>
+          <Tooltip.Content>Remove filter</Tooltip.Content>
+        </Tooltip>
+      </div>
+      <TextArea
+        aria-label={`Values for ${filter.column}`}
+        resize='vertical'
+        rows={Math.min(4, Math.max(1, filter.valuesText.split('\n').length))}
+        value={filter.valuesText}
+        variant='secondary'
+        onChange={(e) => onChange({ valuesText: e.target.value })}
+      />
+      <span className='text-xs text-muted'>One value per line</span>
+    </div>
+  );
+}
+
+// Draft filters hold values as editable text; `numeric` remembers whether the
+// captured values were numbers so edited numbers round-trip as numbers.
+function fromDraftFilter({ numeric, valuesText, ...filter }) {
+  const values = valuesText
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => (numeric && line !== '' && !Number.isNaN(Number(line)) ? Number(line) : line));
+  return { ...filter, values };
+}
+
+function PresetRow({ isEditing, onApply, onCopy, onDelete, onEdit, preset }) {
+  const columns = preset.filters.map((filter) => filter.column);
+
+  return (
+    <div className='flex items-center gap-2 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex min-w-0 flex-1 flex-col gap-0.5'>
+        <div className='flex min-w-0 items-center gap-1.5'>
+          <span className='truncate font-semibold'>{preset.name}</span>
+          {isEditing && (
+            <Chip color='accent' size='sm' variant='soft'>
+              Editing
+            </Chip>
+          )}
+        </div>
+        <span className='truncate text-muted' title={columns.join(', ')}>
+          {preset.filters.length} filter{preset.filters.length === 1 ? '' : 's'}: {columns.join(', ')}
+        </span>
+      </div>
+      <Button size='sm' variant='secondary' onPress={onApply}>
+        Apply
+      </Button>
+      <Tooltip>
+        <Button isIconOnly aria-label='Copy link' size='sm' variant='ghost' onPress={onCopy}>
+          <IconClipboardCopy />
+        </Button>
+        <Tooltip.Content>Copy filtered URL</Tooltip.Content>
+      </Tooltip>
+      <Tooltip>
+        <Button isIconOnly aria-label='Edit' size='sm' variant='ghost' onPress={onEdit}>
+          <IconPencil />
+        </Button>
+        <Tooltip.Content>Edit values</Tooltip.Content>
+      </Tooltip>
+      <Tooltip>
+        <Button isIconOnly aria-label='Delete' size='sm' variant='ghost' onPress={onDelete}>
+          <IconTrash />
+        </Button>
+        <Tooltip.Content>Delete preset</Tooltip.Content>
+      </Tooltip>
+    </div>
+  );
+}
+
+function toDraftFilter({ values, ...filter }) {
+  const list = Array.isArray(values) ? values : [];
+  return {
+    ...filter,
+    numeric: list.length > 0 && list.every((value) => typeof value === 'number'),
+    valuesText: list.map(String).join('\n')
+  };
+}
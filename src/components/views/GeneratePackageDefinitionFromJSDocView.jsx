@@ -12,6 +12,7 @@ import {
   setCodeEngineEditorSource
 } from '@/services/codeEngine';
 import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { generateJSDocFromManifest } from '@/utils/jsdocToPackage/manifestToJSDoc';
 import {
   computeStructuralDiff,
   findCurrentVersionInfo,
@@ -25,6 +26,7 @@ import { getSidepanelData } from '@/utils/sidepanel';
 import IconCheckCircle from '@icons/check-circle.svg?react';
 import IconChevronDown from '@icons/chevron-down.svg?react';
 import IconCircle from '@icons/circle.svg?react';
+import IconCode from '@icons/code.svg?react';
 import IconMagic from '@icons/magic.svg?react';
 import IconPlusCircle from '@icons/plus-circle.svg?react';
 import IconSync from '@icons/sync.svg?react';
@@ -41,6 +43,7 @@ export function GeneratePackageDefinitionFromJSDocView({
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isWritingJSDoc, setIsWritingJSDoc] = useState(false);
   const [currentContext, setCurrentContext] = useState(null);
   const [packageDef, setPackageDef] = useState(null);
   const [baseVersionDef, setBaseVersionDef] = useState(null);
@@ -182,6 +185,21 @@ export function GeneratePackageDefinitionFromJSDocView({
     }
   }, [sourceRead, packageDef, baseVersion]);
 
+  // Packages defined in the Code Engine UI have a curated manifest but no JSDoc,
+  // and syncing them as-is would throw that metadata away. Offer to write JSDoc
+  // for those functions into the editor first. Only for live editor source:
+  // that's where the blocks are written.
+  const jsdocStubs = useMemo(() => {
+    if (sourceRead?.source !== 'editor' || !baseVersion?.functions?.length) return null;
+    try {
+      return generateJSDocFromManifest(sourceRead.code, baseVersion.functions, sourceRead.editorStartIndices);
+    } catch (err) {
+      console.error('[GeneratePackageDefinitionFromJSDocView] JSDoc generation error:', err);
+      return null;
+    }
+  }, [sourceRead, baseVersion]);
+  const hasJSDocStubs = (jsdocStubs?.inserted.length || 0) > 0;
+
   const errorWarnings = parsed?.warnings?.filter((w) => w.severity === 'error') || [];
   // The live editor tree gives us both the module.exports function list and each
   // function's editorStartIndex. It's null when the tree couldn't be read and
@@ -205,16 +223,16 @@ export function GeneratePackageDefinitionFromJSDocView({
       : null;
 
   // If parsing completes and there's literally nothing to sync (no added,
-  // updated, or JSDoc-rewrite changes) we bail straight back to the default
-  // view with a warning toast. Opening a full diff card just to say "27
+  // updated, JSDoc-rewrite or JSDoc-stub changes) we bail straight back to the
+  // default view with a warning toast. Opening a full diff card just to say "27
   // unchanged" wastes the user's click. Skip when errors are present so the
   // user can still see what's wrong.
   useEffect(() => {
     if (bailedRef.current) return;
-    if (isLoading || isRefreshing || isSubmitting) return;
+    if (isLoading || isRefreshing || isSubmitting || isWritingJSDoc) return;
     if (!parsed || parsed.error) return;
     if (cannotSync) return;
-    const nothingToDo = newFunctionCount === 0 && updatedFunctionCount === 0 && !hasJSDocRewrites;
+    const nothingToDo = newFunctionCount === 0 && updatedFunctionCount === 0 && !hasJSDocRewrites && !hasJSDocStubs;
     if (!nothingToDo) return;
     bailedRef.current = true;
     onStatusUpdate?.(
@@ -229,9 +247,11 @@ export function GeneratePackageDefinitionFromJSDocView({
   }, [
     cannotSync,
     hasJSDocRewrites,
+    hasJSDocStubs,
     isLoading,
     isRefreshing,
     isSubmitting,
+    isWritingJSDoc,
     newFunctionCount,
     onBackToDefault,
     onStatusUpdate,
@@ -295,6 +315,33 @@ export function GeneratePackageDefinitionFromJSDocView({
       });
   };
 
+  const handleWriteJSDoc = async () => {
+    if (!hasJSDocStubs) return;
+    setIsWritingJSDoc(true);
+
+    const promise = (async () => {
+      const writeResult = await setCodeEngineEditorSource({ code: jsdocStubs.code, tabId: currentContext.tabId });
+      if (!writeResult.ok) throw new Error(writeResult.reason || 'Could not write to the editor');
+      return jsdocStubs.inserted.length;
+    })();
+
+    showPromiseStatus(promise, {
+      error: (err) => err?.message || 'Failed to write JSDoc',
+      loading: 'Writing JSDoc into the editor…',
+      success: (count) => `Wrote JSDoc for **${count}** function${count === 1 ? '' : 's'}, review it in the editor`
+    });
+
+    try {
+      await promise;
+      // Re-read the editor so the diff reflects the new JSDoc.
+      await handleRefresh();
+    } catch (err) {
+      console.error('[GeneratePackageDefinitionFromJSDocView] JSDoc write failed:', err);
+    } finally {
+      if (mountedRef.current) setIsWritingJSDoc(false);
+    }
+  };
+
   // Synchronous render-path version of the bail predicate. The effect above
   // fires *after* render commits, which is too late to prevent a one-frame
   // flash of the diff view between "load finished" and "navigate away." By
@@ -304,12 +351,14 @@ export function GeneratePackageDefinitionFromJSDocView({
     !isLoading &&
     !isRefreshing &&
     !isSubmitting &&
+    !isWritingJSDoc &&
     parsed != null &&
     !parsed.error &&
     !cannotSync &&
     newFunctionCount === 0 &&
     updatedFunctionCount === 0 &&
-    !hasJSDocRewrites;
+    !hasJSDocRewrites &&
+    !hasJSDocStubs;
 
   if (isLoading || willBail) {
     return (
@@ -386,6 +435,8 @@ export function GeneratePackageDefinitionFromJSDocView({
             </Alert>
           )}
 
+          {hasJSDocStubs && <JSDocStubsSection isWriting={isWritingJSDoc} stubs={jsdocStubs} onWrite={handleWriteJSDoc} />}
+
           {parsed && !parsed.error && (
             <>
               <ManifestDecisionsSection decisions={parsed.decisions} rewrites={parsed.jsdocRewrites} />
@@ -398,7 +449,7 @@ export function GeneratePackageDefinitionFromJSDocView({
       <div className='shrink-0 border-t border-border px-3 py-2'>
         <Button
           fullWidth
-          isDisabled={cannotSync || isSubmitting}
+          isDisabled={cannotSync || isSubmitting || isWritingJSDoc}
           isPending={isSubmitting}
           size='sm'
           variant='primary'
@@ -589,6 +640,44 @@ function JSDocRewriteList({ rewrites }) {
   );
 }
 
+// Functions with a manifest entry but no JSDoc, and what writing JSDoc for
+// them would leave out: manifest details JSDoc can't express (an input's
+// display name, say) would show up as updates on the next sync.
+function JSDocStubsSection({ isWriting, onWrite, stubs }) {
+  const count = stubs.inserted.length;
+  return (
+    <Alert className='w-full border border-border bg-transparent' status='accent'>
+      <Alert.Content>
+        <Alert.Title className='flex items-center gap-1'>
+          <AlertStatusIcon />
+          {count} function{count === 1 ? ' has' : 's have'} no JSDoc
+        </Alert.Title>
+        <Alert.Description>
+          Syncing now would replace their manifest entries with bare ones. Write JSDoc generated from the base version's
+          manifest into the editor first.
+        </Alert.Description>
+        <Alert.Description className='font-mono text-xs break-all'>{stubs.inserted.join(', ')}</Alert.Description>
+        {stubs.roundTrip.length > 0 && (
+          <Alert.Description className='text-warning'>
+            Won&apos;t round-trip exactly: {stubs.roundTrip.map((r) => `${r.name} (${r.diffFields.join(', ')})`).join('; ')}
+          </Alert.Description>
+        )}
+        <div className='mt-2 flex gap-2'>
+          <Button isDisabled={isWriting} isPending={isWriting} size='sm' variant='primary' onPress={onWrite}>
+            {isWriting ? (
+              <Spinner color='currentColor' size='sm' />
+            ) : (
+              <>
+                <IconCode /> Write JSDoc for {count} function{count === 1 ? '' : 's'}
+              </>
+            )}
+          </Button>
+        </div>
+      </Alert.Content>
+    </Alert>
+  );
+}
+
 function ManifestDecisionsSection({ decisions, rewrites }) {
   if (!decisions || decisions.length === 0) return null;
   const rewritesByFunction = new Map();
@@ -701,6 +790,7 @@ function WarningsSection({ warnings }) {
                   ) : (
                     'Warning'
                   )}
+                  {w.line && <span className='font-normal text-muted'>· Line {w.line}</span>}
                 </Alert.Title>
                 <Alert.Description>{w.message}</Alert.Description>
               </Alert.Content>
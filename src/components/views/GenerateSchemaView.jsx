@@ -21,6 +21,7 @@ import {
   syncAppDbDatastore,
   updateAppDbCollectionSchema
 } from '@/services/appDb';
+import { APPDB_COLUMN_TYPES, inferColumnsFromDocuments } from '@/utils/appDbSchema';
 import { buildReloadAction } from '@/utils/headerActions';
 import { getSidepanelData } from '@/utils/sidepanel';
 import IconCheck from '@icons/check.svg?react';
@@ -33,10 +34,6 @@ import IconTrash from '@icons/trash.svg?react';
 
 import { ViewHeader } from './ViewHeader';
 
-const TYPE_OPTIONS = ['STRING', 'LONG', 'DOUBLE', 'DECIMAL', 'DATE', 'DATETIME'];
-const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T/;
-const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
-
 export function GenerateSchemaView({ instance = null, liveContext = null, onBackToDefault = null, onStatusUpdate = null }) {
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -304,17 +301,6 @@ export function GenerateSchemaView({ instance = null, liveContext = null, onBack
   );
 }
 
-function classifyValue(value) {
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    return Number.isInteger(value) ? 'LONG' : 'DOUBLE';
-  }
-  if (typeof value === 'string') {
-    if (ISO_DATETIME_RE.test(value)) return 'DATETIME';
-    if (ISO_DATE_RE.test(value)) return 'DATE';
-  }
-  return 'STRING';
-}
-
 function ColumnRow({ column, isDisabled, onChangeName, onChangeType, onRemove }) {
   return (
     <div className='flex items-end gap-1'>
@@ -339,7 +325,7 @@ function ColumnRow({ column, isDisabled, onChangeName, onChangeType, onRemove })
           </Select.Trigger>
           <Select.Popover className='max-h-60!'>
             <ListBox>
-              {TYPE_OPTIONS.map((opt) => (
+              {APPDB_COLUMN_TYPES.map((opt) => (
                 <ListBox.Item id={opt} key={opt} textValue={opt}>
                   <Label>{opt}</Label>
                   <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
@@ -358,35 +344,3 @@ function ColumnRow({ column, isDisabled, onChangeName, onChangeType, onRemove })
     </div>
   );
 }
-
-function inferColumnsFromDocuments(documents) {
-  const orderedKeys = [];
-  const seen = new Set();
-  const valuesByKey = new Map();
-
-  for (const doc of documents) {
-    const content = doc?.content;
-    if (!content || typeof content !== 'object') continue;
-    for (const [key, value] of Object.entries(content)) {
-      if (!seen.has(key)) {
-        seen.add(key);
-        orderedKeys.push(key);
-        valuesByKey.set(key, []);
-      }
-      if (value !== null && value !== undefined) {
-        valuesByKey.get(key).push(value);
-      }
-    }
-  }
-
-  return orderedKeys.map((key) => {
-    const samples = valuesByKey.get(key) || [];
-    if (samples.length === 0) return { name: key, type: 'STRING' };
-    const buckets = new Set(samples.map(classifyValue));
-    if (buckets.size === 1) return { name: key, type: [...buckets][0] };
-    if (buckets.size === 2 && buckets.has('LONG') && buckets.has('DOUBLE')) {
-      return { name: key, type: 'DOUBLE' };
-    }
-    return { name: key, type: 'STRING' };
-  });
-}
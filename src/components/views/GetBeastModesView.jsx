@@ -3,6 +3,7 @@ import { useEffect, useRef, useState } from 'react';
 
 import { Alert } from '@/components/Alert';
 import { CloseButton } from '@/components/CloseButton';
+import { useBulkDelete } from '@/hooks/useBulkDelete';
 import { DataListItem } from '@/models/DataListItem';
 import { DomoContext } from '@/models/DomoContext';
 import { DomoObject } from '@/models/DomoObject';
@@ -22,9 +23,13 @@ import { DataList } from './DataList';
 // cards on that page using it.
 const PAGE_TYPES = ['DATA_APP_VIEW', 'PAGE', 'WORKSHEET_VIEW'];
 
+// Rows the bulk delete toggle can select.
+const BULK_DELETE_TYPES = ['BEAST_MODE_FORMULA'];
+
 export function GetBeastModesView({
   currentContext = null,
   instance: viewInstance = null,
+  isActive = true,
   onBackToDefault = null,
   onStatusUpdate = null
 }) {
@@ -37,6 +42,14 @@ export function GetBeastModesView({
   const [viewData, setViewData] = useState(null);
 
   const mountedRef = useRef(true);
+  const bulkDelete = useBulkDelete({
+    instance: viewData?.instance ?? viewInstance,
+    isActive,
+    items,
+    onStatusUpdate,
+    typeIds: BULK_DELETE_TYPES,
+    typeLabel: 'Beast Mode'
+  });
   useEffect(() => {
     mountedRef.current = true;
     loadBeastModesData();
@@ -174,26 +187,30 @@ export function GetBeastModesView({
   const expandedIds = collectUsedGroupIds(items);
 
   return (
-    <DataList
-      currentContext={currentContext}
-      defaultExpandedIds={expandedIds}
-      feature='Beast Modes for'
-      featureIcon={<IconBeastMode />}
-      headerActions={['openAll', 'reload', 'refresh']}
-      isRefreshing={isRefreshing}
-      itemLabel='Beast Mode'
-      items={items}
-      objectId={viewData?.objectId}
-      objectType={viewData?.displayType}
-      showActions={true}
-      showCounts={true}
-      subject={viewData?.objectName}
-      subtext={renderSubtext()}
-      viewType='getBeastModes'
-      onClose={onBackToDefault}
-      onRefresh={handleRefresh}
-      onStatusUpdate={onStatusUpdate}
-    />
+    <>
+      <DataList
+        {...bulkDelete.dataListProps}
+        currentContext={currentContext}
+        defaultExpandedIds={expandedIds}
+        feature='Beast Modes for'
+        featureIcon={<IconBeastMode />}
+        headerActions={['openAll', 'reload', 'refresh']}
+        isRefreshing={isRefreshing}
+        itemLabel='Beast Mode'
+        items={items}
+        objectId={viewData?.objectId}
+        objectType={viewData?.displayType}
+        showActions={true}
+        showCounts={true}
+        subject={viewData?.objectName}
+        subtext={renderSubtext()}
+        viewType='getBeastModes'
+        onClose={onBackToDefault}
+        onRefresh={handleRefresh}
+        onStatusUpdate={onStatusUpdate}
+      />
+      {bulkDelete.dialog}
+    </>
   );
 }
 
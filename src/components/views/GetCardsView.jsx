@@ -3,6 +3,7 @@ import { useEffect, useRef, useState } from 'react';
 
 import { Alert } from '@/components/Alert';
 import { CloseButton } from '@/components/CloseButton';
+import { useBulkDelete } from '@/hooks/useBulkDelete';
 import { DataListItem } from '@/models/DataListItem';
 import { DomoContext } from '@/models/DomoContext';
 import { DomoObject } from '@/models/DomoObject';
@@ -18,9 +19,13 @@ import IconSync from '@icons/sync.svg?react';
 import { AlertStatusIcon } from '../AlertStatusIcon';
 import { DataList } from './DataList';
 
+// Rows the bulk delete toggle can select.
+const BULK_DELETE_TYPES = ['CARD'];
+
 export function GetCardsView({
   currentContext = null,
   instance: viewInstance = null,
+  isActive = true,
   onBackToDefault = null,
   onStatusUpdate = null
 }) {
@@ -38,6 +43,14 @@ export function GetCardsView({
   const [viewData, setViewData] = useState(null);
 
   const mountedRef = useRef(true);
+  const bulkDelete = useBulkDelete({
+    instance: viewData?.instance ?? viewInstance,
+    isActive,
+    items,
+    onStatusUpdate,
+    typeIds: BULK_DELETE_TYPES,
+    typeLabel: 'card'
+  });
   useEffect(() => {
     mountedRef.current = true;
     loadCardsData();
@@ -312,26 +325,30 @@ export function GetCardsView({
   }
 
   return (
-    <DataList
-      currentContext={currentContext}
-      defaultExpandedIds={soleExpandedGroupIds(items)}
-      feature={titlePrefix}
-      featureIcon={<IconCard />}
-      headerActions={['openAll', 'reload', 'refresh']}
-      isRefreshing={isRefreshing}
-      itemLabel={hasMultipleTypes ? 'item' : 'card'}
-      items={items}
-      objectId={viewData?.objectId}
-      objectType={viewData?.objectType}
-      showActions={true}
-      showCounts={true}
-      subject={viewData?.objectName}
-      subtext={renderSubtext()}
-      viewType='getCards'
-      onClose={onBackToDefault}
-      onRefresh={handleRefresh}
-      onStatusUpdate={onStatusUpdate}
-    />
+    <>
+      <DataList
+        {...bulkDelete.dataListProps}
+        currentContext={currentContext}
+        defaultExpandedIds={soleExpandedGroupIds(items)}
+        feature={titlePrefix}
+        featureIcon={<IconCard />}
+        headerActions={['openAll', 'reload', 'refresh']}
+        isRefreshing={isRefreshing}
+        itemLabel={hasMultipleTypes ? 'item' : 'card'}
+        items={items}
+        objectId={viewData?.objectId}
+        objectType={viewData?.objectType}
+        showActions={true}
+        showCounts={true}
+        subject={viewData?.objectName}
+        subtext={renderSubtext()}
+        viewType='getCards'
+        onClose={onBackToDefault}
+        onRefresh={handleRefresh}
+        onStatusUpdate={onStatusUpdate}
+      />
+      {bulkDelete.dialog}
+    </>
   );
 }
 
@@ -0,0 +1,496 @@
+import { Button, Card, Chip, Input, Label, ScrollShadow, Separator, Spinner, Switch, TextField } from '@heroui/react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { DatasetComboBox } from '@/components/DatasetComboBox';
+import { RemapRow } from '@/components/views/RemapColumnsView';
+import { ViewHeader } from '@/components/views/ViewHeader';
+import { DomoContext } from '@/models/DomoContext';
+import { getDatasetColumns } from '@/services/datasets';
+import { importPageBundle, parsePageBundle } from '@/services/pageBundle';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconPackage from '@icons/package.svg?react';
+import IconUpload from '@icons/upload.svg?react';
+
+import { AlertStatusIcon } from '../AlertStatusIcon';
+
+/**
+ * Recreate a page bundle (see `@/services/pageBundle`) on this instance as a
+ * new page. Three steps: pick the bundle file, map each bundled dataset onto
+ * one on this instance (with the Remap Columns row editor for used columns the
+ * target doesn't have by name), then name the page and import.
+ */
+export function ImportPageBundleView({ instance = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [bundle, setBundle] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  // Per bundled dataset id: { targetId, columns, isLoadingColumns, rows }.
+  // `rows` use RemapRow's shape ({ key, oldName, newName }).
+  const [mappings, setMappings] = useState({});
+  const [title, setTitle] = useState('');
+  const [asSubpage, setAsSubpage] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [result, setResult] = useState(null);
+  // 'file' = pick and preview the bundle; 'map' = map datasets and columns;
+  // 'import' = name the page and run the import.
+  const [page, setPage] = useState('file');
+
+  const fileInputRef = useRef(null);
+  const mountedRef = useRef(true);
+  const rowKeyRef = useRef(0);
+  const targetGenRef = useRef({});
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'importPageBundle') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.tabId) {
+        onStatusUpdate?.('Error', 'Import Bundle requires an open Domo page', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+    } catch (error) {
+      console.error('[ImportPageBundleView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load context', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parsePageBundle(await file.text());
+      setBundle(parsed);
+      setFileError(null);
+      setMappings({});
+      setTitle(parsed.page?.title || '');
+    } catch (error) {
+      setBundle(null);
+      setFileError(error.message);
+    }
+  };
+
+  const updateMapping = (datasetId, changes) => {
+    setMappings((prev) => ({ ...prev, [datasetId]: { ...prev[datasetId], ...changes } }));
+  };
+
+  const handleTargetChange = async (dataset, targetId) => {
+    const gen = (targetGenRef.current[dataset.id] || 0) + 1;
+    targetGenRef.current[dataset.id] = gen;
+    if (!targetId) {
+      updateMapping(dataset.id, { columns: null, isLoadingColumns: false, rows: [], targetId: null });
+      return;
+    }
+    updateMapping(dataset.id, { columns: null, isLoadingColumns: true, rows: [], targetId });
+    try {
+      const columns = await getDatasetColumns({ datasetId: targetId, tabId: currentContext.tabId });
+      if (!mountedRef.current || targetGenRef.current[dataset.id] !== gen) return;
+      // Seed a row for every used column the target doesn't have by name; the
+      // rest map onto themselves.
+      const targetNames = new Set(columns.map((column) => column.name));
+      const rows = dataset.usedColumns
+        .filter((name) => !targetNames.has(name))
+        .map((name) => ({ key: `r${rowKeyRef.current++}`, newName: '', oldName: name }));
+      updateMapping(dataset.id, { columns, isLoadingColumns: false, rows });
+    } catch (error) {
+      if (targetGenRef.current[dataset.id] !== gen) return;
+      updateMapping(dataset.id, { isLoadingColumns: false, targetId: null });
+      onStatusUpdate?.('Error', error.message || 'Failed to load dataset columns', 'danger');
+    }
+  };
+
+  const setRow = (datasetId, key, changes) => {
+    setMappings((prev) => ({
+      ...prev,
+      [datasetId]: {
+        ...prev[datasetId],
+        rows: prev[datasetId].rows.map((row) => (row.key === key ? { ...row, ...changes } : row))
+      }
+    }));
+  };
+
+  const removeRow = (datasetId, key) => {
+    setMappings((prev) => ({
+      ...prev,
+      [datasetId]: { ...prev[datasetId], rows: prev[datasetId].rows.filter((row) => row.key !== key) }
+    }));
+  };
+
+  const datasetMappings = useMemo(() => {
+    const acc = {};
+    for (const [datasetId, mapping] of Object.entries(mappings)) {
+      if (!mapping?.targetId) continue;
+      const columnMap = {};
+      for (const row of mapping.rows || []) {
+        const oldName = row.oldName?.trim();
+        const newName = row.newName?.trim();
+        if (oldName && newName && oldName !== newName) columnMap[oldName] = newName;
+      }
+      acc[datasetId] = { columnMap, targetId: mapping.targetId };
+    }
+    return acc;
+  }, [mappings]);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setProgress('');
+    try {
+      const imported = await importPageBundle({
+        bundle,
+        datasetMappings,
+        onProgress: (message) => {
+          if (mountedRef.current) setProgress(message);
+        },
+        parentPageId: asSubpage ? currentContext.domoObject.id : null,
+        tabId: currentContext.tabId,
+        title: title.trim()
+      });
+      if (!mountedRef.current) return;
+      setResult(imported);
+      const failed = imported.cards.errors.length;
+      onStatusUpdate?.(
+        failed > 0 ? 'Imported with errors' : 'Bundle imported',
+        `Created ${imported.cards.created.length} card${imported.cards.created.length === 1 ? '' : 's'}` +
+          (failed > 0 ? `, ${failed} failed` : ''),
+        failed > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('[ImportPageBundleView] Import failed:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to import bundle', 'danger');
+    } finally {
+      if (mountedRef.current) setIsImporting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading…</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  if (!currentContext) return null;
+
+  const baseUrl = currentContext.domoObject?.baseUrl || `https://${currentContext.instance}.domo.com`;
+  const currentPageName = currentContext.domoObject?.typeId === 'PAGE' ? currentContext.domoObject.metadata?.name : null;
+  const datasetBeastModes = bundle?.beastModes.filter((beastMode) => beastMode.scope === 'dataset').length ?? 0;
+  const cardBeastModes = bundle?.beastModes.filter((beastMode) => beastMode.scope === 'card').length ?? 0;
+  const colorRuleCount = bundle ? Object.values(bundle.colorRules || {}).reduce((sum, rules) => sum + rules.length, 0) : 0;
+  const allMapped = bundle?.datasets.every((dataset) => mappings[dataset.id]?.columns) ?? false;
+
+  const headerSubtext = bundle
+    ? `**${bundle.page?.title || 'Untitled page'}** from ${bundle.source?.instance || 'another instance'}`
+    : 'Choose a page bundle file';
+
+  let content;
+  let footer;
+  if (result) {
+    content = <ImportResult bundle={bundle} result={result} />;
+    footer = (
+      <div className='flex gap-2'>
+        <Button
+          fullWidth
+          size='sm'
+          variant='primary'
+          onPress={() => window.open(`${baseUrl}/page/${result.pageId}`, '_blank', 'noopener,noreferrer')}
+        >
+          Open Page
+        </Button>
+        <Button fullWidth size='sm' variant='tertiary' onPress={onBackToDefault}>
+          Done
+        </Button>
+      </div>
+    );
+  } else if (page === 'file' || !bundle) {
+    content = (
+      <div className='flex flex-col gap-3'>
+        <input
+          accept='.json,application/json'
+          className='hidden'
+          ref={fileInputRef}
+          type='file'
+          onChange={handleFileChange}
+        />
+        <Button className='self-start' size='sm' variant='secondary' onPress={() => fileInputRef.current?.click()}>
+          <IconUpload className='size-4' />
+          {bundle ? 'Choose a different file' : 'Choose bundle file'}
+        </Button>
+        {fileError && (
+          <Alert className='w-full border border-border bg-transparent' status='danger'>
+            <Alert.Content>
+              <Alert.Title className='flex items-center gap-1'>
+                <AlertStatusIcon />
+                Can't read this file
+              </Alert.Title>
+              <Alert.Description>{fileError}</Alert.Description>
+            </Alert.Content>
+          </Alert>
+        )}
+        {bundle && (
+          <div className='flex flex-col gap-1 text-sm'>
+            <p>
+              Exported {new Date(bundle.exportedAt).toLocaleString()} from{' '}
+              <span className='font-medium'>{bundle.source?.instance || 'unknown instance'}</span>
+            </p>
+            <div className='flex flex-wrap gap-1'>
+              <Chip size='sm' variant='soft'>
+                {bundle.cards.length} card{bundle.cards.length === 1 ? '' : 's'}
+              </Chip>
+              <Chip size='sm' variant='soft'>
+                {bundle.datasets.length} dataset{bundle.datasets.length === 1 ? '' : 's'}
+              </Chip>
+              <Chip size='sm' variant='soft'>
+                {datasetBeastModes} dataset Beast Mode{datasetBeastModes === 1 ? '' : 's'}
+              </Chip>
+              <Chip size='sm' variant='soft'>
+                {cardBeastModes} card Beast Mode{cardBeastModes === 1 ? '' : 's'}
+              </Chip>
+              <Chip size='sm' variant='soft'>
+                {colorRuleCount} color rule{colorRuleCount === 1 ? '' : 's'}
+              </Chip>
+            </div>
+            {bundle.skipped?.length > 0 && (
+              <p className='text-xs text-muted'>
+                Not in the bundle: {bundle.skipped.map((card) => `${card.title} (${card.reason})`).join(', ')}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+    footer = (
+      <Button
+        fullWidth
+        isDisabled={!bundle || bundle.cards.length === 0}
+        size='sm'
+        variant='primary'
+        onPress={() => setPage('map')}
+      >
+        Next
+      </Button>
+    );
+  } else if (page === 'map') {
+    content = (
+      <div className='flex flex-col gap-4'>
+        <p className='text-xs text-muted'>
+          Datasets aren't part of a bundle. Pick the dataset on this instance that each bundled card should use, and map any
+          column it's missing.
+        </p>
+        {bundle.datasets.map((dataset) => (
+          <DatasetMapping
+            cardCount={bundle.cards.filter((card) => card.datasetId === dataset.id).length}
+            dataset={dataset}
+            instanceBaseUrl={baseUrl}
+            key={dataset.id}
+            mapping={mappings[dataset.id]}
+            tabId={currentContext.tabId}
+            onRemoveRow={(key) => removeRow(dataset.id, key)}
+            onRowChange={(key, changes) => setRow(dataset.id, key, changes)}
+            onTargetChange={(targetId) => handleTargetChange(dataset, targetId)}
+          />
+        ))}
+      </div>
+    );
+    footer = (
+      <div className='flex gap-2'>
+        <Button fullWidth size='sm' variant='tertiary' onPress={() => setPage('file')}>
+          Back
+        </Button>
+        <Button fullWidth isDisabled={!allMapped} size='sm' variant='primary' onPress={() => setPage('import')}>
+          Next
+        </Button>
+      </div>
+    );
+  } else {
+    content = (
+      <div className='flex flex-col gap-3'>
+        <TextField isRequired value={title} variant='secondary' onChange={setTitle}>
+          <Label>New page title</Label>
+          <Input placeholder='Page title' />
+        </TextField>
+        {currentPageName && (
+          <Switch isSelected={asSubpage} onChange={setAsSubpage}>
+            <Switch.Content className='text-sm'>
+              <Switch.Control>
+                <Switch.Thumb />
+              </Switch.Control>
+              Create as a subpage of {currentPageName}
+            </Switch.Content>
+          </Switch>
+        )}
+        <p className='text-xs text-muted'>
+          Creates {bundle.cards.length} card{bundle.cards.length === 1 ? '' : 's'} on a new page. Dataset Beast Modes are
+          added to the mapped datasets unless one with the same name is already there, and color rules are added alongside
+          the datasets' existing ones.
+        </p>
+        {isImporting && (
+          <div className='flex items-center gap-2 text-sm text-muted'>
+            <Spinner size='sm' />
+            {progress || 'Importing…'}
+          </div>
+        )}
+      </div>
+    );
+    footer = (
+      <div className='flex gap-2'>
+        <Button fullWidth isDisabled={isImporting} size='sm' variant='tertiary' onPress={() => setPage('map')}>
+          Back
+        </Button>
+        <Button
+          fullWidth
+          isDisabled={!title.trim() || isImporting}
+          isPending={isImporting}
+          size='sm'
+          variant='primary'
+          onPress={handleImport}
+        >
+          Import
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        feature='Import Page Bundle'
+        featureIcon={<IconPackage />}
+        subtext={headerSubtext}
+        onClose={onBackToDefault}
+      />
+      <Separator className='mt-1.5' />
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto' offset={5} orientation='vertical'>
+        <Card.Content className='flex flex-col gap-3 py-2'>{content}</Card.Content>
+      </ScrollShadow>
+      <Separator />
+      <Card.Footer className='pt-2'>{footer}</Card.Footer>
+    </Card>
+  );
+}
+
+// One bundled dataset: the target picker, then a RemapRow per used column the
+// target lacks. Rows left without a new name are imported unchanged.
+function DatasetMapping({ cardCount, dataset, instanceBaseUrl, mapping, onRemoveRow, onRowChange, onTargetChange, tabId }) {
+  const schemaColumns = useMemo(() => mapping?.columns || [], [mapping?.columns]);
+  const schemaTypeByName = useMemo(
+    () => new Map(schemaColumns.map((column) => [column.name, column.type || null])),
+    [schemaColumns]
+  );
+  const originTypeByName = useMemo(
+    () => new Map(dataset.columns.map((column) => [column.name, column.type || null])),
+    [dataset.columns]
+  );
+  const rows = mapping?.rows || [];
+  const unmapped = rows.filter((row) => !row.newName).length;
+
+  return (
+    <div className='flex flex-col gap-2 rounded-md border border-border p-2'>
+      <div className='text-xs'>
+        <p className='truncate font-medium' title={dataset.name}>
+          {dataset.name}
+        </p>
+        <p className='text-muted'>
+          {cardCount} card{cardCount === 1 ? '' : 's'} · {dataset.usedColumns.length} column
+          {dataset.usedColumns.length === 1 ? '' : 's'} used
+        </p>
+      </div>
+      <DatasetComboBox
+        aria-label={`Target dataset for ${dataset.name}`}
+        instanceBaseUrl={instanceBaseUrl}
+        label='Use dataset'
+        tabId={tabId}
+        onSelectionChange={onTargetChange}
+      />
+      {mapping?.isLoadingColumns && (
+        <div className='flex items-center gap-2 text-xs text-muted'>
+          <Spinner size='sm' />
+          Checking columns…
+        </div>
+      )}
+      {mapping?.columns && rows.length === 0 && (
+        <p className='text-xs text-success'>Every used column is on this dataset.</p>
+      )}
+      {mapping?.columns && rows.length > 0 && (
+        <div className='flex flex-col'>
+          {rows.map((row) => (
+            <RemapRow
+              key={row.key}
+              oldType={originTypeByName.get(row.oldName) || null}
+              row={row}
+              schemaColumns={schemaColumns}
+              schemaTypeByName={schemaTypeByName}
+              onChange={onRowChange}
+              onRemove={onRemoveRow}
+            />
+          ))}
+          {unmapped > 0 && (
+            <p className='text-xs text-warning'>
+              {unmapped} column{unmapped === 1 ? '' : 's'} not on this dataset. Cards that use{' '}
+              {unmapped === 1 ? 'it' : 'them'} may not render until {unmapped === 1 ? 'it is' : 'they are'} mapped.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ImportResult({ bundle, result }) {
+  const problems = [
+    ...result.cards.errors.map((error) => `Card "${error.title}": ${error.error}`),
+    ...result.beastModes.errors.map((error) => {
+      const name = bundle.beastModes.find((beastMode) => String(beastMode.id) === String(error.id))?.name;
+      return `Beast Mode ${name ? `"${name}"` : error.id}: ${error.error}`;
+    }),
+    ...result.colorRules.errors.map((error) => `Color rules: ${error.error}`),
+    ...(result.layout.error ? [`Layout: ${result.layout.error}`] : [])
+  ];
+
+  return (
+    <div className='flex flex-col gap-3'>
+      <Alert className='w-full border border-border bg-transparent' status={problems.length > 0 ? 'warning' : 'success'}>
+        <Alert.Content>
+          <Alert.Title className='flex items-center gap-1'>
+            <AlertStatusIcon />
+            {problems.length > 0 ? 'Imported with problems' : 'Bundle imported'}
+          </Alert.Title>
+          <Alert.Description>
+            Created {result.cards.created.length} of {bundle.cards.length} card{bundle.cards.length === 1 ? '' : 's'},{' '}
+            {result.beastModes.succeeded} dataset Beast Mode{result.beastModes.succeeded === 1 ? '' : 's'} and{' '}
+            {result.colorRules.applied} color rule{result.colorRules.applied === 1 ? '' : 's'}.
+            {result.layout.applied ? ' The page layout was restored.' : ''}
+          </Alert.Description>
+        </Alert.Content>
+      </Alert>
+      {problems.length > 0 && (
+        <ul className='flex flex-col gap-1 text-xs text-danger'>
+          {problems.map((problem, index) => (
+            <li key={index}>{problem}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
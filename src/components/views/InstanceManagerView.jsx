@@ -0,0 +1,281 @@
+import { Button, Card, Chip, ScrollShadow, Separator, Spinner, Tooltip } from '@heroui/react';
+import { IconLogout } from '@tabler/icons-react';
+import { useEffect, useRef, useState } from 'react';
+
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { buildRefreshAction } from '@/utils/headerActions';
+import {
+  forgetInstance,
+  getInstanceSessions,
+  INSTANCE_SESSIONS_KEY,
+  openInstance,
+  PINNED_INSTANCES_KEY,
+  setInstancePinned,
+  signOutInstance
+} from '@/utils/instanceSessions';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconArrowUpRight from '@icons/arrow-up-right.svg?react';
+import IconBuildings from '@icons/buildings-outline.svg?react';
+import IconPin from '@icons/pin.svg?react';
+import IconTrash from '@icons/trash.svg?react';
+import IconUnpin from '@icons/unpin.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+// Browsers start rejecting requests somewhere past this many bytes of headers,
+// and the Cookie header is most of it, so the total is flagged as it gets close.
+const COOKIE_WARNING_BYTES = 6 * 1024;
+
+export function InstanceManagerView({ instance = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [currentInstance, setCurrentInstance] = useState(null);
+  const [sessions, setSessions] = useState({ instances: [], totalCookieBytes: 0, totalCookieCount: 0 });
+  const [busyInstance, setBusyInstance] = useState(null);
+  const mountedRef = useRef(true);
+  const { showPromiseStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Visits recorded by the background and pins changed in another window
+  // show up without a manual refresh.
+  useEffect(() => {
+    const handleStorageChange = (changes, areaName) => {
+      if (
+        (areaName === 'local' && changes[INSTANCE_SESSIONS_KEY]) ||
+        (areaName === 'sync' && changes[PINNED_INSTANCES_KEY])
+      ) {
+        refresh();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'manageInstances') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (mountedRef.current) setCurrentInstance(context?.instance ?? null);
+      await refresh();
+    } catch (error) {
+      console.error('[InstanceManagerView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load instances', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const refresh = async () => {
+    setIsRefreshing(true);
+    try {
+      const result = await getInstanceSessions();
+      if (mountedRef.current) setSessions(result);
+    } catch (error) {
+      console.error('[InstanceManagerView] Error reading instances:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to read instances', 'danger');
+    } finally {
+      if (mountedRef.current) setIsRefreshing(false);
+    }
+  };
+
+  const runRowAction = (name, promise, messages) => {
+    setBusyInstance(name);
+    showPromiseStatus(promise, messages);
+    promise
+      .catch(() => {})
+      .finally(() => {
+        if (!mountedRef.current) return;
+        setBusyInstance(null);
+        refresh();
+      });
+  };
+
+  const handleSignOut = (row) => {
+    const promise = signOutInstance(row.instance).then((result) => {
+      if (result.status === 'danger') throw new Error(result.description);
+      return result;
+    });
+    runRowAction(row.instance, promise, {
+      error: (err) => `Could not sign out of **${row.hostname}** – ${err.message}`,
+      loading: `Signing out of **${row.hostname}**…`,
+      success: (result) =>
+        result.status === 'warning' ? `Signed out of **${row.hostname}**, with errors` : `Signed out of **${row.hostname}**`
+    });
+  };
+
+  const handleTogglePin = (row) => {
+    runRowAction(row.instance, setInstancePinned(row.instance, !row.isPinned), {
+      error: (err) => err.message || 'Could not update pin',
+      loading: row.isPinned ? 'Unpinning…' : 'Pinning…',
+      success: () =>
+        row.isPinned ? `Unpinned **${row.hostname}**` : `Pinned **${row.hostname}**, cookie clearing will keep its session`
+    });
+  };
+
+  const handleForget = (row) => {
+    runRowAction(row.instance, forgetInstance(row.instance), {
+      error: (err) => err.message || 'Could not remove instance',
+      loading: 'Removing…',
+      success: () => `Removed **${row.hostname}** from the list`
+    });
+  };
+
+  const handleOpen = (row) => {
+    openInstance(row.instance).catch((error) => {
+      onStatusUpdate?.('Error', error.message || `Could not open ${row.hostname}`, 'danger');
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const { instances, totalCookieBytes, totalCookieCount } = sessions;
+  const signedInCount = instances.filter((row) => row.signedIn).length;
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        actions={[buildRefreshAction({ isRefreshing, onRefresh: refresh })]}
+        feature='Instances'
+        featureIcon={<IconBuildings />}
+        subtext={`**${signedInCount}** of ${instances.length} signed in • ${formatBytes(totalCookieBytes)} in ${totalCookieCount} Domo cookie${totalCookieCount === 1 ? '' : 's'}`}
+        onClose={onBackToDefault}
+      />
+      <Separator />
+
+      {totalCookieBytes >= COOKIE_WARNING_BYTES && (
+        <p className='px-2 pt-2 text-xs text-warning'>
+          Domo cookies are close to the size that triggers 431 errors. Sign out of instances you're done with, or pin the
+          ones to keep before clearing cookies.
+        </p>
+      )}
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto' offset={5} orientation='vertical'>
+        <Card.Content className='flex flex-col gap-1.5 py-2'>
+          {instances.length === 0 ? (
+            <p className='py-6 text-center text-sm text-muted'>
+              No instances yet. Instances show up here once you've visited them with the extension installed.
+            </p>
+          ) : (
+            instances.map((row) => (
+              <InstanceRow
+                isBusy={busyInstance === row.instance}
+                isCurrent={row.instance === currentInstance}
+                key={row.instance}
+                row={row}
+                onForget={() => handleForget(row)}
+                onOpen={() => handleOpen(row)}
+                onSignOut={() => handleSignOut(row)}
+                onTogglePin={() => handleTogglePin(row)}
+              />
+            ))
+          )}
+        </Card.Content>
+      </ScrollShadow>
+    </Card>
+  );
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function formatLastActive(time) {
+  if (!time) return 'Never';
+  const minutes = Math.round((Date.now() - time) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} hr ago`;
+  return new Date(time).toLocaleString();
+}
+
+function InstanceRow({ isBusy, isCurrent, onForget, onOpen, onSignOut, onTogglePin, row }) {
+  const userLabel = row.user ? row.user.displayName || row.user.email || `User ${row.user.id}` : 'Unknown user';
+
+  return (
+    <div className='flex items-center gap-2 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex min-w-0 flex-1 flex-col gap-0.5'>
+        <div className='flex min-w-0 items-center gap-1.5'>
+          <span className='truncate font-semibold'>{row.hostname}</span>
+          {isCurrent && (
+            <Chip size='sm' variant='soft'>
+              Current
+            </Chip>
+          )}
+          {row.isPinned && (
+            <Chip color='accent' size='sm' variant='soft'>
+              Pinned
+            </Chip>
+          )}
+          {!row.signedIn && (
+            <Chip color='warning' size='sm' variant='soft'>
+              Signed out
+            </Chip>
+          )}
+        </div>
+        <span className='truncate text-muted' title={row.user?.email ?? undefined}>
+          {row.signedIn ? userLabel : `Last signed in as ${userLabel}`}
+        </span>
+        <span className='text-muted'>
+          {formatBytes(row.cookieBytes)} in {row.cookieCount} cookie{row.cookieCount === 1 ? '' : 's'} • Active{' '}
+          {formatLastActive(row.lastActiveAt).toLowerCase()}
+          {row.tabIds.length > 0 && ` • ${row.tabIds.length} open tab${row.tabIds.length === 1 ? '' : 's'}`}
+        </span>
+      </div>
+
+      <div className='flex shrink-0 items-center'>
+        {isBusy ? (
+          <Spinner size='sm' />
+        ) : (
+          <>
+            <RowAction label={row.tabIds.length > 0 ? 'Go to tab' : 'Open in new tab'} onPress={onOpen}>
+              <IconArrowUpRight />
+            </RowAction>
+            <RowAction label={row.isPinned ? 'Unpin' : 'Pin so cookie clearing never signs you out'} onPress={onTogglePin}>
+              {row.isPinned ? <IconUnpin /> : <IconPin />}
+            </RowAction>
+            <RowAction isDisabled={row.cookieCount === 0} label='Sign out' onPress={onSignOut}>
+              <IconLogout stroke={1.5} />
+            </RowAction>
+            <RowAction label='Remove from list' onPress={onForget}>
+              <IconTrash />
+            </RowAction>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RowAction({ children, isDisabled = false, label, onPress }) {
+  return (
+    <Tooltip delay={200}>
+      <Button isIconOnly aria-label={label} isDisabled={isDisabled} size='sm' variant='ghost' onPress={onPress}>
+        {children}
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        {label}
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
@@ -1,6 +1,8 @@
 import { Button, Card, Checkbox, Spinner } from '@heroui/react';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
+import { ReverseTransferModal } from '@/components/modals/ReverseTransferModal';
+import { ScheduledTransfersModal } from '@/components/modals/ScheduledTransfersModal';
 import { TransferOwnershipModal } from '@/components/modals/TransferOwnershipModal';
 import { DataList } from '@/components/views/DataList';
 import { useParallelFetches } from '@/hooks/useParallelFetches';
@@ -8,38 +10,41 @@ import { useStatusBar } from '@/hooks/useStatusBar';
 import { DataListItem } from '@/models/DataListItem';
 import { DomoContext } from '@/models/DomoContext';
 import { DomoObject } from '@/models/DomoObject';
-import { uploadDataFile } from '@/services/files';
-import { sendEmail } from '@/services/messages';
+import { sendTransferSummaryEmails } from '@/services/transferEmail';
 import {
+  buildTransferPlan,
+  collectTransferredItems,
   countOwned,
   flattenOwned,
+  reverseTransfer,
   TRANSFER_TYPES,
-  transferAllOwnership,
-  TYPE_KEY_TO_LOG_TYPE
+  transferAllOwnership
 } from '@/services/transferOwnership';
 import { deleteUser } from '@/services/users';
-import { buildExcelBlob, generateExportFilename } from '@/utils/exportData';
+import { exportToExcel, generateExportFilename } from '@/utils/exportData';
 import { isTypeFeatureEnabled } from '@/utils/featureSwitches';
+import { cancelScheduledTransfer, getScheduledTransfers, scheduleTransfer } from '@/utils/scheduledTransfers';
 import { getSidepanelData } from '@/utils/sidepanel';
+import { appendTransferJournalEntry, getTransferJournal, markTransferReversed } from '@/utils/transferJournal';
+import IconCalendarTime from '@icons/calendar-time.svg?react';
 import IconFormatListChecks from '@icons/format-list-checks.svg?react';
 import IconListBulleted from '@icons/list-bulleted.svg?react';
 import IconSwapHorizontal from '@icons/swap-horizontal.svg?react';
+import IconUndo from '@icons/undo.svg?react';
 
-const LOG_COLUMNS = [
+// Dry-run plan export: one row per object a real run would transfer, plus the
+// endpoint it would hit so the plan can be reviewed before anything moves.
+const PLAN_COLUMNS = [
   { accessorKey: 'Object Type', header: 'Object Type' },
   { accessorKey: 'Object ID', header: 'Object ID' },
   { accessorKey: 'Object Name', header: 'Object Name' },
-  { accessorKey: 'Date', header: 'Date' },
-  { accessorKey: 'Status', header: 'Status' },
-  { accessorKey: 'Notes', header: 'Notes' },
-  { accessorKey: 'Previous Owner ID', header: 'Previous Owner ID' },
-  { accessorKey: 'Previous Owner Name', header: 'Previous Owner Name' },
-  { accessorKey: 'New Owner ID', header: 'New Owner ID' },
-  { accessorKey: 'New Owner Name', header: 'New Owner Name' }
+  { accessorKey: 'From Owner ID', header: 'From Owner ID' },
+  { accessorKey: 'From Owner Name', header: 'From Owner Name' },
+  { accessorKey: 'To Owner ID', header: 'To Owner ID' },
+  { accessorKey: 'To Owner Name', header: 'To Owner Name' },
+  { accessorKey: 'API', header: 'API' }
 ];
 
-const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-
 /**
  * Maps TRANSFER_TYPES keys to DomoObjectType IDs. Used for two things:
  *   - Leading ObjectTypeIcon on each parent row in selection mode.
@@ -122,6 +127,14 @@ export function OwnershipView({
   // { [typeKey]: { status, error?, succeeded?, failed?, count? } }
   const [transferStatus, setTransferStatus] = useState({});
   const [isTransferring, setIsTransferring] = useState(false);
+  // Journaled transfers away from this user on this instance, newest first.
+  // Drives the "Reverse a transfer" header action and its modal.
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [reverseModalOpen, setReverseModalOpen] = useState(false);
+  // Transfers queued for the background worker (see `@/utils/scheduledTransfers`),
+  // kept live from storage so a job's status flips as soon as it runs.
+  const [scheduledJobs, setScheduledJobs] = useState([]);
+  const [scheduledModalOpen, setScheduledModalOpen] = useState(false);
 
   const mountedRef = useRef(true);
   const { showStatus } = useStatusBar();
@@ -619,6 +632,177 @@ export function OwnershipView({
     setSelectedIds(new Set());
   }, []);
 
+  // Load the transfer journal for this source user. Re-run after every
+  // transfer or reversal so the header action reflects what can be reversed.
+  const loadJournal = useCallback(async () => {
+    if (!instance || !userId) return;
+    try {
+      const entries = await getTransferJournal(instance, userId);
+      if (mountedRef.current) setJournalEntries(entries);
+    } catch (error) {
+      console.error('[OwnershipView] Error loading transfer journal:', error);
+    }
+  }, [instance, userId]);
+
+  useEffect(() => {
+    loadJournal();
+  }, [loadJournal]);
+
+  const loadScheduledJobs = useCallback(async () => {
+    if (!instance || !userId) return;
+    try {
+      const jobs = await getScheduledTransfers(instance, userId);
+      if (mountedRef.current) setScheduledJobs(jobs);
+    } catch (error) {
+      console.error('[OwnershipView] Error loading scheduled transfers:', error);
+    }
+  }, [instance, userId]);
+
+  // The background worker updates jobs (and journals what a scheduled run
+  // moved) without messaging the sidepanel, so follow both storage keys.
+  useEffect(() => {
+    loadScheduledJobs();
+    const handleStorageChange = (changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (changes.scheduledTransfers) loadScheduledJobs();
+      if (changes.transferJournal) loadJournal();
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [loadJournal, loadScheduledJobs]);
+
+  const pendingJobCount = useMemo(() => scheduledJobs.filter((job) => job.status === 'scheduled').length, [scheduledJobs]);
+
+  const reversibleEntryCount = useMemo(() => journalEntries.filter((entry) => !entry.reversedAt).length, [journalEntries]);
+
+  // Per-type progress from transferAllOwnership (forward or reverse), threaded
+  // into transferStatus so each DataList row shows its own spinner/result.
+  const handleTypeProgress = useCallback(({ count, result, status, typeKey }) => {
+    if (!mountedRef.current) return;
+    setTransferStatus((prev) => {
+      const next = { ...prev };
+      if (status === 'listing') {
+        next[typeKey] = { count: count ?? 0, status: 'transferring' };
+      } else if (status === 'transferring') {
+        next[typeKey] = { count, status: 'transferring' };
+      } else if (status === 'done') {
+        const failed = result?.failed ?? 0;
+        const succeeded = result?.succeeded ?? 0;
+        next[typeKey] = {
+          count: count ?? succeeded + failed,
+          error: failed > 0 ? formatTransferErrors(result) : null,
+          errorDetail: failed > 0 ? (result?.errors ?? null) : null,
+          failed,
+          status: failed > 0 ? 'failed' : 'transferred',
+          succeeded
+        };
+      } else if (status === 'error') {
+        next[typeKey] = {
+          count: 0,
+          error: result?.errors?.[0]?.error || 'Transfer failed before completing',
+          errorDetail: result?.errors ?? result ?? null,
+          status: 'failed'
+        };
+      }
+      return next;
+    });
+  }, []);
+
+  // Dry run: list exactly what the transfer would touch (same seeding and
+  // per-item selection as the real run) and download it as an Excel plan.
+  // No owners change, so transferStatus and selection are left untouched.
+  const handleDryRun = useCallback(
+    async ({ enabledItemIds, enabledTypes, seededOwnedObjects, toUserId, toUserName }) => {
+      showStatus('Building Plan', 'Listing objects to transfer…', 'accent');
+      try {
+        const { errors, rows } = await buildTransferPlan({
+          enabledItemIds,
+          enabledTypes,
+          fromUserId: userId,
+          seededOwnedObjects,
+          tabId
+        });
+        const planRows = rows.map((row) => ({
+          'API': row.api,
+          'From Owner ID': userId,
+          'From Owner Name': userName,
+          'Object ID': row.id,
+          'Object Name': row.name,
+          'Object Type': row.objectType,
+          'To Owner ID': toUserId,
+          'To Owner Name': toUserName
+        }));
+        if (planRows.length === 0) {
+          showStatus('Nothing to Transfer', 'None of the selected objects could be listed', 'warning', 5000);
+          return;
+        }
+        await exportToExcel(planRows, PLAN_COLUMNS, generateExportFilename('transfer-plan'), 'Transfer Plan');
+        const objectWord = planRows.length === 1 ? 'object' : 'objects';
+        if (errors.length > 0) {
+          showStatus(
+            'Plan Partially Built',
+            `Planned **${planRows.length}** ${objectWord}; ${errors.length} type${errors.length === 1 ? '' : 's'} failed to list`,
+            'warning',
+            7000
+          );
+        } else {
+          showStatus(
+            'Plan Exported',
+            `Planned **${planRows.length}** ${objectWord}. No owners were changed`,
+            'success',
+            5000
+          );
+        }
+      } catch (err) {
+        showStatus('Plan Failed', err.message || 'An error occurred', 'danger', 7000);
+      }
+    },
+    [showStatus, tabId, userId, userName]
+  );
+
+  // Queue the transfer for the background worker instead of running it now.
+  // A type whose every object is selected is stored without an id list, so
+  // the run picks up anything the user comes to own before then (the usual
+  // case when scheduling an offboarding); partial selections stay pinned to
+  // the chosen ids.
+  const handleSchedule = useCallback(
+    async ({ currentUserEmail, deleteAfterTransfer, enabledItemIds, enabledTypes, newOwnerEmail, runAt, toUser }) => {
+      const itemIds = {};
+      for (const key of enabledTypes) {
+        const r = results[key];
+        const total = r?.status === 'loaded' && r.items ? countOwned(key, r.items) : 0;
+        const ids = enabledItemIds.get(key);
+        if (ids && ids.size < total) itemIds[key] = [...ids];
+      }
+      try {
+        await scheduleTransfer({
+          currentUserEmail,
+          deleteAfterTransfer,
+          fromUser: { id: userId, name: userName },
+          instance,
+          itemIds,
+          newOwnerEmail,
+          runAt,
+          toUser,
+          typeKeys: [...enabledTypes]
+        });
+        showStatus(
+          'Transfer Scheduled',
+          `Transfer to **${toUser.name}** will run ${new Date(runAt).toLocaleString()}`,
+          'success',
+          7000
+        );
+        if (mountedRef.current) {
+          setSelectionMode(false);
+          setSelectedIds(new Set());
+        }
+      } catch (err) {
+        showStatus('Schedule Failed', err.message || 'An error occurred', 'danger', 7000);
+      }
+    },
+    [instance, results, showStatus, userId, userName]
+  );
+
   // Submit handler invoked by the modal. Runs transferAllOwnership, threading
   // per-type progress into transferStatus (which feeds DataList rows). Then
   // optionally emails the new owner and deletes the source user. Errors per
@@ -626,8 +810,17 @@ export function OwnershipView({
   // message, same UX as the old TransferOwnership view's failure-disclosure.
   const handleTransferSubmit = useCallback(
     async (formData) => {
-      const { currentUser, deleteAfterTransfer, emailCurrentUser, emailNewOwner, targetUser, toUserDisplayName, toUserId } =
-        formData;
+      const {
+        currentUser,
+        deleteAfterTransfer,
+        dryRun,
+        emailCurrentUser,
+        emailNewOwner,
+        scheduleAt,
+        targetUser,
+        toUserDisplayName,
+        toUserId
+      } = formData;
 
       // A type is "enabled for transfer" iff at least one of its leaves is
       // selected; bare type-key membership in `selectedIds` isn't sufficient
@@ -665,6 +858,26 @@ export function OwnershipView({
         if (r?.status === 'loaded') seededOwnedObjects[key] = r.items;
       }
 
+      const toUserName = toUserDisplayName ?? targetUser?.displayName;
+
+      if (dryRun) {
+        await handleDryRun({ enabledItemIds, enabledTypes, seededOwnedObjects, toUserId, toUserName });
+        return;
+      }
+
+      if (scheduleAt) {
+        await handleSchedule({
+          currentUserEmail: emailCurrentUser ? currentUser?.email : null,
+          deleteAfterTransfer,
+          enabledItemIds,
+          enabledTypes,
+          newOwnerEmail: emailNewOwner ? targetUser?.email : null,
+          runAt: scheduleAt.getTime(),
+          toUser: { id: toUserId, name: toUserName }
+        });
+        return;
+      }
+
       // Initialize transferStatus rows with the count of SELECTED leaves
       // (not the total fetched), so the spinner row reads "transferring N"
       // where N matches what the user actually picked.
@@ -683,36 +896,7 @@ export function OwnershipView({
           enabledItemIds,
           enabledTypes,
           fromUserId: userId,
-          onTypeProgress: ({ count, result, status, typeKey }) => {
-            if (!mountedRef.current) return;
-            setTransferStatus((prev) => {
-              const next = { ...prev };
-              if (status === 'listing') {
-                next[typeKey] = { count: count ?? 0, status: 'transferring' };
-              } else if (status === 'transferring') {
-                next[typeKey] = { count, status: 'transferring' };
-              } else if (status === 'done') {
-                const failed = result?.failed ?? 0;
-                const succeeded = result?.succeeded ?? 0;
-                next[typeKey] = {
-                  count: count ?? succeeded + failed,
-                  error: failed > 0 ? formatTransferErrors(result) : null,
-                  errorDetail: failed > 0 ? (result?.errors ?? null) : null,
-                  failed,
-                  status: failed > 0 ? 'failed' : 'transferred',
-                  succeeded
-                };
-              } else if (status === 'error') {
-                next[typeKey] = {
-                  count: 0,
-                  error: result?.errors?.[0]?.error || 'Transfer failed before completing',
-                  errorDetail: result?.errors ?? result ?? null,
-                  status: 'failed'
-                };
-              }
-              return next;
-            });
-          },
+          onTypeProgress: handleTypeProgress,
           seededOwnedObjects,
           tabId,
           toUserId
@@ -725,55 +909,39 @@ export function OwnershipView({
           totalFailed += r.failed || 0;
         }
 
-        // Optional: email an Excel summary. The new-owner and email-me toggles
-        // are independent and need different copy: the new owner reads "transferred
-        // to you", while the toolkit user who ran the transfer gets a neutral
-        // summary naming both parties (nothing came to them). So we send a
-        // separate email per perspective rather than one shared body. The one
-        // exception is a self-transfer (you are also the new owner): the two
-        // addresses match, the "to you" copy is correct, and we send just that.
-        const toUserName = toUserDisplayName ?? targetUser?.displayName;
-        const newOwnerEmail = emailNewOwner ? targetUser?.email : null;
-        const currentUserEmail = emailCurrentUser ? currentUser?.email : null;
-        const sendNewOwnerEmail = !!newOwnerEmail;
-        const sendSummaryEmail = !!currentUserEmail && currentUserEmail !== newOwnerEmail;
-        if ((sendNewOwnerEmail || sendSummaryEmail) && totalSucceeded > 0) {
+        // Journal whatever actually moved so it can be sent back later from
+        // the "Reverse a transfer" action. A journal write failure must not
+        // mask the transfer outcome, so it only warns.
+        if (totalSucceeded > 0) {
           try {
-            const rows = buildTransferLogRows({
+            await appendTransferJournalEntry({
+              fromUser: { id: userId, name: userName },
+              instance,
+              items: collectTransferredItems(transferResults),
+              toUser: { id: toUserId, name: toUserName }
+            });
+            await loadJournal();
+          } catch (err) {
+            console.error('[OwnershipView] Error writing transfer journal:', err);
+          }
+        }
+
+        // Optional: email an Excel summary to the new owner and/or the toolkit
+        // user (see sendTransferSummaryEmails for the per-recipient copy).
+        if (totalSucceeded > 0) {
+          try {
+            await sendTransferSummaryEmails({
+              currentUserEmail: emailCurrentUser ? currentUser?.email : null,
               fromUserId: userId,
               fromUserName: userName,
+              newOwnerEmail: emailNewOwner ? targetUser?.email : null,
               results: transferResults,
+              tabId,
+              totalFailed,
+              totalSucceeded,
               toUserId,
               toUserName
             });
-            const blob = await buildExcelBlob(rows, LOG_COLUMNS, 'Transfer Log');
-            const filename = `${generateExportFilename('transferred-objects')}.xlsx`;
-            const dataFileId = await uploadDataFile(blob, filename, XLSX_MIME_TYPE, tabId);
-            const emails = [];
-            if (sendNewOwnerEmail) {
-              emails.push({
-                bodyHtml: renderNewOwnerEmailBody({ sourceUserName: userName, totalFailed, totalSucceeded }),
-                dataFileAttachments: [dataFileId],
-                recipientEmails: [newOwnerEmail],
-                subject: `Ownership transferred to you from ${userName}`
-              });
-            }
-            if (sendSummaryEmail) {
-              emails.push({
-                bodyHtml: renderSummaryEmailBody({
-                  sourceUserName: userName,
-                  targetUserName: toUserName,
-                  totalFailed,
-                  totalSucceeded
-                }),
-                dataFileAttachments: [dataFileId],
-                recipientEmails: [currentUserEmail],
-                subject: `Ownership transfer summary: ${userName} to ${toUserName}`
-              });
-            }
-            for (const email of emails) {
-              await sendEmail(email, tabId);
-            }
           } catch (err) {
             showStatus('Email Not Sent', err.message || 'Failed to email transfer summary', 'warning', 5000);
           }
@@ -826,7 +994,71 @@ export function OwnershipView({
         }
       }
     },
-    [onBackToDefault, results, selectedItemsByType, showStatus, tabId, transferTypes, userId, userName]
+    [
+      handleDryRun,
+      handleSchedule,
+      handleTypeProgress,
+      instance,
+      loadJournal,
+      onBackToDefault,
+      results,
+      selectedItemsByType,
+      showStatus,
+      tabId,
+      transferTypes,
+      userId,
+      userName
+    ]
+  );
+
+  // Reverse a journaled transfer: re-list the new owner's objects, filter to
+  // the journaled ids, and send them back to this view's user. Progress lands
+  // on the same per-type rows as a forward transfer; the owned lists are
+  // refreshed afterwards so the returned objects show up.
+  const handleReverse = useCallback(
+    async (entry) => {
+      const initialStatus = {};
+      for (const [typeKey, items] of Object.entries(entry.items || {})) {
+        if (items?.length) initialStatus[typeKey] = { count: items.length, status: 'transferring' };
+      }
+      setTransferStatus(initialStatus);
+      setIsTransferring(true);
+
+      try {
+        const reversalResults = await reverseTransfer({ entry, onTypeProgress: handleTypeProgress, tabId });
+        let succeeded = 0;
+        let failed = 0;
+        for (const [, r] of reversalResults) {
+          succeeded += r.succeeded || 0;
+          failed += r.failed || 0;
+        }
+        await markTransferReversed(entry.id, { failed, returned: collectTransferredItems(reversalResults), succeeded });
+        await loadJournal();
+
+        const toName = entry.toUser?.name || entry.toUser?.id;
+        if (failed > 0) {
+          showStatus(
+            'Reversal Partially Complete',
+            `**${succeeded}** returned, **${failed}** failed. Reverse the transfer again to retry the rest`,
+            'warning',
+            7000
+          );
+        } else {
+          showStatus(
+            'Reversal Complete',
+            `Returned **${succeeded}** object${succeeded !== 1 ? 's' : ''} from **${toName}** to **${userName}**`,
+            'success',
+            7000
+          );
+        }
+        refreshFetches();
+      } catch (err) {
+        showStatus('Reversal Failed', err.message || 'An error occurred', 'danger', 7000);
+      } finally {
+        if (mountedRef.current) setIsTransferring(false);
+      }
+    },
+    [handleTypeProgress, loadJournal, refreshFetches, showStatus, tabId, userName]
   );
 
   const subtextNode = useMemo(() => {
@@ -898,9 +1130,41 @@ export function OwnershipView({
         },
         tooltipText: selectionMode ? 'Exit selection mode' : 'Select types to transfer'
       });
+      if (scheduledJobs.length > 0) {
+        actions.push({
+          icon: <IconCalendarTime />,
+          key: 'scheduled',
+          onPress: () => setScheduledModalOpen(true),
+          tooltipText:
+            pendingJobCount > 0
+              ? `${pendingJobCount} scheduled transfer${pendingJobCount !== 1 ? 's' : ''}`
+              : 'Scheduled transfer history'
+        });
+      }
+      if (journalEntries.length > 0) {
+        actions.push({
+          icon: <IconUndo />,
+          isDisabled: isTransferring || selectionMode || reversibleEntryCount === 0,
+          key: 'reverse',
+          onPress: () => setReverseModalOpen(true),
+          tooltipText: reversibleEntryCount > 0 ? 'Reverse a transfer' : 'All journaled transfers have been reversed'
+        });
+      }
     }
     return actions;
-  }, [exitSelectionMode, hasAnyTransferable, isFullyLoaded, isTransferring, isUserSource, selectAllEligible, selectionMode]);
+  }, [
+    exitSelectionMode,
+    hasAnyTransferable,
+    isFullyLoaded,
+    isTransferring,
+    isUserSource,
+    journalEntries.length,
+    pendingJobCount,
+    reversibleEntryCount,
+    scheduledJobs.length,
+    selectAllEligible,
+    selectionMode
+  ]);
 
   // Toolbar rendered just under the header action row when selection mode is
   // engaged. The "Select all" Checkbox shows three states:
@@ -1032,6 +1296,18 @@ export function OwnershipView({
         onOpenChange={setTransferModalOpen}
         onSubmit={handleTransferSubmit}
       />
+      <ReverseTransferModal
+        entries={journalEntries}
+        isOpen={reverseModalOpen && isActive}
+        onOpenChange={setReverseModalOpen}
+        onReverse={handleReverse}
+      />
+      <ScheduledTransfersModal
+        isOpen={scheduledModalOpen && isActive}
+        jobs={scheduledJobs}
+        onCancel={cancelScheduledTransfer}
+        onOpenChange={setScheduledModalOpen}
+      />
     </>
   );
 }
@@ -1176,39 +1452,6 @@ function buildProjectsAndTasksItems(owned, tasksByProject, origin) {
   return [...projectItems, ...orphanTasks];
 }
 
-function buildTransferLogRows({ fromUserId, fromUserName, results, toUserId, toUserName }) {
-  const date = new Date().toISOString().slice(0, -5);
-  const rows = [];
-  for (const [typeKey, result] of results) {
-    const typeDef = TRANSFER_TYPES.find((t) => t.key === typeKey);
-    const logType = TYPE_KEY_TO_LOG_TYPE[typeKey];
-    const failedById = new Map((result.errors || []).map((e) => [e.id, e.error]));
-    // `{id: 'all'}` sentinel means the whole batch failed; every row in this
-    // type should be marked FAILED with the shared error message.
-    const wholeBatchError = failedById.get('all');
-    for (const item of result.attempted ?? []) {
-      const isFailure = wholeBatchError !== undefined || failedById.has(item.id);
-      // The `functions` category mixes Beast Modes and Variables; the per-item
-      // `global` flag (true only for Variables) overrides the category log type
-      // so the audit row reports the correct object type.
-      const itemLogType = typeKey === 'functions' && item.global ? 'VARIABLE' : logType;
-      rows.push({
-        'Date': date,
-        'New Owner ID': toUserId,
-        'New Owner Name': toUserName,
-        'Notes': isFailure ? (wholeBatchError ?? failedById.get(item.id)) : '',
-        'Object ID': item.id,
-        'Object Name': item.name,
-        'Object Type': item.subType ? item.subType.toUpperCase() : (itemLogType ?? typeDef?.label ?? typeKey),
-        'Previous Owner ID': fromUserId,
-        'Previous Owner Name': fromUserName,
-        'Status': isFailure ? 'FAILED' : 'TRANSFERRED'
-      });
-    }
-  }
-  return rows;
-}
-
 // Concise one-line title for the error Alert's header. The full per-item
 // breakdown rides along as structured `errorDetail` (rendered as JSON in the
 // Alert body), so this only has to summarize.
@@ -1281,23 +1524,3 @@ function parseTaskIdFromLeaf(id) {
   const n = Number(match[1]);
   return Number.isFinite(n) ? n : null;
 }
-
-function renderFailedLine(totalFailed) {
-  if (totalFailed <= 0) return '';
-  return `<p>${totalFailed} object${totalFailed === 1 ? '' : 's'} could not be transferred and ${totalFailed === 1 ? 'is' : 'are'} included in the attachment with a FAILED status.</p>`;
-}
-
-// Body for the new owner: the objects landed in their account, so it reads in
-// the second person ("transferred to you").
-function renderNewOwnerEmailBody({ sourceUserName, totalFailed, totalSucceeded }) {
-  const objectWord = totalSucceeded === 1 ? 'object' : 'objects';
-  return `<p>Ownership of <strong>${totalSucceeded}</strong> ${objectWord} has been transferred to you from <strong>${sourceUserName}</strong>.</p><p>A complete list is attached.</p>${renderFailedLine(totalFailed)}`;
-}
-
-// Body for the "email me" copy sent to the toolkit user who ran the transfer.
-// Nothing came to them, so this is the observer's perspective: it names both
-// the source and the destination owner instead of saying "to you".
-function renderSummaryEmailBody({ sourceUserName, targetUserName, totalFailed, totalSucceeded }) {
-  const objectWord = totalSucceeded === 1 ? 'object' : 'objects';
-  return `<p>Ownership of <strong>${totalSucceeded}</strong> ${objectWord} has been transferred from <strong>${sourceUserName}</strong> to <strong>${targetUserName}</strong>.</p><p>A complete list is attached.</p>${renderFailedLine(totalFailed)}`;
-}
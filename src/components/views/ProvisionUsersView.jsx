@@ -0,0 +1,370 @@
+import { Button, Card, Chip, ScrollShadow, Separator, Spinner, Switch } from '@heroui/react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { ViewHeader } from '@/components/views/ViewHeader';
+import { DomoContext } from '@/models/DomoContext';
+import {
+  fetchProvisioningLookups,
+  parseUserCsv,
+  PROVISIONING_RESULT_COLUMNS,
+  runUserProvisioning,
+  toProvisioningResultRows,
+  validateUserRows
+} from '@/services/userProvisioning';
+import { USER_PROFILE_FIELDS } from '@/services/users';
+import { exportToCSV, generateExportFilename } from '@/utils/exportData';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconPeoplePlus from '@icons/people-plus.svg?react';
+import IconUpload from '@icons/upload.svg?react';
+
+import { AlertStatusIcon } from '../AlertStatusIcon';
+
+const ACTION_CHIPS = {
+  create: { color: 'success', label: 'Create' },
+  invalid: { color: 'danger', label: 'Invalid' },
+  update: { color: 'accent', label: 'Update' }
+};
+
+const STATUS_CHIPS = {
+  created: { color: 'success', label: 'Created' },
+  failed: { color: 'danger', label: 'Failed' },
+  partial: { color: 'warning', label: 'Partial' },
+  updated: { color: 'success', label: 'Updated' }
+};
+
+const TEMPLATE_COLUMNS = ['email', 'displayName', 'role', 'groups', 'locale', ...USER_PROFILE_FIELDS].map((key) => ({
+  accessorKey: key,
+  header: key
+}));
+
+/**
+ * Create and update users in bulk from a CSV (see `@/services/userProvisioning`
+ * for the columns). The file is validated against the instance's roles,
+ * groups and existing users before anything runs, and the per-row outcome can
+ * be downloaded as a CSV afterwards.
+ */
+export function ProvisionUsersView({ instance = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+  const [validation, setValidation] = useState(null);
+  const [roleNames, setRoleNames] = useState({});
+  const [sendInvite, setSendInvite] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'provisionUsers') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.tabId) {
+        onStatusUpdate?.('Error', 'Provision Users requires an open Domo page', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+    } catch (error) {
+      console.error('[ProvisionUsersView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load context', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setFileName(file.name);
+    setFileError(null);
+    setValidation(null);
+    setResults(null);
+    setProgress(null);
+    setIsValidating(true);
+    try {
+      const parsed = await parseUserCsv(await file.text());
+      if (parsed.rows.length === 0) throw new Error('The file has no user rows');
+      const lookups = await fetchProvisioningLookups({ parsed, tabId: currentContext.tabId });
+      if (!mountedRef.current) return;
+      setRoleNames(Object.fromEntries(lookups.roles.map((role) => [role.id, role.name])));
+      setValidation(validateUserRows({ lookups, parsed }));
+    } catch (error) {
+      console.error('[ProvisionUsersView] Error reading file:', error);
+      if (mountedRef.current) setFileError(error.message);
+    } finally {
+      if (mountedRef.current) setIsValidating(false);
+    }
+  };
+
+  const counts = useMemo(() => {
+    const byAction = { create: 0, invalid: 0, update: 0 };
+    for (const row of validation?.rows ?? []) byAction[row.action]++;
+    return byAction;
+  }, [validation]);
+
+  const resultCounts = useMemo(() => {
+    if (!results) return null;
+    const byStatus = { created: 0, failed: 0, partial: 0, updated: 0 };
+    for (const result of Object.values(results)) byStatus[result.status]++;
+    return byStatus;
+  }, [results]);
+
+  const runnableCount = counts.create + counts.update;
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    try {
+      const outcome = await runUserProvisioning({
+        onProgress: (next) => mountedRef.current && setProgress(next),
+        rows: validation.rows,
+        sendInvite,
+        tabId: currentContext.tabId
+      });
+      if (!mountedRef.current) return;
+      setResults(outcome);
+      const failed = Object.values(outcome).filter((result) => result.status !== 'created' && result.status !== 'updated');
+      onStatusUpdate?.(
+        failed.length ? 'Provisioning Finished With Errors' : 'Users Provisioned',
+        failed.length
+          ? `**${failed.length}** of ${runnableCount} user${runnableCount === 1 ? '' : 's'} had errors. Download the result CSV for details.`
+          : `**${runnableCount}** user${runnableCount === 1 ? '' : 's'} created or updated`,
+        failed.length ? 'warning' : 'success',
+        failed.length ? 8000 : undefined
+      );
+    } catch (error) {
+      console.error('[ProvisionUsersView] Error provisioning users:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to provision users', 'danger');
+    } finally {
+      if (mountedRef.current) setIsRunning(false);
+    }
+  };
+
+  const handleDownloadResults = () => {
+    exportToCSV(
+      toProvisioningResultRows(validation.rows, results ?? {}),
+      PROVISIONING_RESULT_COLUMNS,
+      generateExportFilename('user-provisioning-results')
+    );
+  };
+
+  const handleDownloadTemplate = () => {
+    exportToCSV(
+      [{ displayName: 'Jane Doe', email: 'jane.doe@example.com', groups: 'Sales; Marketing', role: 'Participant' }],
+      TEMPLATE_COLUMNS,
+      'user-provisioning-template'
+    );
+  };
+
+  const handleStartOver = () => {
+    setFileName('');
+    setValidation(null);
+    setResults(null);
+    setProgress(null);
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Provision Users'
+        featureIcon={<IconPeoplePlus />}
+        subtext={fileName ? `**${fileName}**` : 'Choose a CSV file'}
+        onClose={onBackToDefault}
+      />
+      <Separator />
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-3'>
+          <input accept='.csv,text/csv' className='hidden' ref={fileInputRef} type='file' onChange={handleFileChange} />
+          {!results && (
+            <div className='flex flex-wrap gap-2'>
+              <Button
+                isDisabled={isValidating || isRunning}
+                size='sm'
+                variant='secondary'
+                onPress={() => fileInputRef.current?.click()}
+              >
+                <IconUpload className='size-4' />
+                {fileName ? 'Choose a different file' : 'Choose CSV file'}
+              </Button>
+              <Button size='sm' variant='tertiary' onPress={handleDownloadTemplate}>
+                Download template
+              </Button>
+            </div>
+          )}
+          {!validation && !isValidating && (
+            <p className='text-xs text-muted'>
+              One user per row, matched on email: new emails are created and existing users are updated with only the columns
+              the row fills in. Columns: email, displayName, role (name or ID), groups (names or IDs separated by ; or |),
+              locale, {USER_PROFILE_FIELDS.join(', ')}, and custom attributes as attr:&lt;key&gt;.
+            </p>
+          )}
+
+          {fileError && (
+            <Alert className='w-full border border-border bg-transparent' status='danger'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Can't use this file
+                </Alert.Title>
+                <Alert.Description>{fileError}</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          )}
+
+          {isValidating && (
+            <div className='flex items-center justify-center gap-2 py-2'>
+              <Spinner size='sm' />
+              <span className='text-sm text-muted'>Checking rows against the instance...</span>
+            </div>
+          )}
+
+          {validation && (
+            <div className='flex flex-col gap-2'>
+              <div className='flex flex-wrap gap-1'>
+                {resultCounts ? (
+                  Object.entries(STATUS_CHIPS).map(([status, { color, label }]) => (
+                    <Chip color={color} key={status} size='sm' variant='soft'>
+                      {resultCounts[status]} {label.toLowerCase()}
+                    </Chip>
+                  ))
+                ) : (
+                  <>
+                    <Chip color='success' size='sm' variant='soft'>
+                      {counts.create} to create
+                    </Chip>
+                    <Chip color='accent' size='sm' variant='soft'>
+                      {counts.update} to update
+                    </Chip>
+                    <Chip color='danger' size='sm' variant='soft'>
+                      {counts.invalid} invalid
+                    </Chip>
+                  </>
+                )}
+              </div>
+              {validation.ignoredHeaders.length > 0 && (
+                <p className='text-xs text-warning'>Ignored columns: {validation.ignoredHeaders.join(', ')}</p>
+              )}
+              {!results && counts.create > 0 && (
+                <Switch isDisabled={isRunning} isSelected={sendInvite} onChange={setSendInvite}>
+                  <Switch.Content className='text-sm'>
+                    <Switch.Control>
+                      <Switch.Thumb />
+                    </Switch.Control>
+                    Send invite emails to new users
+                  </Switch.Content>
+                </Switch>
+              )}
+              {isRunning && progress && (
+                <div className='flex items-center gap-2 text-sm text-muted'>
+                  <Spinner size='sm' />
+                  Batch {progress.batch} of {progress.batches} ({progress.done}/{progress.total} users done)
+                </div>
+              )}
+              <div className='flex flex-col gap-1.5'>
+                {validation.rows.map((row) => (
+                  <UserRow key={row.line} result={results?.[row.line]} roleNames={roleNames} row={row} />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </ScrollShadow>
+
+      {validation && (
+        <>
+          <Separator />
+          <div className='flex shrink-0 gap-2 pt-2'>
+            {results ? (
+              <>
+                <Button fullWidth size='sm' variant='primary' onPress={handleDownloadResults}>
+                  Download result CSV
+                </Button>
+                <Button fullWidth size='sm' variant='tertiary' onPress={handleStartOver}>
+                  Start over
+                </Button>
+              </>
+            ) : (
+              <Button
+                fullWidth
+                isDisabled={runnableCount === 0}
+                isPending={isRunning}
+                size='sm'
+                variant='primary'
+                onPress={handleRun}
+              >
+                {isRunning ? (
+                  <Spinner color='currentColor' size='sm' />
+                ) : (
+                  `Provision ${runnableCount} user${runnableCount === 1 ? '' : 's'}`
+                )}
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
+
+function UserRow({ result, roleNames, row }) {
+  const chip = result ? STATUS_CHIPS[result.status] : ACTION_CHIPS[row.action];
+  const details = [
+    row.roleId != null && `Role: ${roleNames[row.roleId] ?? row.roleId}`,
+    row.groups.length && `${row.groups.length} group${row.groups.length === 1 ? '' : 's'}`,
+    Object.keys(row.profile).length && `${Object.keys(row.profile).length} profile field(s)`,
+    row.attributes.length && `${row.attributes.length} attribute(s)`
+  ].filter(Boolean);
+  const errors = result ? result.errors.map((error) => `${error.step}: ${error.message}`) : row.errors;
+
+  return (
+    <div className='flex flex-col gap-0.5 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex min-w-0 items-center gap-1.5'>
+        <span className='truncate font-semibold'>{row.displayName || row.email || `Line ${row.line}`}</span>
+        <Chip className='ml-auto shrink-0' color={chip.color} size='sm' variant='soft'>
+          {chip.label}
+        </Chip>
+      </div>
+      <span className='truncate text-muted'>
+        Line {row.line}
+        {row.email && ` • ${row.email}`}
+        {details.length > 0 && ` • ${details.join(', ')}`}
+      </span>
+      {errors.map((error) => (
+        <span className='text-danger' key={error}>
+          {error}
+        </span>
+      ))}
+    </div>
+  );
+}
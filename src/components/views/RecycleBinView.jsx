@@ -0,0 +1,268 @@
+import { AlertDialog, Button, Card, Chip, ScrollShadow, Separator, Spinner, Tooltip } from '@heroui/react';
+import { IconRecycle, IconRestore } from '@tabler/icons-react';
+import { useEffect, useRef, useState } from 'react';
+
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { getObjectType } from '@/models/DomoObjectType';
+import { restoreFromRecycleBin } from '@/services/recycleBin';
+import { exportToJson } from '@/utils/exportData';
+import { buildRefreshAction } from '@/utils/headerActions';
+import { getRecycleBinEntries, RECYCLE_BIN_LIMIT, removeRecycleBinEntry } from '@/utils/recycleBin';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconDownload from '@icons/download.svg?react';
+import IconTrash from '@icons/trash.svg?react';
+import IconX from '@icons/x.svg?react';
+
+import { ObjectTypeIcon } from '../ObjectTypeIcon';
+import { ViewHeader } from './ViewHeader';
+
+export function RecycleBinView({ instance = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [busyEntryId, setBusyEntryId] = useState(null);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const mountedRef = useRef(true);
+  const { showPromiseStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'recycleBin') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.instance) {
+        onStatusUpdate?.('Error', 'Open a Domo page to see its recycle bin', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      if (!mountedRef.current) return;
+      setCurrentContext(context);
+      await refresh(context);
+    } catch (error) {
+      console.error('[RecycleBinView] Error loading data:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to load recycle bin', 'danger');
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const refresh = async (context = currentContext) => {
+    if (!context) return;
+    setIsRefreshing(true);
+    try {
+      const result = await getRecycleBinEntries(context.instance);
+      if (mountedRef.current) setEntries(result);
+    } catch (error) {
+      console.error('[RecycleBinView] Error reading recycle bin:', error);
+      onStatusUpdate?.('Error', error.message || 'Failed to read recycle bin', 'danger');
+    } finally {
+      if (mountedRef.current) setIsRefreshing(false);
+    }
+  };
+
+  const runEntryAction = (entryId, promise, messages) => {
+    setBusyEntryId(entryId);
+    showPromiseStatus(promise, messages);
+    promise
+      .catch(() => {})
+      .finally(() => {
+        if (!mountedRef.current) return;
+        setBusyEntryId(null);
+        refresh();
+      });
+  };
+
+  const handleRestore = (entry) => {
+    setPendingRestore(null);
+    runEntryAction(entry.id, restoreFromRecycleBin({ entry, tabId: currentContext.tabId }), {
+      error: (err) => `Could not restore **${entry.name}** – ${err.message}`,
+      loading: `Recreating **${entry.name}**…`,
+      success: (newId) => `**${entry.name}** recreated (ID: ${newId})`
+    });
+  };
+
+  const handleRemove = (entry) => {
+    runEntryAction(entry.id, removeRecycleBinEntry(entry.id), {
+      error: (err) => err.message || 'Could not remove entry',
+      loading: 'Removing…',
+      success: () => `Removed **${entry.name}** from the recycle bin`
+    });
+  };
+
+  const handleDownload = (entry) => {
+    const { payload, ...rest } = entry;
+    exportToJson({ ...rest, definition: payload }, `recycle-bin-${entry.typeId.toLowerCase()}-${entry.objectId}`);
+  };
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>Loading...</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+        <ViewHeader
+          actions={[buildRefreshAction({ isRefreshing, onRefresh: () => refresh() })]}
+          feature='Recycle Bin'
+          featureIcon={<IconRecycle stroke={1.5} />}
+          subtext={`**${entries.length}** deleted object${entries.length === 1 ? '' : 's'} on ${currentContext?.instance}.domo.com • last ${RECYCLE_BIN_LIMIT} kept`}
+          onClose={onBackToDefault}
+        />
+        <Separator />
+
+        <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto' offset={5} orientation='vertical'>
+          <Card.Content className='flex flex-col gap-1.5 py-2'>
+            {entries.length === 0 ? (
+              <p className='py-6 text-center text-sm text-muted'>
+                Nothing here yet. Beast Modes, workflows and AppDB collections deleted with the toolkit are saved here first.
+              </p>
+            ) : (
+              entries.map((entry) => (
+                <EntryRow
+                  entry={entry}
+                  isBusy={busyEntryId === entry.id}
+                  key={entry.id}
+                  onDownload={() => handleDownload(entry)}
+                  onRemove={() => handleRemove(entry)}
+                  onRestore={() => setPendingRestore(entry)}
+                />
+              ))
+            )}
+          </Card.Content>
+        </ScrollShadow>
+      </Card>
+
+      <AlertDialog
+        isOpen={!!pendingRestore}
+        onOpenChange={(open) => {
+          if (!open) setPendingRestore(null);
+        }}
+      >
+        <AlertDialog.Backdrop>
+          <AlertDialog.Container className='p-1'>
+            <AlertDialog.Dialog className='p-2 pt-3'>
+              <div className='absolute top-0 left-0 h-1.25 w-full bg-accent' />
+              <AlertDialog.CloseTrigger className='absolute top-3 right-2' variant='ghost'>
+                <IconX />
+              </AlertDialog.CloseTrigger>
+              <AlertDialog.Header>
+                <AlertDialog.Heading>Restore {typeLabel(pendingRestore?.typeId)}</AlertDialog.Heading>
+              </AlertDialog.Header>
+              <AlertDialog.Body>
+                Recreate <span className='font-bold'>{pendingRestore?.name}</span> from its saved definition?
+                <div className='mt-2 text-xs text-muted'>
+                  {restoreNote(pendingRestore)} Anything that referenced the old ID (ID: {pendingRestore?.objectId}) has to
+                  be pointed at the new one.
+                </div>
+              </AlertDialog.Body>
+              <AlertDialog.Footer>
+                <Button size='sm' slot='close' variant='tertiary'>
+                  Cancel
+                </Button>
+                <Button size='sm' onPress={() => handleRestore(pendingRestore)}>
+                  Restore
+                </Button>
+              </AlertDialog.Footer>
+            </AlertDialog.Dialog>
+          </AlertDialog.Container>
+        </AlertDialog.Backdrop>
+      </AlertDialog>
+    </>
+  );
+}
+
+function EntryRow({ entry, isBusy, onDownload, onRemove, onRestore }) {
+  return (
+    <div className='flex items-center gap-2 rounded-lg border border-border p-2 text-xs'>
+      <ObjectTypeIcon className='shrink-0' size={16} typeId={entry.typeId} />
+      <div className='flex min-w-0 flex-1 flex-col gap-0.5'>
+        <div className='flex min-w-0 items-center gap-1.5'>
+          <span className='truncate font-semibold'>{entry.name}</span>
+          {entry.restored && (
+            <Chip color='success' size='sm' variant='soft'>
+              Restored
+            </Chip>
+          )}
+        </div>
+        <span className='text-muted'>
+          {typeLabel(entry.typeId)} • ID: {entry.objectId}
+          {entry.summary && ` • ${entry.summary}`}
+        </span>
+        <span className='text-muted'>
+          Deleted {new Date(entry.deletedAt).toLocaleString()}
+          {entry.restored && ` • restored as ID ${entry.restored.id}`}
+        </span>
+      </div>
+
+      <div className='flex shrink-0 items-center'>
+        {isBusy ? (
+          <Spinner size='sm' />
+        ) : (
+          <>
+            <RowAction label={entry.restored ? 'Restore again' : 'Restore'} onPress={onRestore}>
+              <IconRestore stroke={1.5} />
+            </RowAction>
+            <RowAction label='Download definition as JSON' onPress={onDownload}>
+              <IconDownload />
+            </RowAction>
+            <RowAction label='Remove from recycle bin' onPress={onRemove}>
+              <IconTrash />
+            </RowAction>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function restoreNote(entry) {
+  switch (entry?.typeId) {
+    case 'BEAST_MODE_FORMULA':
+      return 'The Beast Mode is recreated on the same dataset(s), owned by you.';
+    case 'MAGNUM_COLLECTION':
+      return `A new collection with the same name and schema is created in the same app and its ${entry.payload?.documents?.length ?? 0} documents are inserted, with new document IDs.`;
+    case 'WORKFLOW_MODEL':
+      return entry.payload?.version
+        ? `A new workflow is created with version ${entry.payload.version.version}, inactive until you activate it.`
+        : 'A new, empty workflow is created.';
+    default:
+      return '';
+  }
+}
+
+function RowAction({ children, label, onPress }) {
+  return (
+    <Tooltip delay={200}>
+      <Button isIconOnly aria-label={label} size='sm' variant='ghost' onPress={onPress}>
+        {children}
+      </Button>
+      <Tooltip.Content className='max-w-60' offset={4}>
+        {label}
+      </Tooltip.Content>
+    </Tooltip>
+  );
+}
+
+function typeLabel(typeId) {
+  return getObjectType(typeId)?.name || typeId || '';
+}
@@ -787,78 +787,25 @@ export function RemapColumnsView({ currentContext = null, instance = null, onBac
   );
 }
 
-// Best-effort Domo object URL for an affected content item.
-function buildObjectUrl(typeKey, item, origin) {
-  const domoTypeId = TYPE_KEY_TO_DOMO_TYPE[typeKey];
-  if (!domoTypeId || !origin) return null;
-  try {
-    // Apps link to their asset-library overview, keyed by the design id, not the
-    // card id every other field of the row is keyed by.
-    const objectId = typeKey === 'apps' ? item.designId : item.id;
-    if (!objectId) return null;
-    return new DomoObject(domoTypeId, objectId, origin, { name: item.name }).url;
-  } catch {
-    return null;
-  }
-}
-
-// Concise one-line title for the error Alert's header. The full per-item
-// breakdown rides along as structured `errorDetail` (rendered as JSON in the
-// Alert body), so this only has to summarize.
-function formatErrors(result) {
-  if (!result?.errors?.length) return null;
-  const n = result.errors.length;
-  return `${n} item${n === 1 ? '' : 's'} failed`;
-}
-
-// Whether a referenced name plausibly was a real, user-facing column (and so a
-// candidate for a rename), as opposed to a Beast Mode reference, an object id,
-// or a Domo system column that downstream content references but that never
-// appears in a dataset's schema.
-function isLikelyRenamedColumn(name) {
-  if (typeof name !== 'string' || !name.trim()) return false;
-  if (name.startsWith('calculation_')) return false; // Beast Mode reference id
-  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(name)) return false; // dataset/object id
-  if (/^\d+$/.test(name)) return false; // numeric id
-  if (/^__.+__$/.test(name)) return false; // Domo system column (__createdAt__, __domoId__)
-  if (/^_BATCH_/.test(name)) return false; // Domo batch system column (_BATCH_ID_, _BATCH_LAST_RUN_)
-  return true;
-}
-
-function isParentKey(id) {
-  return REMAP_TYPES.some((t) => t.key === id);
-}
-
-function leafSelectionId(typeKey, itemId) {
-  return `${typeKey}:${itemId}`;
-}
-
-function parseLeafTypeKey(id) {
-  if (typeof id !== 'string') return null;
-  const idx = id.indexOf(':');
-  if (idx === -1) return null;
-  const candidate = id.slice(0, idx);
-  return REMAP_TYPES.some((t) => t.key === candidate) ? candidate : null;
-}
-
 // One old -> new mapping row. The old name lists the dataset's current columns
 // but accepts a free-typed name too (the renamed column is no longer on the
 // dataset); the new name must be a current column. Both fields are the same
 // size, and each reserves a caption line beneath it so they stay aligned: the
 // old field's shows the broken/usage badges, the new field's calls out a data
-// type mismatch.
-function RemapRow({
-  cardsById,
-  isOrphan,
+// type mismatch. Also the column mapper of the page bundle import, which maps
+// a bundled dataset's columns onto the target's and passes no usage data.
+export function RemapRow({
+  cardsById = null,
+  isOrphan = false,
   oldType,
   onChange,
   onRemove,
-  origin,
+  origin = '',
   row,
   schemaColumns,
   schemaTypeByName,
-  totalAvailable,
-  usages
+  totalAvailable = 0,
+  usages = []
 }) {
   const newType = row.newName ? schemaTypeByName.get(row.newName) || null : null;
   const typeMismatch = Boolean(oldType && newType && oldType !== newType);
@@ -979,6 +926,60 @@ function RemapRow({
   );
 }
 
+// Best-effort Domo object URL for an affected content item.
+function buildObjectUrl(typeKey, item, origin) {
+  const domoTypeId = TYPE_KEY_TO_DOMO_TYPE[typeKey];
+  if (!domoTypeId || !origin) return null;
+  try {
+    // Apps link to their asset-library overview, keyed by the design id, not the
+    // card id every other field of the row is keyed by.
+    const objectId = typeKey === 'apps' ? item.designId : item.id;
+    if (!objectId) return null;
+    return new DomoObject(domoTypeId, objectId, origin, { name: item.name }).url;
+  } catch {
+    return null;
+  }
+}
+
+// Concise one-line title for the error Alert's header. The full per-item
+// breakdown rides along as structured `errorDetail` (rendered as JSON in the
+// Alert body), so this only has to summarize.
+function formatErrors(result) {
+  if (!result?.errors?.length) return null;
+  const n = result.errors.length;
+  return `${n} item${n === 1 ? '' : 's'} failed`;
+}
+
+// Whether a referenced name plausibly was a real, user-facing column (and so a
+// candidate for a rename), as opposed to a Beast Mode reference, an object id,
+// or a Domo system column that downstream content references but that never
+// appears in a dataset's schema.
+function isLikelyRenamedColumn(name) {
+  if (typeof name !== 'string' || !name.trim()) return false;
+  if (name.startsWith('calculation_')) return false; // Beast Mode reference id
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(name)) return false; // dataset/object id
+  if (/^\d+$/.test(name)) return false; // numeric id
+  if (/^__.+__$/.test(name)) return false; // Domo system column (__createdAt__, __domoId__)
+  if (/^_BATCH_/.test(name)) return false; // Domo batch system column (_BATCH_ID_, _BATCH_LAST_RUN_)
+  return true;
+}
+
+function isParentKey(id) {
+  return REMAP_TYPES.some((t) => t.key === id);
+}
+
+function leafSelectionId(typeKey, itemId) {
+  return `${typeKey}:${itemId}`;
+}
+
+function parseLeafTypeKey(id) {
+  if (typeof id !== 'string') return null;
+  const idx = id.indexOf(':');
+  if (idx === -1) return null;
+  const candidate = id.slice(0, idx);
+  return REMAP_TYPES.some((t) => t.key === candidate) ? candidate : null;
+}
+
 function typeGroupLabel(typeKey) {
   // The pro-code app type's own name ("Custom App (Pro-Code)") doesn't pluralize
   // cleanly, so give the group its own readable plural.
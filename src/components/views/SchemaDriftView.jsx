@@ -0,0 +1,336 @@
+import { Button, Card, Chip, Disclosure, Label, ListBox, ScrollShadow, Select, Separator, Spinner } from '@heroui/react';
+import { useEffect, useRef, useState } from 'react';
+
+import { Alert } from '@/components/Alert';
+import { AlertStatusIcon } from '@/components/AlertStatusIcon';
+import { useLaunchView } from '@/hooks/useLaunchView';
+import { useStatusBar } from '@/hooks/useStatusBar';
+import { DomoContext } from '@/models/DomoContext';
+import { getAppDbCollection } from '@/services/appDb';
+import { fetchAllAppDbDocuments } from '@/services/appDbDocuments';
+import { detectSchemaDrift } from '@/utils/appDbSchema';
+import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
+import { getSidepanelData } from '@/utils/sidepanel';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconClipboardCopy from '@icons/clipboard-copy.svg?react';
+import IconGetSchema from '@icons/get-schema.svg?react';
+import IconMagic from '@icons/magic.svg?react';
+
+import { ViewHeader } from './ViewHeader';
+
+const SAMPLE_SIZES = [100, 500, 1000];
+
+/**
+ * Compare an AppDB collection's saved schema against its most recent
+ * documents. Dataset sync only writes the columns in the schema, and drops
+ * values that don't fit a column's type, so drift here is data that silently
+ * never reaches the synced dataset.
+ */
+export function SchemaDriftView({ instance = null, liveContext = null, onBackToDefault = null, onStatusUpdate = null }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentContext, setCurrentContext] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [sampleSize, setSampleSize] = useState(500);
+  const [drift, setDrift] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const mountedRef = useRef(true);
+  const { isPending: isLaunching, launch } = useLaunchView();
+  const { showStatus } = useStatusBar();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    loadData();
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const data = await getSidepanelData(instance);
+      if (!data || data.type !== 'schemaDrift') {
+        onBackToDefault?.();
+        return;
+      }
+      const context = data.currentContext ? DomoContext.fromJSON(data.currentContext) : null;
+      if (!context?.domoObject || context.domoObject.typeId !== 'MAGNUM_COLLECTION') {
+        onStatusUpdate?.('Error', 'No AppDB collection context available', 'danger');
+        onBackToDefault?.();
+        return;
+      }
+      setCurrentContext(context);
+      await runCheck({ context });
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  // Re-reads the schema too, so a schema saved from Generate Schema since the
+  // last check is what the documents are compared against.
+  const runCheck = async ({ context = currentContext, size = sampleSize } = {}) => {
+    setIsChecking(true);
+    setProgress(0);
+    try {
+      const collectionId = context.domoObject.id;
+      const collection = await getAppDbCollection(collectionId, context.tabId);
+      const savedColumns = collection?.schema?.columns ?? [];
+      const documents = await fetchAllAppDbDocuments({
+        collectionId,
+        maxDocuments: size,
+        onProgress: (count) => mountedRef.current && setProgress(count),
+        tabId: context.tabId
+      });
+      if (!mountedRef.current) return;
+      setColumns(savedColumns);
+      setDrift(savedColumns.length > 0 ? detectSchemaDrift({ columns: savedColumns, documents }) : null);
+      setError(null);
+    } catch (err) {
+      console.error('[SchemaDriftView] Error checking drift:', err);
+      if (mountedRef.current) setError(err.message || 'Failed to check schema drift');
+    } finally {
+      if (mountedRef.current) setIsChecking(false);
+    }
+  };
+
+  const collectionName = currentContext?.domoObject?.metadata?.name || `Collection ${currentContext?.domoObject?.id}`;
+
+  const copyExamples = async (examples) => {
+    await navigator.clipboard.writeText(examples.join('\n'));
+    showStatus('Copied', `${examples.length} document ID${examples.length === 1 ? '' : 's'} copied`, 'success', 2000);
+  };
+
+  const openGenerateSchema = () => launch({ currentContext, onStatusUpdate, type: 'generateSchema' });
+
+  if (isLoading) {
+    return (
+      <Card className='flex h-full w-full items-center justify-center'>
+        <Card.Content className='flex flex-col items-center gap-2 py-8'>
+          <Spinner size='lg' />
+          <p className='text-sm text-muted'>{progress > 0 ? `Sampled ${progress} documents...` : 'Reading schema...'}</p>
+        </Card.Content>
+      </Card>
+    );
+  }
+
+  const findingCount = drift ? drift.appeared.length + drift.disappeared.length + drift.typeConflicts.length : 0;
+
+  return (
+    <Card className='flex min-h-0 w-full flex-1 flex-col p-2'>
+      <ViewHeader
+        beta
+        feature='Schema Drift'
+        featureIcon={<IconGetSchema />}
+        subtext={`**${collectionName}** • ${columns.length} column${columns.length === 1 ? '' : 's'} in the saved schema`}
+        onClose={onBackToDefault}
+        actions={[
+          buildRefreshAction({ isRefreshing: isChecking, onRefresh: () => runCheck() }),
+          buildReloadAction({
+            currentContext: liveContext,
+            objectId: currentContext?.domoObject?.id,
+            objectType: currentContext?.domoObject?.typeId,
+            onStatusUpdate,
+            viewType: 'schemaDrift'
+          })
+        ]}
+      />
+      <Separator />
+
+      <div className='flex shrink-0 items-center gap-2 px-1 pt-2'>
+        <span className='min-w-0 flex-1 text-xs text-muted'>
+          {isChecking
+            ? `Sampling documents... ${progress > 0 ? progress : ''}`
+            : drift
+              ? `Checked the ${drift.sampleSize} most recent document${drift.sampleSize === 1 ? '' : 's'}`
+              : null}
+        </span>
+        <Label className='text-xs text-muted'>Sample</Label>
+        <Select
+          aria-label='Sample size'
+          className='w-24'
+          isDisabled={isChecking}
+          selectionMode='single'
+          value={String(sampleSize)}
+          variant='secondary'
+          onChange={(key) => {
+            setSampleSize(Number(key));
+            runCheck({ size: Number(key) });
+          }}
+        >
+          <Select.Trigger className='h-8 items-center py-0'>
+            <Select.Value />
+            <Select.Indicator>
+              <IconChevronDown />
+            </Select.Indicator>
+          </Select.Trigger>
+          <Select.Popover>
+            <ListBox>
+              {SAMPLE_SIZES.map((size) => (
+                <ListBox.Item id={String(size)} key={size} textValue={String(size)}>
+                  <Label>{size}</Label>
+                  <ListBox.ItemIndicator>{({ isSelected }) => (isSelected ? <IconCheck /> : null)}</ListBox.ItemIndicator>
+                </ListBox.Item>
+              ))}
+            </ListBox>
+          </Select.Popover>
+        </Select>
+      </div>
+
+      <ScrollShadow hideScrollBar className='min-h-0 flex-1 overflow-y-auto px-1 py-2' offset={5} orientation='vertical'>
+        <div className='flex flex-col gap-2'>
+          {error ? (
+            <Alert className='w-full border border-border bg-transparent' status='danger'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  Drift check failed
+                </Alert.Title>
+                <Alert.Description>{error}</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : columns.length === 0 ? (
+            <Alert className='w-full border border-border bg-transparent' status='warning'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  No saved schema
+                </Alert.Title>
+                <Alert.Description>
+                  This collection has no schema to compare against. Generate one from its documents first.
+                </Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : drift && findingCount === 0 ? (
+            <Alert className='w-full border border-border bg-transparent' status='success'>
+              <Alert.Content>
+                <Alert.Title className='flex items-center gap-1'>
+                  <AlertStatusIcon />
+                  No drift
+                </Alert.Title>
+                <Alert.Description>Every sampled document fits the saved schema.</Alert.Description>
+              </Alert.Content>
+            </Alert>
+          ) : drift ? (
+            <>
+              <DriftSection
+                count={drift.appeared.length}
+                description='Keys in documents that the schema has no column for. Sync drops them.'
+                title='Appeared'
+              >
+                {drift.appeared.map((finding) => (
+                  <FindingRow
+                    examples={finding.examples}
+                    key={finding.name}
+                    name={finding.name}
+                    summary={`In ${finding.count} of ${drift.sampleSize} documents • looks like ${finding.type}`}
+                    onCopyExamples={copyExamples}
+                  />
+                ))}
+              </DriftSection>
+              <DriftSection
+                count={drift.disappeared.length}
+                description='Schema columns no sampled document has. Synced rows will be empty for them.'
+                title='Disappeared'
+              >
+                {drift.disappeared.map((column) => (
+                  <FindingRow
+                    key={column.name}
+                    name={column.name}
+                    summary={`${column.type} • in 0 of ${drift.sampleSize} documents`}
+                  />
+                ))}
+              </DriftSection>
+              <DriftSection
+                count={drift.typeConflicts.length}
+                description="Values that don't fit their column's type. Sync writes them as empty."
+                title='Type conflicts'
+              >
+                {drift.typeConflicts.map((finding) =>
+                  finding.kinds.map((kind) => (
+                    <FindingRow
+                      examples={kind.examples}
+                      key={`${finding.name}-${kind.kind}`}
+                      name={finding.name}
+                      summary={`${kind.count} ${kind.kind} value${kind.count === 1 ? '' : 's'} in a ${finding.type} column`}
+                      onCopyExamples={copyExamples}
+                    />
+                  ))
+                )}
+              </DriftSection>
+            </>
+          ) : null}
+        </div>
+      </ScrollShadow>
+
+      <div className='flex shrink-0 flex-col gap-2 border-t border-border px-3 py-2'>
+        <Button fullWidth isDisabled={isChecking} isPending={isLaunching} variant='tertiary' onPress={openGenerateSchema}>
+          <IconMagic /> {columns.length === 0 ? 'Generate Schema' : 'Regenerate Schema'}
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+function DriftSection({ children, count, description, title }) {
+  if (count === 0) {
+    return (
+      <div className='flex items-center justify-between py-1'>
+        <span className='text-sm'>{title}</span>
+        <span className='shrink-0 text-xs text-muted'>None</span>
+      </div>
+    );
+  }
+
+  return (
+    <Disclosure defaultExpanded>
+      <Disclosure.Heading>
+        <Button className='h-auto w-full justify-between px-0 py-1 font-normal' slot='trigger' variant='ghost'>
+          <span className='text-sm'>{title}</span>
+          <span className='flex items-center gap-1'>
+            <Chip color='warning' size='sm' variant='soft'>
+              {count}
+            </Chip>
+            <Disclosure.Indicator />
+          </span>
+        </Button>
+      </Disclosure.Heading>
+      <Disclosure.Content>
+        <Disclosure.Body className='flex flex-col gap-1 pt-0 pb-1'>
+          <p className='text-xs text-muted'>{description}</p>
+          {children}
+        </Disclosure.Body>
+      </Disclosure.Content>
+    </Disclosure>
+  );
+}
+
+function FindingRow({ examples = [], name, onCopyExamples, summary }) {
+  return (
+    <div className='flex items-start gap-2 rounded-lg border border-border p-2 text-xs'>
+      <div className='flex min-w-0 flex-1 flex-col gap-0.5'>
+        <span className='truncate font-semibold' title={name}>
+          {name}
+        </span>
+        <span className='text-muted'>{summary}</span>
+        {examples.map((id) => (
+          <span className='truncate font-mono text-muted' key={id} title={id}>
+            {id}
+          </span>
+        ))}
+      </div>
+      {examples.length > 0 && (
+        <Button
+          isIconOnly
+          aria-label='Copy example document IDs'
+          size='sm'
+          variant='ghost'
+          onPress={() => onCopyExamples(examples)}
+        >
+          <IconClipboardCopy />
+        </Button>
+      )}
+    </div>
+  );
+}
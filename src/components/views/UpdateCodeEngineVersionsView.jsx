@@ -21,18 +21,13 @@ import { useStatusBar } from '@/hooks/useStatusBar';
 import { DomoContext } from '@/models/DomoContext';
 import { getCodeEnginePackageInfo } from '@/services/codeEngine';
 import { getVersionDefinition, getWorkflowModelName, updateVersionDefinition } from '@/services/workflows';
-import { classifyContractChanges, getFunctionContract, variableMatchesEntry } from '@/utils/ceContractDiff';
+import { getFunctionContract } from '@/utils/ceContractDiff';
+import { actionNeedsReview, buildActionContractInfo, groupTilesByPackage } from '@/utils/ceVersionBump';
 import { buildRefreshAction, buildReloadAction } from '@/utils/headerActions';
 import { compareSemver } from '@/utils/semver';
 import { getSidepanelData } from '@/utils/sidepanel';
 import { waitForDefinition } from '@/utils/workflowHelpers';
-import {
-  getTileParams,
-  getVariableConsumers,
-  hasBinding,
-  indexVariablesById,
-  reconcileTileForVersionBump
-} from '@/utils/workflowTileIO';
+import { reconcileTileForVersionBump } from '@/utils/workflowTileIO';
 import IconArrowRight from '@icons/arrow-right.svg?react';
 import IconCheck from '@icons/check.svg?react';
 import IconChevronDown from '@icons/chevron-down.svg?react';
@@ -782,23 +777,6 @@ export function UpdateCodeEngineVersionsView({
   );
 }
 
-/**
- * Whether an action's contract change needs human attention (vs. fully
- * auto-handled). Renamed params and added outputs are handled automatically;
- * removed bindings, new required inputs, and type/output breakages are not.
- */
-function actionNeedsReview(info) {
-  if (!info) return false;
-  if (info.functionDeleted) return true;
-  return (
-    info.removedBoundInputs.length > 0 ||
-    info.addedRequiredInputs.length > 0 ||
-    info.typeChangeImpacts.length > 0 ||
-    info.schemaChangeImpacts.length > 0 ||
-    info.breakingRemovedOutputs.length > 0
-  );
-}
-
 function ActionReconciliation({
   action,
   id = null,
@@ -1047,218 +1025,3 @@ function ActionReconciliation({
     </Disclosure>
   );
 }
-
-/**
- * Pre-compute everything the reconciliation UI needs for one changed action,
- * using the loaded definition to resolve current bindings, variable names, and
- * downstream consumers so the render stays declarative.
- */
-function buildActionContractInfo({ change, definition, newFn, oldFn }) {
-  const classified = classifyContractChanges(oldFn, newFn);
-  const element = (definition?.designElements || []).find((e) => e.id === change.elementId);
-  // A param can bind to a nested field of an object variable (id `varId.childId`),
-  // which isn't in the flat dataList. Index the whole tree so both the name shown
-  // and the "already matches?" check resolve that child instead of the raw id.
-  const varIndex = indexVariablesById(definition);
-  const variableNode = (variableId) => varIndex.get(variableId)?.node ?? null;
-  const inputParams = new Map(getTileParams(element, 'input').map((p) => [p.paramName, p]));
-  const outputParams = new Map(getTileParams(element, 'output').map((p) => [p.paramName, p]));
-  const consumersOf = (variableId) =>
-    getVariableConsumers(definition, variableId).filter((c) => c.elementId !== change.elementId);
-  const variableName = (variableId) => varIndex.get(variableId)?.path || variableId;
-
-  const addedInputNames = classified.inputs.added.map((e) => e.name);
-  const addedOutputs = classified.outputs.added.map((e) => e.name);
-  const addedRequiredInputs = classified.inputs.added.filter((e) => e.nullable === false).map((e) => e.name);
-
-  const removedBoundInputs = classified.inputs.removed
-    .filter((e) => hasBinding(inputParams.get(e.name)))
-    .map((e) => ({
-      binding: describeBinding(inputParams.get(e.name), varIndex),
-      paramName: e.name
-    }));
-
-  // Describe a type the way a user reads it, keeping the list-ness visible so an
-  // array of objects never collapses to a bare "object" in the warning.
-  const describeType = (entry) => {
-    const type = entry?.type ?? null;
-    if (!type) return type;
-    return entry?.isList ? `list of ${type}` : type;
-  };
-  // Same, but read from a bound variable's node (variables carry the type on
-  // `dataType`), so the warning can state the variable's current type.
-  const describeVariableType = (node) => {
-    const type = node?.dataType ?? null;
-    if (!type) return type;
-    return node?.isList ? `list of ${type}` : type;
-  };
-
-  // Every type change, paired with the tile param that carries the binding and
-  // the new manifest entry (so we can check whether the bound variable already
-  // matches the target version).
-  const typeChanged = [
-    ...classified.inputs.typeChanged.map((t) => ({
-      flag: 'input',
-      name: t.name,
-      newEntry: t.new,
-      newType: describeType(t.new),
-      param: inputParams.get(t.name)
-    })),
-    ...classified.outputs.typeChanged.map((t) => ({
-      flag: 'output',
-      name: t.name,
-      newEntry: t.new,
-      newType: describeType(t.new),
-      param: outputParams.get(t.name)
-    }))
-  ];
-  // Only prompt when the bound variable is actually out of sync with the new
-  // version. A variable already matching the target (e.g. from a prior update)
-  // needs nothing, so the version diff alone must not keep flagging it.
-  const typeChangeImpacts = typeChanged
-    .filter((t) => t.param?.mappedTo && !variableMatchesEntry(variableNode(t.param.mappedTo), t.newEntry))
-    .map((t) => ({
-      consumers: consumersOf(t.param.mappedTo),
-      currentType: describeVariableType(variableNode(t.param.mappedTo)),
-      flag: t.flag,
-      newType: t.newType,
-      paramName: t.name,
-      variableId: t.param.mappedTo,
-      variableName: variableName(t.param.mappedTo)
-    }));
-
-  // Changes confined to an object's nested property schema (the data type is
-  // unchanged). Paired with the binding so the user can sync the variable's
-  // properties; `isList` tunes the wording (objects in an array vs. one object).
-  const schemaChanged = [
-    ...classified.inputs.schemaChanged.map((t) => ({
-      flag: 'input',
-      isList: t.new?.isList ?? false,
-      name: t.name,
-      newEntry: t.new,
-      param: inputParams.get(t.name)
-    })),
-    ...classified.outputs.schemaChanged.map((t) => ({
-      flag: 'output',
-      isList: t.new?.isList ?? false,
-      name: t.name,
-      newEntry: t.new,
-      param: outputParams.get(t.name)
-    }))
-  ];
-  // Same guard as type changes: skip a variable that already carries the new
-  // property schema so a re-run of the same bump stops asking to update it.
-  const schemaChangeImpacts = schemaChanged
-    .filter((t) => t.param?.mappedTo && !variableMatchesEntry(variableNode(t.param.mappedTo), t.newEntry))
-    .map((t) => ({
-      consumers: consumersOf(t.param.mappedTo),
-      flag: t.flag,
-      isList: t.isList,
-      paramName: t.name,
-      variableId: t.param.mappedTo,
-      variableName: variableName(t.param.mappedTo)
-    }));
-
-  // All removed outputs; split into breaking (variable still feeds downstream
-  // tiles) vs. harmless (surfaced as an auto note below).
-  const removedOutputs = classified.outputs.removed.map((e) => {
-    const variableId = outputParams.get(e.name)?.mappedTo || null;
-    return {
-      consumers: variableId ? consumersOf(variableId) : [],
-      paramName: e.name,
-      variableName: variableId ? variableName(variableId) : null
-    };
-  });
-  const breakingRemovedOutputs = removedOutputs.filter((o) => o.consumers.length > 0);
-
-  // Auto-handled changes worth surfacing so the panel is never empty and the
-  // user understands the version's effect even when nothing needs a decision.
-  const autoNotes = [];
-  for (const r of classified.inputs.renamed) {
-    autoNotes.push(`Input renamed ${r.from} to ${r.to}, binding kept`);
-  }
-  for (const r of classified.outputs.renamed) {
-    autoNotes.push(`Output renamed ${r.from} to ${r.to}, binding kept`);
-  }
-  for (const e of classified.inputs.added) {
-    if (e.nullable !== false) autoNotes.push(`New optional input ${e.name} added`);
-  }
-  for (const e of classified.inputs.removed) {
-    if (!hasBinding(inputParams.get(e.name))) autoNotes.push(`Unused input ${e.name} removed`);
-  }
-  for (const t of typeChanged) {
-    if (!t.param?.mappedTo) {
-      autoNotes.push(`Type of ${t.name} changed to ${t.newType}, no variable bound`);
-    } else if (variableMatchesEntry(variableNode(t.param.mappedTo), t.newEntry)) {
-      autoNotes.push(`Type of ${t.name} changed, ${variableName(t.param.mappedTo)} already matches`);
-    }
-  }
-  for (const t of schemaChanged) {
-    if (!t.param?.mappedTo) {
-      autoNotes.push(`Properties of ${t.name} changed, no variable bound`);
-    } else if (variableMatchesEntry(variableNode(t.param.mappedTo), t.newEntry)) {
-      autoNotes.push(`Properties of ${t.name} changed, ${variableName(t.param.mappedTo)} already matches`);
-    }
-  }
-  for (const o of removedOutputs) {
-    if (o.consumers.length === 0) {
-      autoNotes.push(
-        o.variableName
-          ? `Output ${o.paramName} removed, variable ${o.variableName} is no longer written`
-          : `Output ${o.paramName} removed`
-      );
-    }
-  }
-
-  return {
-    addedInputNames,
-    addedOutputs,
-    addedRequiredInputs,
-    autoNotes,
-    breakingRemovedOutputs,
-    classified,
-    functionDeleted: classified.functionDeleted,
-    newFn,
-    removedBoundInputs,
-    schemaChangeImpacts,
-    typeChangeImpacts
-  };
-}
-
-function describeBinding(param, varIndex) {
-  if (!param) return 'unmapped';
-  if (param.mappedTo) return `variable ${varIndex.get(param.mappedTo)?.path || param.mappedTo}`;
-  if (param.value !== null && param.value !== undefined) return 'a fixed value';
-  return 'unmapped';
-}
-
-/**
- * Parse code engine tiles from a workflow definition and group by package.
- */
-function groupTilesByPackage(designElements) {
-  const packageMap = new Map();
-
-  for (const el of designElements) {
-    if (el.data?.taskType !== 'nebulaFunction' || !el.data?.metadata?.packageId) {
-      continue;
-    }
-
-    const { functionName, packageId, version } = el.data.metadata;
-    const actionName = el.data.title || functionName || el.id;
-
-    if (!packageMap.has(packageId)) {
-      packageMap.set(packageId, { actions: [], versions: new Set() });
-    }
-
-    const pkg = packageMap.get(packageId);
-    pkg.actions.push({
-      actionName,
-      currentVersion: version,
-      elementId: el.id,
-      functionName
-    });
-    pkg.versions.add(version);
-  }
-
-  return packageMap;
-}
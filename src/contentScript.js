@@ -1,4 +1,5 @@
 import { applyFaviconRules, applyInstanceLogoAuto } from './faviconModifier';
+import { restoreVariablesFromUrl } from './variableUrlRestore';
 
 // Apply favicon rules - called by service worker
 async function applyFavicon() {
@@ -41,6 +42,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Title will be updated when we receive tab context from background
 })();
 
+// Restore variable control selections carried by a copied filtered URL
+restoreVariablesFromUrl().catch((error) => {
+  console.error('[ContentScript] Error restoring variables from URL:', error);
+});
+
 // NOTE: URL change detection and instance tracking are handled by service worker
 // Modal/overlay detection requires DOM access, so we handle it here via MutationObserver.
 // Each detector is a config object; the shared observer iterates them on every mutation batch.
@@ -0,0 +1,361 @@
+import { AlertDialog, Button, Checkbox } from '@heroui/react';
+import { useCallback, useMemo, useState } from 'react';
+
+import { DomoObject } from '@/models/DomoObject';
+import { checkBulkDelete, runBulkDelete, summarizeBulkDeleteChecks } from '@/services/bulkDelete';
+import { isRecyclableType } from '@/services/recycleBin';
+import { getValidTabForInstance } from '@/utils/currentObject';
+import IconTrash from '@icons/trash.svg?react';
+import IconX from '@icons/x.svg?react';
+
+// Per-row chip for each state a selected object passes through.
+const ROW_BADGES = {
+  blocked: { color: 'warning', label: 'Blocked' },
+  checking: { color: 'accent', label: 'Checking…' },
+  deleted: { color: 'success', label: 'Deleted' },
+  deleting: { color: 'accent', label: 'Deleting…' },
+  failed: { color: 'danger', label: 'Failed' }
+};
+
+/**
+ * Bulk delete for a DataList: a header toggle puts the list in selection mode
+ * over rows of the given types, the footer button checks every selected
+ * object's dependencies (`getDependenciesForDelete`) and opens one aggregated
+ * report, and confirming deletes them a few at a time. Each row carries a
+ * badge for where it is in that process.
+ *
+ * Spread `dataListProps` onto the DataList and render `dialog` next to it.
+ *
+ * @param {Object} params
+ * @param {string} params.instance - The Domo instance subdomain
+ * @param {boolean} [params.isActive] - Whether the owning view is the visible one (hides the dialog otherwise)
+ * @param {Array} params.items - The DataList's items
+ * @param {Function} [params.onStatusUpdate] - `(title, description, status, timeout)`
+ * @param {string} params.typeLabel - Singular name for the rows, e.g. 'Beast Mode'
+ * @param {string[]} params.typeIds - Row types that can be selected; each must be one `deleteObject` handles
+ * @returns {{ dataListProps: Object, dialog: React.ReactNode }}
+ */
+export function useBulkDelete({ instance, isActive = true, items, onStatusUpdate, typeIds, typeLabel }) {
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [rowStatus, setRowStatus] = useState(() => new Map());
+  const [phase, setPhase] = useState('idle');
+  const [report, setReport] = useState(null);
+  const [cascadeSelection, setCascadeSelection] = useState(() => new Set());
+
+  const origin = `https://${instance}.domo.com`;
+
+  // Every selectable row, deduped by id: the same object can appear under
+  // several groups (a card on two pages), but it's deleted once.
+  const candidates = useMemo(() => {
+    const byId = new Map();
+    const walk = (list) => {
+      for (const item of list || []) {
+        if (!item.isVirtualParent && typeIds.includes(item.typeId) && !byId.has(String(item.id))) {
+          byId.set(String(item.id), item);
+        }
+        if (item.children?.length) walk(item.children);
+      }
+    };
+    walk(items);
+    return byId;
+  }, [items, typeIds]);
+
+  const isDeleted = useCallback((id) => rowStatus.get(String(id))?.state === 'deleted', [rowStatus]);
+  const eligibleIds = useMemo(() => [...candidates.keys()].filter((id) => !isDeleted(id)), [candidates, isDeleted]);
+  const isBusy = phase === 'checking' || phase === 'deleting';
+
+  const setRow = (id, state, error = null) =>
+    setRowStatus((prev) => {
+      const next = new Map(prev);
+      next.set(String(id), { error, state });
+      return next;
+    });
+
+  const toObject = (item) => item.domoObject ?? new DomoObject(item.typeId, item.id, origin, { name: item.label });
+
+  const handleCheck = async () => {
+    const objects = [...selectedIds]
+      .map((id) => candidates.get(id))
+      .filter(Boolean)
+      .map(toObject);
+    if (objects.length === 0) return;
+    setPhase('checking');
+    for (const object of objects) setRow(object.id, 'checking');
+    try {
+      const tabId = await getValidTabForInstance(instance);
+      const checks = await checkBulkDelete({
+        instance,
+        objects,
+        onItemChecked: (object, { deps, error }) => {
+          if (error || deps?.blockingCount > 0) {
+            setRow(object.id, 'blocked', error ? `Could not check dependencies: ${error}` : deps.blockingReason);
+          } else {
+            setRowStatus((prev) => {
+              const next = new Map(prev);
+              next.delete(String(object.id));
+              return next;
+            });
+          }
+        },
+        tabId
+      });
+      setReport(summarizeBulkDeleteChecks(checks));
+      setCascadeSelection(new Set());
+      setPhase('review');
+    } catch (error) {
+      for (const object of objects) setRow(object.id, 'failed', error.message);
+      onStatusUpdate?.('Error', error.message || 'Could not check dependencies', 'danger');
+      setPhase('idle');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!report) return;
+    const { cascadable, deletable } = report;
+    const cascadeObjects = cascadable
+      .filter((group) => cascadeSelection.has(group.label))
+      .flatMap((group) => group.items)
+      .map((item) => new DomoObject(item.typeId, item.id, origin, { name: item.label }));
+    setPhase('deleting');
+    setReport(null);
+    try {
+      const tabId = await getValidTabForInstance(instance);
+      // Dependencies the user opted into go first, as in the single delete.
+      const cascadeResult = cascadeObjects.length
+        ? await runBulkDelete({ instance, objects: cascadeObjects, tabId })
+        : { deleted: 0, failed: [] };
+      const result = await runBulkDelete({
+        instance,
+        objects: deletable,
+        onItemResult: (object, { error, success }) => setRow(object.id, success ? 'deleted' : 'failed', error),
+        onItemStart: (object) => setRow(object.id, 'deleting'),
+        tabId
+      });
+      setSelectedIds((prev) => new Set([...prev].filter((id) => !deletable.some((object) => String(object.id) === id))));
+
+      const noun = `${typeLabel}${deletable.length === 1 ? '' : 's'}`;
+      const cascadeText = cascadeObjects.length
+        ? ` and ${cascadeResult.deleted} of ${cascadeObjects.length} dependenc${cascadeObjects.length === 1 ? 'y' : 'ies'}`
+        : '';
+      const failedCount = result.failed.length + cascadeResult.failed.length;
+      onStatusUpdate?.(
+        failedCount === 0 ? 'Deleted' : 'Deleted with errors',
+        `Deleted **${result.deleted}** of ${deletable.length} ${noun}${cascadeText}${failedCount > 0 ? `. ${failedCount} failed, see the row badges` : ''}`,
+        failedCount === 0 ? 'success' : 'warning',
+        failedCount === 0 ? 3000 : 6000
+      );
+    } catch (error) {
+      onStatusUpdate?.('Error', error.message || 'Bulk delete failed', 'danger');
+    } finally {
+      setPhase('idle');
+    }
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedIds(new Set());
+    setRowStatus(new Map());
+  };
+
+  const isSelectable = useCallback(
+    (item) => !item.isVirtualParent && typeIds.includes(item.typeId) && !isDeleted(item.id),
+    [isDeleted, typeIds]
+  );
+
+  const getItemBadge = useCallback(
+    (item) => {
+      if (!typeIds.includes(item.typeId)) return null;
+      const status = rowStatus.get(String(item.id));
+      if (!status) return null;
+      return { ...ROW_BADGES[status.state], tooltip: status.error ?? undefined };
+    },
+    [rowStatus, typeIds]
+  );
+
+  const selectedCount = selectedIds.size;
+
+  const dataListProps = {
+    customHeaderActions: [
+      {
+        icon: <IconTrash />,
+        isActive: selectionMode,
+        isDisabled: isBusy || (!selectionMode && candidates.size === 0),
+        key: 'bulkDelete',
+        onPress: () => (selectionMode ? exitSelectionMode() : setSelectionMode(true)),
+        tooltipText: selectionMode ? 'Exit bulk delete' : `Select ${typeLabel}s to delete`
+      }
+    ],
+    footer: selectionMode && (
+      <Button
+        fullWidth
+        isDisabled={selectedCount === 0 || isBusy}
+        isPending={isBusy}
+        size='sm'
+        variant='danger'
+        onPress={handleCheck}
+      >
+        <IconTrash />
+        {phase === 'checking'
+          ? 'Checking dependencies…'
+          : phase === 'deleting'
+            ? 'Deleting…'
+            : `Delete ${selectedCount} ${typeLabel}${selectedCount === 1 ? '' : 's'}…`}
+      </Button>
+    ),
+    getItemBadge,
+    isSelectable,
+    onSelectionChange: (ids) => setSelectedIds(new Set([...ids].filter((id) => candidates.has(id) && !isDeleted(id)))),
+    selectedIds,
+    selectionMode,
+    selectionToolbar: selectionMode && (
+      <Checkbox
+        aria-label={`Select all ${typeLabel}s`}
+        isDisabled={eligibleIds.length === 0 || isBusy}
+        isIndeterminate={selectedCount > 0 && selectedCount < eligibleIds.length}
+        isSelected={eligibleIds.length > 0 && selectedCount === eligibleIds.length}
+        variant='secondary'
+        onChange={(isSelected) => setSelectedIds(isSelected ? new Set(eligibleIds) : new Set())}
+      >
+        <Checkbox.Content>
+          <Checkbox.Control>
+            <Checkbox.Indicator />
+          </Checkbox.Control>
+          Select all ({eligibleIds.length})
+        </Checkbox.Content>
+      </Checkbox>
+    )
+  };
+
+  const dialog = (
+    <AlertDialog
+      isOpen={!!report && isActive}
+      onOpenChange={(open) => {
+        if (!open) {
+          setReport(null);
+          setPhase('idle');
+        }
+      }}
+    >
+      <AlertDialog.Backdrop>
+        <AlertDialog.Container className='p-1'>
+          <AlertDialog.Dialog className='p-2 pt-3'>
+            <div className='absolute top-0 left-0 h-1.25 w-full bg-danger' />
+            <AlertDialog.CloseTrigger className='absolute top-3 right-2' variant='ghost'>
+              <IconX />
+            </AlertDialog.CloseTrigger>
+            <AlertDialog.Header>
+              <AlertDialog.Heading>Delete {typeLabel}s</AlertDialog.Heading>
+            </AlertDialog.Header>
+            <AlertDialog.Body>
+              {report && (
+                <BulkDeleteReport
+                  cascadeSelection={cascadeSelection}
+                  report={report}
+                  typeLabel={typeLabel}
+                  onToggleCascade={(label, isSelected) =>
+                    setCascadeSelection((prev) => {
+                      const next = new Set(prev);
+                      if (isSelected) next.add(label);
+                      else next.delete(label);
+                      return next;
+                    })
+                  }
+                />
+              )}
+            </AlertDialog.Body>
+            <AlertDialog.Footer>
+              <Button size='sm' slot='close' variant='tertiary'>
+                Cancel
+              </Button>
+              <Button isDisabled={!report?.deletable.length} size='sm' variant='danger' onPress={handleDelete}>
+                Delete {report?.deletable.length ?? 0}
+              </Button>
+            </AlertDialog.Footer>
+          </AlertDialog.Dialog>
+        </AlertDialog.Container>
+      </AlertDialog.Backdrop>
+    </AlertDialog>
+  );
+
+  return { dataListProps, dialog };
+}
+
+// The aggregated dependency report shown before a bulk delete runs.
+function BulkDeleteReport({ cascadeSelection, onToggleCascade, report, typeLabel }) {
+  const { advisory, blocked, cascadable, deletable, deletedWith, unsupportedCount } = report;
+  const noun = (count) => `${count} ${typeLabel}${count === 1 ? '' : 's'}`;
+  const groupLine = (group) => `${group.label} (${group.items.length})`;
+
+  return (
+    <div className='flex flex-col gap-2 text-sm'>
+      <span>
+        Permanently delete <span className='font-bold'>{noun(deletable.length)}</span>?
+        {deletable.some((object) => isRecyclableType(object.typeId)) && ' Each is saved to the recycle bin first.'}
+      </span>
+
+      {blocked.length > 0 && (
+        <div className='flex flex-col gap-1 text-xs'>
+          <span className='text-warning'>{noun(blocked.length)} can't be deleted and will be skipped:</span>
+          <ul className='list-disc pl-4'>
+            {blocked.slice(0, 5).map(({ object, reason }) => (
+              <li key={object.id}>
+                <span className='font-bold'>{object.metadata?.name || object.id}</span>: {reason}
+              </li>
+            ))}
+            {blocked.length > 5 && <li>…and {blocked.length - 5} more (see the row badges)</li>}
+          </ul>
+        </div>
+      )}
+
+      {deletedWith.length > 0 && (
+        <div className='flex flex-col gap-1 text-xs'>
+          <span className='text-muted'>Deleted along with them:</span>
+          <ul className='list-disc pl-4'>
+            {deletedWith.map((group) => (
+              <li key={group.label}>{groupLine(group)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {cascadable.length > 0 && (
+        <div className='flex flex-col gap-1 text-xs'>
+          <span className='text-muted'>Also delete</span>
+          {cascadable.map((group) => (
+            <Checkbox
+              isSelected={cascadeSelection.has(group.label)}
+              key={group.label}
+              variant='secondary'
+              onChange={(checked) => onToggleCascade(group.label, checked)}
+            >
+              <Checkbox.Content>
+                <Checkbox.Control>
+                  <Checkbox.Indicator />
+                </Checkbox.Control>
+                <span className='text-sm'>{groupLine(group)}</span>
+              </Checkbox.Content>
+            </Checkbox>
+          ))}
+        </div>
+      )}
+
+      {advisory.length > 0 && (
+        <div className='flex flex-col gap-1 text-xs'>
+          <span className='text-muted'>Still referenced by (these are left in place):</span>
+          <ul className='list-disc pl-4'>
+            {advisory.map((group) => (
+              <li key={group.label}>{groupLine(group)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unsupportedCount > 0 && (
+        <span className='text-xs text-muted'>
+          Dependencies can't be checked for {noun(unsupportedCount)}. Verify them manually.
+        </span>
+      )}
+    </div>
+  );
+}
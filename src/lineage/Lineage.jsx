@@ -1,10 +1,17 @@
-import { Button, Dropdown, Label, Spinner, Tooltip } from '@heroui/react';
+import { Button, Dropdown, Label, ListBox, Select, Spinner, Tooltip } from '@heroui/react';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 import { DataflowInspector } from '@/components/DataflowInspector';
 import { useResolveTabId } from '@/hooks/useResolveTabId';
 import { useStatusBar } from '@/hooks/useStatusBar';
-import { exportToCSV, exportToExcel, exportToJson, generateExportFilename } from '@/utils/exportData';
+import { getDatasetColumns } from '@/services/datasets';
+import { exportToCSV, exportToExcel, exportToJson, exportToText, generateExportFilename } from '@/utils/exportData';
+import IconBinaryTree from '@icons/binary-tree.svg?react';
+import IconCamera from '@icons/camera.svg?react';
+import IconCheck from '@icons/check.svg?react';
+import IconChevronDown from '@icons/chevron-down.svg?react';
+import IconCodeTags from '@icons/code-tags.svg?react';
+import IconColumnSelect from '@icons/column-select.svg?react';
 import IconCsv from '@icons/csv.svg?react';
 import IconCurlyBrackets from '@icons/curly-brackets.svg?react';
 import IconDatabase from '@icons/database.svg?react';
@@ -12,15 +19,33 @@ import IconDataflow from '@icons/dataflow.svg?react';
 import IconDownload from '@icons/download.svg?react';
 import IconExcel from '@icons/excel.svg?react';
 import IconInfoCircle from '@icons/info-circle.svg?react';
+import IconLightningBolt from '@icons/lightning-bolt.svg?react';
+import IconNetwork from '@icons/network.svg?react';
+import IconSwapHorizontal from '@icons/swap-horizontal.svg?react';
 import IconSync from '@icons/sync.svg?react';
+import IconX from '@icons/x.svg?react';
 
+import { ColumnLineagePanel } from './components/ColumnLineagePanel';
 import { DataPreviewPanel } from './components/DataPreviewPanel';
 import { LevelToolbar } from './components/LevelToolbar';
 import { LineageGraph } from './components/LineageGraph';
 import { useGraphVisibility } from './hooks/useGraphVisibility';
 import { useLineageCache } from './hooks/useLineageCache';
+import { traceColumnLineage } from './services/columnLineage';
 import { toLineageType, toNodeId } from './services/lineage';
-import { buildLineageJson, buildLineageRows, LINEAGE_EXPORT_COLUMNS } from './services/lineageExport';
+import {
+  buildImpactJson,
+  buildImpactRows,
+  buildLineageDot,
+  buildLineageGraphML,
+  buildLineageJson,
+  buildLineageMermaid,
+  buildLineageRows,
+  IMPACT_EXPORT_COLUMNS,
+  LINEAGE_EXPORT_COLUMNS
+} from './services/lineageExport';
+import { getLineageImpact } from './services/lineageImpact';
+import { diffLineage, getLineageSnapshots, saveLineageSnapshot } from './services/lineageSnapshots';
 
 export function Lineage() {
   const [params, setParams] = useState(null);
@@ -28,8 +53,21 @@ export function Lineage() {
   const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [inspectedDataflow, setInspectedDataflow] = useState(null);
   const [previewDataset, setPreviewDataset] = useState(null);
-  const [isExporting, setIsExporting] = useState(false);
-  const [exportCount, setExportCount] = useState(0);
+  const [isCrawling, setIsCrawling] = useState(false);
+  const [crawlCount, setCrawlCount] = useState(0);
+  // Saved snapshots of this root's lineage, newest first, and the active
+  // comparison against one of them (null while showing the live graph).
+  const [snapshots, setSnapshots] = useState([]);
+  const [diff, setDiff] = useState(null);
+  // Impact overlay: per-dataset downstream content over the fully crawled
+  // lineage plus its roll-up (null while off). Mutually exclusive with diff.
+  const [impact, setImpact] = useState(null);
+  const [impactProgress, setImpactProgress] = useState(null);
+  // Column lineage mode: the fully crawled graph, the dataset a column is
+  // picked on, its column names, and the trace of the picked column (null
+  // while off). Mutually exclusive with diff and impact.
+  const [columnLineage, setColumnLineage] = useState(null);
+  const columnTraceGenRef = useRef(0);
   const graphInstanceRef = useRef(null);
   const previewHeightRef = useRef(300);
   const previewCacheRef = useRef(new Map());
@@ -91,16 +129,71 @@ export function Lineage() {
     });
   }, [params, init]);
 
+  useEffect(() => {
+    if (!params?.instance || !rootNodeId) return;
+    getLineageSnapshots(params.instance, rootNodeId)
+      .then(setSnapshots)
+      .catch((err) => console.error('[Lineage] Failed to load snapshots:', err));
+  }, [params?.instance, rootNodeId]);
+
   useEffect(() => {
     if (!params) return;
     const label = params.objectName || `${params.entityType} ${params.entityId}`;
     document.title = `Lineage: ${label} - Domo Toolkit`;
   }, [params]);
 
+  const displayedTrace = columnLineage?.graph ?? diff?.graph ?? visibleTrace;
+
+  const columnNodesById = useMemo(
+    () => new Map((columnLineage?.graph.nodes ?? []).map((node) => [node.id, node])),
+    [columnLineage?.graph]
+  );
+
+  // Point the column picker at a dataset. Its columns load in the background;
+  // any trace of the previous dataset's column is dropped.
+  const selectColumnDataset = useCallback(
+    async (nodeId, fullGraph) => {
+      const node = fullGraph.nodes.find((n) => n.id === nodeId);
+      if (!node) return;
+      const generation = ++columnTraceGenRef.current;
+      setColumnLineage({
+        column: null,
+        columns: null,
+        datasetNodeId: nodeId,
+        graph: fullGraph,
+        isTracing: false,
+        progress: 0,
+        result: null
+      });
+      try {
+        const columns = await getDatasetColumns({ datasetId: node.entityId, tabId: await resolveTabId() });
+        if (generation !== columnTraceGenRef.current) return;
+        setColumnLineage((prev) => prev && { ...prev, columns: columns.map((column) => column.name) });
+      } catch (err) {
+        if (generation !== columnTraceGenRef.current) return;
+        setColumnLineage((prev) => prev && { ...prev, columns: [] });
+        showStatus('Could not load columns', err.message || 'Failed to fetch the dataset schema', 'danger');
+      }
+    },
+    [resolveTabId, showStatus]
+  );
+
   const handleNodeClick = useCallback(
     (clickedEntityType, clickedEntityId, nodeId) => {
+      // Objects removed since the snapshot no longer exist to preview or inspect.
+      if (diff?.nodes.get(nodeId) === 'removed') return;
       setSelectedNodeId(nodeId);
 
+      // In column lineage mode, clicking a dataset picks it for tracing.
+      if (
+        columnLineage &&
+        !columnLineage.isTracing &&
+        clickedEntityType === 'DATA_SOURCE' &&
+        nodeId !== columnLineage.datasetNodeId
+      ) {
+        selectColumnDataset(nodeId, columnLineage.graph);
+      }
+
       const needsUpstream = !isNeighborCached(nodeId, 'upstream');
       const needsDownstream = !isNeighborCached(nodeId, 'downstream');
       if (needsUpstream || needsDownstream) {
@@ -111,7 +204,7 @@ export function Lineage() {
         setInspectedDataflow({ id: clickedEntityId, nodeId });
         setPreviewDataset(null);
       } else if (clickedEntityType === 'DATA_SOURCE') {
-        const node = visibleTrace?.nodes.find((n) => n.id === nodeId);
+        const node = displayedTrace?.nodes.find((n) => n.id === nodeId);
         setPreviewDataset({
           id: clickedEntityId,
           name: node?.name || `Dataset ${clickedEntityId}`
@@ -122,7 +215,7 @@ export function Lineage() {
         setPreviewDataset(null);
       }
     },
-    [visibleTrace, isNeighborCached, prefetch]
+    [columnLineage, diff, displayedTrace, isNeighborCached, prefetch, selectColumnDataset]
   );
 
   const handleCloseInspector = useCallback(() => {
@@ -137,6 +230,9 @@ export function Lineage() {
 
   const handleRefresh = useCallback(() => {
     setError(null);
+    setDiff(null);
+    setImpact(null);
+    setColumnLineage(null);
     setSelectedNodeId(null);
     setInspectedDataflow(null);
     setPreviewDataset(null);
@@ -153,11 +249,11 @@ export function Lineage() {
 
   const handleExport = useCallback(
     async (format) => {
-      if (!graph || isExporting) return;
-      setIsExporting(true);
-      setExportCount(0);
+      if (!graph || isCrawling) return;
+      setIsCrawling(true);
+      setCrawlCount(0);
       try {
-        const fullGraph = await fetchEntireLineage(setExportCount);
+        const fullGraph = await fetchEntireLineage(setCrawlCount);
         const rows = buildLineageRows(fullGraph);
         if (rows.length === 0) {
           showStatus('Nothing to export', 'No lineage objects were found', 'warning');
@@ -171,19 +267,208 @@ export function Lineage() {
           await exportToExcel(rows, LINEAGE_EXPORT_COLUMNS, filename, 'Lineage');
         } else if (format === 'json') {
           exportToJson(buildLineageJson(fullGraph, rootNodeId), filename);
+        } else if (format === 'dot') {
+          exportToText(buildLineageDot(fullGraph, rootNodeId), filename, 'dot', 'text/vnd.graphviz');
+        } else if (format === 'mermaid') {
+          exportToText(buildLineageMermaid(fullGraph, rootNodeId), filename, 'mmd');
+        } else if (format === 'graphml') {
+          exportToText(buildLineageGraphML(fullGraph, rootNodeId), filename, 'graphml', 'application/xml');
         }
         showStatus('Lineage exported', `Exported **${rows.length}** objects`, 'success');
       } catch (err) {
         console.error('[Lineage] Export failed:', err);
         showStatus('Export failed', err.message || 'Could not export lineage', 'danger');
       } finally {
-        setIsExporting(false);
-        setExportCount(0);
+        setIsCrawling(false);
+        setCrawlCount(0);
+      }
+    },
+    [graph, isCrawling, fetchEntireLineage, params, rootNodeId, showStatus]
+  );
+
+  // Snapshots and comparisons both work on the fully crawled lineage, so a
+  // migration that drops a dataflow several levels down still shows up.
+  const handleSnapshotAction = useCallback(
+    async (key) => {
+      if (!graph || isCrawling || !params) return;
+      const compareWith = key === 'save' ? null : snapshots.find((snapshot) => snapshot.id === key);
+      if (key !== 'save' && !compareWith) return;
+      setIsCrawling(true);
+      setCrawlCount(0);
+      try {
+        const fullGraph = await fetchEntireLineage(setCrawlCount);
+        if (!compareWith) {
+          const snapshot = await saveLineageSnapshot({
+            graph: fullGraph,
+            instance: params.instance,
+            objectName: params.objectName,
+            rootNodeId
+          });
+          setSnapshots(await getLineageSnapshots(params.instance, rootNodeId));
+          showStatus(
+            'Snapshot saved',
+            `Saved **${snapshot.lineage.nodes.length}** objects and **${snapshot.lineage.edges.length}** links`,
+            'success'
+          );
+          return;
+        }
+        const result = diffLineage(compareWith, fullGraph);
+        setSelectedNodeId(null);
+        setInspectedDataflow(null);
+        setPreviewDataset(null);
+        setImpact(null);
+        setColumnLineage(null);
+        setDiff({ ...result, snapshot: compareWith });
+        const { added, removed, repointed } = result.counts;
+        if (added + removed + repointed === 0) {
+          showStatus('No changes', 'Lineage matches the snapshot', 'success');
+        }
+      } catch (err) {
+        console.error('[Lineage] Snapshot failed:', err);
+        showStatus('Snapshot failed', err.message || 'Could not crawl lineage', 'danger');
+      } finally {
+        setIsCrawling(false);
+        setCrawlCount(0);
+      }
+    },
+    [graph, isCrawling, fetchEntireLineage, params, rootNodeId, showStatus, snapshots]
+  );
+
+  const handleImpactToggle = useCallback(async () => {
+    if (impact) {
+      setImpact(null);
+      return;
+    }
+    if (!graph || isCrawling) return;
+    setIsCrawling(true);
+    setCrawlCount(0);
+    try {
+      const fullGraph = await fetchEntireLineage(setCrawlCount);
+      setImpactProgress({ done: 0, total: 0 });
+      const tabId = await resolveTabId();
+      const result = await getLineageImpact({
+        graph: fullGraph,
+        onProgress: (done, total) => setImpactProgress({ done, total }),
+        tabId
+      });
+      setDiff(null);
+      setColumnLineage(null);
+      setImpact({ ...result, graph: fullGraph });
+      if (result.rollup.failedDatasets > 0) {
+        showStatus(
+          'Impact partially loaded',
+          `Could not load content for **${result.rollup.failedDatasets}** dataset${result.rollup.failedDatasets !== 1 ? 's' : ''}`,
+          'warning'
+        );
+      }
+    } catch (err) {
+      console.error('[Lineage] Impact analysis failed:', err);
+      showStatus('Impact analysis failed', err.message || 'Could not load downstream content', 'danger');
+    } finally {
+      setIsCrawling(false);
+      setCrawlCount(0);
+      setImpactProgress(null);
+    }
+  }, [impact, graph, isCrawling, fetchEntireLineage, resolveTabId, showStatus]);
+
+  const handleImpactExport = useCallback(
+    async (format) => {
+      if (!impact) return;
+      const rows = buildImpactRows(impact.rollup);
+      if (rows.length === 0) {
+        showStatus('Nothing to export', 'No dependent content was found', 'warning');
+        return;
+      }
+      try {
+        const safeName = (params?.objectName || `${params?.entityType}_${params?.entityId}`).replace(/[^\w.-]+/g, '_');
+        const filename = generateExportFilename(`impact_${safeName}`);
+        if (format === 'csv') {
+          exportToCSV(rows, IMPACT_EXPORT_COLUMNS, filename);
+        } else if (format === 'xlsx') {
+          await exportToExcel(rows, IMPACT_EXPORT_COLUMNS, filename, 'Impact');
+        } else if (format === 'json') {
+          exportToJson(buildImpactJson(impact.rollup, impact.graph, rootNodeId), filename);
+        }
+        showStatus('Impact exported', `Exported **${rows.length}** items`, 'success');
+      } catch (err) {
+        console.error('[Lineage] Impact export failed:', err);
+        showStatus('Export failed', err.message || 'Could not export impact', 'danger');
+      }
+    },
+    [impact, params, rootNodeId, showStatus]
+  );
+
+  const handleColumnModeToggle = useCallback(async () => {
+    if (columnLineage) {
+      columnTraceGenRef.current++;
+      setColumnLineage(null);
+      return;
+    }
+    if (!graph || isCrawling) return;
+    setIsCrawling(true);
+    setCrawlCount(0);
+    try {
+      const fullGraph = await fetchEntireLineage(setCrawlCount);
+      // Start on the selected dataset, else the root, else any dataset.
+      const datasetNodeId =
+        [selectedNodeId, rootNodeId].find(
+          (id) => id?.startsWith('DATA_SOURCE:') && fullGraph.nodes.some((node) => node.id === id)
+        ) ?? fullGraph.nodes.find((node) => node.entityType === 'DATA_SOURCE')?.id;
+      if (!datasetNodeId) {
+        showStatus('No datasets', 'Column lineage needs a dataset in the lineage', 'warning');
+        return;
+      }
+      setDiff(null);
+      setImpact(null);
+      setInspectedDataflow(null);
+      selectColumnDataset(datasetNodeId, fullGraph);
+    } catch (err) {
+      console.error('[Lineage] Column lineage failed:', err);
+      showStatus('Column lineage failed', err.message || 'Could not crawl lineage', 'danger');
+    } finally {
+      setIsCrawling(false);
+      setCrawlCount(0);
+    }
+  }, [columnLineage, graph, isCrawling, fetchEntireLineage, rootNodeId, selectedNodeId, selectColumnDataset, showStatus]);
+
+  const handleTraceColumn = useCallback(
+    async (column) => {
+      if (!columnLineage || !column) return;
+      const { datasetNodeId, graph: fullGraph } = columnLineage;
+      const node = fullGraph.nodes.find((n) => n.id === datasetNodeId);
+      const generation = ++columnTraceGenRef.current;
+      const isCurrent = () => generation === columnTraceGenRef.current;
+      setInspectedDataflow(null);
+      setColumnLineage((prev) => prev && { ...prev, column, isTracing: true, progress: 0, result: null });
+      try {
+        const result = await traceColumnLineage({
+          column,
+          datasetId: node.entityId,
+          graph: fullGraph,
+          onProgress: (done) => isCurrent() && setColumnLineage((prev) => prev && { ...prev, progress: done }),
+          tabId: await resolveTabId()
+        });
+        if (!isCurrent()) return;
+        setColumnLineage((prev) => prev && { ...prev, isTracing: false, result });
+      } catch (err) {
+        if (!isCurrent()) return;
+        console.error('[Lineage] Column trace failed:', err);
+        setColumnLineage((prev) => prev && { ...prev, column: null, isTracing: false });
+        showStatus('Column trace failed', err.message || 'Could not trace column', 'danger');
       }
     },
-    [graph, isExporting, fetchEntireLineage, params, rootNodeId, showStatus]
+    [columnLineage, resolveTabId, showStatus]
   );
 
+  const handleFocusNode = useCallback((nodeId) => {
+    setSelectedNodeId(nodeId);
+    graphInstanceRef.current?.fitView({
+      maxZoom: 1.5,
+      nodes: [{ id: nodeId }],
+      padding: 0.3
+    });
+  }, []);
+
   const handleRootClick = useCallback(() => {
     if (rootNodeId) {
       setSelectedNodeId(rootNodeId);
@@ -236,13 +521,19 @@ export function Lineage() {
           </div>
         </div>
         <div className='flex items-center gap-2'>
-          {isExporting && <span className='text-xs text-muted'>Crawling lineage... {exportCount} objects</span>}
+          {isCrawling && (
+            <span className='text-xs text-muted'>
+              {impactProgress
+                ? `Checking impact... ${impactProgress.done}/${impactProgress.total} datasets`
+                : `Crawling lineage... ${crawlCount} objects`}
+            </span>
+          )}
           <Dropdown>
             <Tooltip>
               <Button
                 isIconOnly
-                isDisabled={loading || !graph || graph.nodes.length === 0 || isExporting}
-                isPending={isExporting}
+                isDisabled={loading || !graph || graph.nodes.length === 0 || isCrawling}
+                isPending={isCrawling}
                 size='sm'
                 variant='tertiary'
               >
@@ -266,9 +557,81 @@ export function Lineage() {
                   <IconCurlyBrackets className='size-4 shrink-0' />
                   <Label>Export as JSON</Label>
                 </Dropdown.Item>
+                <Dropdown.Item id='dot' textValue='Export as Graphviz DOT'>
+                  <IconNetwork className='size-4 shrink-0' />
+                  <Label>Export as Graphviz DOT</Label>
+                </Dropdown.Item>
+                <Dropdown.Item id='mermaid' textValue='Export as Mermaid'>
+                  <IconBinaryTree className='size-4 shrink-0' />
+                  <Label>Export as Mermaid</Label>
+                </Dropdown.Item>
+                <Dropdown.Item id='graphml' textValue='Export as GraphML'>
+                  <IconCodeTags className='size-4 shrink-0' />
+                  <Label>Export as GraphML</Label>
+                </Dropdown.Item>
+              </Dropdown.Menu>
+            </Dropdown.Popover>
+          </Dropdown>
+          <Dropdown>
+            <Tooltip>
+              <Button
+                isIconOnly
+                isDisabled={loading || !graph || graph.nodes.length === 0 || isCrawling}
+                size='sm'
+                variant='tertiary'
+              >
+                <IconCamera />
+              </Button>
+              <Tooltip.Content className='max-w-60' placement='bottom'>
+                Snapshots
+              </Tooltip.Content>
+            </Tooltip>
+            <Dropdown.Popover>
+              <Dropdown.Menu onAction={(key) => handleSnapshotAction(key)}>
+                <Dropdown.Item id='save' textValue='Save snapshot'>
+                  <IconCamera className='size-4 shrink-0' />
+                  <Label>Save snapshot</Label>
+                </Dropdown.Item>
+                {snapshots.map((snapshot) => {
+                  const label = `Compare with ${new Date(snapshot.createdAt).toLocaleString()}`;
+                  return (
+                    <Dropdown.Item id={snapshot.id} key={snapshot.id} textValue={label}>
+                      <IconSwapHorizontal className='size-4 shrink-0' />
+                      <Label>{label}</Label>
+                    </Dropdown.Item>
+                  );
+                })}
               </Dropdown.Menu>
             </Dropdown.Popover>
           </Dropdown>
+          <Tooltip>
+            <Button
+              isIconOnly
+              isDisabled={loading || !graph || graph.nodes.length === 0 || isCrawling}
+              size='sm'
+              variant={columnLineage ? 'primary' : 'tertiary'}
+              onPress={handleColumnModeToggle}
+            >
+              <IconColumnSelect />
+            </Button>
+            <Tooltip.Content className='max-w-60' placement='bottom'>
+              {columnLineage ? 'Exit column lineage' : 'Trace a column'}
+            </Tooltip.Content>
+          </Tooltip>
+          <Tooltip>
+            <Button
+              isIconOnly
+              isDisabled={loading || !graph || graph.nodes.length === 0 || isCrawling}
+              size='sm'
+              variant={impact ? 'primary' : 'tertiary'}
+              onPress={handleImpactToggle}
+            >
+              <IconLightningBolt />
+            </Button>
+            <Tooltip.Content className='max-w-60' placement='bottom'>
+              {impact ? 'Hide impact' : 'Show downstream impact'}
+            </Tooltip.Content>
+          </Tooltip>
           <Tooltip>
             <Button isIconOnly size='sm' variant='tertiary' onPress={handleRefresh}>
               <IconSync />
@@ -280,8 +643,109 @@ export function Lineage() {
         </div>
       </div>
 
+      {impact && (
+        <div className='border-divider flex shrink-0 flex-wrap items-center justify-between gap-2 border-b bg-surface px-5 py-2 text-xs'>
+          <div className='flex min-w-0 flex-col gap-0.5'>
+            <span>
+              Impact: <span className='font-medium'>{impact.rollup.totals.cards}</span> cards &middot;{' '}
+              <span className='font-medium'>{impact.rollup.totals.alerts}</span> alerts &middot;{' '}
+              <span className='font-medium'>{impact.rollup.totals.apps}</span> apps &middot;{' '}
+              <span className='font-medium'>{impact.rollup.totals.views}</span> views across{' '}
+              <span className='font-medium'>{impact.rollup.owners.length}</span> owner
+              {impact.rollup.owners.length !== 1 ? 's' : ''}
+            </span>
+            {impact.rollup.owners.length > 0 && (
+              <span className='truncate text-muted'>{impact.rollup.owners.map((owner) => owner.name).join(', ')}</span>
+            )}
+          </div>
+          <div className='flex shrink-0 items-center gap-1'>
+            <Dropdown>
+              <Button size='sm' variant='tertiary'>
+                <IconDownload />
+                Export Impact
+              </Button>
+              <Dropdown.Popover>
+                <Dropdown.Menu onAction={(key) => handleImpactExport(key)}>
+                  <Dropdown.Item id='xlsx' textValue='Export as Excel'>
+                    <IconExcel className='size-4 shrink-0' />
+                    <Label>Export as Excel</Label>
+                  </Dropdown.Item>
+                  <Dropdown.Item id='csv' textValue='Export as CSV'>
+                    <IconCsv className='size-4 shrink-0' />
+                    <Label>Export as CSV</Label>
+                  </Dropdown.Item>
+                  <Dropdown.Item id='json' textValue='Export as JSON'>
+                    <IconCurlyBrackets className='size-4 shrink-0' />
+                    <Label>Export as JSON</Label>
+                  </Dropdown.Item>
+                </Dropdown.Menu>
+              </Dropdown.Popover>
+            </Dropdown>
+            <Button isIconOnly aria-label='Hide impact' size='sm' variant='ghost' onPress={() => setImpact(null)}>
+              <IconX />
+            </Button>
+          </div>
+        </div>
+      )}
       <div className='relative flex min-h-0 flex-1 overflow-hidden'>
-        {levelSummary && !loading && !error && (
+        {diff && !loading && !error && (
+          <div className='pointer-events-none absolute inset-x-0 top-0 z-10 flex justify-center pt-2'>
+            <div className='pointer-events-auto flex items-center gap-2 rounded-lg border border-border bg-surface px-3 py-1 text-xs'>
+              <span>
+                Compared with snapshot from{' '}
+                <span className='font-medium'>{new Date(diff.snapshot.createdAt).toLocaleString()}</span>
+              </span>
+              <Button isIconOnly aria-label='Exit comparison' size='sm' variant='ghost' onPress={() => setDiff(null)}>
+                <IconX />
+              </Button>
+            </div>
+          </div>
+        )}
+        {columnLineage && !loading && !error && (
+          <div className='pointer-events-none absolute inset-x-0 top-0 z-10 flex justify-center pt-2'>
+            <div className='pointer-events-auto flex items-center gap-2 rounded-lg border border-border bg-surface px-3 py-1 text-xs'>
+              <span className='shrink-0'>Trace</span>
+              <Select
+                aria-label='Column to trace'
+                className='w-48'
+                isDisabled={!columnLineage.columns || columnLineage.isTracing}
+                placeholder={columnLineage.columns ? 'Pick a column' : 'Loading columns...'}
+                value={columnLineage.column}
+                variant='secondary'
+                onChange={handleTraceColumn}
+              >
+                <Select.Trigger>
+                  <Select.Value />
+                  <Select.Indicator>
+                    <IconChevronDown />
+                  </Select.Indicator>
+                </Select.Trigger>
+                <Select.Popover>
+                  <ListBox>
+                    {(columnLineage.columns ?? []).map((name) => (
+                      <ListBox.Item id={name} key={name} textValue={name}>
+                        {name}
+                        <ListBox.ItemIndicator>
+                          {({ isSelected }) => (isSelected ? <IconCheck /> : null)}
+                        </ListBox.ItemIndicator>
+                      </ListBox.Item>
+                    ))}
+                  </ListBox>
+                </Select.Popover>
+              </Select>
+              <span className='max-w-60 truncate'>
+                on <span className='font-medium'>{columnNodesById.get(columnLineage.datasetNodeId)?.name}</span>
+              </span>
+              <span className='shrink-0 text-muted'>
+                {columnLineage.isTracing ? `Tracing... ${columnLineage.progress} objects` : '· click a dataset to switch'}
+              </span>
+              <Button isIconOnly aria-label='Exit column lineage' size='sm' variant='ghost' onPress={handleColumnModeToggle}>
+                <IconX />
+              </Button>
+            </div>
+          </div>
+        )}
+        {levelSummary && !diff && !columnLineage && !loading && !error && (
           <div className='pointer-events-none absolute inset-x-0 top-0 z-10 flex justify-center pt-2'>
             <div className='pointer-events-auto'>
               <LevelToolbar
@@ -314,6 +778,20 @@ export function Lineage() {
               <IconDataflow className='size-4' />
               <span>DataFlow</span>
             </div>
+            {columnLineage?.result && (
+              <>
+                <div className='rounded px-2 py-1 ring-2 ring-success'>Upstream</div>
+                <div className='rounded px-2 py-1 ring-2 ring-accent'>Traced column</div>
+                <div className='rounded px-2 py-1 ring-2 ring-warning'>Downstream</div>
+              </>
+            )}
+            {diff && (
+              <>
+                <div className='rounded px-2 py-1 ring-2 ring-success'>Added ({diff.counts.added})</div>
+                <div className='rounded px-2 py-1 ring-2 ring-danger'>Removed ({diff.counts.removed})</div>
+                <div className='rounded px-2 py-1 ring-2 ring-warning'>Re-pointed ({diff.counts.repointed})</div>
+              </>
+            )}
           </div>
         </div>
         <div className='flex min-h-0 min-w-0 flex-1 flex-col'>
@@ -328,14 +806,17 @@ export function Lineage() {
             </div>
           ) : (
             <LineageGraph
+              columnTrace={columnLineage?.result ?? null}
+              diff={diff}
               error={null}
               expandLoading={expandLoading}
               highlightedDepth={highlightedDepth}
+              impact={impact?.byNode}
               instanceRef={graphInstanceRef}
               loading={false}
               rootNodeId={rootNodeId}
               selectedNodeId={selectedNodeId}
-              trace={visibleTrace}
+              trace={displayedTrace}
               onCollapseNode={collapseNode}
               onExpandNode={expandNode}
               onNodeClick={handleNodeClick}
@@ -354,7 +835,7 @@ export function Lineage() {
           )}
         </div>
 
-        {inspectedDataflow && (
+        {inspectedDataflow ? (
           <div className='relative z-20 h-full w-100 shrink-0'>
             <DataflowInspector
               cacheRef={inspectorCacheRef}
@@ -363,6 +844,20 @@ export function Lineage() {
               onClose={handleCloseInspector}
             />
           </div>
+        ) : (
+          columnLineage?.column && (
+            <div className='relative z-20 h-full w-100 shrink-0'>
+              <ColumnLineagePanel
+                column={columnLineage.column}
+                datasetName={columnNodesById.get(columnLineage.datasetNodeId)?.name ?? ''}
+                isTracing={columnLineage.isTracing}
+                nodesById={columnNodesById}
+                result={columnLineage.result}
+                onClose={() => setColumnLineage((prev) => prev && { ...prev, column: null, result: null })}
+                onFocusNode={handleFocusNode}
+              />
+            </div>
+          )
         )}
       </div>
     </div>
@@ -0,0 +1,117 @@
+import { Card, ScrollShadow, Spinner } from '@heroui/react';
+import { useMemo } from 'react';
+
+import { ViewHeader } from '@/components/views/ViewHeader';
+import IconColumnSelect from '@icons/column-select.svg?react';
+
+/**
+ * Side panel listing a column trace from `traceColumnLineage`: the upstream
+ * columns that feed the traced column, the downstream columns it feeds, and
+ * the Beast Modes and cards that read it. Dataset rows focus their node in
+ * the graph.
+ *
+ * @param {Object} props
+ * @param {string} props.column - The traced column
+ * @param {string} props.datasetName - Dataset the column was picked on
+ * @param {boolean} props.isTracing - True while the trace is running
+ * @param {Map<string, Object>} props.nodesById - Graph nodes by id, for display names
+ * @param {Object|null} props.result - traceColumnLineage result, null until it finishes
+ * @param {() => void} props.onClose
+ * @param {(nodeId: string) => void} props.onFocusNode
+ */
+export function ColumnLineagePanel({ column, datasetName, isTracing, nodesById, onClose, onFocusNode, result }) {
+  const sections = useMemo(() => {
+    if (!result) return null;
+    const byRole = (role) =>
+      [...result.datasets]
+        .filter(([, entry]) => entry.role === role)
+        .map(([nodeId, entry]) => ({ columns: entry.columns, nodeId }));
+    return { downstream: byRole('downstream'), upstream: byRole('upstream') };
+  }, [result]);
+
+  const nameOf = (nodeId) => nodesById.get(nodeId)?.name ?? nodeId;
+
+  return (
+    <Card className='border-divider flex h-full flex-col rounded-none border-l p-2 shadow-none'>
+      <ViewHeader
+        feature='Column Lineage for'
+        featureIcon={<IconColumnSelect />}
+        subject={column}
+        subtext={`on **${datasetName}**`}
+        onClose={onClose}
+      />
+      <Card.Content className='min-h-0 flex-1'>
+        {isTracing || !result ? (
+          <div className='flex flex-1 items-center justify-center gap-2 text-sm text-muted'>
+            <Spinner size='sm' />
+            Tracing column...
+          </div>
+        ) : (
+          <ScrollShadow hideScrollBar className='flex h-full flex-col gap-4 text-sm'>
+            <Section count={sections.upstream.length} emptyText='Not derived from any upstream column' title='Comes from'>
+              {sections.upstream.map(({ columns, nodeId }) => (
+                <DatasetRow columns={columns} key={nodeId} name={nameOf(nodeId)} onPress={() => onFocusNode(nodeId)} />
+              ))}
+            </Section>
+            <Section count={sections.downstream.length} emptyText='Not used by any downstream output' title='Feeds'>
+              {sections.downstream.map(({ columns, nodeId }) => (
+                <DatasetRow columns={columns} key={nodeId} name={nameOf(nodeId)} onPress={() => onFocusNode(nodeId)} />
+              ))}
+            </Section>
+            <Section count={result.consumers.beastModes.length} emptyText='No Beast Modes use it' title='Beast Modes'>
+              {result.consumers.beastModes.map((bm) => (
+                <div className='flex flex-col' key={`${bm.datasetNodeId}:${bm.id}`}>
+                  <span className='truncate font-medium'>{bm.name}</span>
+                  <span className='truncate text-xs text-muted'>
+                    {bm.column} on {nameOf(bm.datasetNodeId)}
+                    {bm.cards.length > 0 && ` · used by ${bm.cards.length} card${bm.cards.length !== 1 ? 's' : ''}`}
+                  </span>
+                </div>
+              ))}
+            </Section>
+            <Section count={result.consumers.cards.length} emptyText='No cards use it' title='Cards'>
+              {result.consumers.cards.map((card) => (
+                <div className='flex flex-col' key={`${card.datasetNodeId}:${card.id}:${card.column}`}>
+                  <span className='truncate font-medium'>{card.name}</span>
+                  <span className='truncate text-xs text-muted'>
+                    {card.column} on {nameOf(card.datasetNodeId)}
+                  </span>
+                </div>
+              ))}
+            </Section>
+            {result.warnings.length > 0 && (
+              <Section count={result.warnings.length} title='Warnings'>
+                {result.warnings.map((warning, index) => (
+                  <div className='text-xs' key={index}>
+                    <span className='font-medium'>{nameOf(warning.nodeId)}</span>:{' '}
+                    <span className='text-warning'>{warning.message}</span>
+                  </div>
+                ))}
+              </Section>
+            )}
+          </ScrollShadow>
+        )}
+      </Card.Content>
+    </Card>
+  );
+}
+
+function DatasetRow({ columns, name, onPress }) {
+  return (
+    <button className='flex flex-col rounded-md px-1 text-left hover:bg-surface-secondary' type='button' onClick={onPress}>
+      <span className='truncate font-medium'>{name}</span>
+      <span className='truncate font-mono text-xs text-accent'>{columns.join(', ')}</span>
+    </button>
+  );
+}
+
+function Section({ children, count, emptyText, title }) {
+  return (
+    <div className='flex flex-col gap-1.5'>
+      <div className='text-xs font-semibold text-muted uppercase'>
+        {title} ({count})
+      </div>
+      {count === 0 ? <p className='text-xs text-muted'>{emptyText}</p> : children}
+    </div>
+  );
+}
@@ -29,6 +29,35 @@ const DATABASE_TYPE_LABELS = {
 
 const LineageGraphContext = createContext(null);
 
+// Snapshot comparison highlights: ring color per node diff status, stroke per
+// edge diff status. Removed objects only exist in the snapshot, so they are
+// also faded and their edges dashed.
+const DIFF_NODE_CLASSES = {
+  added: 'ring-2 ring-success',
+  removed: 'opacity-60 ring-2 ring-danger',
+  repointed: 'ring-2 ring-warning'
+};
+
+const DIFF_EDGE_STYLES = {
+  added: { color: 'var(--color-success)' },
+  removed: { color: 'var(--color-danger)', strokeDasharray: '6 4' }
+};
+
+// Column lineage highlights: ring per role on the traced path. Objects off the
+// path are faded, and edges along it drawn in the accent color.
+const COLUMN_ROLE_CLASSES = {
+  downstream: 'ring-2 ring-warning',
+  origin: 'ring-4 ring-accent',
+  upstream: 'ring-2 ring-success'
+};
+
+const IMPACT_LABELS = [
+  ['cards', 'card', 'cards'],
+  ['alerts', 'alert', 'alerts'],
+  ['apps', 'app', 'apps'],
+  ['views', 'view', 'views']
+];
+
 function formatDatabaseType(databaseType) {
   if (!databaseType || typeof databaseType !== 'string') return '';
   return DATABASE_TYPE_LABELS[databaseType.toUpperCase()] || databaseType;
@@ -80,6 +109,8 @@ const LineageNode = memo(function LineageNode({ data, id }) {
         data.isRoot ? 'inset-ring-4 inset-ring-success' : ''
       } ${isSelected ? 'ring-2 ring-accent' : ''} ${
         ctx?.highlightedDepth !== null && data.depth === ctx?.highlightedDepth ? 'ring-2 ring-accent' : ''
+      } ${data.diffStatus ? DIFF_NODE_CLASSES[data.diffStatus] : ''} ${
+        data.columnTrace ? (COLUMN_ROLE_CLASSES[data.columnTrace.role] ?? 'opacity-40') : ''
       }`}
     >
       {data.hasIncoming && <Handle className='size-2' position={Position.Left} type='target' />}
@@ -115,11 +146,21 @@ const LineageNode = memo(function LineageNode({ data, id }) {
           {badge && <div className='text-xs text-muted'>{badge}</div>}
           {dataflowBadge && <div className='text-xs text-muted'>{dataflowBadge}</div>}
         </div>
+        {data.impact && <ImpactBadge impact={data.impact} />}
+        {data.columnTrace?.columns?.length > 0 && (
+          <div
+            className='w-full truncate font-mono text-xs font-medium text-accent'
+            title={data.columnTrace.columns.join(', ')}
+          >
+            {data.columnTrace.columns.join(', ')}
+          </div>
+        )}
       </div>
 
       {data.hasOutgoing && <Handle className='size-2' position={Position.Right} type='source' />}
 
-      {isSelected && (
+      {/* Comparisons and column traces draw the fully crawled graph, so there is nothing to expand or collapse. */}
+      {isSelected && !ctx.isFullGraph && (
         <LineageNodeToolbar
           data={data}
           expandLoading={ctx.expandLoading}
@@ -132,6 +173,25 @@ const LineageNode = memo(function LineageNode({ data, id }) {
   );
 });
 
+// Impact-mode summary under a dataset's details: what depends on it directly.
+function ImpactBadge({ impact }) {
+  if (impact.error) {
+    return (
+      <div className='truncate text-xs text-danger' title={impact.error}>
+        Impact unavailable
+      </div>
+    );
+  }
+  const parts = IMPACT_LABELS.filter(([kind]) => impact.counts[kind] > 0).map(
+    ([kind, one, many]) => `${impact.counts[kind]} ${impact.counts[kind] === 1 ? one : many}`
+  );
+  return (
+    <div className={`truncate text-xs font-medium ${parts.length > 0 ? 'text-warning' : 'text-muted'}`}>
+      {parts.length > 0 ? parts.join(' · ') : 'No dependent content'}
+    </div>
+  );
+}
+
 const NODE_WIDTH = 280;
 
 function estimateNodeHeight() {
@@ -156,9 +216,12 @@ const defaultEdgeOptions = {
 };
 
 export function LineageGraph({
+  columnTrace,
+  diff,
   error,
   expandLoading,
   highlightedDepth,
+  impact,
   instanceRef,
   loading,
   onCollapseNode,
@@ -180,7 +243,11 @@ export function LineageGraph({
       .filter((pNode) => pNode && layout.positions.has(pNode.id))
       .map((pNode) => ({
         data: {
+          columnTrace: columnTrace
+            ? (columnTrace.datasets.get(pNode.id) ?? columnTrace.dataflows.get(pNode.id) ?? { role: null })
+            : null,
           depth: pNode.depth,
+          diffStatus: diff?.nodes.get(pNode.id) ?? null,
           direction: pNode.direction,
           downstreamCount: pNode.downstreamCount,
           entityId: pNode.entityId,
@@ -188,6 +255,7 @@ export function LineageGraph({
           expanded: pNode.expanded,
           hasIncoming: layout.nodesWithIncoming.has(pNode.id),
           hasOutgoing: layout.nodesWithOutgoing.has(pNode.id),
+          impact: impact?.get(pNode.id) ?? null,
           isRoot: pNode.id === rootNodeId,
           label: pNode.name,
           metadata: pNode.metadata,
@@ -199,15 +267,27 @@ export function LineageGraph({
         type: 'pipeline'
       }));
 
-    const edges = layout.validEdges.map((e) => ({
-      id: `${e.sourceId}->${e.targetId}`,
-      source: e.sourceId,
-      target: e.targetId,
-      ...defaultEdgeOptions
-    }));
+    const edges = layout.validEdges.map((e) => {
+      const id = `${e.sourceId}->${e.targetId}`;
+      const edgeStyle =
+        DIFF_EDGE_STYLES[diff?.edges.get(id)] ??
+        (columnTrace && isTraced(columnTrace, e.sourceId) && isTraced(columnTrace, e.targetId)
+          ? { color: 'var(--color-accent)' }
+          : null);
+      return {
+        id,
+        source: e.sourceId,
+        target: e.targetId,
+        ...defaultEdgeOptions,
+        ...(edgeStyle && {
+          markerEnd: { ...defaultEdgeOptions.markerEnd, color: edgeStyle.color },
+          style: { ...defaultEdgeOptions.style, stroke: edgeStyle.color, strokeDasharray: edgeStyle.strokeDasharray }
+        })
+      };
+    });
 
     return { initialEdges: edges, initialNodes: nodes };
-  }, [layout, trace, rootNodeId]);
+  }, [columnTrace, diff, impact, layout, trace, rootNodeId]);
 
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
@@ -325,11 +405,12 @@ export function LineageGraph({
     () => ({
       expandLoading,
       highlightedDepth,
+      isFullGraph: !!diff || !!columnTrace,
       onCollapseNode,
       onExpandNode,
       selectedNodeId
     }),
-    [expandLoading, highlightedDepth, onCollapseNode, onExpandNode, selectedNodeId]
+    [columnTrace, diff, expandLoading, highlightedDepth, onCollapseNode, onExpandNode, selectedNodeId]
   );
 
   if (loading) {
@@ -419,6 +500,10 @@ function computeLayoutSync(traceNodes, validEdges) {
   return positions;
 }
 
+function isTraced(columnTrace, nodeId) {
+  return columnTrace.datasets.has(nodeId) || columnTrace.dataflows.has(nodeId);
+}
+
 function useLayout(trace) {
   const [layout, setLayout] = useState(null);
   const workerRef = useRef(null);
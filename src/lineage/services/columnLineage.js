@@ -0,0 +1,399 @@
+import { getDatasetBeastModesWithUsage } from '@/services/beastModes';
+import { getCardsForObject } from '@/services/cards';
+import { BACKTICK_REF_RE } from '@/services/columnFields';
+import { scanContentForColumns } from '@/services/columnReferences';
+import { parseDataflow } from '@/services/dataflowParser';
+import { getDataflowDetail } from '@/services/dataflows';
+import { getDatasetColumns } from '@/services/datasets';
+import { SCRIPT_ACTION_TYPES } from '@/services/scriptColumns';
+import { extractDataflowSqlColumnFlow } from '@/services/sqlColumns';
+
+import { toNodeId } from './lineage';
+
+/**
+ * Column-level lineage: which input columns feed a dataset column through the
+ * dataflows upstream of it, and which downstream outputs, Beast Modes and
+ * cards consume it. Runs over an already crawled lineage graph, so dataset and
+ * dataflow nodes are known up front and only the definitions are fetched.
+ *
+ * Each dataflow is reduced to a column flow, a small graph of steps where
+ * every step says how its output columns derive from its inputs' columns:
+ *   { inputs: Map<stepId, datasetId>, outputs: Map<stepId, datasetId>,
+ *     steps: Map<stepId, { derivations: Map<column, Array<{ column, step }>>,
+ *                          opaque?: boolean, passthrough: string[] }> }
+ * A column not in `derivations` flows through unchanged from every step in
+ * `passthrough`. Magic ETL flows are built here from the parsed tiles;
+ * MySQL / Redshift flows come from `extractDataflowSqlColumnFlow`. Both
+ * over-report when unsure (an unknown tile passes everything through), the
+ * same trade-off the migration column scan makes.
+ *
+ * Dataset views have no dataflow definition to read, so a view is assumed to
+ * carry a column through by name when its schema has a column of that name.
+ */
+
+// Dataflow definitions, view schemas and consumer scans fetched at once.
+const CONCURRENCY = 3;
+
+/**
+ * Trace one column of one dataset through the lineage graph.
+ *
+ * @param {Object} params
+ * @param {string} params.column - Column name on the dataset
+ * @param {string} params.datasetId
+ * @param {{ edges: Array, nodes: Array }} params.graph - Fully crawled lineage graph
+ * @param {(done: number) => void} [params.onProgress] - Objects analyzed so far
+ * @param {number|null} [params.tabId]
+ * @returns {Promise<{
+ *   consumers: { beastModes: Array<{ cards: Array<{id: string, name: string}>, column: string, datasetNodeId: string, id: any, name: string }>, cards: Array<{ column: string, datasetNodeId: string, id: any, name: string }> },
+ *   datasets: Map<string, { columns: string[], role: 'downstream'|'origin'|'upstream' }>,
+ *   dataflows: Map<string, { role: 'downstream'|'upstream' }>,
+ *   links: Array<{ from: { column: string, nodeId: string }, to: { column: string, nodeId: string }, via: string|null }>,
+ *   warnings: Array<{ message: string, nodeId: string }>
+ * }>} `via` is the dataflow node id, or null for a view
+ */
+export async function traceColumnLineage({ column, datasetId, graph, onProgress, tabId = null }) {
+  const nodesById = new Map((graph?.nodes ?? []).map((node) => [node.id, node]));
+  const parents = new Map();
+  const children = new Map();
+  for (const { sourceId, targetId } of graph?.edges ?? []) {
+    if (!nodesById.has(sourceId) || !nodesById.has(targetId)) continue;
+    if (!parents.has(targetId)) parents.set(targetId, []);
+    if (!children.has(sourceId)) children.set(sourceId, []);
+    parents.get(targetId).push(sourceId);
+    children.get(sourceId).push(targetId);
+  }
+
+  const originNodeId = toNodeId('DATA_SOURCE', datasetId);
+  const datasets = new Map([[originNodeId, { columns: [column], role: 'origin' }]]);
+  const dataflows = new Map();
+  const links = [];
+  const warnings = [];
+  let done = 0;
+  const progress = () => onProgress?.(++done);
+
+  const flows = new Map();
+  const loadFlow = (nodeId) => {
+    if (!flows.has(nodeId)) {
+      const node = nodesById.get(nodeId);
+      flows.set(
+        nodeId,
+        getDataflowDetail(node.entityId, tabId)
+          .then((detail) => {
+            const flow = buildColumnFlow(detail);
+            if (!flow) warnings.push({ message: 'Engine not supported for column lineage', nodeId });
+            return flow;
+          })
+          .catch((error) => {
+            warnings.push({ message: error.message || 'Could not load dataflow', nodeId });
+            return null;
+          })
+          .finally(progress)
+      );
+    }
+    return flows.get(nodeId);
+  };
+
+  const schemas = new Map();
+  const loadSchema = (nodeId) => {
+    if (!schemas.has(nodeId)) {
+      schemas.set(
+        nodeId,
+        getDatasetColumns({ datasetId: nodesById.get(nodeId).entityId, tabId })
+          .then((columns) => new Set(columns.map((c) => c.name)))
+          .catch(() => new Set())
+          .finally(progress)
+      );
+    }
+    return schemas.get(nodeId);
+  };
+
+  const addColumn = (nodeId, name, role) => {
+    if (!datasets.has(nodeId)) datasets.set(nodeId, { columns: [], role });
+    const entry = datasets.get(nodeId);
+    if (entry.columns.includes(name)) return false;
+    entry.columns.push(name);
+    return true;
+  };
+
+  // Walk one direction breadth-first. `stepColumn` resolves a (dataset, column) pair
+  // to the neighboring pairs it feeds or is fed by, plus the dataflow between.
+  const walk = async (direction) => {
+    let frontier = [{ column, nodeId: originNodeId }];
+    while (frontier.length > 0) {
+      const next = [];
+      for (let i = 0; i < frontier.length; i += CONCURRENCY) {
+        const chunk = frontier.slice(i, i + CONCURRENCY);
+        const results = await Promise.all(chunk.map((at) => stepColumn(at, direction)));
+        results.forEach((hops, index) => {
+          const at = chunk[index];
+          for (const hop of hops) {
+            const from = direction === 'upstream' ? hop : at;
+            const to = direction === 'upstream' ? at : hop;
+            links.push({
+              from: { column: from.column, nodeId: from.nodeId },
+              to: { column: to.column, nodeId: to.nodeId },
+              via: hop.via
+            });
+            if (hop.via) dataflows.set(hop.via, { role: direction });
+            if (hop.nodeId !== originNodeId && addColumn(hop.nodeId, hop.column, direction)) next.push(hop);
+          }
+        });
+      }
+      frontier = next;
+    }
+  };
+
+  const stepColumn = async ({ column: name, nodeId }, direction) => {
+    const node = nodesById.get(nodeId);
+    const neighbors = (direction === 'upstream' ? parents : children).get(nodeId) ?? [];
+    const hops = [];
+    for (const neighborId of neighbors) {
+      const neighbor = nodesById.get(neighborId);
+      if (neighbor.entityType === 'DATAFLOW') {
+        const flow = await loadFlow(neighborId);
+        if (!flow) continue;
+        const traced =
+          direction === 'upstream' ? traceBackward(flow, node.entityId, name) : traceForward(flow, node.entityId, name);
+        if (traced.opaque) {
+          warnings.push({ message: `Script tile may transform "${name}"`, nodeId: neighborId });
+        }
+        for (const hop of traced.columns) {
+          const hopNodeId = toNodeId('DATA_SOURCE', hop.datasetId);
+          if (nodesById.has(hopNodeId)) hops.push({ column: hop.column, nodeId: hopNodeId, via: neighborId });
+        }
+      } else if (neighbor.entityType === 'DATA_SOURCE') {
+        // A view (or the dataset under one): follow the column only when the
+        // far side has a column of the same name.
+        const schema = await loadSchema(neighborId);
+        if (schema.has(name)) hops.push({ column: name, nodeId: neighborId, via: null });
+      }
+    }
+    return hops;
+  };
+
+  await walk('upstream');
+  await walk('downstream');
+
+  const consumers = await findConsumers(
+    [...datasets].filter(([, entry]) => entry.role !== 'upstream'),
+    nodesById,
+    tabId,
+    progress,
+    warnings
+  );
+
+  return { consumers, dataflows, datasets, links, warnings };
+}
+
+/**
+ * Reduce a dataflow definition to its column flow, or null when the engine
+ * can't be analyzed.
+ * @param {Object} detail - Dataflow definition from getDataflowDetail
+ * @returns {Object|null}
+ */
+function buildColumnFlow(detail) {
+  const parsed = parseDataflow(detail);
+  if (parsed.engine === 'mysql' || parsed.engine === 'redshift') return extractDataflowSqlColumnFlow(detail);
+  if (parsed.engine !== 'magic') return null;
+
+  const dependsOn = new Map((detail.actions || []).map((action) => [action.id, action.dependsOn || []]));
+  const inputs = new Map();
+  const outputs = new Map();
+  const steps = new Map();
+  for (const tile of parsed.tiles) {
+    const deps = dependsOn.get(tile.id) ?? [];
+    if (tile.type === 'LoadFromVault' && tile.inputDatasets[0]) inputs.set(tile.id, tile.inputDatasets[0]);
+    if (tile.type === 'PublishToVault' && tile.outputDataset) outputs.set(tile.id, tile.outputDataset);
+    steps.set(tile.id, magicTileStep(tile, deps));
+  }
+  return { inputs, outputs, steps };
+}
+
+// Breadth-first walk over (step, column) pairs, collecting the pairs that land
+// on a boundary step (an input going backward, an output going forward).
+function collect(flow, queue, boundary, next) {
+  const seen = new Set();
+  const columns = new Map();
+  let opaque = false;
+  while (queue.length > 0) {
+    const at = queue.shift();
+    const key = `${at.step}\u0000${at.column}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (flow.steps.get(at.step)?.opaque) opaque = true;
+    if (boundary.has(at.step)) {
+      const datasetId = boundary.get(at.step);
+      columns.set(`${datasetId}\u0000${at.column}`, { column: at.column, datasetId });
+    }
+    queue.push(...next(at));
+  }
+  return { columns: [...columns.values()], opaque };
+}
+
+/**
+ * Column names an ETL expression reads: backticked refs in a formula string,
+ * or `Field` leaves in a structured expression tree.
+ */
+function expressionColumns(expression) {
+  if (typeof expression === 'string') return [...expression.matchAll(BACKTICK_REF_RE)].map((match) => match[1]);
+  const names = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (node.type === 'Field' && typeof node.name === 'string') names.push(node.name);
+      Object.values(node).forEach(visit);
+    }
+  };
+  visit(expression);
+  return names;
+}
+
+/**
+ * Find the Beast Modes and cards on each dataset that reference its traced
+ * columns, reusing the migration column scan so "consumes" means the same
+ * thing it does there.
+ */
+async function findConsumers(entries, nodesById, tabId, progress, warnings) {
+  const beastModes = [];
+  const cards = [];
+  for (let i = 0; i < entries.length; i += CONCURRENCY) {
+    const chunk = entries.slice(i, i + CONCURRENCY);
+    await Promise.all(
+      chunk.map(async ([nodeId, entry]) => {
+        const datasetId = nodesById.get(nodeId)?.entityId ?? nodeId.split(':')[1];
+        try {
+          const [allBeastModes, rawCards] = await Promise.all([
+            getDatasetBeastModesWithUsage(datasetId, tabId),
+            getCardsForObject({ objectId: datasetId, objectType: 'DATA_SOURCE', tabId })
+          ]);
+          const datasetBeastModes = allBeastModes.filter((bm) => bm.savedOnDataset);
+          const beastModesById = new Map(datasetBeastModes.map((bm) => [String(bm.id), bm]));
+          const scan = await scanContentForColumns({
+            originId: datasetId,
+            selectedItems: {
+              beastModes: datasetBeastModes.map((bm) => ({ id: bm.id, name: bm.name })),
+              cards: rawCards
+                .filter((card) => card.type !== 'domoapp' && card.id != null)
+                .map((card) => ({ id: card.id, name: card.title || card.name || `Card ${card.id}`, urn: card.urn }))
+            },
+            tabId
+          });
+          for (const name of entry.columns) {
+            for (const ref of scan.byColumn.get(name) ?? []) {
+              if (ref.type === 'beastModes') {
+                const usage = beastModesById.get(String(ref.id));
+                beastModes.push({
+                  cards: usage?.cards ?? [],
+                  column: name,
+                  datasetNodeId: nodeId,
+                  id: ref.id,
+                  name: ref.name
+                });
+              } else if (ref.type === 'cards') {
+                cards.push({ column: name, datasetNodeId: nodeId, id: ref.id, name: ref.name });
+              }
+            }
+          }
+        } catch (error) {
+          warnings.push({ message: error.message || 'Could not check cards and Beast Modes', nodeId });
+        }
+        progress();
+      })
+    );
+  }
+  return { beastModes, cards };
+}
+
+/**
+ * Column flow step for one parsed Magic ETL tile. Tiles that reshape the
+ * column set (Select Columns, Group By) list every surviving column as a
+ * derivation and pass nothing through; tiles that add columns (formulas,
+ * constants, combine) derive the new ones and pass the rest through. Any other
+ * tile passes its input columns through by name.
+ */
+function magicTileStep(tile, deps) {
+  const derivations = new Map();
+  const fromInputs = (names) => deps.flatMap((step) => names.map((name) => ({ column: name, step })));
+
+  switch (tile.type) {
+    case 'ConcatFields':
+      if (tile.rawDetails.outputField) derivations.set(tile.rawDetails.outputField, fromInputs(tile.columns));
+      break;
+
+    case 'Constant':
+      for (const name of tile.columns) derivations.set(name, []);
+      break;
+
+    case 'GroupBy':
+      for (const name of tile.columns) derivations.set(name, fromInputs([name]));
+      for (const { expression, field } of tile.rawDetails.aggregates ?? []) {
+        if (field) derivations.set(field, fromInputs(expressionColumns(expression)));
+      }
+      return { derivations, passthrough: [] };
+
+    case 'ReplaceString':
+    case 'ValueMapper':
+      // Parsed as [source, target] when the tile writes a separate column.
+      if (tile.columns.length === 2) derivations.set(tile.columns[1], fromInputs([tile.columns[0]]));
+      break;
+
+    case 'SelectValues': {
+      const renames = new Map((tile.rawDetails.renames ?? []).map(({ from, to }) => [from, to]));
+      for (const name of tile.columns) derivations.set(renames.get(name) ?? name, fromInputs([name]));
+      return { derivations, passthrough: [] };
+    }
+  }
+
+  for (const { expression, resultField } of tile.expressions) {
+    if (resultField) derivations.set(resultField, fromInputs(expressionColumns(expression)));
+  }
+  return { derivations, opaque: SCRIPT_ACTION_TYPES.has(tile.type), passthrough: deps };
+}
+
+/**
+ * Input columns that feed one output column of a dataflow.
+ * @returns {{ columns: Array<{ column: string, datasetId: string }>, opaque: boolean }}
+ */
+function traceBackward(flow, outputDatasetId, column) {
+  const queue = [...flow.outputs]
+    .filter(([, datasetId]) => datasetId === outputDatasetId)
+    .map(([step]) => ({ column, step }));
+  return collect(flow, queue, flow.inputs, (at) => {
+    const step = flow.steps.get(at.step);
+    if (!step) return [];
+    const derived = step.derivations.get(at.column);
+    return derived ?? step.passthrough.map((from) => ({ column: at.column, step: from }));
+  });
+}
+
+/**
+ * Output columns one input column of a dataflow feeds.
+ * @returns {{ columns: Array<{ column: string, datasetId: string }>, opaque: boolean }}
+ */
+function traceForward(flow, inputDatasetId, column) {
+  const consumers = new Map();
+  for (const [stepId, step] of flow.steps) {
+    const sources = new Set([...step.passthrough, ...[...step.derivations.values()].flat().map((src) => src.step)]);
+    for (const source of sources) {
+      if (!consumers.has(source)) consumers.set(source, []);
+      consumers.get(source).push(stepId);
+    }
+  }
+  const queue = [...flow.inputs].filter(([, datasetId]) => datasetId === inputDatasetId).map(([step]) => ({ column, step }));
+  return collect(flow, queue, flow.outputs, (at) => {
+    const next = [];
+    for (const stepId of consumers.get(at.step) ?? []) {
+      const step = flow.steps.get(stepId);
+      for (const [output, sources] of step.derivations) {
+        if (sources.some((src) => src.step === at.step && src.column === at.column)) {
+          next.push({ column: output, step: stepId });
+        }
+      }
+      if (step.passthrough.includes(at.step) && !step.derivations.has(at.column)) {
+        next.push({ column: at.column, step: stepId });
+      }
+    }
+    return next;
+  });
+}
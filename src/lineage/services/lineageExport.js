@@ -1,5 +1,13 @@
 const DIRECTION_LABELS = { downstream: 'Downstream', root: 'Root', upstream: 'Upstream' };
 
+const IMPACT_KIND_LABELS = { alerts: 'Alert', apps: 'Pro-Code App', cards: 'Card', views: 'View' };
+
+// Diagram fill colors, matching the lineage legend (root / DataSet / DataFlow).
+const DIAGRAM_COLORS = { DATA_SOURCE: '#3b82f6', DATAFLOW: '#f59e0b', other: '#9ca3af', root: '#22c55e' };
+
+// GraphML attribute keys declared on every node, in declaration order.
+const GRAPHML_NODE_KEYS = ['label', 'type', 'typeId', 'direction', 'level', 'url'];
+
 // Column order is intentional: it controls the CSV/Excel column order.
 export const LINEAGE_EXPORT_COLUMNS = [
   { accessorKey: 'id', header: 'ID' },
@@ -17,6 +25,131 @@ export const LINEAGE_EXPORT_COLUMNS = [
   { accessorKey: 'url', header: 'URL' }
 ];
 
+// One row per affected object in the impact roll-up, in this column order.
+export const IMPACT_EXPORT_COLUMNS = [
+  { accessorKey: 'type', header: 'Type' },
+  { accessorKey: 'id', header: 'ID' },
+  { accessorKey: 'name', header: 'Name' },
+  { accessorKey: 'owners', header: 'Owners' },
+  { accessorKey: 'datasets', header: 'Via DataSets' }
+];
+
+/**
+ * Build the JSON form of an impact roll-up: totals, owners with their
+ * per-type counts, and the affected objects.
+ * @param {Object} rollup - From buildImpactRollup
+ * @param {{ nodes: Array }} graph - Lineage graph the roll-up was built from
+ * @param {string} rootNodeId - The root node id (`${type}:${id}`)
+ * @returns {{ root: Object | null, totals: Object, owners: Array, items: Array }}
+ */
+export function buildImpactJson(rollup, graph, rootNodeId) {
+  // Emit root -> totals -> owners -> items, mirroring buildLineageJson's
+  // top-to-bottom read.
+  const result = {};
+  result.root = describeRoot(graph, rootNodeId);
+  result.totals = rollup.totals;
+  result.owners = rollup.owners;
+  result.items = buildImpactRows(rollup);
+  return result;
+}
+
+/**
+ * Flatten an impact roll-up into one row per affected object, grouped by type.
+ * Owners and datasets are joined so each row stays a single CSV/Excel line.
+ * @param {Object} rollup - From buildImpactRollup
+ * @returns {Array<Object>} Rows keyed to IMPACT_EXPORT_COLUMNS
+ */
+export function buildImpactRows(rollup) {
+  const kindOrder = Object.keys(IMPACT_KIND_LABELS);
+  return (rollup?.items ?? [])
+    .slice()
+    .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || String(a.name).localeCompare(String(b.name)))
+    .map((item) => {
+      const values = {
+        datasets: item.datasets.join(', '),
+        id: item.id,
+        name: item.name,
+        owners: item.owners.join(', '),
+        type: IMPACT_KIND_LABELS[item.kind] ?? item.kind
+      };
+      const row = {};
+      for (const column of IMPACT_EXPORT_COLUMNS) {
+        row[column.accessorKey] = values[column.accessorKey];
+      }
+      return row;
+    });
+}
+
+/**
+ * Build a Graphviz DOT digraph of the lineage, laid out left to right.
+ * DataSets are cylinders and DataFlows boxes, colored like the lineage legend.
+ * @param {{ edges: Array, nodes: Array }} graph - Full lineage graph
+ * @param {string} rootNodeId - The root node id (`${type}:${id}`)
+ * @returns {string} DOT source
+ */
+export function buildLineageDot(graph, rootNodeId) {
+  const { edges, nodes } = describeDiagram(graph, rootNodeId);
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ');
+  const quote = (value) => `"${escape(value)}"`;
+  const lines = ['digraph lineage {', '  rankdir=LR;', '  node [fontname="Helvetica", fontcolor="white", style="filled"];'];
+  for (const node of nodes) {
+    const attrs = [
+      `label="${escape(node.label)}\\n${escape(node.typeName)}"`,
+      `shape=${node.entityType === 'DATA_SOURCE' ? 'cylinder' : 'box'}`,
+      `fillcolor=${quote(node.color)}`
+    ];
+    if (node.url) attrs.push(`URL=${quote(node.url)}`);
+    lines.push(`  ${quote(node.id)} [${attrs.join(', ')}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quote(edge.sourceId)} -> ${quote(edge.targetId)};`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a GraphML document of the lineage. Every node carries its label, type
+ * name, DomoObject type id, direction, level and URL as data attributes, so
+ * tools like yEd or Gephi can style and filter on them.
+ * @param {{ edges: Array, nodes: Array }} graph - Full lineage graph
+ * @param {string} rootNodeId - The root node id (`${type}:${id}`)
+ * @returns {string} GraphML XML
+ */
+export function buildLineageGraphML(graph, rootNodeId) {
+  const { edges, nodes } = describeDiagram(graph, rootNodeId);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_NODE_KEYS.map(
+      (key) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${key === 'level' ? 'int' : 'string'}"/>`
+    ),
+    '  <graph id="lineage" edgedefault="directed">'
+  ];
+  for (const node of nodes) {
+    const values = {
+      direction: node.direction,
+      label: node.label,
+      level: node.level,
+      type: node.typeName,
+      typeId: node.typeId,
+      url: node.url
+    };
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    for (const key of GRAPHML_NODE_KEYS) {
+      if (values[key] !== '' && values[key] != null) {
+        lines.push(`      <data key="${key}">${escapeXml(values[key])}</data>`);
+      }
+    }
+    lines.push('    </node>');
+  }
+  edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.sourceId)}" target="${escapeXml(edge.targetId)}"/>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
 /**
  * Build a structured JSON representation of the lineage: the flat node rows
  * plus the explicit parent -> child edges and a small root descriptor. The
@@ -29,18 +162,47 @@ export const LINEAGE_EXPORT_COLUMNS = [
 export function buildLineageJson(graph, rootNodeId) {
   const nodes = buildLineageRows(graph);
   const edges = (graph?.edges ?? []).map((edge) => ({ source: edge.sourceId, target: edge.targetId }));
-  const rootNode = graph?.nodes?.find((node) => node.id === rootNodeId);
-  const root = rootNode
-    ? { id: rootNode.entityId, name: rootNode.name, type: rootNode.object?.typeId ?? rootNode.entityType }
-    : null;
   // Emit root -> nodes -> edges for a natural top-to-bottom read of the JSON.
   const result = {};
-  result.root = root;
+  result.root = describeRoot(graph, rootNodeId);
   result.nodes = nodes;
   result.edges = edges;
   return result;
 }
 
+/**
+ * Build a Mermaid flowchart of the lineage, laid out left to right. Mermaid
+ * ids can't contain the `:` in graph node ids, so nodes get positional ids
+ * (`n0`, `n1`, ...) and the real name and type go in the label.
+ * @param {{ edges: Array, nodes: Array }} graph - Full lineage graph
+ * @param {string} rootNodeId - The root node id (`${type}:${id}`)
+ * @returns {string} Mermaid source
+ */
+export function buildLineageMermaid(graph, rootNodeId) {
+  const { edges, nodes } = describeDiagram(graph, rootNodeId);
+  const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+  const escape = (value) =>
+    String(value).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;').replace(/\n/g, ' ');
+  const lines = ['flowchart LR'];
+  for (const node of nodes) {
+    const label = `"${escape(node.label)}<br/><small>${escape(node.typeName)}</small>"`;
+    const shape = node.entityType === 'DATA_SOURCE' ? `[(${label})]` : `[${label}]`;
+    lines.push(`  ${ids.get(node.id)}${shape}`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${ids.get(edge.sourceId)} --> ${ids.get(edge.targetId)}`);
+  }
+  for (const [kind, color] of Object.entries(DIAGRAM_COLORS)) {
+    const members = nodes.filter((node) => node.kind === kind).map((node) => ids.get(node.id));
+    if (members.length === 0) continue;
+    lines.push(`  classDef ${kind} fill:${color},stroke:${color},color:#fff`, `  class ${members.join(',')} ${kind}`);
+  }
+  for (const node of nodes) {
+    if (node.url) lines.push(`  click ${ids.get(node.id)} href "${escape(node.url)}" _blank`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
 /**
  * Flatten a lineage graph into one plain row per object, sorted from deepest
  * upstream through the root to deepest downstream. Native types are preserved
@@ -88,6 +250,51 @@ export function buildLineageRows(graph) {
     });
 }
 
+/**
+ * Shared node and edge list for the diagram builders. Nodes are ordered like
+ * buildLineageRows (upstream to downstream) and take their type name, type id
+ * and URL from the node's DomoObject, falling back to the raw lineage type for
+ * types the registry doesn't know. Edges keep `graph.edges` direction (parent
+ * to child) and drop any that point outside the crawled node set.
+ */
+function describeDiagram(graph, rootNodeId) {
+  const graphNodes = (graph?.nodes ?? []).slice().sort((a, b) => a.depth - b.depth);
+  const nodeIds = new Set(graphNodes.map((node) => node.id));
+  const nodes = graphNodes.map((node) => {
+    const kind = node.id === rootNodeId ? 'root' : DIAGRAM_COLORS[node.entityType] ? node.entityType : 'other';
+    return {
+      color: DIAGRAM_COLORS[kind],
+      direction: DIRECTION_LABELS[node.direction] ?? node.direction ?? '',
+      entityType: node.entityType,
+      id: node.id,
+      kind,
+      label: node.name || node.entityId,
+      level: node.depth,
+      typeId: node.object?.typeId ?? node.entityType,
+      typeName: node.object?.typeName ?? node.entityType,
+      url: node.object?.url ?? ''
+    };
+  });
+  const edges = (graph?.edges ?? []).filter((edge) => nodeIds.has(edge.sourceId) && nodeIds.has(edge.targetId));
+  return { edges, nodes };
+}
+
+function describeRoot(graph, rootNodeId) {
+  const rootNode = graph?.nodes?.find((node) => node.id === rootNodeId);
+  return rootNode
+    ? { id: rootNode.entityId, name: rootNode.name, type: rootNode.object?.typeId ?? rootNode.entityType }
+    : null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 /**
  * Normalize a Domo execution timestamp to ISO 8601. The lineage API returns
  * lastExecution.endTime as epoch milliseconds, which is unhelpful in an
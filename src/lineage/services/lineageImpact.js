@@ -0,0 +1,173 @@
+import { getDownstreamAlerts } from '@/services/alerts';
+import { getCardsForObject } from '@/services/cards';
+import { getDependentDatasets, isViewType } from '@/services/datasets';
+import { getDownstreamCardsRaw } from '@/services/migrateDownstreamContent';
+import { getDownstreamApps } from '@/services/proCodeApps';
+import { fetchUserDisplayNames } from '@/services/users';
+
+/**
+ * Impact overlay for the lineage graph: what content sits on each downstream
+ * dataset (cards, alerts, pro-code apps, views) and who owns it, so a change
+ * to the root can be scoped before it is made. Per-dataset lookups reuse the
+ * same services as MigrateDownstreamContentView; the roll-up de-duplicates
+ * content reachable through more than one dataset.
+ */
+
+export const IMPACT_KINDS = ['cards', 'alerts', 'apps', 'views'];
+
+// Datasets looked up at once. Each lookup is five bridge calls, so this stays
+// below useLineageCache's crawl concurrency.
+const CONCURRENCY = 3;
+
+/**
+ * Roll per-dataset impact up into unique affected content and its owners.
+ * Content reached through several datasets (e.g. a view over two of them)
+ * is counted once, remembering every dataset it was reached through.
+ *
+ * @param {{ nodes: Array }} graph
+ * @param {Map<string, Object>} byNode - Per-node results from getLineageImpact
+ * @param {Object<string, string>} [ownerNames] - User id → display name
+ * @returns {{ failedDatasets: number, items: Array<{ datasets: string[], id: any, kind: string, name: string, owners: string[] }>, owners: Array<{ counts: Object, id: string, name: string }>, totals: Object<string, number> }}
+ */
+export function buildImpactRollup(graph, byNode, ownerNames = {}) {
+  const nodeNames = new Map((graph?.nodes ?? []).map((node) => [node.id, node.name]));
+  const itemsByKey = new Map();
+  let failedDatasets = 0;
+  for (const [nodeId, entry] of byNode) {
+    if (entry.error) {
+      failedDatasets++;
+      continue;
+    }
+    for (const kind of IMPACT_KINDS) {
+      for (const item of entry.items[kind]) {
+        const key = `${kind}:${item.id}`;
+        if (!itemsByKey.has(key)) {
+          itemsByKey.set(key, { datasets: [], id: item.id, kind, name: item.name, ownerIds: item.ownerIds });
+        }
+        itemsByKey.get(key).datasets.push(nodeNames.get(nodeId) ?? nodeId);
+      }
+    }
+  }
+
+  const totals = Object.fromEntries(IMPACT_KINDS.map((kind) => [kind, 0]));
+  const owners = new Map();
+  const items = [];
+  for (const { ownerIds, ...item } of itemsByKey.values()) {
+    totals[item.kind]++;
+    for (const id of ownerIds) {
+      if (!owners.has(id)) {
+        owners.set(id, {
+          counts: Object.fromEntries(IMPACT_KINDS.map((kind) => [kind, 0])),
+          id,
+          name: ownerNames[id] ?? `User ${id}`
+        });
+      }
+      owners.get(id).counts[item.kind]++;
+    }
+    items.push({ ...item, owners: ownerIds.map((id) => ownerNames[id] ?? `User ${id}`) });
+  }
+
+  return {
+    failedDatasets,
+    items,
+    owners: [...owners.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    totals
+  };
+}
+
+/**
+ * Look up the content that depends on one dataset.
+ * @param {string} datasetId
+ * @param {number|null} [tabId]
+ * @returns {Promise<{ alerts: Array, apps: Array, cards: Array, views: Array }>} Items as `{ id, name, ownerIds }`
+ */
+export async function getDatasetImpact(datasetId, tabId = null) {
+  const [rawCards, drillCards, alerts, dependents] = await Promise.all([
+    getCardsForObject({ objectId: datasetId, objectType: 'DATA_SOURCE', tabId }),
+    getDownstreamCardsRaw(datasetId, tabId),
+    getDownstreamAlerts(datasetId, tabId),
+    getDependentDatasets({ datasetId, tabId })
+  ]);
+  // Pro-code app cards are found in the drill=true dataset → cards list, which
+  // is what getDownstreamApps reads; they are counted as apps, not cards.
+  const apps = await getDownstreamApps(datasetId, tabId, drillCards);
+  const ownersByCardId = new Map([...drillCards, ...rawCards].map((card) => [String(card.id), cardOwnerIds(card)]));
+
+  return {
+    alerts: alerts.map((alert) => ({ id: alert.id, name: alert.name, ownerIds: ownerList(alert.owner) })),
+    apps: apps.map((app) => ({ id: app.id, name: app.name, ownerIds: ownersByCardId.get(String(app.id)) ?? [] })),
+    cards: rawCards
+      .filter((card) => card.type !== 'domoapp' && card.id != null)
+      .map((card) => ({
+        id: card.id,
+        name: card.title || card.name || `Card ${card.id}`,
+        ownerIds: cardOwnerIds(card)
+      })),
+    views: dependents
+      .filter((dataset) => isViewType(dataset))
+      .map((dataset) => ({
+        id: dataset.id,
+        name: dataset.name || `Dataset ${dataset.id}`,
+        ownerIds: ownerList(dataset.owner?.id ?? dataset.owner)
+      }))
+  };
+}
+
+/**
+ * Look up impact for every downstream dataset in a lineage graph (the root
+ * included when it is a dataset) and roll it up.
+ *
+ * @param {Object} params
+ * @param {{ nodes: Array }} params.graph - Fully crawled lineage graph
+ * @param {(done: number, total: number) => void} [params.onProgress]
+ * @param {number|null} [params.tabId]
+ * @returns {Promise<{ byNode: Map<string, Object>, rollup: Object }>} `byNode` maps node id to `{ counts, items }` or `{ error }`; see buildImpactRollup for `rollup`
+ */
+export async function getLineageImpact({ graph, onProgress, tabId = null }) {
+  const datasets = (graph?.nodes ?? []).filter((node) => node.entityType === 'DATA_SOURCE' && node.depth >= 0);
+  const byNode = new Map();
+  let done = 0;
+  for (let i = 0; i < datasets.length; i += CONCURRENCY) {
+    const chunk = datasets.slice(i, i + CONCURRENCY);
+    await Promise.all(
+      chunk.map(async (node) => {
+        try {
+          const items = await getDatasetImpact(node.entityId, tabId);
+          const counts = Object.fromEntries(IMPACT_KINDS.map((kind) => [kind, items[kind].length]));
+          byNode.set(node.id, { counts, items });
+        } catch (error) {
+          byNode.set(node.id, { error: error.message || 'Impact lookup failed' });
+        }
+        onProgress?.(++done, datasets.length);
+      })
+    );
+  }
+
+  const ownerIds = new Set();
+  for (const entry of byNode.values()) {
+    for (const kind of IMPACT_KINDS) {
+      for (const item of entry.items?.[kind] ?? []) {
+        for (const id of item.ownerIds) ownerIds.add(id);
+      }
+    }
+  }
+  const ownerNames = ownerIds.size > 0 ? await fetchUserDisplayNames([...ownerIds], tabId).catch(() => ({})) : {};
+
+  return { byNode, rollup: buildImpactRollup(graph, byNode, ownerNames) };
+}
+
+// The dataset → cards endpoint reports owners as `owners: [{ id, type }]` on
+// newer payloads and a bare `ownerId` on older ones; groups are skipped since
+// the roll-up lists people.
+function cardOwnerIds(card) {
+  if (Array.isArray(card?.owners) && card.owners.length > 0) {
+    return card.owners
+      .filter((owner) => owner?.id != null && (owner.type ?? 'USER') === 'USER')
+      .map((owner) => String(owner.id));
+  }
+  return ownerList(card?.ownerId);
+}
+
+function ownerList(id) {
+  return id == null || typeof id === 'object' ? [] : [String(id)];
+}
@@ -0,0 +1,158 @@
+import { toLineageType, toNodeId } from './lineage';
+import { buildLineageJson } from './lineageExport';
+
+/**
+ * Saved lineage snapshots and the diff between a snapshot and the live graph.
+ * A snapshot is the `buildLineageJson` export of the fully crawled lineage,
+ * stored in `chrome.storage.local` per instance and root object, so a
+ * migration can be checked afterwards for dropped or re-pointed downstream
+ * dataflows.
+ */
+
+const STORAGE_KEY = 'lineageSnapshots';
+
+// Snapshots kept per root object; older ones are dropped first.
+const MAX_SNAPSHOTS_PER_ROOT = 10;
+
+/**
+ * Diff a saved snapshot against the live lineage.
+ *
+ * Nodes and edges are keyed by graph node id (`${type}:${id}`). A node is
+ * `added` or `removed` when it only exists on one side, and `repointed` when
+ * it exists on both but its upstream or downstream neighbors changed (e.g. a
+ * dataflow now writes to a different output). Edges are only ever `added` or
+ * `removed`.
+ *
+ * The returned `graph` merges both sides into one graph shaped like
+ * `convertToGraph` output, with snapshot-only nodes and edges included so the
+ * graph can draw what disappeared.
+ *
+ * @param {{ lineage: { edges: Array, nodes: Array } }} snapshot - Saved snapshot
+ * @param {{ edges: Array, nodes: Array }} liveGraph - Fully crawled live graph
+ * @returns {{ counts: { added: number, removed: number, repointed: number }, edges: Map<string, string>, graph: { edges: Array, nodes: Array }, nodes: Map<string, string> }}
+ */
+export function diffLineage(snapshot, liveGraph) {
+  const before = indexLineage(snapshot.lineage);
+  const after = indexLineage(buildLineageJson(liveGraph));
+
+  const nodes = new Map();
+  const edges = new Map();
+  for (const id of after.nodes.keys()) {
+    if (!before.nodes.has(id)) nodes.set(id, 'added');
+  }
+  for (const id of before.nodes.keys()) {
+    if (!after.nodes.has(id)) nodes.set(id, 'removed');
+  }
+  for (const key of after.edges.keys()) {
+    if (!before.edges.has(key)) edges.set(key, 'added');
+  }
+  for (const key of before.edges.keys()) {
+    if (!after.edges.has(key)) edges.set(key, 'removed');
+  }
+  for (const [key, status] of edges) {
+    const { sourceId, targetId } = (status === 'added' ? after : before).edges.get(key);
+    for (const id of [sourceId, targetId]) {
+      if (!nodes.has(id)) nodes.set(id, 'repointed');
+    }
+  }
+
+  const liveNodeIds = new Set(liveGraph.nodes.map((node) => node.id));
+  const ghostNodes = [...before.nodes.entries()]
+    .filter(([id]) => !liveNodeIds.has(id))
+    .map(([id, row]) => toGhostNode(id, row));
+  const ghostEdges = [...edges.entries()].filter(([, status]) => status === 'removed').map(([key]) => before.edges.get(key));
+
+  const counts = { added: 0, removed: 0, repointed: 0 };
+  for (const status of nodes.values()) counts[status]++;
+
+  return {
+    counts,
+    edges,
+    graph: { edges: [...liveGraph.edges, ...ghostEdges], nodes: [...liveGraph.nodes, ...ghostNodes] },
+    nodes
+  };
+}
+
+/**
+ * Snapshots saved for one root object on one instance, newest first.
+ * @param {string} instance
+ * @param {string} rootNodeId - `${type}:${id}`
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getLineageSnapshots(instance, rootNodeId) {
+  const snapshots = await readSnapshots();
+  return snapshots.filter((snapshot) => snapshot.instance === instance && snapshot.rootNodeId === rootNodeId);
+}
+
+/**
+ * Save the fully crawled lineage as a snapshot.
+ * @param {Object} params
+ * @param {{ edges: Array, nodes: Array }} params.graph - Fully crawled graph
+ * @param {string} params.instance
+ * @param {string} params.objectName - Root object's display name
+ * @param {string} params.rootNodeId - `${type}:${id}`
+ * @returns {Promise<Object>} The stored snapshot
+ */
+export async function saveLineageSnapshot({ graph, instance, objectName, rootNodeId }) {
+  const lineage = buildLineageJson(graph, rootNodeId);
+  const snapshot = {
+    createdAt: Date.now(),
+    id: crypto.randomUUID(),
+    instance,
+    lineage,
+    objectName,
+    rootNodeId
+  };
+  const snapshots = await readSnapshots();
+  const sameRoot = snapshots.filter((s) => s.instance === instance && s.rootNodeId === rootNodeId);
+  const dropped = new Set(sameRoot.slice(MAX_SNAPSHOTS_PER_ROOT - 1).map((s) => s.id));
+  await chrome.storage.local.set({
+    [STORAGE_KEY]: [snapshot, ...snapshots.filter((s) => !dropped.has(s.id))]
+  });
+  return snapshot;
+}
+
+/**
+ * Index a `buildLineageJson` result by graph node id. Snapshot rows carry the
+ * entity id and DomoObject type id rather than the graph node id, so the id
+ * is rebuilt the same way convertToGraph builds it. Edges pointing outside
+ * the crawled node set are dropped so an unfetched neighbor can't show up as
+ * a spurious difference.
+ */
+function indexLineage(lineage) {
+  const nodes = new Map();
+  for (const row of lineage?.nodes ?? []) {
+    nodes.set(toNodeId(toLineageType(row.type), row.id), row);
+  }
+  const edges = new Map();
+  for (const { source, target } of lineage?.edges ?? []) {
+    if (nodes.has(source) && nodes.has(target)) {
+      edges.set(`${source}->${target}`, { sourceId: source, targetId: target });
+    }
+  }
+  return { edges, nodes };
+}
+
+async function readSnapshots() {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(stored?.[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
+
+// Rebuild a graph node for a snapshot-only object from its export row. There
+// is no live metadata, so only what the row recorded is carried over.
+function toGhostNode(id, row) {
+  const [entityType] = id.split(':');
+  const direction = String(row.direction ?? '').toLowerCase();
+  return {
+    depth: row.level,
+    direction,
+    downstreamCount: row.directDownstream === '' ? undefined : row.directDownstream,
+    entityId: row.id,
+    entityType,
+    id,
+    metadata: null,
+    name: row.name,
+    object: { typeId: row.type, url: row.url || null },
+    upstreamCount: row.directUpstream === '' ? undefined : row.directUpstream
+  };
+}
@@ -1,5 +1,23 @@
 import { executeInPage } from '@/utils/executeInPage';
 
+/**
+ * Permanently delete an alert.
+ * @param {Object} params
+ * @param {number|string} params.alertId - The alert ID
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<void>} Resolves on success, throws on HTTP failure
+ */
+export async function deleteAlert({ alertId, tabId = null }) {
+  return executeInPage(
+    async (alertId) => {
+      const response = await fetch(`/api/social/v4/alerts/${alertId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    [alertId],
+    tabId
+  );
+}
+
 /**
  * Pull the distinct row PDP policies (filter groups) an alert references, from
  * its definition's `filterGroups`. Returns each group's `filterGroupId`, `name`,
@@ -97,7 +115,7 @@ export async function getAlertActions({ actions, alertId, tabId = null }) {
  * PDP-policy references without a second fetch.
  * @param {string} datasetId - The datasource ID
  * @param {number|null} tabId - Optional Chrome tab ID
- * @returns {Promise<Array<{filterGroups: Array, id: number, name: string}>>}
+ * @returns {Promise<Array<{filterGroups: Array, id: number, name: string, owner: number|null}>>}
  */
 export async function getDownstreamAlerts(datasetId, tabId = null) {
   return executeInPage(
@@ -126,7 +144,8 @@ export async function getDownstreamAlerts(datasetId, tabId = null) {
       return all.map((a) => ({
         filterGroups: Array.isArray(a.filterGroups) ? a.filterGroups : [],
         id: a.id,
-        name: a.name || String(a.id)
+        name: a.name || String(a.id),
+        owner: a.owner ?? null
       }));
     },
     [datasetId],
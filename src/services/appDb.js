@@ -1,5 +1,33 @@
 import { executeInPage } from '@/utils/executeInPage';
 
+/**
+ * Create a collection in an AppDB datastore.
+ * @param {Object} params
+ * @param {string} params.datastoreId - The datastore (app instance) the collection belongs to
+ * @param {string} params.name - Collection name, unique within the datastore
+ * @param {Object} [params.schema] - `{ columns }` as returned on the collection
+ * @param {boolean} [params.syncEnabled] - Sync documents to a dataset on write
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The created collection
+ */
+export async function createAppDbCollection({ datastoreId, name, schema = null, syncEnabled = false, tabId = null }) {
+  return executeInPage(
+    async (datastoreId, name, schema, syncEnabled) => {
+      const body = { name, syncEnabled };
+      if (schema) body.schema = schema;
+      const response = await fetch(`/api/datastores/v1/${datastoreId}/collections`, {
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [datastoreId, name, schema, syncEnabled],
+    tabId
+  );
+}
+
 /**
  * Delete an AppDB collection.
  * @param {Object} params
@@ -18,6 +46,45 @@ export async function deleteAppDbCollection({ collectionId, tabId = null }) {
   );
 }
 
+/**
+ * Delete a single document from an AppDB collection.
+ * @param {Object} params
+ * @param {string} params.collectionId - The AppDB collection ID
+ * @param {string} params.documentId - The document ID
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<void>} Resolves on success, throws on HTTP failure
+ */
+export async function deleteAppDbDocument({ collectionId, documentId, tabId = null }) {
+  return executeInPage(
+    async (collectionId, documentId) => {
+      const response = await fetch(`/api/datastores/v1/collections/${collectionId}/documents/${documentId}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    [collectionId, documentId],
+    tabId
+  );
+}
+
+/**
+ * Fetch an AppDB collection's definition (name, datastore, schema, sync flag).
+ * @param {string} collectionId - The AppDB collection ID
+ * @param {number|null} tabId - Optional Chrome tab ID
+ * @returns {Promise<Object>} The raw collection object
+ */
+export async function getAppDbCollection(collectionId, tabId = null) {
+  return executeInPage(
+    async (collectionId) => {
+      const response = await fetch(`/api/datastores/v1/collections/${collectionId}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [collectionId],
+    tabId
+  );
+}
+
 /**
  * Get permissions for an AppDB collection.
  * @param {string} collectionId - The AppDB collection ID
@@ -111,22 +178,49 @@ export async function getOwnedAppDbCollections(userId, tabId = null) {
 }
 
 /**
- * Query documents from an AppDB collection. Returns up to the 100 most-recent
- * documents (`orderby=createdOn+descending`) so the sample is biased toward
- * the document shape currently in use, even if older docs in the collection
- * still carry deprecated keys.
+ * Insert documents into an AppDB collection in one request.
  * @param {Object} params
  * @param {string} params.collectionId - The AppDB collection ID
+ * @param {Array<Object>} params.documents - Document contents (the `content` of each document)
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<void>} Resolves on success, throws on HTTP failure
+ */
+export async function insertAppDbDocuments({ collectionId, documents, tabId = null }) {
+  return executeInPage(
+    async (collectionId, documents) => {
+      const response = await fetch(`/api/datastores/v1/collections/${collectionId}/documents/bulk`, {
+        body: JSON.stringify(documents.map((content) => ({ content }))),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    [collectionId, documents],
+    tabId
+  );
+}
+
+/**
+ * Query documents from an AppDB collection. By default returns up to the 100
+ * most-recent documents (`orderby=createdOn+descending`) so the sample is
+ * biased toward the document shape currently in use, even if older docs in
+ * the collection still carry deprecated keys. Pass `limit`/`offset` to page
+ * through the whole collection.
+ * @param {Object} params
+ * @param {string} params.collectionId - The AppDB collection ID
+ * @param {number} [params.limit] - Page size
+ * @param {number} [params.offset] - Documents to skip
+ * @param {Object} [params.query] - Mongo-style filter, e.g. `{ 'content.status': 'open' }`
  * @param {number|null} [params.tabId] - Optional Chrome tab ID
  * @returns {Promise<Array<Object>>} Array of document objects, or [] if none
  */
-export async function queryAppDbCollectionDocuments({ collectionId, tabId = null }) {
+export async function queryAppDbCollectionDocuments({ collectionId, limit = 100, offset = 0, query = {}, tabId = null }) {
   return executeInPage(
-    async (collectionId) => {
+    async (collectionId, limit, offset, query) => {
       const response = await fetch(
-        `/api/datastores/v2/collections/${collectionId}/documents/query?limit=100&offset=0&orderby=createdOn+descending`,
+        `/api/datastores/v2/collections/${collectionId}/documents/query?limit=${limit}&offset=${offset}&orderby=createdOn+descending`,
         {
-          body: '{}',
+          body: JSON.stringify(query),
           headers: { 'Content-Type': 'application/json' },
           method: 'POST'
         }
@@ -135,7 +229,7 @@ export async function queryAppDbCollectionDocuments({ collectionId, tabId = null
       const data = await response.json();
       return Array.isArray(data) ? data : [];
     },
-    [collectionId],
+    [collectionId, limit, offset, query],
     tabId
   );
 }
@@ -297,3 +391,30 @@ export async function updateAppDbCollectionSchema({ collectionId, columns, tabId
     tabId
   );
 }
+
+/**
+ * Replace the content of a single AppDB document. The whole `content` object
+ * is sent, so keys left out of it are removed from the document.
+ * @param {Object} params
+ * @param {string} params.collectionId - The AppDB collection ID
+ * @param {Object} params.content - The document's new content
+ * @param {string} params.documentId - The document ID
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The updated document
+ */
+export async function updateAppDbDocument({ collectionId, content, documentId, tabId = null }) {
+  return executeInPage(
+    async (collectionId, documentId, content) => {
+      const response = await fetch(`/api/datastores/v1/collections/${collectionId}/documents/${documentId}`, {
+        body: JSON.stringify({ content }),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'PUT'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    },
+    [collectionId, documentId, content],
+    tabId
+  );
+}
@@ -0,0 +1,177 @@
+import { insertAppDbDocuments, queryAppDbCollectionDocuments } from './appDb';
+
+/**
+ * Documents per request when exporting or importing a whole collection.
+ */
+export const DOCUMENT_BATCH_SIZE = 100;
+
+// Column names `toDocumentCsv` may give the document ID (`_id`, `__id`, ...)
+const ID_COLUMN_PATTERN = /^_+id$/;
+
+/**
+ * Fetch every document matching a query, a page at a time, newest first.
+ * @param {Object} params
+ * @param {string} params.collectionId - The AppDB collection ID
+ * @param {number} [params.maxDocuments] - Stop after this many (for sampling)
+ * @param {Function} [params.onProgress] - Called with the running document count after each page
+ * @param {number} [params.pageSize] - Documents per request
+ * @param {Object} [params.query] - Mongo-style filter
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Array<Object>>} Full document objects (id, content, timestamps)
+ */
+export async function fetchAllAppDbDocuments({
+  collectionId,
+  maxDocuments = Infinity,
+  onProgress,
+  pageSize = DOCUMENT_BATCH_SIZE,
+  query = {},
+  tabId = null
+}) {
+  const documents = [];
+  for (let offset = 0; offset < maxDocuments; offset += pageSize) {
+    const limit = Math.min(pageSize, maxDocuments - offset);
+    const page = await queryAppDbCollectionDocuments({ collectionId, limit, offset, query, tabId });
+    documents.push(...page);
+    onProgress?.(documents.length);
+    if (page.length < limit) break;
+  }
+  return documents;
+}
+
+/**
+ * Insert document contents in batches. A failed batch is recorded and the
+ * rest still run, so one bad row doesn't sink a large import.
+ * @param {Object} params
+ * @param {string} params.collectionId - The AppDB collection ID
+ * @param {Array<Object>} params.documents - Document contents
+ * @param {Function} [params.onProgress] - Called with `{ done, total }` after each batch
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<{errors: Array<{error: string, from: number, to: number}>, failed: number, inserted: number}>}
+ */
+export async function importAppDbDocuments({ collectionId, documents, onProgress, tabId = null }) {
+  const errors = [];
+  let inserted = 0;
+  for (let i = 0; i < documents.length; i += DOCUMENT_BATCH_SIZE) {
+    const batch = documents.slice(i, i + DOCUMENT_BATCH_SIZE);
+    try {
+      await insertAppDbDocuments({ collectionId, documents: batch, tabId });
+      inserted += batch.length;
+    } catch (error) {
+      errors.push({ error: error.message, from: i + 1, to: i + batch.length });
+    }
+    onProgress?.({ done: i + batch.length, total: documents.length });
+  }
+  return { errors, failed: documents.length - inserted, inserted };
+}
+
+/**
+ * Read document contents from an import file. JSON files may hold an array of
+ * contents or of full documents as exported here (their `content` is used).
+ * CSV files give one document per row; cells holding JSON objects or arrays
+ * (how the CSV export writes nested values) are parsed back, and the
+ * document ID column the export writes (see `toDocumentCsv`) is dropped
+ * because inserts always get a new ID.
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell JSON from CSV
+ * @returns {Promise<Array<Object>>} Document contents
+ */
+export async function parseDocumentsFile(text, fileName) {
+  if (/\.json$/i.test(fileName)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    const items = Array.isArray(data) ? data : data?.documents;
+    if (!Array.isArray(items)) throw new Error('Expected an array of documents');
+    return items
+      .map((item) => (item?.content && typeof item.content === 'object' && item.id ? item.content : item))
+      .filter((content) => content && typeof content === 'object' && !Array.isArray(content));
+  }
+
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(text, { raw: true, type: 'string' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: null, raw: false }) : [];
+  const idColumn = Object.keys(rows[0] ?? {})
+    .filter((key) => ID_COLUMN_PATTERN.test(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row)
+        .filter(([key]) => key !== idColumn)
+        .map(([key, value]) => [key, reviveCellValue(value)])
+    )
+  );
+}
+
+/**
+ * Parse an editor or query box value that must be a JSON object.
+ * @param {string} text
+ * @param {string} label - What the value is, for the error message
+ * @returns {Object}
+ */
+export function parseJsonObject(text, label) {
+  let value;
+  try {
+    value = JSON.parse(text.trim() || '{}');
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error.message}`, { cause: error });
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Flatten documents for a CSV export: one column per top-level content key
+ * (in first-seen order) after the document ID, with nested values written as
+ * JSON so `parseDocumentsFile` can read them back. The ID column is `_id`,
+ * with an underscore added for each one on the longest content key of that
+ * form, so it never shadows a content field and the import can tell it apart.
+ * @param {Array<Object>} documents - Full document objects
+ * @returns {{columns: Array<{accessorKey: string, header: string}>, rows: Array<Object>}}
+ */
+export function toDocumentCsv(documents) {
+  const keys = [];
+  const seen = new Set();
+  for (const doc of documents) {
+    for (const key of Object.keys(doc.content ?? {})) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    }
+  }
+
+  const idUnderscores = Math.max(0, ...keys.filter((key) => ID_COLUMN_PATTERN.test(key)).map((key) => key.length - 2));
+  const idColumn = `${'_'.repeat(idUnderscores + 1)}id`;
+
+  const rows = documents.map((doc) => {
+    const row = { [idColumn]: doc.id };
+    for (const key of keys) {
+      const value = doc.content?.[key];
+      row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : (value ?? '');
+    }
+    return row;
+  });
+
+  return { columns: [idColumn, ...keys].map((key) => ({ accessorKey: key, header: key })), rows };
+}
+
+function reviveCellValue(value) {
+  if (value === null || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(trimmed) && String(Number(trimmed)) === trimmed) return Number(trimmed);
+  return value;
+}
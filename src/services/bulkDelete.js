@@ -0,0 +1,157 @@
+import { deleteObject, isDeletableType } from './deleteObject';
+import { getDependenciesForDelete } from './dependencies';
+import { isRecyclableType, snapshotForRecycleBin } from './recycleBin';
+
+// Every check and delete goes through executeInPage, so running them all at
+// once would stall the messaging bridge; this many run side by side.
+const BULK_DELETE_CONCURRENCY = 3;
+
+/**
+ * Run `getDependenciesForDelete` for every object, a few at a time.
+ * @param {Object} params
+ * @param {string} params.instance - The Domo instance subdomain
+ * @param {Array<Object>} params.objects - DomoObjects to check
+ * @param {Function} [params.onItemChecked] - `(object, { deps, error }) => void`, called as each check settles
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Array<{ deps: Object|null, error: string|null, object: Object }>>} In input order
+ */
+export async function checkBulkDelete({ instance, objects, onItemChecked, tabId = null }) {
+  return runPooled(objects, async (object) => {
+    let check;
+    try {
+      check = { deps: await getDependenciesForDelete({ instance, object, tabId }), error: null, object };
+    } catch (error) {
+      check = { deps: null, error: error.message || 'Failed to check dependencies', object };
+    }
+    onItemChecked?.(object, check);
+    return check;
+  });
+}
+
+/**
+ * Delete objects a few at a time. Objects the recycle bin handles are
+ * snapshotted first, and one whose snapshot fails is not deleted. A failure
+ * never stops the rest.
+ * @param {Object} params
+ * @param {string} params.instance - The Domo instance subdomain
+ * @param {Array<Object>} params.objects - DomoObjects to delete
+ * @param {Function} [params.onItemStart] - `(object) => void`, called as each delete starts
+ * @param {Function} [params.onItemResult] - `(object, { error, success }) => void`, called as each delete settles
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<{ deleted: number, failed: Array<{ error: string, object: Object }> }>}
+ */
+export async function runBulkDelete({ instance, objects, onItemResult, onItemStart, tabId = null }) {
+  const results = await runPooled(objects, async (object) => {
+    onItemStart?.(object);
+    let result;
+    try {
+      if (isRecyclableType(object.typeId)) {
+        await snapshotForRecycleBin({ instance, object, tabId }).catch((error) => {
+          throw new Error(`Not deleted, could not save to the recycle bin: ${error.message}`, { cause: error });
+        });
+      }
+      const outcome = await deleteObject({ object, tabId });
+      result = outcome.success ? { error: null, success: true } : { error: outcome.statusDescription, success: false };
+    } catch (error) {
+      result = { error: error.message || 'Failed to delete', success: false };
+    }
+    onItemResult?.(object, result);
+    return { ...result, object };
+  });
+  return {
+    deleted: results.filter((r) => r.success).length,
+    failed: results.filter((r) => !r.success).map(({ error, object }) => ({ error, object }))
+  };
+}
+
+/**
+ * Fold per-object dependency checks into one report.
+ *
+ * - `blocked`: objects whose own delete is blocked (or whose check failed);
+ *   they are left out of the delete.
+ * - `deletedWith`: groups the selected objects take down with them, merged by
+ *   label across objects.
+ * - `cascadable`: opt-in groups (see dependencies.js) whose items
+ *   `deleteObject` can delete, merged the same way.
+ * - `advisory`: everything else, merged the same way.
+ *
+ * Dependency items that are themselves selected are dropped, so deleting two
+ * Beast Modes that nest each other neither blocks nor reports either as a
+ * dependency.
+ *
+ * @param {Array<{ deps: Object|null, error: string|null, object: Object }>} checks
+ * @returns {{
+ *   advisory: Array<{ items: Array, label: string }>,
+ *   blocked: Array<{ object: Object, reason: string }>,
+ *   cascadable: Array<{ items: Array, label: string }>,
+ *   deletable: Array<Object>,
+ *   deletedWith: Array<{ items: Array, label: string }>,
+ *   unsupportedCount: number
+ * }}
+ */
+export function summarizeBulkDeleteChecks(checks) {
+  const selectedKeys = new Set(checks.map(({ object }) => objectKey(object.typeId, object.id)));
+  const blocked = [];
+  const deletable = [];
+  const merged = { advisory: new Map(), cascadable: new Map(), deletedWith: new Map() };
+  let unsupportedCount = 0;
+
+  for (const { deps, error, object } of checks) {
+    if (error) {
+      blocked.push({ object, reason: `Could not check dependencies: ${error}` });
+      continue;
+    }
+    // Recomputed rather than read from `deps.blockingCount`, which also
+    // counts blocking items that are part of this selection.
+    const blockingGroup = deps.groups.find(
+      (group) => group.blocking && group.items.some((item) => !selectedKeys.has(objectKey(item.typeId, item.id)))
+    );
+    if (blockingGroup) {
+      blocked.push({ object, reason: blockingGroup.blockingReason || deps.blockingReason || 'Blocked by its dependencies' });
+      continue;
+    }
+    if (!deps.supported) unsupportedCount++;
+    deletable.push(object);
+    for (const group of deps.groups) {
+      const isCascadable = group.cascadable && group.items.every((item) => isDeletableType(item.typeId));
+      const bucket = group.deleted ? 'deletedWith' : isCascadable ? 'cascadable' : 'advisory';
+      const entry = merged[bucket].get(group.label) ?? { items: new Map(), label: group.label };
+      for (const item of group.items) {
+        const key = objectKey(item.typeId, item.id);
+        if (!selectedKeys.has(key)) entry.items.set(key, item);
+      }
+      merged[bucket].set(group.label, entry);
+    }
+  }
+
+  const flatten = (bucket) =>
+    [...merged[bucket].values()]
+      .map(({ items, label }) => ({ items: [...items.values()], label }))
+      .filter((group) => group.items.length > 0);
+
+  return {
+    advisory: flatten('advisory'),
+    blocked,
+    cascadable: flatten('cascadable'),
+    deletable,
+    deletedWith: flatten('deletedWith'),
+    unsupportedCount
+  };
+}
+
+function objectKey(typeId, id) {
+  return `${typeId}:${id}`;
+}
+
+async function runPooled(list, work) {
+  const results = new Array(list.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(BULK_DELETE_CONCURRENCY, list.length) }, async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await work(list[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
@@ -3,6 +3,54 @@ import { executeInPage } from '@/utils/executeInPage';
 
 import { extractPageContentIds, getFormsForPage, getQueuesForPage } from './appStudio';
 
+/**
+ * Create a card on a page from a kpi/definition response (e.g. one exported
+ * from another instance). The definition must already point at a dataset on
+ * this instance; it is not mutated.
+ * @param {Object} params
+ * @param {Object} params.definition - A kpi/definition response
+ * @param {string|number} params.pageId - Page the new card is added to
+ * @param {number|null} [params.tabId=null] - Target tab
+ * @returns {Promise<Object>} The created card (includes its new `id`)
+ */
+export async function createCard({ definition, pageId, tabId = null }) {
+  const body = toKpiWriteBody(JSON.parse(JSON.stringify(definition)));
+  return executeInPage(
+    async (body, pageId) => {
+      const response = await fetch(`/api/content/v3/cards/kpi?pageId=${pageId}`, {
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`Failed to create card. HTTP ${response.status}: ${text}`.trim());
+      }
+      return response.json();
+    },
+    [body, pageId],
+    tabId
+  );
+}
+
+/**
+ * Permanently delete a single card.
+ * @param {Object} params
+ * @param {string|number} params.cardId - The card ID
+ * @param {number|null} [params.tabId=null] - Target tab
+ * @returns {Promise<void>} Resolves on success, throws on HTTP failure
+ */
+export async function deleteCard({ cardId, tabId = null }) {
+  return executeInPage(
+    async (cardId) => {
+      const response = await fetch(`/api/content/v1/cards/bulk?cardIds=${cardId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    [cardId],
+    tabId
+  );
+}
+
 /**
  * Export a card as a file download, using the card's current view state
  * (applied filters, date range, chart overrides, etc.).
@@ -563,49 +611,7 @@ export async function transferCards(cardIds, fromUserId, toUserId, tabId = null)
 
 export async function updateCardDefinition({ cardId, definition, tabId = null }) {
   try {
-    const datasetId = definition?.columns?.[0]?.sourceId;
-
-    delete definition.id;
-    delete definition.urn;
-    delete definition.columns;
-    delete definition.drillpath;
-    delete definition.embedded;
-    delete definition.dataSourceWrite;
-
-    definition.dataProvider = {
-      dataSourceId: datasetId || null
-    };
-    definition.variables = true;
-
-    definition.definition.formulas = {
-      card: (definition.definition.formulas || []).filter((f) => f.persistedOnDataSource === false),
-      dsDeleted: [],
-      dsUpdated: []
-    };
-    definition.definition.annotations = {
-      deleted: [],
-      modified: [],
-      new: []
-    };
-
-    // Transform conditionalFormats from array to object with card and datasource arrays
-    if (Array.isArray(definition.definition.conditionalFormats)) {
-      const cardFormats = [];
-      const datasourceFormats = [];
-
-      definition.definition.conditionalFormats.forEach((format) => {
-        if (format.dataSourceId) {
-          datasourceFormats.push(format);
-        } else {
-          cardFormats.push(format);
-        }
-      });
-
-      definition.definition.conditionalFormats = {
-        card: cardFormats,
-        datasource: datasourceFormats
-      };
-    }
+    toKpiWriteBody(definition);
 
     // Update the card with the modifications
     const result = await executeInPage(
@@ -657,3 +663,57 @@ async function fetchViewDetails(viewId, tabId) {
     return null;
   }
 }
+
+/**
+ * Reshape a kpi/definition response IN PLACE into the body the v3 kpi write
+ * endpoints accept: strip read-only fields, point `dataProvider` at the card's
+ * dataset, keep only card-level formulas, and split conditional formats into
+ * card and datasource lists.
+ */
+function toKpiWriteBody(definition) {
+  const datasetId = definition?.columns?.[0]?.sourceId;
+
+  delete definition.id;
+  delete definition.urn;
+  delete definition.columns;
+  delete definition.drillpath;
+  delete definition.embedded;
+  delete definition.dataSourceWrite;
+
+  definition.dataProvider = {
+    dataSourceId: datasetId || null
+  };
+  definition.variables = true;
+
+  definition.definition.formulas = {
+    card: (definition.definition.formulas || []).filter((f) => f.persistedOnDataSource === false),
+    dsDeleted: [],
+    dsUpdated: []
+  };
+  definition.definition.annotations = {
+    deleted: [],
+    modified: [],
+    new: []
+  };
+
+  // Transform conditionalFormats from array to object with card and datasource arrays
+  if (Array.isArray(definition.definition.conditionalFormats)) {
+    const cardFormats = [];
+    const datasourceFormats = [];
+
+    definition.definition.conditionalFormats.forEach((format) => {
+      if (format.dataSourceId) {
+        datasourceFormats.push(format);
+      } else {
+        cardFormats.push(format);
+      }
+    });
+
+    definition.definition.conditionalFormats = {
+      card: cardFormats,
+      datasource: datasourceFormats
+    };
+  }
+
+  return definition;
+}
@@ -0,0 +1,171 @@
+import { getFunctionContract } from '@/utils/ceContractDiff';
+import { buildActionContractInfo, classifyActionImpact, groupTilesByPackage } from '@/utils/ceVersionBump';
+import { incrementPatch } from '@/utils/jsdocToPackage/mergeManifest';
+import { compareSemver } from '@/utils/semver';
+import { reconcileTileForVersionBump } from '@/utils/workflowTileIO';
+
+import {
+  createWorkflowVersion,
+  getVersionDefinition,
+  getWorkflowVersion,
+  getWorkflowVersions,
+  searchWorkflowModels,
+  updateVersionDefinition
+} from './workflows';
+
+// Workflows read in parallel while scanning. Each costs two requests, so this
+// keeps a large instance's scan quick without flooding the page.
+const SCAN_CONCURRENCY = 5;
+
+// Worst first, so a workflow takes the status of its worst tile.
+const IMPACT_ORDER = ['breaking', 'review', 'safe', 'current'];
+
+/**
+ * Classify how moving a workflow's tiles to a candidate package version
+ * affects it (see `classifyActionImpact`). Tiles already on the candidate are
+ * `current`; the workflow takes the status of its worst tile.
+ * @param {Object} params
+ * @param {Map<string, Object[]>} params.cache - Function manifests by `${packageId}@${version}`, shared across workflows
+ * @param {string} params.candidateVersion
+ * @param {string} params.packageId
+ * @param {number|null} [params.tabId]
+ * @param {Object} params.workflow - From `findPackageWorkflows`
+ * @returns {Promise<{actions: Array<Object>, status: 'breaking'|'current'|'review'|'safe'}>} Each action
+ *   gains `impact` and `info` (from `buildActionContractInfo`, null when current)
+ */
+export async function assessWorkflowImpact({ cache, candidateVersion, packageId, tabId = null, workflow }) {
+  const actions = await Promise.all(
+    workflow.actions.map(async (action) => {
+      if (action.currentVersion === candidateVersion) return { ...action, impact: 'current', info: null };
+      const info = await buildBumpInfo({
+        action,
+        cache,
+        candidateVersion,
+        definition: workflow.definition,
+        packageId,
+        tabId
+      });
+      return { ...action, impact: classifyActionImpact(info), info };
+    })
+  );
+  const status = IMPACT_ORDER.find((impact) => actions.some((action) => action.impact === impact)) ?? 'current';
+  return { actions, status };
+}
+
+/**
+ * Move every tile of a package in a workflow's latest version to the candidate
+ * version, auto-reconciling renames and new outputs the same way Update Code
+ * Engine Versions does by default. An unreleased version is edited in place;
+ * a released one can't be, so the bump is written to a new patch version left
+ * unreleased for the owner to review and release.
+ *
+ * The definition is re-read first, and the bump refuses to write if any tile
+ * is no longer `safe` (the workflow changed since the report was built).
+ * @param {Object} params
+ * @param {Map<string, Object[]>} params.cache
+ * @param {string} params.candidateVersion
+ * @param {string} params.packageId
+ * @param {string} params.packageName - Used in a new version's description
+ * @param {number|null} [params.tabId]
+ * @param {Object} params.workflow - From `findPackageWorkflows`
+ * @returns {Promise<{createdVersion: boolean, tiles: number, version: string}>}
+ */
+export async function bumpWorkflowToVersion({ cache, candidateVersion, packageId, packageName, tabId = null, workflow }) {
+  const [details, latestDefinition] = await Promise.all([
+    getWorkflowVersion(workflow.modelId, workflow.version, tabId),
+    getVersionDefinition(workflow.modelId, workflow.version, tabId)
+  ]);
+  const definition = structuredClone(latestDefinition);
+  const actions = (groupTilesByPackage(definition.designElements || []).get(packageId)?.actions ?? []).filter(
+    (action) => action.currentVersion !== candidateVersion
+  );
+
+  const bumps = await Promise.all(
+    actions.map(async (action) => {
+      const info = await buildBumpInfo({ action, cache, candidateVersion, definition, packageId, tabId });
+      if (classifyActionImpact(info) !== 'safe') {
+        throw new Error(`${action.actionName} changed since the report and now needs review`);
+      }
+      return { action, info };
+    })
+  );
+
+  for (const { action, info } of bumps) {
+    const element = definition.designElements.find((el) => el.id === action.elementId);
+    if (!element?.data?.metadata) continue;
+    element.data.metadata.version = candidateVersion;
+    reconcileTileForVersionBump({
+      choices: { addOutputs: info.addedOutputs.slice() },
+      classified: info.classified,
+      definition,
+      element,
+      newFn: info.newFn
+    });
+  }
+
+  let version = workflow.version;
+  const createdVersion = !!details?.releasedAt;
+  if (createdVersion) {
+    version = incrementPatch(workflow.version);
+    await createWorkflowVersion({
+      description: `Update ${packageName} to ${candidateVersion}`,
+      modelId: workflow.modelId,
+      tabId,
+      version
+    });
+  }
+  await updateVersionDefinition(workflow.modelId, version, definition, tabId);
+  return { createdVersion, tiles: bumps.length, version };
+}
+
+/**
+ * Find the workflows whose latest version calls a Code Engine package. Only
+ * the latest version is read: it's the one a bump edits (or branches from).
+ * @param {Object} params
+ * @param {Function} [params.onProgress] - Called with `{ done, total }` as workflows are read
+ * @param {string} params.packageId
+ * @param {number|null} [params.tabId]
+ * @returns {Promise<{
+ *   errors: Array<{error: string, modelId: string, name: string}>,
+ *   scanned: number,
+ *   workflows: Array<{actions: Array<Object>, definition: Object, modelId: string, name: string, version: string}>
+ * }>} `actions` are the package's tiles, as `groupTilesByPackage` lists them
+ */
+export async function findPackageWorkflows({ onProgress, packageId, tabId = null }) {
+  const models = await searchWorkflowModels(tabId);
+  const errors = [];
+  const workflows = [];
+  let done = 0;
+
+  for (let i = 0; i < models.length; i += SCAN_CONCURRENCY) {
+    await Promise.all(
+      models.slice(i, i + SCAN_CONCURRENCY).map(async (model) => {
+        try {
+          const versions = await getWorkflowVersions(model.id, tabId);
+          const latest = versions.filter((v) => v?.version).sort((a, b) => compareSemver(b.version, a.version))[0];
+          if (!latest) return;
+          const definition = await getVersionDefinition(model.id, latest.version, tabId);
+          const actions = groupTilesByPackage(definition?.designElements || []).get(packageId)?.actions ?? [];
+          if (actions.length > 0) {
+            workflows.push({ actions, definition, modelId: model.id, name: model.name, version: latest.version });
+          }
+        } catch (error) {
+          errors.push({ error: error.message, modelId: model.id, name: model.name });
+        } finally {
+          onProgress?.({ done: ++done, total: models.length });
+        }
+      })
+    );
+  }
+
+  workflows.sort((a, b) => a.name.localeCompare(b.name));
+  return { errors, scanned: models.length, workflows };
+}
+
+async function buildBumpInfo({ action, cache, candidateVersion, definition, packageId, tabId }) {
+  const [oldFn, newFn] = await Promise.all([
+    getFunctionContract({ cache, functionName: action.functionName, packageId, tabId, version: action.currentVersion }),
+    getFunctionContract({ cache, functionName: action.functionName, packageId, tabId, version: candidateVersion })
+  ]);
+  return buildActionContractInfo({ change: { elementId: action.elementId }, definition, newFn, oldFn });
+}
@@ -175,6 +175,32 @@ export async function getCodeEngineEditorSource({ packageId, tabId }) {
   );
 }
 
+/**
+ * GET a Domo API path as the signed-in user, to record the response as a test
+ * fixture for a `codeengine.sendRequest` call. Only GETs are recorded live;
+ * anything that writes has to be written into a fixture by hand.
+ *
+ * @param {string} url - Instance-relative API path (e.g. "/api/content/v2/users/27")
+ * @param {number|null} tabId - Optional Chrome tab ID
+ * @returns {Promise<*>} The parsed JSON body, or the text when it isn't JSON
+ */
+export async function getCodeEngineFixtureResponse(url, tabId = null) {
+  return executeInPage(
+    async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    },
+    [url],
+    tabId
+  );
+}
+
 /**
  * Fetch the currently-viewed version's code for a Code Engine package.
  * Reads the version number from the page's version selector input,
@@ -0,0 +1,91 @@
+/**
+ * Access parity between two users: role, assignable groups, individually
+ * shared cards, pages and custom apps, each split into what only one side has
+ * and what both share. The grant half goes through `addAccessToExistingUser`,
+ * so it is always a pure add on the receiving user.
+ *
+ * Owned objects are compared separately in the view (one fetch per
+ * TRANSFER_TYPES category per user), since ownership can't be granted, only
+ * transferred.
+ */
+
+import { addAccessToExistingUser, fetchDuplicationPreview } from './duplicate';
+
+/**
+ * The grantable categories, in display order. `idOf` / `nameOf` read the
+ * shapes `fetchDuplicationPreview` returns.
+ */
+export const ACCESS_SECTIONS = [
+  { idOf: (g) => String(g.groupId), key: 'groups', label: 'Groups', nameOf: (g) => g.groupName },
+  { idOf: (c) => String(c.id), key: 'cards', label: 'Individually-shared cards', nameOf: (c) => c.name },
+  { idOf: (p) => String(p.id), key: 'pages', label: 'Individually-shared pages', nameOf: (p) => p.title },
+  { idOf: (a) => String(a.id), key: 'customApps', label: 'Individually-shared apps', nameOf: (a) => a.name }
+];
+
+/**
+ * Fetch both users' access and diff it.
+ *
+ * @param {Object} params
+ * @param {number|string} params.leftUserId
+ * @param {number|string} params.rightUserId
+ * @param {number|null} [params.tabId]
+ * @returns {Promise<{
+ *   left: {displayName: string, email: string, id: number, roleId: number|null},
+ *   right: {displayName: string, email: string, id: number, roleId: number|null},
+ *   sections: Record<string, {onlyLeft: Array, onlyRight: Array, shared: Array}>
+ * }>}
+ */
+export async function compareUserAccess({ leftUserId, rightUserId, tabId = null }) {
+  const [left, right] = await Promise.all([
+    fetchDuplicationPreview({ sourceUserId: leftUserId, tabId }),
+    fetchDuplicationPreview({ sourceUserId: rightUserId, tabId })
+  ]);
+
+  const sections = {};
+  for (const { idOf, key } of ACCESS_SECTIONS) {
+    const rightIds = new Set(right[key].map(idOf));
+    const leftIds = new Set(left[key].map(idOf));
+    sections[key] = {
+      onlyLeft: left[key].filter((item) => !rightIds.has(idOf(item))),
+      onlyRight: right[key].filter((item) => !leftIds.has(idOf(item))),
+      shared: left[key].filter((item) => rightIds.has(idOf(item)))
+    };
+  }
+
+  return { left: left.source, right: right.source, sections };
+}
+
+/**
+ * What `to` lacks compared with the other user, shaped for
+ * `addAccessToExistingUser`.
+ *
+ * @param {Object} comparison - From `compareUserAccess`
+ * @param {'left'|'right'} to
+ * @returns {{cards: Array, customApps: Array, groups: Array, pages: Array}}
+ */
+export function getMissingAccess(comparison, to) {
+  const side = to === 'left' ? 'onlyRight' : 'onlyLeft';
+  return Object.fromEntries(ACCESS_SECTIONS.map(({ key }) => [key, comparison.sections[key][side]]));
+}
+
+/**
+ * Give one side of a comparison everything only the other side has. Role is
+ * never changed.
+ *
+ * @param {Object} params
+ * @param {Object} params.comparison - From `compareUserAccess`
+ * @param {'left'|'right'} params.to - The user receiving the access
+ * @param {number|null} [params.tabId]
+ * @param {Function} [params.onStepProgress] - See `addAccessToExistingUser`
+ * @returns {Promise<Object>} The `addAccessToExistingUser` result
+ */
+export async function grantMissingAccess({ comparison, onStepProgress, tabId = null, to }) {
+  const missing = getMissingAccess(comparison, to);
+  const target = comparison[to];
+  return addAccessToExistingUser({
+    ...missing,
+    onStepProgress,
+    tabId,
+    targetUser: { displayName: target.displayName, id: target.id }
+  });
+}
@@ -1,19 +1,56 @@
+import { deleteAlert } from './alerts';
 import { deleteAppDbCollection } from './appDb';
 import { deleteApprovalTemplate } from './approvals';
+import { deleteCard } from './cards';
 import { deleteCustomApp } from './customApps';
+import { deleteDataflowAndOutputs } from './dataflows';
+import { deleteDataset } from './datasets';
 import { deleteFunction } from './functions';
+import { deleteGroup } from './groups';
+import { deletePageAndAllCards } from './pages';
 import { deleteScheduledReport } from './scheduledReports';
 import { deleteWorkflow } from './workflows';
 
 /**
  * Maps a DomoObject typeId to the service primitive that deletes it. Each
- * handler receives `{ id, tabId }` and either resolves (success) or throws.
+ * handler receives `{ id, object, tabId }` and either resolves (success) or
+ * throws. `object` is the full DomoObject, for handlers that need more than
+ * the id (a dataflow's outputs).
  */
 const DELETE_HANDLERS = {
+  ALERT: ({ id, tabId }) => deleteAlert({ alertId: id, tabId }),
   APP: ({ id, tabId }) => deleteCustomApp({ designId: id, tabId }),
   BEAST_MODE_FORMULA: ({ id, tabId }) => deleteFunction({ functionId: id, tabId }),
+  CARD: ({ id, tabId }) => deleteCard({ cardId: id, tabId }),
+  DATA_SOURCE: ({ id, tabId }) => deleteDataset({ datasetId: id, tabId }),
+  DATAFLOW_TYPE: async ({ id, object, tabId }) => {
+    // Outputs go first; a dataflow reached without its details (e.g. as a
+    // cascaded dependency) is deleted on its own.
+    const outputs = object?.metadata?.details?.outputs || [];
+    const result = await deleteDataflowAndOutputs({ dataflowId: id, outputs, tabId });
+    if (result.success) return;
+    if (result.datasetsFailed > 0) {
+      const total = result.datasetsFailed + result.datasetsDeleted;
+      throw new Error(
+        `Failed to delete ${result.datasetsFailed} of ${total} output dataset${total !== 1 ? 's' : ''}. Dataflow was not deleted.`
+      );
+    }
+    throw new Error(`Output datasets deleted, but dataflow deletion failed (HTTP ${result.statusCode}).`);
+  },
   FUNCTION_TEMPLATE: ({ id, tabId }) => deleteFunction({ functionId: id, tabId }),
+  GROUP: ({ id, tabId }) => deleteGroup({ groupId: id, tabId }),
   MAGNUM_COLLECTION: ({ id, tabId }) => deleteAppDbCollection({ collectionId: id, tabId }),
+  // Child pages block the delete in the view (see dependencies.js), so the
+  // check isn't repeated here; it would also stash a sidepanel warning.
+  PAGE: async ({ id, tabId }) => {
+    const result = await deletePageAndAllCards({
+      pageId: parseInt(id),
+      pageType: 'PAGE',
+      skipChildPageCheck: true,
+      tabId
+    });
+    if (!result.success) throw new Error(result.statusDescription || 'Failed to delete page');
+  },
   REPORT_SCHEDULE: ({ id, tabId }) => deleteScheduledReport({ reportId: id, tabId }),
   TEMPLATE: ({ id, tabId }) => deleteApprovalTemplate({ tabId, templateId: id }),
   VARIABLE: ({ id, tabId }) => deleteFunction({ functionId: id, tabId }),
@@ -50,7 +87,7 @@ export async function deleteObject({ object, tabId = null }) {
   }
 
   try {
-    await handler({ id: object.id, tabId });
+    await handler({ id: object.id, object, tabId });
     return {
       statusDescription: `Deleted ${object.typeName?.toLowerCase() || 'object'} **${object.id}**`,
       statusTitle: 'Deleted Successfully',
@@ -67,3 +104,12 @@ export async function deleteObject({ object, tabId = null }) {
     };
   }
 }
+
+/**
+ * Whether `deleteObject` can delete objects of a type.
+ * @param {string} typeId - DomoObject typeId
+ * @returns {boolean}
+ */
+export function isDeletableType(typeId) {
+  return Object.hasOwn(DELETE_HANDLERS, typeId);
+}
@@ -1,8 +1,11 @@
+import { getDownstreamAlerts } from './alerts';
 import { getTemplateApprovalCount } from './approvals';
+import { getDatasetBeastModesWithUsage } from './beastModes';
 import { getCardsForObject } from './cards';
 import { getAppContentSummary } from './customApps';
-import { getDatasetDependentCount, searchDatasets } from './datasets';
-import { getChildPages } from './pages';
+import { getDatasetDependentCount, getDependentDatasets, searchDatasets } from './datasets';
+import { getFunctionTemplate } from './functions';
+import { getChildPages, getPagesForCards } from './pages';
 
 /**
  * Per-type dependency fetchers. Each returns an array of group objects:
@@ -28,6 +31,9 @@ import { getChildPages } from './pages';
  *   (e.g. "Approvals (12 requests)") with no enumerated items, instead of a list.
  * - `flat`: render the group's item(s) as leaf rows directly, with no disclosure
  *   wrapper. Use for a 1:1 related object that needs no grouping header.
+ * - `cascadable`: on a non-deleted, non-blocking group whose items
+ *   `deleteObject` can delete, lets the user opt into deleting the group's
+ *   items along with the object (the view's cascade selection).
  */
 /**
  * Shared fetcher for app pages, used by both `DATA_APP_VIEW` and
@@ -98,7 +104,110 @@ async function fetchAppPageDependencies({ id, instance, parentId, typeId }, tabI
 }
 
 const FETCHERS = {
+  // Alerts carry no dependents of their own worth listing.
+  ALERT: async () => [],
+  // Usage comes from the dataset's Beast Mode search, the only place Domo
+  // reports it. Cards and drills just lose the calculation, but another Beast
+  // Mode nesting this one stops compiling, so those block.
+  BEAST_MODE_FORMULA: async ({ id, instance }, tabId) => {
+    const origin = `https://${instance}.domo.com`;
+    const template = await getFunctionTemplate(id, tabId);
+    const datasetId = (template?.links || []).find((link) => link.resource?.type === 'DATA_SOURCE')?.resource?.id;
+    if (!datasetId) return [];
+    const beastModes = await getDatasetBeastModesWithUsage(datasetId, tabId);
+    const usage = beastModes.find((bm) => String(bm.id) === String(id));
+    if (!usage) return [];
+    const toCardItem = (card) => ({
+      id: card.id,
+      label: card.name,
+      typeId: 'CARD',
+      url: `${origin}/kpis/details/${card.id}`
+    });
+    return [
+      {
+        blocking: true,
+        blockingReason: 'Other Beast Modes use this one. Remove it from them before deleting.',
+        deleted: false,
+        items: usage.otherBeastModes.map((bm) => ({ id: bm.id, label: bm.name, typeId: 'BEAST_MODE_FORMULA' })),
+        label: 'Beast Modes using this one'
+      },
+      {
+        blocking: false,
+        deleted: false,
+        items: usage.cards.map(toCardItem),
+        label: 'Cards using this Beast Mode'
+      },
+      {
+        blocking: false,
+        deleted: false,
+        items: usage.drills.map(toCardItem),
+        label: 'Drills using this Beast Mode'
+      }
+    ];
+  },
+  CARD: async ({ id, instance }, tabId) => {
+    const origin = `https://${instance}.domo.com`;
+    const { pages } = await getPagesForCards([id], tabId);
+    return [
+      {
+        blocking: false,
+        deleted: false,
+        items: pages.map((p) => ({
+          id: p.id,
+          label: p.parentName ? `${p.parentName} › ${p.name}` : p.name || `Page ${p.id}`,
+          typeId: p.type,
+          url: p.type === 'PAGE' ? `${origin}/page/${p.id}` : undefined
+        })),
+        label: 'Pages showing this card'
+      }
+    ];
+  },
   DATA_APP_VIEW: fetchAppPageDependencies,
+  DATA_SOURCE: async ({ id, instance }, tabId) => {
+    const origin = `https://${instance}.domo.com`;
+    const [cards, dependents, alerts] = await Promise.all([
+      getCardsForObject({ objectId: id, objectType: 'DATA_SOURCE', tabId }),
+      getDependentDatasets({ datasetId: id, tabId }).catch(() => []),
+      getDownstreamAlerts(id, tabId).catch(() => [])
+    ]);
+    return [
+      {
+        blocking: false,
+        deleted: true,
+        items: cards.map((c) => ({
+          id: c.id,
+          label: c.title || `Card ${c.id}`,
+          typeId: 'CARD',
+          url: `${origin}/kpis/details/${c.id}`
+        })),
+        label: 'Cards using this dataset'
+      },
+      {
+        blocking: false,
+        cascadable: true,
+        deleted: false,
+        items: dependents.map((d) => ({
+          id: d.id,
+          label: d.name || `DataSet ${d.id}`,
+          typeId: 'DATA_SOURCE',
+          url: `${origin}/datasources/${d.id}/details/overview`
+        })),
+        label: 'Downstream datasets'
+      },
+      {
+        blocking: false,
+        cascadable: true,
+        deleted: false,
+        items: alerts.map((a) => ({
+          id: a.id,
+          label: a.name,
+          typeId: 'ALERT',
+          url: `${origin}/alerts/${a.id}`
+        })),
+        label: 'Alerts on this dataset'
+      }
+    ];
+  },
   DATAFLOW_TYPE: async ({ id, instance, metadata }, tabId) => {
     const outputs = metadata?.details?.outputs || [];
     const cards = await getCardsForObject({
@@ -134,6 +243,24 @@ const FETCHERS = {
     ];
   },
 
+  // Members aren't deleted with the group, only the access it granted, so the
+  // group reports a member count rather than a list.
+  GROUP: async ({ metadata }) => {
+    const details = metadata?.details;
+    const memberCount = details?.userIds?.length ?? details?.memberCount ?? 0;
+    return [
+      {
+        blocking: false,
+        count: memberCount,
+        countLabel: memberCount === 1 ? 'member' : 'members',
+        deleted: false,
+        items: [],
+        label: 'Members',
+        summaryTypeId: 'USER'
+      }
+    ];
+  },
+
   PAGE: async ({ id, instance }, tabId) => {
     const origin = `https://${instance}.domo.com`;
     const groups = [];
@@ -1,36 +1,48 @@
 /**
- * Orchestrator for duplicating Domo objects. Initially supports USER; extensible
- * to other types by adding more functions here and wiring them in DuplicateView.
+ * Orchestrator for duplicating Domo objects: USER, GROUP, PAGE, CARD and
+ * WORKFLOW_MODEL. Add a type by adding its preview and flow functions here and
+ * wiring them into DuplicateView's registry.
  *
  * Low-level API calls live in their domain services (users.js, groups.js, etc.).
  * This file composes them into the full multi-step flow and reports progress to
  * the UI via an optional `onStepProgress` callback.
  */
 
-import { addUsersToGroups } from './groups';
+import { compareSemver } from '@/utils/semver';
+
+import { createCard, getCardDefinition, getCardsForObject } from './cards';
+import { addUsersToGroups, ASSIGNABLE_GROUP_TYPES, createGroup, getGroupDetails, getGroupShares } from './groups';
+import { remapPageLayout } from './pageBundle';
+import { createPage, getPageLayout, getPagesForCards, updatePageLayout } from './pages';
 import { shareContent } from './share';
 import { getIndividualSharesForUser } from './userIndividualShares';
-import { bulkUpdateUsers, createUser, getFullUserDetails, getUserGroups, setUserAttributes } from './users';
-
-const USER_PROFILE_FIELDS = [
-  'department',
-  'employeeId',
-  'employeeLocation',
-  'employeeNumber',
-  'hireDate',
-  'phoneNumber',
-  'reportsTo',
-  'timeZone',
-  'title'
-];
+import {
+  bulkUpdateUsers,
+  createUser,
+  getFullUserDetails,
+  getUserGroups,
+  setUserAttributes,
+  USER_PROFILE_FIELDS
+} from './users';
+import {
+  createWorkflowModel,
+  createWorkflowVersion,
+  getVersionDefinition,
+  getWorkflowModel,
+  updateVersionDefinition
+} from './workflows';
 
 const SHARE_BATCH_SIZE = 100;
 
-// Only these group types accept manual member additions via the groups/access
-// endpoint. Dynamic groups are managed by rules; system groups are managed by
-// Domo itself; adding to either would either fail silently or be reverted on
-// the next group re-evaluation.
-const ASSIGNABLE_GROUP_TYPES = new Set(['adHoc', 'closed', 'open']);
+/**
+ * Result of the GROUP, PAGE, CARD and WORKFLOW_MODEL flows. Creating the new
+ * object aborts the flow when it fails (`created` is then null); every later
+ * step's failure is collected in `errors` and the flow carries on.
+ * @typedef {Object} DuplicationResult
+ * @property {{id: string|number, name: string}|null} created - The new object
+ * @property {Array<{message: string, step: string}>} errors
+ * @property {boolean} success
+ */
 
 /**
  * Add a source user's additive access to an existing user. Re-uses the source
@@ -97,6 +109,172 @@ export async function addAccessToExistingUser({
   };
 }
 
+/**
+ * Duplicate a card from its kpi definition onto a page. The copy reads from
+ * the same dataset, and card-level Beast Modes travel inside the definition.
+ *
+ * @param {Object} params
+ * @param {string} params.newTitle - Title for the copy
+ * @param {number|string} params.pageId - Page the copy is added to
+ * @param {number|string} params.sourceCardId
+ * @param {number|null} [params.tabId]
+ * @param {(stepKey: string, status: 'running'|'done'|'error', result?: Object) => void} [params.onStepProgress]
+ * @returns {Promise<DuplicationResult>}
+ */
+export async function duplicateCard({ newTitle, onStepProgress = () => {}, pageId, sourceCardId, tabId = null }) {
+  const report = stepReporter(onStepProgress);
+
+  report('readDefinition', 'running');
+  let definition;
+  try {
+    definition = await getCardDefinition({ cardId: sourceCardId, tabId });
+    report('readDefinition', 'done');
+  } catch (err) {
+    report('readDefinition', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'readDefinition' }], success: false };
+  }
+
+  report('createCard', 'running');
+  try {
+    if (definition.definition) definition.definition.title = newTitle;
+    const created = await createCard({ definition, pageId, tabId });
+    report('createCard', 'done', { id: created.id });
+    return { created: { id: created.id, name: newTitle }, errors: [], success: true };
+  } catch (err) {
+    report('createCard', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'createCard' }], success: false };
+  }
+}
+
+/**
+ * Duplicate a group: a new group of the same type (closed when the source is
+ * dynamic or system, since those can't take manual members) with the source's
+ * members, and the cards and pages shared with the source re-shared with it.
+ *
+ * @param {Object} params
+ * @param {string} params.newName
+ * @param {Object} params.preview - From `fetchGroupDuplicationPreview`
+ * @param {number|null} [params.tabId]
+ * @param {(stepKey: string, status: 'running'|'done'|'error', result?: Object) => void} [params.onStepProgress]
+ * @returns {Promise<DuplicationResult>}
+ */
+export async function duplicateGroup({ newName, onStepProgress = () => {}, preview, tabId = null }) {
+  const report = stepReporter(onStepProgress);
+  const errors = [];
+  const { cards, members, pages, source } = preview;
+
+  report('createGroup', 'running');
+  let groupId;
+  try {
+    groupId = await createGroup({
+      description: source.description,
+      name: newName,
+      tabId,
+      type: ASSIGNABLE_GROUP_TYPES.has(source.type) ? source.type : 'closed'
+    });
+    if (groupId == null) throw new Error('Group was created but its new ID was not returned');
+    report('createGroup', 'done', { id: groupId });
+  } catch (err) {
+    report('createGroup', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'createGroup' }], success: false };
+  }
+
+  report('addMembers', 'running');
+  try {
+    if (members.length > 0) {
+      const ok = await addUsersToGroups(
+        [{ addMembers: members.map((m) => ({ id: String(m.id), type: 'USER' })), groupId }],
+        tabId
+      );
+      if (!ok) throw new Error('Group access update returned a non-OK status');
+    }
+    report('addMembers', 'done', { count: members.length });
+  } catch (err) {
+    errors.push({ message: err.message, step: 'addMembers' });
+    report('addMembers', 'error');
+  }
+
+  const recipient = { id: String(groupId), type: 'group' };
+  for (const [step, items, resourceType] of [
+    ['shareCards', cards, 'badge'],
+    ['sharePages', pages, 'page']
+  ]) {
+    report(step, 'running');
+    const records = { attempted: items, errors: [] };
+    await shareBatched({ attemptedRecords: records, items, recipient, resourceType, tabId });
+    if (records.errors.length > 0) {
+      errors.push({ message: `${records.errors.length} of ${items.length} could not be shared`, step });
+      report(step, 'error');
+    } else {
+      report(step, 'done', { count: items.length });
+    }
+  }
+
+  return { created: { id: groupId, name: newName }, errors, success: errors.length === 0 };
+}
+
+/**
+ * Duplicate a page: a new top-level page with a copy of each of its cards and
+ * the source layout. Cards that can't be recreated from a kpi definition (apps,
+ * documents) are left off the copy.
+ *
+ * @param {Object} params
+ * @param {string} params.newTitle
+ * @param {Object} params.preview - From `fetchPageDuplicationPreview`
+ * @param {number|null} [params.tabId]
+ * @param {(stepKey: string, status: 'running'|'done'|'error', result?: Object) => void} [params.onStepProgress]
+ * @returns {Promise<DuplicationResult>}
+ */
+export async function duplicatePage({ newTitle, onStepProgress = () => {}, preview, tabId = null }) {
+  const report = stepReporter(onStepProgress);
+  const errors = [];
+
+  report('createPage', 'running');
+  let pageId;
+  try {
+    pageId = await createPage({ tabId, title: newTitle });
+    report('createPage', 'done', { id: pageId });
+  } catch (err) {
+    report('createPage', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'createPage' }], success: false };
+  }
+
+  report('copyCards', 'running');
+  const cardIdMap = {};
+  const failedCards = [];
+  for (const card of preview.cards) {
+    try {
+      const definition = await getCardDefinition({ cardId: card.id, tabId });
+      const created = await createCard({ definition, pageId, tabId });
+      cardIdMap[card.id] = created.id;
+    } catch (err) {
+      failedCards.push(`${card.title}: ${err.message}`);
+    }
+  }
+  if (failedCards.length > 0) {
+    errors.push({ message: `Cards not copied: ${failedCards.join('; ')}`, step: 'copyCards' });
+    report('copyCards', 'error');
+  } else {
+    report('copyCards', 'done', { count: preview.cards.length });
+  }
+
+  report('copyLayout', 'running');
+  try {
+    const copiedCount = Object.keys(cardIdMap).length;
+    if (preview.layout && copiedCount > 0) {
+      const target = await getPageLayout({ pageId, tabId });
+      if (!target?.layoutId) throw new Error('The new page has no layout to update');
+      await updatePageLayout({ layout: remapPageLayout(preview.layout, target, cardIdMap), tabId });
+    }
+    report('copyLayout', 'done');
+  } catch (err) {
+    errors.push({ message: err.message, step: 'copyLayout' });
+    report('copyLayout', 'error');
+  }
+
+  return { created: { id: pageId, name: newTitle }, errors, success: errors.length === 0 };
+}
+
 /**
  * Duplicate a Domo user. Copies role, profile fields, locale, group memberships,
  * and re-shares the source user's individually-shared cards, pages, and custom
@@ -271,6 +449,89 @@ export async function duplicateUser({
   };
 }
 
+/**
+ * Duplicate a workflow: a new model holding one version, with the definition
+ * of the source's latest version (by version number, active or not). The new
+ * version keeps the source's version number and starts inactive.
+ *
+ * @param {Object} params
+ * @param {string} params.newName
+ * @param {Object} params.preview - From `fetchWorkflowDuplicationPreview`
+ * @param {number|null} [params.tabId]
+ * @param {(stepKey: string, status: 'running'|'done'|'error', result?: Object) => void} [params.onStepProgress]
+ * @returns {Promise<DuplicationResult>}
+ */
+export async function duplicateWorkflow({ newName, onStepProgress = () => {}, preview, tabId = null }) {
+  const report = stepReporter(onStepProgress);
+  const { source, version } = preview;
+
+  report('readDefinition', 'running');
+  let definition = null;
+  try {
+    if (version) definition = await getVersionDefinition(source.id, version.version, tabId);
+    report('readDefinition', 'done');
+  } catch (err) {
+    report('readDefinition', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'readDefinition' }], success: false };
+  }
+
+  report('createModel', 'running');
+  let modelId;
+  try {
+    const created = await createWorkflowModel({ description: source.description, name: newName, tabId });
+    modelId = created.id;
+    report('createModel', 'done', { id: modelId });
+  } catch (err) {
+    report('createModel', 'error');
+    return { created: null, errors: [{ message: err.message, step: 'createModel' }], success: false };
+  }
+
+  const result = { created: { id: modelId, name: newName }, errors: [], success: true };
+  if (!version) {
+    report('createVersion', 'done');
+    report('copyDefinition', 'done');
+    return result;
+  }
+
+  report('createVersion', 'running');
+  try {
+    await createWorkflowVersion({ description: version.description, modelId, tabId, version: version.version });
+    report('createVersion', 'done', { version: version.version });
+  } catch (err) {
+    report('createVersion', 'error');
+    return { ...result, errors: [{ message: err.message, step: 'createVersion' }], success: false };
+  }
+
+  report('copyDefinition', 'running');
+  try {
+    await updateVersionDefinition(modelId, version.version, definition, tabId);
+    report('copyDefinition', 'done');
+  } catch (err) {
+    report('copyDefinition', 'error');
+    return { ...result, errors: [{ message: err.message, step: 'copyDefinition' }], success: false };
+  }
+  return result;
+}
+
+/**
+ * Preview for duplicating a card: its title and the regular pages it is on,
+ * offered as targets for the copy.
+ *
+ * @param {Object} params
+ * @param {number|string} params.cardId
+ * @param {string} [params.name] - Card title from the current context
+ * @param {number|null} [params.tabId]
+ */
+export async function fetchCardDuplicationPreview({ cardId, name = '', tabId = null }) {
+  const { pages } = await getPagesForCards([Number(cardId)], tabId);
+  return {
+    // App Studio and report pages place cards through their own layouts, so
+    // only regular pages are offered.
+    pages: (pages || []).filter((p) => p.type === 'PAGE').map((p) => ({ id: p.id, title: p.name })),
+    source: { id: cardId, name: name || `Card ${cardId}` }
+  };
+}
+
 /**
  * Gather everything the DuplicateView preview panel needs to display:
  * source user, profile fields with values, locale, groups (with names), and
@@ -317,6 +578,70 @@ export async function fetchDuplicationPreview({ sourceUserId, tabId = null }) {
   };
 }
 
+/**
+ * Preview for duplicating a group: its details and members, plus the cards
+ * and pages shared with it.
+ *
+ * @param {Object} params
+ * @param {number|string} params.groupId
+ * @param {number|null} [params.tabId]
+ */
+export async function fetchGroupDuplicationPreview({ groupId, tabId = null }) {
+  const [group, shares] = await Promise.all([getGroupDetails(groupId, tabId), getGroupShares(groupId, tabId)]);
+  if (!group) throw new Error(`Group ${groupId} not found`);
+  return {
+    cards: shares.cards,
+    members: ASSIGNABLE_GROUP_TYPES.has(group.type) ? group.members : [],
+    pages: shares.pages,
+    source: { description: group.description, id: group.id, name: group.name, type: group.type }
+  };
+}
+
+/**
+ * Preview for duplicating a page: the cards that will be copied, the ones that
+ * can't be, and the layout.
+ *
+ * @param {Object} params
+ * @param {number|string} params.pageId
+ * @param {string} [params.name] - Page title from the current context
+ * @param {number|null} [params.tabId]
+ */
+export async function fetchPageDuplicationPreview({ name = '', pageId, tabId = null }) {
+  const [pageCards, layout] = await Promise.all([
+    getCardsForObject({ objectId: pageId, objectType: 'PAGE', tabId }),
+    getPageLayout({ pageId, tabId }).catch((error) => {
+      console.warn('[duplicate] Could not read page layout:', error);
+      return null;
+    })
+  ]);
+  const cards = [];
+  const skipped = [];
+  for (const card of pageCards) {
+    const entry = { id: card.id, title: card.title || `Card ${card.id}` };
+    (card.type && card.type !== 'kpi' ? skipped : cards).push(entry);
+  }
+  return { cards, layout, skipped, source: { id: pageId, name: name || `Page ${pageId}` } };
+}
+
+/**
+ * Preview for duplicating a workflow: the model and its latest version.
+ *
+ * @param {Object} params
+ * @param {string} params.modelId
+ * @param {number|null} [params.tabId]
+ */
+export async function fetchWorkflowDuplicationPreview({ modelId, tabId = null }) {
+  const model = await getWorkflowModel(modelId, tabId);
+  if (!model?.id) throw new Error(`Workflow ${modelId} not found`);
+  const versions = [...(model.versions || [])].sort((a, b) => compareSemver(b.version, a.version));
+  const latest = versions[0] ?? null;
+  return {
+    source: { description: model.description ?? '', id: model.id, name: model.name },
+    version: latest ? { active: !!latest.active, description: latest.description ?? '', version: latest.version } : null,
+    versionCount: versions.length
+  };
+}
+
 /**
  * Run the additive-grant steps (groups, cards, pages, apps) against a single
  * user id, reporting each step via `onStepProgress`. Shared by both the
@@ -384,7 +709,7 @@ async function applyUserGrants({
     await shareBatched({
       attemptedRecords: cardResults,
       items: cards,
-      newUserId: userId,
+      recipient: { id: String(userId), type: 'user' },
       resourceType: 'badge',
       tabId
     });
@@ -401,7 +726,7 @@ async function applyUserGrants({
     await shareBatched({
       attemptedRecords: pageResults,
       items: pages,
-      newUserId: userId,
+      recipient: { id: String(userId), type: 'user' },
       resourceType: 'page',
       tabId
     });
@@ -426,12 +751,12 @@ async function applyUserGrants({
   return { appResults, cardResults, copied, errors, pageResults };
 }
 
-async function shareBatched({ attemptedRecords, items, newUserId, resourceType, tabId }) {
+async function shareBatched({ attemptedRecords, items, recipient, resourceType, tabId }) {
   for (let i = 0; i < items.length; i += SHARE_BATCH_SIZE) {
     const batch = items.slice(i, i + SHARE_BATCH_SIZE);
     const ok = await shareContent(
       {
-        recipients: [{ id: String(newUserId), type: 'user' }],
+        recipients: [recipient],
         resources: batch.map((item) => ({ id: String(item.id), type: resourceType }))
       },
       tabId
@@ -447,6 +772,16 @@ async function shareBatched({ attemptedRecords, items, newUserId, resourceType,
   }
 }
 
+function stepReporter(onStepProgress) {
+  return (step, status, result) => {
+    try {
+      onStepProgress(step, status, result);
+    } catch {
+      // UI callback errors must never bubble up into the flow
+    }
+  };
+}
+
 function toAssignableGroups(richGroups) {
   if (!richGroups?.length) return [];
   return richGroups
@@ -1,5 +1,28 @@
+import { VARIABLES_URL_PARAM } from '@/utils/constants';
 import { executeInAllFrames, executeInPage } from '@/utils/executeInPage';
 
+/**
+ * Operands Domo accepts in a pfilter, for editors that let the user change one.
+ * (`GREAT_THAN_EQUALS_TO` is Domo's spelling.)
+ */
+export const PFILTER_OPERANDS = [
+  'IN',
+  'NOT_IN',
+  'EQUALS',
+  'NOT_EQUALS',
+  'GREATER_THAN',
+  'GREAT_THAN_EQUALS_TO',
+  'LESS_THAN',
+  'LESS_THAN_EQUALS_TO',
+  'BETWEEN',
+  'CONTAINS',
+  'NOT_CONTAINS',
+  'STARTS_WITH',
+  'NOT_STARTS_WITH',
+  'ENDS_WITH',
+  'NOT_ENDS_WITH'
+];
+
 /**
  * Build a pfilter URL from base URL and filters
  * Works for pages, cards, and any Domo URL that supports pfilters
@@ -12,14 +35,18 @@ import { executeInAllFrames, executeInPage } from '@/utils/executeInPage';
  * @param {string} baseUrl - Base URL (instance + path)
  * @param {string} objectId - Object ID (page or card ID) - unused but kept for compatibility
  * @param {Array} filters - Array of filter objects
+ * @param {Array} [variables] - Variable control selections from getAllFilters().variableControls.
+ *   Domo can't set variables from the URL, so these ride along in VARIABLES_URL_PARAM and the
+ *   content script offers to apply them when the link is opened.
  * @returns {string} Complete URL with pfilters parameter
  */
-export function buildPfilterUrl(baseUrl, objectId, filters) {
+export function buildPfilterUrl(baseUrl, objectId, filters, variables = []) {
   try {
     const urlObj = new URL(baseUrl);
 
     // Remove existing pfilters if present
     urlObj.searchParams.delete('pfilters');
+    urlObj.searchParams.delete(VARIABLES_URL_PARAM);
 
     // Add new pfilters if we have filters
     if (Array.isArray(filters) && filters.length > 0) {
@@ -30,6 +57,11 @@ export function buildPfilterUrl(baseUrl, objectId, filters) {
       urlObj.searchParams.set('pfilters', decodeURIComponent(encoded));
     }
 
+    if (Array.isArray(variables) && variables.length > 0) {
+      const selections = variables.map(({ cardId, column, values }) => ({ cardId, column, values }));
+      urlObj.searchParams.set(VARIABLES_URL_PARAM, JSON.stringify(selections));
+    }
+
     return urlObj.toString();
   } catch (error) {
     console.error('Failed to build pfilter URL:', error);
@@ -56,7 +88,8 @@ export function encodeFilters(filters) {
  * @param {Object} params - Parameters
  * @param {string} params.pageId - Page ID
  * @param {number} [params.tabId] - Optional Chrome tab ID
- * @returns {Promise<Object>} Object with pageFilters and merged filters
+ * @returns {Promise<Object>} Object with pageFilters and merged filters, plus the raw
+ *   variableControls selections buildPfilterUrl needs to carry variables in the URL
  */
 export async function getAllFilters({ pageId, tabId = null }) {
   // Get page filter card filters (async) - tries client-side state first
@@ -72,10 +105,11 @@ export async function getAllFilters({ pageId, tabId = null }) {
   }
 
   // Try variable controls API for non-App Studio pages (causes 404 spam on App Studio)
-  let variableControlFilters = [];
+  let variableControls = [];
   if (!isAppStudio && pageId) {
-    variableControlFilters = await getVariableControlFilters(pageId, tabId);
+    variableControls = await getVariableControlValues(pageId, tabId);
   }
+  const variableControlFilters = variableControls.map(({ cardId: _cardId, ...filter }) => filter);
 
   // Try AngularJS scope filters (for pages using Angular filter components)
   let angularFilters = [];
@@ -128,7 +162,8 @@ export async function getAllFilters({ pageId, tabId = null }) {
     hasFilters: allFilters.length > 0,
     iframeFilters,
     pageFilters,
-    variableControlFilters
+    variableControlFilters,
+    variableControls
   };
 }
 
@@ -1048,10 +1083,23 @@ export async function getPageFilters(pageId, tabId = null) {
  * @returns {Promise<Array>} Array of filter objects in pfilter format
  */
 export async function getVariableControlFilters(pageId, tabId = null) {
+  const controls = await getVariableControlValues(pageId, tabId);
+  return controls.map(({ cardId: _cardId, ...filter }) => filter);
+}
+
+/**
+ * Get the current selections of every variable control on a page, keyed by the
+ * card that hosts the control so they can be written back later (see
+ * variableUrlRestore.js)
+ * @param {string} pageId - The page ID
+ * @param {number} tabId - Optional Chrome tab ID
+ * @returns {Promise<Array<{cardId: number, column: string, dataSetId: string, operand: string, values: Array}>>}
+ */
+export async function getVariableControlValues(pageId, tabId = null) {
   try {
     const result = await executeInPage(
       async (pageId) => {
-        const filters = [];
+        const selections = [];
 
         // First, get all cards on the page
         const cardsResponse = await fetch(`/api/content/v1/pages/${pageId}/cards`);
@@ -1087,7 +1135,7 @@ export async function getVariableControlFilters(pageId, tabId = null) {
             if (controlsResponse.ok) {
               const controls = await controlsResponse.json();
               if (Array.isArray(controls)) {
-                return controls;
+                return controls.map((control) => ({ cardId: card.id, control }));
               }
             }
           } catch (e) {
@@ -1100,10 +1148,11 @@ export async function getVariableControlFilters(pageId, tabId = null) {
 
         // Flatten and process controls
         allControls.forEach((controls) => {
-          controls.forEach((control) => {
+          controls.forEach(({ cardId, control }) => {
             // Only include controls that have values selected
             if (control.column && control.values && control.values.length > 0) {
-              filters.push({
+              selections.push({
+                cardId,
                 column: control.column,
                 dataSetId: control.dataSourceId || control.dataSetId,
                 operand: (control.operand || 'IN').toUpperCase(),
@@ -1113,7 +1162,7 @@ export async function getVariableControlFilters(pageId, tabId = null) {
           });
         });
 
-        return filters;
+        return selections;
       },
       [pageId],
       tabId
@@ -1,5 +1,11 @@
 import { executeInPage } from '@/utils/executeInPage';
 
+// Only these group types accept manual member additions via the groups/access
+// endpoint. Dynamic groups are managed by rules; system groups are managed by
+// Domo itself; adding to either would either fail silently or be reverted on
+// the next group re-evaluation.
+export const ASSIGNABLE_GROUP_TYPES = new Set(['adHoc', 'closed', 'open']);
+
 /**
  * Add users to groups in a single call.
  * @param {Array<{groupId: number|string, addMembers: Array<{type: string, id: string}>}>} accessPayload
@@ -21,6 +27,51 @@ export async function addUsersToGroups(accessPayload, tabId = null) {
   );
 }
 
+/**
+ * Create a group.
+ * @param {Object} params
+ * @param {string} params.name - Group name
+ * @param {string} [params.description] - Group description
+ * @param {string} [params.type='closed'] - Group type: 'adHoc', 'closed' or 'open'
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<number>} The new group's ID
+ */
+export async function createGroup({ description = '', name, tabId = null, type = 'closed' }) {
+  return executeInPage(
+    async (name, description, type) => {
+      const response = await fetch('/api/content/v2/groups', {
+        body: JSON.stringify({ description, name, type }),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const group = await response.json();
+      return group.id ?? group.groupId;
+    },
+    [name, description, type],
+    tabId
+  );
+}
+
+/**
+ * Permanently delete a group. Members keep their accounts; only the group and
+ * the access it granted go away.
+ * @param {Object} params
+ * @param {number|string} params.groupId - The group ID
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<void>} Resolves on success, throws on HTTP failure
+ */
+export async function deleteGroup({ groupId, tabId = null }) {
+  return executeInPage(
+    async (groupId) => {
+      const response = await fetch(`/api/content/v2/groups/${groupId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    [groupId],
+    tabId
+  );
+}
+
 export async function fetchGroupDisplayNames(groupIds, tabId = null) {
   return executeInPage(
     async (ids) => {
@@ -44,6 +95,99 @@ export async function fetchGroupDisplayNames(groupIds, tabId = null) {
   );
 }
 
+/**
+ * List every group on the instance.
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<Array<{groupId: string, groupType: string|null, name: string}>>}
+ */
+export async function getAllGroups(tabId = null) {
+  return executeInPage(
+    async () => {
+      const response = await fetch('/api/content/v2/groups/grouplist?ascending=true&limit=10000&offset=0&sort=name');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return (data || []).map((g) => ({
+        groupId: String(g.groupId),
+        groupType: g.groupType ?? null,
+        name: g.name ?? `Group ${g.groupId}`
+      }));
+    },
+    [],
+    tabId
+  );
+}
+
+/**
+ * Get a group with its members.
+ * @param {number|string} groupId - The group ID
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<{description: string, id: string, members: Array<{id: string, name: string}>, name: string, type: string|null}|null>}
+ *   null when the group doesn't exist
+ */
+export async function getGroupDetails(groupId, tabId = null) {
+  return executeInPage(
+    async (groupId) => {
+      const response = await fetch('/api/content/v2/groups/get?includeActive=true&includeUsers=true', {
+        body: JSON.stringify([String(groupId)]),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const [group] = await response.json();
+      if (!group) return null;
+      const members = (group.groupMembers ?? group.members ?? []).filter((m) => !m.type || m.type === 'USER');
+      return {
+        description: group.description ?? '',
+        id: String(group.id ?? group.groupId),
+        members: members.map((m) => ({ id: String(m.id ?? m.userId), name: m.displayName ?? m.name ?? `User ${m.id}` })),
+        name: group.name ?? `Group ${groupId}`,
+        type: group.type ?? group.groupType ?? null
+      };
+    },
+    [groupId],
+    tabId
+  );
+}
+
+/**
+ * Get the cards and pages shared directly with a group.
+ * @param {number|string} groupId - The group ID
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<{cards: Array<{id: number, name: string}>, pages: Array<{id: number, title: string}>}>}
+ */
+export async function getGroupShares(groupId, tabId = null) {
+  return executeInPage(
+    async (groupId) => {
+      const response = await fetch(`/api/content/v1/access/groups/${groupId}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const access = await response.json();
+      const cardsById = new Map((access?.cards || []).map((c) => [Number(c.id), c]));
+      const pagesMap = access?.pages || {};
+      const cards = new Map();
+      const pages = new Map();
+      for (const record of access?.accessRecords || []) {
+        if (Number(record.groupId) !== Number(groupId)) continue;
+        if (record.cardId != null) {
+          const card = cardsById.get(Number(record.cardId));
+          cards.set(Number(record.cardId), {
+            id: Number(record.cardId),
+            name: card?.title || card?.name || `Card ${record.cardId}`
+          });
+        } else if (record.pageId != null) {
+          const page = pagesMap[record.pageId];
+          pages.set(Number(record.pageId), {
+            id: Number(record.pageId),
+            title: page?.title || page?.name || `Page ${record.pageId}`
+          });
+        }
+      }
+      return { cards: [...cards.values()], pages: [...pages.values()] };
+    },
+    [groupId],
+    tabId
+  );
+}
+
 /**
  * Get all groups owned by a user.
  * @param {number} userId - The Domo user ID
@@ -346,6 +346,58 @@ export async function searchDatasets(text, tabId = null, offset = 0) {
 // chrome.scripting bridge.
 // ===========================================================================
 
+/**
+ * Repoint a card definition from the origin dataset onto the target: rename
+ * column references, sweep the origin dataset id, and swap references to the
+ * origin's Beast Modes for the target's. The rewrite half of the full-PUT card
+ * swap, shared with page bundle import (which creates cards rather than
+ * updating them).
+ *
+ * @param {Object} definition - A kpi/definition response.
+ * @param {Object} params
+ * @param {Record<string, string>} [params.beastModeIdRemap] - Origin → target Beast Mode legacyIds.
+ * @param {Record<string, string>} [params.beastModeNumericRemap] - Origin → target Beast Mode numeric ids.
+ * @param {Record<string, string|null>} [params.columnMap]
+ * @param {string} params.originId
+ * @param {string} params.targetId
+ * @returns {Object} new card definition (input is not mutated)
+ */
+export function swapCardDefinition(
+  definition,
+  { beastModeIdRemap, beastModeNumericRemap, columnMap, originId, targetId }
+) {
+  let rewritten = hasEffectiveMapping(columnMap)
+    ? rewriteCardColumns(definition, columnMap)
+    : JSON.parse(JSON.stringify(definition));
+  if (Array.isArray(rewritten.columns)) {
+    for (const col of rewritten.columns) {
+      if (col.sourceId === originId) col.sourceId = targetId;
+    }
+  }
+  rewritten = JSON.parse(JSON.stringify(rewritten).replaceAll(originId, targetId));
+  // Repoint references to the origin dataset's Beast Modes onto the ones now
+  // on the target. The card references Beast Modes by origin legacyId
+  // (`calculation_<uuid>`), collision-safe for a string sweep (unlike short
+  // numeric ids).
+  if (beastModeIdRemap && Object.keys(beastModeIdRemap).length > 0) {
+    let json = JSON.stringify(rewritten);
+    for (const [from, to] of Object.entries(beastModeIdRemap)) {
+      if (from && to && from !== to) json = json.replaceAll(from, to);
+    }
+    rewritten = JSON.parse(json);
+  }
+  // A card-level Beast Mode that nests dataset Beast Modes embeds those by
+  // numeric id as `DOMO_BEAST_MODE(<id>)`. Repoint each onto its target id.
+  // Targeted (not a blind sweep) since short numeric ids collide easily.
+  if (beastModeNumericRemap && Object.keys(beastModeNumericRemap).length > 0) {
+    const json = JSON.stringify(rewritten).replace(/DOMO_BEAST_MODE\(\s*(\d+)\s*\)/g, (match, id) =>
+      beastModeNumericRemap[id] ? `DOMO_BEAST_MODE(${beastModeNumericRemap[id]})` : match
+    );
+    rewritten = JSON.parse(json);
+  }
+  return rewritten;
+}
+
 /**
  * Swap a card's input dataset.
  *
@@ -411,36 +463,13 @@ export async function swapCardInput({
   try {
     const fetchUrn = urn || cardId;
     const definition = cachedDefinition || (await getCardDefinition({ cardId: fetchUrn, tabId }));
-    let rewritten = hasEffectiveMapping(columnMap)
-      ? rewriteCardColumns(definition, columnMap)
-      : JSON.parse(JSON.stringify(definition));
-    if (Array.isArray(rewritten.columns)) {
-      for (const col of rewritten.columns) {
-        if (col.sourceId === originId) col.sourceId = targetId;
-      }
-    }
-    rewritten = JSON.parse(JSON.stringify(rewritten).replaceAll(originId, targetId));
-    // Repoint references to the origin dataset's Beast Modes onto the ones now
-    // on the target. The card references Beast Modes by origin legacyId
-    // (`calculation_<uuid>`), collision-safe for a string sweep (unlike short
-    // numeric ids).
-    if (beastModeIdRemap && Object.keys(beastModeIdRemap).length > 0) {
-      let json = JSON.stringify(rewritten);
-      for (const [from, to] of Object.entries(beastModeIdRemap)) {
-        if (from && to && from !== to) json = json.replaceAll(from, to);
-      }
-      rewritten = JSON.parse(json);
-    }
-    // A card-level Beast Mode that nests dataset Beast Modes embeds those by
-    // numeric id as `DOMO_BEAST_MODE(<id>)`. Repoint each onto its target id.
-    // Targeted (not a blind sweep) since short numeric ids collide easily.
-    if (beastModeNumericRemap && Object.keys(beastModeNumericRemap).length > 0) {
-      const json = JSON.stringify(rewritten).replace(
-        /DOMO_BEAST_MODE\(\s*(\d+)\s*\)/g,
-        (match, id) => (beastModeNumericRemap[id] ? `DOMO_BEAST_MODE(${beastModeNumericRemap[id]})` : match)
-      );
-      rewritten = JSON.parse(json);
-    }
+    let rewritten = swapCardDefinition(definition, {
+      beastModeIdRemap,
+      beastModeNumericRemap,
+      columnMap,
+      originId,
+      targetId
+    });
     // Resolve card-level Beast Modes whose name collides with a target dataset
     // Beast Mode (Domo rejects saving the card otherwise): either rename the
     // card-level Beast Mode, or repoint its references to the target's and drop
@@ -1307,6 +1336,223 @@ export async function migrateAllDownstreamContent({
   return results;
 }
 
+/**
+ * Migrate dataset-saved Beast Modes onto the target, returning two origin →
+ * target remaps the card swap consumes: `idRemap` (legacyId → legacyId) for the
+ * card's own Beast Mode references, and `numericRemap` (numeric template id →
+ * numeric template id) for nested `DOMO_BEAST_MODE(<id>)` references.
+ *
+ * Per Beast Mode, the user's choice (from `beastModeChoices`, keyed by origin
+ * id) decides the disposition:
+ *   - keep:      reuse the same-named Beast Mode already on the target.
+ *   - overwrite: replace that target Beast Mode's definition with this one.
+ *   - create / rename (default): create a new Beast Mode on the target.
+ * Column refs are rewritten via `columnMap` before any write.
+ *
+ * Nested Beast Modes (one whose formula nests another, e.g.
+ * `bm3 = CONCAT(DOMO_BEAST_MODE(bm1), DOMO_BEAST_MODE(bm2))`) reference the ones
+ * they nest by ORIGIN numeric template id, which doesn't exist on the target. To
+ * handle them:
+ *   1. keep/overwrite mappings seed `numericRemap` (and `idRemap`) up front
+ *      (their target ids are known immediately), so any create that nests them
+ *      resolves.
+ *   2. creates are split into dependency-ordered WAVES (Kahn topological sort on
+ *      each template's `functionTemplateDependencies`); each wave is built with
+ *      the accumulated `numericRemap` applied, so its nested references point at
+ *      the target ids of already-created Beast Modes.
+ *   3. after each wave's create, new ids are read positionally from the
+ *      order-preserving bulk response (collision-safe for duplicate names),
+ *      falling back to a name re-read only for any the response didn't surface.
+ *
+ * Also used by page bundle import, which passes the bundled templates through
+ * `definitionsByItemKey` since the origin ids don't exist on the importing
+ * instance.
+ *
+ * @param {Object} params
+ * @param {Record<string, {disposition?: 'create'|'keep'|'overwrite'|'rename', newName?: string}>} [params.beastModeChoices] - Keyed by origin Beast Mode id.
+ * @param {Record<string, string|null>} [params.columnMap]
+ * @param {Map<string, {definition: Object|null}>} [params.definitionsByItemKey] - Cached templates, keyed by `makeItemKey('beastModes', id)`.
+ * @param {string} params.originId
+ * @param {Array<{id: any, legacyId: string|null, name: string}>} params.selectedBeastModes
+ * @param {number|null} [params.tabId]
+ * @param {Array<{id: any, legacyId: string|null, name: string}>} params.targetBeastModes - From `getDatasetFunctions` on the target.
+ * @param {string} params.targetId
+ * @returns {Promise<{errors: Array<{error: string, id: any}>, idRemap: Record<string, string>, numericRemap: Record<string, string>, succeeded: number}>}
+ */
+export async function migrateBeastModes({
+  beastModeChoices,
+  columnMap,
+  definitionsByItemKey,
+  originId,
+  selectedBeastModes,
+  tabId,
+  targetBeastModes,
+  targetId
+}) {
+  const errors = [];
+  // Two remaps, both origin -> target. `idRemap` (legacyId -> legacyId) repoints
+  // CARD references to Beast Modes (cards reference them by `calculation_<uuid>`).
+  // `numericRemap` (numeric template id -> numeric template id) repoints
+  // BEAST-MODE-to-Beast-Mode references (a nested Beast Mode nests others by
+  // `DOMO_BEAST_MODE(<id>)`). Both are returned: the card swap uses idRemap for
+  // its own references and numericRemap for any nested formulas it embeds.
+  const idRemap = {};
+  const numericRemap = {};
+  const targetByName = new Map((targetBeastModes || []).map((b) => [b.name, b]));
+  const applyRemap = hasEffectiveMapping(columnMap);
+  const toCreate = [];
+  const toUpdate = [];
+  let succeeded = 0;
+
+  // Fetch the current user's ID so we can set it as the owner on created Beast Modes.
+  // The API rejects creates with owner set to another user.
+  const currentUserId = await getCurrentUserId(tabId);
+  if (!currentUserId) {
+    return {
+      errors: [{ error: 'Could not determine current user ID', id: 'all' }],
+      idRemap: {},
+      numericRemap: {},
+      succeeded: 0
+    };
+  }
+
+  const mapIds = (origin, target) => {
+    if (origin?.legacyId && target?.legacyId) idRemap[origin.legacyId] = target.legacyId;
+    if (origin?.id != null && target?.id != null) numericRemap[String(origin.id)] = String(target.id);
+  };
+
+  // Classify each selected Beast Mode. keep/overwrite seed `idRemap` immediately
+  // (their target ids are known), so dependent creates can reference them; the
+  // actual overwrite writes are deferred until after creates so an overwrite that
+  // references a freshly-created Beast Mode also resolves.
+  for (const bm of selectedBeastModes) {
+    try {
+      const cached = definitionsByItemKey?.get?.(makeItemKey('beastModes', bm.id))?.definition;
+      const template = cached || (await getFunctionTemplate(bm.id, tabId));
+      const rewritten = applyRemap ? rewriteBeastModeColumns(template, columnMap) : template;
+      const choice = beastModeChoices?.[bm.id] || {};
+      const disposition = choice.disposition || 'create';
+
+      if (disposition === 'keep') {
+        const existing = targetByName.get(bm.name);
+        if (existing) {
+          mapIds(bm, existing);
+          succeeded++;
+        } else {
+          errors.push({ error: `No Beast Mode named "${bm.name}" on the target to keep`, id: bm.id });
+        }
+        continue;
+      }
+
+      if (disposition === 'overwrite') {
+        const existing = targetByName.get(bm.name);
+        if (!existing) {
+          errors.push({ error: `No Beast Mode named "${bm.name}" on the target to overwrite`, id: bm.id });
+          continue;
+        }
+        // Seed the remap now (the target Beast Mode already exists regardless of
+        // whether the overwrite write succeeds); build the entry after creates.
+        mapIds(bm, existing);
+        toUpdate.push({ name: bm.name, origin: bm, target: existing, template: rewritten });
+        continue;
+      }
+
+      // create (default) or rename
+      const name = disposition === 'rename' && choice.newName ? choice.newName : bm.name;
+      toCreate.push({ name, origin: bm, template: rewritten });
+    } catch (err) {
+      errors.push({ error: err?.message || String(err), id: bm.id });
+    }
+  }
+
+  // Create in dependency-ordered waves, extending both remaps after each wave.
+  if (toCreate.length > 0) {
+    const waves = orderBeastModeCreateWaves(toCreate);
+    const unresolved = [];
+    for (const wave of waves) {
+      const buildable = [];
+      for (const c of wave) {
+        // Safety net: a nested Beast Mode whose dependency wasn't migrated (an
+        // earlier failure, or a UI regression that let a dependency be dropped)
+        // would still reference the origin's numeric id and dangle on the
+        // target. `functionTemplateDependencies` is Domo's authoritative dep
+        // list; once a dep is migrated it has a numericRemap entry, so an
+        // unmapped dep (other than the Beast Mode's own id) means skip + report.
+        const dangling = (c.template.functionTemplateDependencies || []).some(
+          (d) => String(d) !== String(c.origin?.id) && !numericRemap[String(d)]
+        );
+        if (dangling) {
+          errors.push({
+            error: `"${c.name}" nests a Beast Mode that wasn't migrated; skipped to avoid a broken formula`,
+            id: c.origin.id
+          });
+          continue;
+        }
+        const entry = buildBeastModeEntry(c.template, { currentUserId, name: c.name, numericRemap, originId, targetId });
+        buildable.push({ entry, record: c });
+      }
+      if (buildable.length === 0) continue;
+      let response;
+      try {
+        response = await createDatasetFunctions({ functions: buildable.map((b) => b.entry), tabId });
+      } catch (err) {
+        for (const b of buildable) errors.push({ error: err?.message || String(err), id: b.record.origin.id });
+        continue;
+      }
+      // Prefer the order-preserving bulk response (collision-safe for duplicate
+      // names); anything it doesn't surface falls through to a name re-read.
+      const created = extractCreatedFunctions(response);
+      for (let i = 0; i < buildable.length; i++) {
+        const c = buildable[i].record;
+        if (created[i]) {
+          mapIds(c.origin, created[i]);
+          succeeded++;
+        } else {
+          unresolved.push(c);
+        }
+      }
+    }
+
+    if (unresolved.length > 0) {
+      try {
+        const refreshed = await getDatasetFunctions(targetId, tabId);
+        const refByName = new Map(refreshed.map((b) => [b.name, b]));
+        for (const c of unresolved) {
+          const found = refByName.get(c.name);
+          if (found) {
+            mapIds(c.origin, found);
+            succeeded++;
+          } else {
+            errors.push({ error: `Created Beast Mode "${c.name}" not found on the target`, id: c.origin.id });
+          }
+        }
+      } catch (err) {
+        for (const c of unresolved) errors.push({ error: err?.message || String(err), id: c.origin.id });
+      }
+    }
+  }
+
+  // Overwrites run last so their references to freshly-created Beast Modes
+  // resolve through the now-complete `numericRemap`.
+  if (toUpdate.length > 0) {
+    const entries = toUpdate.map((u) => {
+      const entry = buildBeastModeEntry(u.template, { currentUserId, name: u.name, numericRemap, originId, targetId });
+      entry.id = u.target.id;
+      entry.legacyId = u.target.legacyId;
+      return entry;
+    });
+    try {
+      await updateDatasetFunctions({ functions: entries, tabId });
+      // Both remaps were already seeded for overwrites during classification.
+      succeeded += toUpdate.length;
+    } catch (err) {
+      for (const u of toUpdate) errors.push({ error: err?.message || String(err), id: u.origin.id });
+    }
+  }
+
+  return { errors, idRemap, numericRemap, succeeded };
+}
+
 /**
  * Resolve card-level Beast Modes on a card definition whose name collides with a
  * target dataset Beast Mode. Each resolution targets one card-level Beast Mode
@@ -1543,208 +1789,6 @@ function extractCreatedFunctions(response) {
   return [];
 }
 
-/**
- * Migrate dataset-saved Beast Modes onto the target, returning two origin →
- * target remaps the card swap consumes: `idRemap` (legacyId → legacyId) for the
- * card's own Beast Mode references, and `numericRemap` (numeric template id →
- * numeric template id) for nested `DOMO_BEAST_MODE(<id>)` references.
- *
- * Per Beast Mode, the user's choice (from `beastModeChoices`, keyed by origin
- * id) decides the disposition:
- *   - keep:      reuse the same-named Beast Mode already on the target.
- *   - overwrite: replace that target Beast Mode's definition with this one.
- *   - create / rename (default): create a new Beast Mode on the target.
- * Column refs are rewritten via `columnMap` before any write.
- *
- * Nested Beast Modes (one whose formula nests another, e.g.
- * `bm3 = CONCAT(DOMO_BEAST_MODE(bm1), DOMO_BEAST_MODE(bm2))`) reference the ones
- * they nest by ORIGIN numeric template id, which doesn't exist on the target. To
- * handle them:
- *   1. keep/overwrite mappings seed `numericRemap` (and `idRemap`) up front
- *      (their target ids are known immediately), so any create that nests them
- *      resolves.
- *   2. creates are split into dependency-ordered WAVES (Kahn topological sort on
- *      each template's `functionTemplateDependencies`); each wave is built with
- *      the accumulated `numericRemap` applied, so its nested references point at
- *      the target ids of already-created Beast Modes.
- *   3. after each wave's create, new ids are read positionally from the
- *      order-preserving bulk response (collision-safe for duplicate names),
- *      falling back to a name re-read only for any the response didn't surface.
- */
-async function migrateBeastModes({
-  beastModeChoices,
-  columnMap,
-  definitionsByItemKey,
-  originId,
-  selectedBeastModes,
-  tabId,
-  targetBeastModes,
-  targetId
-}) {
-  const errors = [];
-  // Two remaps, both origin -> target. `idRemap` (legacyId -> legacyId) repoints
-  // CARD references to Beast Modes (cards reference them by `calculation_<uuid>`).
-  // `numericRemap` (numeric template id -> numeric template id) repoints
-  // BEAST-MODE-to-Beast-Mode references (a nested Beast Mode nests others by
-  // `DOMO_BEAST_MODE(<id>)`). Both are returned: the card swap uses idRemap for
-  // its own references and numericRemap for any nested formulas it embeds.
-  const idRemap = {};
-  const numericRemap = {};
-  const targetByName = new Map((targetBeastModes || []).map((b) => [b.name, b]));
-  const applyRemap = hasEffectiveMapping(columnMap);
-  const toCreate = [];
-  const toUpdate = [];
-  let succeeded = 0;
-
-  // Fetch the current user's ID so we can set it as the owner on created Beast Modes.
-  // The API rejects creates with owner set to another user.
-  const currentUserId = await getCurrentUserId(tabId);
-  if (!currentUserId) {
-    return {
-      errors: [{ error: 'Could not determine current user ID', id: 'all' }],
-      idRemap: {},
-      numericRemap: {},
-      succeeded: 0
-    };
-  }
-
-  const mapIds = (origin, target) => {
-    if (origin?.legacyId && target?.legacyId) idRemap[origin.legacyId] = target.legacyId;
-    if (origin?.id != null && target?.id != null) numericRemap[String(origin.id)] = String(target.id);
-  };
-
-  // Classify each selected Beast Mode. keep/overwrite seed `idRemap` immediately
-  // (their target ids are known), so dependent creates can reference them; the
-  // actual overwrite writes are deferred until after creates so an overwrite that
-  // references a freshly-created Beast Mode also resolves.
-  for (const bm of selectedBeastModes) {
-    try {
-      const cached = definitionsByItemKey?.get?.(makeItemKey('beastModes', bm.id))?.definition;
-      const template = cached || (await getFunctionTemplate(bm.id, tabId));
-      const rewritten = applyRemap ? rewriteBeastModeColumns(template, columnMap) : template;
-      const choice = beastModeChoices?.[bm.id] || {};
-      const disposition = choice.disposition || 'create';
-
-      if (disposition === 'keep') {
-        const existing = targetByName.get(bm.name);
-        if (existing) {
-          mapIds(bm, existing);
-          succeeded++;
-        } else {
-          errors.push({ error: `No Beast Mode named "${bm.name}" on the target to keep`, id: bm.id });
-        }
-        continue;
-      }
-
-      if (disposition === 'overwrite') {
-        const existing = targetByName.get(bm.name);
-        if (!existing) {
-          errors.push({ error: `No Beast Mode named "${bm.name}" on the target to overwrite`, id: bm.id });
-          continue;
-        }
-        // Seed the remap now (the target Beast Mode already exists regardless of
-        // whether the overwrite write succeeds); build the entry after creates.
-        mapIds(bm, existing);
-        toUpdate.push({ name: bm.name, origin: bm, target: existing, template: rewritten });
-        continue;
-      }
-
-      // create (default) or rename
-      const name = disposition === 'rename' && choice.newName ? choice.newName : bm.name;
-      toCreate.push({ name, origin: bm, template: rewritten });
-    } catch (err) {
-      errors.push({ error: err?.message || String(err), id: bm.id });
-    }
-  }
-
-  // Create in dependency-ordered waves, extending both remaps after each wave.
-  if (toCreate.length > 0) {
-    const waves = orderBeastModeCreateWaves(toCreate);
-    const unresolved = [];
-    for (const wave of waves) {
-      const buildable = [];
-      for (const c of wave) {
-        // Safety net: a nested Beast Mode whose dependency wasn't migrated (an
-        // earlier failure, or a UI regression that let a dependency be dropped)
-        // would still reference the origin's numeric id and dangle on the
-        // target. `functionTemplateDependencies` is Domo's authoritative dep
-        // list; once a dep is migrated it has a numericRemap entry, so an
-        // unmapped dep (other than the Beast Mode's own id) means skip + report.
-        const dangling = (c.template.functionTemplateDependencies || []).some(
-          (d) => String(d) !== String(c.origin?.id) && !numericRemap[String(d)]
-        );
-        if (dangling) {
-          errors.push({
-            error: `"${c.name}" nests a Beast Mode that wasn't migrated; skipped to avoid a broken formula`,
-            id: c.origin.id
-          });
-          continue;
-        }
-        const entry = buildBeastModeEntry(c.template, { currentUserId, name: c.name, numericRemap, originId, targetId });
-        buildable.push({ entry, record: c });
-      }
-      if (buildable.length === 0) continue;
-      let response;
-      try {
-        response = await createDatasetFunctions({ functions: buildable.map((b) => b.entry), tabId });
-      } catch (err) {
-        for (const b of buildable) errors.push({ error: err?.message || String(err), id: b.record.origin.id });
-        continue;
-      }
-      // Prefer the order-preserving bulk response (collision-safe for duplicate
-      // names); anything it doesn't surface falls through to a name re-read.
-      const created = extractCreatedFunctions(response);
-      for (let i = 0; i < buildable.length; i++) {
-        const c = buildable[i].record;
-        if (created[i]) {
-          mapIds(c.origin, created[i]);
-          succeeded++;
-        } else {
-          unresolved.push(c);
-        }
-      }
-    }
-
-    if (unresolved.length > 0) {
-      try {
-        const refreshed = await getDatasetFunctions(targetId, tabId);
-        const refByName = new Map(refreshed.map((b) => [b.name, b]));
-        for (const c of unresolved) {
-          const found = refByName.get(c.name);
-          if (found) {
-            mapIds(c.origin, found);
-            succeeded++;
-          } else {
-            errors.push({ error: `Created Beast Mode "${c.name}" not found on the target`, id: c.origin.id });
-          }
-        }
-      } catch (err) {
-        for (const c of unresolved) errors.push({ error: err?.message || String(err), id: c.origin.id });
-      }
-    }
-  }
-
-  // Overwrites run last so their references to freshly-created Beast Modes
-  // resolve through the now-complete `numericRemap`.
-  if (toUpdate.length > 0) {
-    const entries = toUpdate.map((u) => {
-      const entry = buildBeastModeEntry(u.template, { currentUserId, name: u.name, numericRemap, originId, targetId });
-      entry.id = u.target.id;
-      entry.legacyId = u.target.legacyId;
-      return entry;
-    });
-    try {
-      await updateDatasetFunctions({ functions: entries, tabId });
-      // Both remaps were already seeded for overwrites during classification.
-      succeeded += toUpdate.length;
-    } catch (err) {
-      for (const u of toUpdate) errors.push({ error: err?.message || String(err), id: u.origin.id });
-    }
-  }
-
-  return { errors, idRemap, numericRemap, succeeded };
-}
-
 /**
  * Split Beast Mode create records into dependency-ordered waves so a nested
  * Beast Mode is always created AFTER the ones it nests. Dependency `B → A` is
@@ -0,0 +1,364 @@
+import { createCard, getCardDefinition, getCardsForObject } from './cards';
+import { extractBeastModeColumnRefs, extractCardColumnRefs, makeItemKey } from './columnReferences';
+import { getColorRules, getDatasetColumns, getDatasetsForPage, setColorRules } from './datasets';
+import { getCardBeastModes, getDatasetFunctions, getFunctionTemplate } from './functions';
+import { migrateBeastModes, swapCardDefinition } from './migrateDownstreamContent';
+import { createPage, getPageLayout, updatePageLayout } from './pages';
+
+/**
+ * Page bundles: a page's layout, its cards, the Beast Modes they use and their
+ * datasets' color rules in one JSON file, so the page can be recreated on
+ * another instance (dev to prod) without the Domo sandbox product. Datasets
+ * themselves aren't bundled: on import each bundled dataset is mapped onto one
+ * that already exists on the target, with a column map for anything renamed.
+ *
+ * A bundle is
+ *   { kind, version, exportedAt, source: { instance },
+ *     page: { id, title, layout },
+ *     cards: [{ id, title, datasetId, definition }],
+ *     datasets: [{ id, name, columns: [{ name, type }], usedColumns }],
+ *     beastModes: [{ datasetId, id, legacyId, name, scope, cardIds, template }],
+ *     colorRules: { [datasetId]: rules },
+ *     skipped: [{ id, title, reason }] }
+ * `scope` is 'dataset' for Beast Modes saved to the dataset, which are
+ * recreated on the target dataset, or 'card' for card-level ones, which travel
+ * inside their card's definition and are listed only for the import preview.
+ * `usedColumns` are the dataset columns the bundled cards and Beast Modes
+ * reference, i.e. the ones the target dataset needs.
+ */
+
+export const PAGE_BUNDLE_KIND = 'domo-toolkit/page-bundle';
+
+export const PAGE_BUNDLE_VERSION = 1;
+
+/**
+ * Gather a page into a bundle. Cards that can't be recreated from a kpi
+ * definition (apps, documents) are listed in `skipped` rather than failing the
+ * export; a missing layout leaves `page.layout` null.
+ * @param {Object} params
+ * @param {string} params.instance - Source instance, recorded for the import preview
+ * @param {(message: string) => void} [params.onProgress]
+ * @param {string|number} params.pageId
+ * @param {number|null} [params.tabId]
+ * @param {string} params.title - Page title
+ * @returns {Promise<Object>} The bundle (see module comment)
+ */
+export async function buildPageBundle({ instance, onProgress, pageId, tabId = null, title }) {
+  onProgress?.('Reading page…');
+  const [pageCards, pageDatasets, layout] = await Promise.all([
+    getCardsForObject({ objectId: pageId, objectType: 'PAGE', tabId }),
+    getDatasetsForPage({ pageId, tabId }).catch(() => []),
+    getPageLayout({ pageId, tabId }).catch((error) => {
+      console.warn('[pageBundle] Could not read page layout:', error);
+      return null;
+    })
+  ]);
+
+  const cards = [];
+  const skipped = [];
+  for (const [index, card] of pageCards.entries()) {
+    const cardTitle = card.title || String(card.id);
+    if (card.type && card.type !== 'kpi') {
+      skipped.push({ id: card.id, reason: `${card.type} cards can't be recreated from a definition`, title: cardTitle });
+      continue;
+    }
+    onProgress?.(`Reading card ${index + 1} of ${pageCards.length}…`);
+    try {
+      const definition = await getCardDefinition({ cardId: card.id, tabId });
+      const datasetId = definition?.columns?.[0]?.sourceId;
+      if (!datasetId) {
+        skipped.push({ id: card.id, reason: 'Card has no dataset', title: cardTitle });
+        continue;
+      }
+      cards.push({ datasetId, definition, id: card.id, title: cardTitle });
+    } catch (error) {
+      skipped.push({ id: card.id, reason: error.message, title: cardTitle });
+    }
+  }
+
+  const cardIds = new Set(cards.map((card) => String(card.id)));
+  const usedBy = (beastMode) => beastMode.activeCardIds.filter((id) => cardIds.has(id));
+  const nameById = new Map(pageDatasets.map((dataset) => [dataset.id, dataset.name]));
+  const datasetIds = [...new Set(cards.map((card) => card.datasetId))];
+
+  const beastModes = [];
+  const colorRules = {};
+  const datasets = [];
+  for (const [index, datasetId] of datasetIds.entries()) {
+    onProgress?.(`Reading dataset ${index + 1} of ${datasetIds.length}…`);
+    const [columns, datasetFunctions, cardFunctions, rules] = await Promise.all([
+      getDatasetColumns({ datasetId, tabId }),
+      getDatasetFunctions(datasetId, tabId),
+      getCardBeastModes(datasetId, tabId),
+      getColorRules(datasetId, tabId)
+    ]);
+
+    // Dataset Beast Modes the cards use, plus any those nest: a nested Beast
+    // Mode has to exist on the target even if no card uses it directly.
+    const functionsById = new Map(datasetFunctions.map((beastMode) => [String(beastMode.id), beastMode]));
+    const included = new Map();
+    const queue = datasetFunctions.filter((beastMode) => usedBy(beastMode).length > 0);
+    while (queue.length > 0) {
+      const beastMode = queue.shift();
+      if (included.has(String(beastMode.id))) continue;
+      const template = await getFunctionTemplate(beastMode.id, tabId);
+      included.set(String(beastMode.id), {
+        cardIds: usedBy(beastMode),
+        datasetId,
+        id: beastMode.id,
+        legacyId: beastMode.legacyId,
+        name: beastMode.name,
+        scope: 'dataset',
+        template
+      });
+      for (const dependencyId of template.functionTemplateDependencies || []) {
+        const nested = functionsById.get(String(dependencyId));
+        if (nested && !included.has(String(dependencyId))) queue.push(nested);
+      }
+    }
+    beastModes.push(...included.values());
+    for (const beastMode of cardFunctions) {
+      const usingCardIds = usedBy(beastMode);
+      if (usingCardIds.length === 0) continue;
+      beastModes.push({
+        cardIds: usingCardIds,
+        datasetId,
+        id: beastMode.id,
+        legacyId: beastMode.legacyId,
+        name: beastMode.name,
+        scope: 'card',
+        template: null
+      });
+    }
+
+    // Column refs also pick up Beast Mode ids and names; keeping only real
+    // columns leaves the list the target dataset has to satisfy.
+    const columnNames = new Set(columns.map((column) => column.name));
+    const usedColumns = new Set();
+    const addRefs = (refs) => {
+      for (const name of refs) if (columnNames.has(name)) usedColumns.add(name);
+    };
+    for (const card of cards) if (card.datasetId === datasetId) addRefs(extractCardColumnRefs(card.definition));
+    for (const beastMode of included.values()) addRefs(extractBeastModeColumnRefs(beastMode.template));
+
+    datasets.push({
+      columns: columns.map((column) => ({ name: column.name, type: column.type || null })),
+      id: datasetId,
+      name: nameById.get(datasetId) || datasetId,
+      usedColumns: [...usedColumns].sort()
+    });
+    if (rules.length > 0) colorRules[datasetId] = rules;
+  }
+
+  return {
+    beastModes,
+    cards,
+    colorRules,
+    datasets,
+    exportedAt: new Date().toISOString(),
+    kind: PAGE_BUNDLE_KIND,
+    page: { id: pageId, layout, title },
+    skipped,
+    source: { instance },
+    version: PAGE_BUNDLE_VERSION
+  };
+}
+
+/**
+ * Recreate a bundle on the current instance as a new page. Dataset Beast Modes
+ * are created first (a same-named one already on the target dataset is reused)
+ * so the cards can reference their new ids; then the cards, the color rules
+ * (added to the target's existing ones) and finally the layout. Only creating
+ * the page can throw; every later failure is collected in the result so one
+ * bad card doesn't strand the rest.
+ * @param {Object} params
+ * @param {Object} params.bundle - From `parsePageBundle`
+ * @param {Record<string, {columnMap: Record<string, string>, targetId: string}>} params.datasetMappings - Keyed by bundled dataset id
+ * @param {(message: string) => void} [params.onProgress]
+ * @param {string|number|null} [params.parentPageId] - Create the page as a subpage of this one
+ * @param {number|null} [params.tabId]
+ * @param {string} params.title - Title for the new page
+ * @returns {Promise<{beastModes: {errors: Array, succeeded: number}, cards: {created: Array, errors: Array}, colorRules: {applied: number, errors: Array}, layout: {applied: boolean, error: string|null}, pageId: number}>}
+ */
+export async function importPageBundle({ bundle, datasetMappings, onProgress, parentPageId = null, tabId = null, title }) {
+  onProgress?.('Creating page…');
+  const pageId = await createPage({ parentPageId, tabId, title });
+  const result = {
+    beastModes: { errors: [], succeeded: 0 },
+    cards: { created: [], errors: [] },
+    colorRules: { applied: 0, errors: [] },
+    layout: { applied: false, error: null },
+    pageId
+  };
+
+  const remaps = {};
+  for (const dataset of bundle.datasets) {
+    remaps[dataset.id] = { idRemap: {}, numericRemap: {} };
+    const selected = bundle.beastModes.filter(
+      (beastMode) => beastMode.scope === 'dataset' && beastMode.datasetId === dataset.id
+    );
+    if (selected.length === 0) continue;
+    onProgress?.(`Creating Beast Modes on ${dataset.name}…`);
+    const { columnMap, targetId } = datasetMappings[dataset.id];
+    try {
+      const targetBeastModes = await getDatasetFunctions(targetId, tabId);
+      const targetNames = new Set(targetBeastModes.map((beastMode) => beastMode.name));
+      const { errors, idRemap, numericRemap, succeeded } = await migrateBeastModes({
+        beastModeChoices: Object.fromEntries(
+          selected
+            .filter((beastMode) => targetNames.has(beastMode.name))
+            .map((beastMode) => [beastMode.id, { disposition: 'keep' }])
+        ),
+        columnMap,
+        definitionsByItemKey: new Map(
+          selected.map((beastMode) => [makeItemKey('beastModes', beastMode.id), { definition: beastMode.template }])
+        ),
+        originId: dataset.id,
+        selectedBeastModes: selected,
+        tabId,
+        targetBeastModes,
+        targetId
+      });
+      remaps[dataset.id] = { idRemap, numericRemap };
+      result.beastModes.succeeded += succeeded;
+      result.beastModes.errors.push(...errors);
+    } catch (error) {
+      result.beastModes.errors.push(...selected.map((beastMode) => ({ error: error.message, id: beastMode.id })));
+    }
+  }
+
+  const cardIdMap = {};
+  for (const [index, card] of bundle.cards.entries()) {
+    onProgress?.(`Creating card ${index + 1} of ${bundle.cards.length}…`);
+    const { columnMap, targetId } = datasetMappings[card.datasetId];
+    try {
+      const definition = swapCardDefinition(card.definition, {
+        beastModeIdRemap: remaps[card.datasetId].idRemap,
+        beastModeNumericRemap: remaps[card.datasetId].numericRemap,
+        columnMap,
+        originId: card.datasetId,
+        targetId
+      });
+      const created = await createCard({ definition, pageId, tabId });
+      cardIdMap[card.id] = created.id;
+      result.cards.created.push({ id: created.id, originId: card.id, title: card.title });
+    } catch (error) {
+      result.cards.errors.push({ error: error.message, id: card.id, title: card.title });
+    }
+  }
+
+  for (const dataset of bundle.datasets) {
+    const rules = bundle.colorRules?.[dataset.id] || [];
+    if (rules.length === 0) continue;
+    onProgress?.(`Adding color rules to ${dataset.name}…`);
+    const { columnMap, targetId } = datasetMappings[dataset.id];
+    const { idRemap } = remaps[dataset.id];
+    try {
+      const existing = await getColorRules(targetId, tabId);
+      const existingKeys = new Set(existing.map(colorRuleKey));
+      const added = rules
+        .map((rule) => {
+          const column = rule?.condition?.column;
+          if (!column) return rule;
+          return { ...rule, condition: { ...rule.condition, column: idRemap[column] || columnMap?.[column] || column } };
+        })
+        .filter((rule) => !existingKeys.has(colorRuleKey(rule)));
+      if (added.length > 0) await setColorRules(targetId, [...existing, ...added], tabId);
+      result.colorRules.applied += added.length;
+    } catch (error) {
+      result.colorRules.errors.push({ datasetId: targetId, error: error.message });
+    }
+  }
+
+  if (bundle.page?.layout && result.cards.created.length > 0) {
+    onProgress?.('Arranging cards…');
+    try {
+      const target = await getPageLayout({ pageId, tabId });
+      if (!target?.layoutId) throw new Error('The new page has no layout to update');
+      await updatePageLayout({ layout: remapPageLayout(bundle.page.layout, target, cardIdMap), tabId });
+      result.layout.applied = true;
+    } catch (error) {
+      result.layout.error = error.message;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse and validate a bundle file's text.
+ * @param {string} text
+ * @returns {Object} The bundle
+ * @throws {Error} If the text isn't a page bundle this version can read
+ */
+export function parsePageBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (bundle?.kind !== PAGE_BUNDLE_KIND) {
+    throw new Error('The file is not a page bundle');
+  }
+  if (!(bundle.version <= PAGE_BUNDLE_VERSION)) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this extension supports; update the extension`);
+  }
+  if (!Array.isArray(bundle.cards) || !Array.isArray(bundle.datasets) || !Array.isArray(bundle.beastModes)) {
+    throw new Error('The page bundle is incomplete');
+  }
+  return bundle;
+}
+
+/**
+ * Carry a source page's layout positions onto a new page's layout. Domo gives
+ * the new page its own content keys for the created cards, so source keys are
+ * translated through the card id map; non-card content (headers, text,
+ * separators) is copied over under fresh keys. Cards Domo placed that the
+ * source layout doesn't position keep Domo's placement.
+ * @param {Object} source - The source page's layout (`getPageLayout`)
+ * @param {Object} target - The new page's layout, after its cards were created
+ * @param {Record<string, string|number>} cardIdMap - Source card id to new card id
+ * @returns {Object} The layout to save with `updatePageLayout`
+ */
+export function remapPageLayout(source, target, cardIdMap) {
+  const targetContent = target.content || [];
+  const targetKeyByCardId = new Map(
+    targetContent.filter((entry) => entry.cardId != null).map((entry) => [String(entry.cardId), entry.contentKey])
+  );
+  let nextKey = Math.max(0, ...targetContent.map((entry) => entry.contentKey ?? 0)) + 1;
+  const keyMap = new Map();
+  const content = [...targetContent];
+  for (const entry of source.content || []) {
+    if (entry.cardId != null) {
+      const key = targetKeyByCardId.get(String(cardIdMap[entry.cardId]));
+      if (key != null) keyMap.set(entry.contentKey, key);
+      continue;
+    }
+    const copy = { ...entry, contentKey: nextKey };
+    delete copy.id;
+    content.push(copy);
+    keyMap.set(entry.contentKey, nextKey++);
+  }
+
+  const layout = { ...target, content };
+  for (const variant of ['compact', 'standard']) {
+    if (!Array.isArray(source[variant]?.template)) continue;
+    const placed = source[variant].template
+      .filter((item) => keyMap.has(item.contentKey))
+      .map((item) => ({ ...item, contentKey: keyMap.get(item.contentKey) }));
+    const placedKeys = new Set(placed.map((item) => item.contentKey));
+    const unplaced = (target[variant]?.template || []).filter((item) => !placedKeys.has(item.contentKey));
+    layout[variant] = { ...target[variant], template: [...placed, ...unplaced] };
+  }
+  return layout;
+}
+
+// Identity of a color rule regardless of which dataset it's on, so re-importing
+// a bundle doesn't stack duplicate rules.
+function colorRuleKey(rule) {
+  const condition = { ...rule?.condition };
+  delete condition.dataSourceId;
+  delete condition.id;
+  return JSON.stringify([condition, rule?.format]);
+}
@@ -31,6 +31,33 @@ export async function checkPageType(pageId) {
   }
 }
 
+/**
+ * Create a page.
+ * @param {Object} params
+ * @param {string|number|null} [params.parentPageId=null] - Create it as a subpage of this page
+ * @param {number|null} [params.tabId=null] - Optional Chrome tab ID
+ * @param {string} params.title - Page title
+ * @returns {Promise<number>} The new page's ID
+ */
+export async function createPage({ parentPageId = null, tabId = null, title }) {
+  return executeInPage(
+    async (title, parentPageId) => {
+      const response = await fetch('/api/content/v1/pages', {
+        body: JSON.stringify(parentPageId ? { parentPageId: Number(parentPageId), title } : { title }),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to create page (HTTP ${response.status})`);
+      }
+      const page = await response.json();
+      return page.pageId ?? page.id;
+    },
+    [title, parentPageId],
+    tabId
+  );
+}
+
 export async function deletePageAndAllCards({
   appId = null,
   currentContext = null,
@@ -409,6 +436,29 @@ export async function getOwnedPages(userId, tabId = null) {
   );
 }
 
+/**
+ * Get a page's layout: its content entries (cards, headers, separators) and the
+ * standard and compact grid templates that position them.
+ * @param {Object} params
+ * @param {string|number} params.pageId - The page ID
+ * @param {number|null} [params.tabId=null] - Optional Chrome tab ID
+ * @returns {Promise<Object|null>} The layout, or null when the page has none
+ */
+export async function getPageLayout({ pageId, tabId = null }) {
+  return executeInPage(
+    async (pageId) => {
+      const response = await fetch(`/api/content/v4/pages/layout/${pageId}`);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to fetch page layout (HTTP ${response.status})`);
+      }
+      return response.json();
+    },
+    [pageId],
+    tabId
+  );
+}
+
 /**
  * Get all pages that cards appear on (including regular pages, app studio pages, and report builder pages).
  * Cards that are not on any page are returned separately as orphanedCards.
@@ -711,3 +761,37 @@ export async function transferPages(pageIds, fromUserId, toUserId, tabId = null)
     tabId
   );
 }
+
+/**
+ * Save a page layout. Domo requires the layout's write lock for the update, so
+ * it is taken first and always released afterwards.
+ * @param {Object} params
+ * @param {Object} params.layout - A layout from `getPageLayout`, with its `layoutId`
+ * @param {number|null} [params.tabId=null] - Optional Chrome tab ID
+ * @returns {Promise<void>}
+ */
+export async function updatePageLayout({ layout, tabId = null }) {
+  return executeInPage(
+    async (layout) => {
+      const base = `/api/content/v4/pages/layout/${layout.layoutId}`;
+      const lockResponse = await fetch(`${base}/writelock`, { method: 'PUT' });
+      if (!lockResponse.ok) {
+        throw new Error(`Failed to lock page layout (HTTP ${lockResponse.status})`);
+      }
+      try {
+        const response = await fetch(base, {
+          body: JSON.stringify(layout),
+          headers: { 'Content-Type': 'application/json' },
+          method: 'PUT'
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to update page layout (HTTP ${response.status})`);
+        }
+      } finally {
+        await fetch(`${base}/writelock`, { method: 'DELETE' }).catch(() => {});
+      }
+    },
+    [layout],
+    tabId
+  );
+}
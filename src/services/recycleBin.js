@@ -0,0 +1,164 @@
+import { addRecycleBinEntry, markRecycleBinEntryRestored } from '@/utils/recycleBin';
+import { compareSemver } from '@/utils/semver';
+
+import { createAppDbCollection, getAppDbCollection, insertAppDbDocuments } from './appDb';
+import { fetchAllAppDbDocuments } from './appDbDocuments';
+import { createDatasetFunctions, getFunctionTemplate } from './functions';
+import { getCurrentUserId } from './users';
+import {
+  createWorkflowModel,
+  createWorkflowVersion,
+  getVersionDefinition,
+  getWorkflowModel,
+  updateVersionDefinition
+} from './workflows';
+
+// AppDB documents are read and written in pages this size, so a large
+// collection never goes through a single request.
+const DOCUMENT_PAGE_SIZE = 500;
+
+/**
+ * Per-type capture and recreate. `capture` reads everything needed to rebuild
+ * the object and returns `{ payload, summary }`; `restore` takes that payload
+ * and resolves to the new object's ID. Recreated objects get new IDs, so
+ * anything that pointed at the old ID (cards on a Beast Mode, apps on a
+ * collection) has to be repointed by hand.
+ */
+const RECYCLERS = {
+  BEAST_MODE_FORMULA: {
+    capture: async ({ id, tabId }) => {
+      const template = await getFunctionTemplate(id, tabId);
+      const datasetCount = (template?.links || []).filter((link) => link.resource?.type === 'DATA_SOURCE').length;
+      return {
+        payload: { template },
+        summary: datasetCount > 0 ? `On ${datasetCount} dataset${datasetCount === 1 ? '' : 's'}` : ''
+      };
+    },
+    restore: async ({ payload, tabId }) => {
+      const entry = JSON.parse(JSON.stringify(payload.template));
+      delete entry.created;
+      delete entry.lastModified;
+      delete entry.checkSum;
+      delete entry.legacyId;
+      // The server works out nested Beast Modes from the expression again.
+      delete entry.functionTemplateDependencies;
+      entry.owner = await getCurrentUserId(tabId);
+      const response = await createDatasetFunctions({ functions: [entry], tabId });
+      const created = Array.isArray(response) ? response[0] : (response?.create?.[0] ?? response?.created?.[0]);
+      if (!created?.id) throw new Error('Beast Mode was created but its new ID was not returned');
+      return created.id;
+    }
+  },
+  MAGNUM_COLLECTION: {
+    capture: async ({ id, tabId }) => {
+      const collection = await getAppDbCollection(id, tabId);
+      const stored = await fetchAllAppDbDocuments({ collectionId: id, pageSize: DOCUMENT_PAGE_SIZE, tabId });
+      const documents = stored.map((doc) => doc.content ?? {});
+      return {
+        payload: {
+          collection: {
+            datastoreId: collection.datastoreId,
+            name: collection.name,
+            schema: collection.schema ?? null,
+            syncEnabled: !!collection.syncEnabled
+          },
+          documents
+        },
+        summary: `${documents.length} document${documents.length === 1 ? '' : 's'}`
+      };
+    },
+    restore: async ({ payload, tabId }) => {
+      const { collection, documents } = payload;
+      const created = await createAppDbCollection({ ...collection, tabId });
+      for (let i = 0; i < documents.length; i += DOCUMENT_PAGE_SIZE) {
+        try {
+          await insertAppDbDocuments({
+            collectionId: created.id,
+            documents: documents.slice(i, i + DOCUMENT_PAGE_SIZE),
+            tabId
+          });
+        } catch (error) {
+          throw new Error(
+            `Collection recreated (ID: ${created.id}) but only ${i} of ${documents.length} documents were restored: ${error.message}`,
+            { cause: error }
+          );
+        }
+      }
+      return created.id;
+    }
+  },
+  WORKFLOW_MODEL: {
+    // Only one version is kept: the active one, or the newest if none is.
+    capture: async ({ id, tabId }) => {
+      const model = await getWorkflowModel(id, tabId);
+      const versions = [...(model?.versions || [])].sort((a, b) => compareSemver(b.version, a.version));
+      const version = versions.find((v) => v.active) ?? versions[0] ?? null;
+      const definition = version ? await getVersionDefinition(id, version.version, tabId) : null;
+      return {
+        payload: {
+          definition,
+          model: { description: model?.description ?? '', name: model?.name },
+          version: version ? { description: version.description ?? '', version: version.version } : null
+        },
+        summary: version ? `Version ${version.version}` : 'No versions'
+      };
+    },
+    restore: async ({ payload, tabId }) => {
+      const created = await createWorkflowModel({ ...payload.model, tabId });
+      if (payload.version) {
+        await createWorkflowVersion({ ...payload.version, modelId: created.id, tabId });
+        if (payload.definition) {
+          await updateVersionDefinition(created.id, payload.version.version, payload.definition, tabId);
+        }
+      }
+      return created.id;
+    }
+  }
+};
+
+/**
+ * Whether deleting this type snapshots it into the recycle bin first.
+ * @param {string} typeId
+ * @returns {boolean}
+ */
+export function isRecyclableType(typeId) {
+  return Object.hasOwn(RECYCLERS, typeId);
+}
+
+/**
+ * Recreate a recycle bin entry on its instance and mark the entry restored.
+ * @param {Object} params
+ * @param {Object} params.entry - A recycle bin entry (see utils/recycleBin.js)
+ * @param {number|null} [params.tabId] - A tab on the entry's instance
+ * @returns {Promise<string>} ID of the recreated object
+ */
+export async function restoreFromRecycleBin({ entry, tabId = null }) {
+  const recycler = RECYCLERS[entry.typeId];
+  if (!recycler) throw new Error(`Restore not supported for ${entry.typeId}`);
+  const newId = String(await recycler.restore({ payload: entry.payload, tabId }));
+  await markRecycleBinEntryRestored(entry.id, newId);
+  return newId;
+}
+
+/**
+ * Capture an object's full definition into the recycle bin. Called before the
+ * delete, so a failure here means nothing has been deleted yet.
+ * @param {Object} params
+ * @param {string} params.instance - Domo instance the object lives on
+ * @param {Object} params.object - The DomoObject about to be deleted
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function snapshotForRecycleBin({ instance, object, tabId = null }) {
+  const recycler = RECYCLERS[object.typeId];
+  if (!recycler) throw new Error(`Recycle bin not supported for ${object.typeId}`);
+  const { payload, summary } = await recycler.capture({ id: object.id, tabId });
+  return addRecycleBinEntry({
+    instance,
+    name: object.metadata?.name || String(object.id),
+    objectId: object.id,
+    payload,
+    summary,
+    typeId: object.typeId
+  });
+}
@@ -33,6 +33,81 @@
  * needing manual review instead of being corrupted.
  */
 
+/**
+ * Column-level flow through an SQL dataflow, for column lineage. Every
+ * transform table (`GenerateTableAction`, Redshift `CREATE TABLE ... AS`) and
+ * every output (`PublishToVault.query`) becomes a step whose select items say
+ * which source-table columns feed each output column: `SELECT a.x AS y FROM t a`
+ * derives `y` from `t.x`. Each source table is analyzed the same way a
+ * migration origin is (`findStatementRefs` with that table as the only alias),
+ * so alias and qualifier resolution match the rewriter. A source read through
+ * `SELECT *` / `t.*` passes every column through by name instead, which
+ * over-reports rather than drops lineage. Unaliased computed select items and
+ * columns read only inside subqueries have no knowable output and are skipped.
+ *
+ * Step ids are lowercased table names; outputs use `output:<datasetId>`.
+ *
+ * @param {Object} definition - Hydrated dataflow definition.
+ * @returns {{ inputs: Map<string, string>, outputs: Map<string, string>, steps: Map<string, { derivations: Map<string, Array<{column: string, step: string}>>, passthrough: string[] }> } | null}
+ *   `inputs` / `outputs` map step id to dataset id; null for non-SQL engines.
+ */
+export function extractDataflowSqlColumnFlow(definition) {
+  const dialect = DIALECTS[getDataflowEngine(definition)];
+  if (!dialect) return null;
+  const inputs = new Map();
+  const outputs = new Map();
+  const statements = [];
+  const actions = Array.isArray(definition?.actions) ? definition.actions : [];
+  for (const action of actions) {
+    if (!action || typeof action !== 'object') continue;
+    if (action.type === 'LoadFromVault' && typeof action.targetTableName === 'string' && action.dataSourceId) {
+      inputs.set(action.targetTableName.toLowerCase(), String(action.dataSourceId));
+    } else if (
+      action.type === 'GenerateTableAction' &&
+      typeof action.selectStatement === 'string' &&
+      typeof action.tableName === 'string'
+    ) {
+      statements.push({ sql: action.selectStatement, step: action.tableName.toLowerCase() });
+    } else if (action.type === 'PublishToVault' && typeof action.query === 'string') {
+      const datasetId = action.dataSource?.guid ?? action.settings?.dataSourceId;
+      if (!datasetId) continue;
+      outputs.set(`output:${datasetId}`, String(datasetId));
+      statements.push({ sql: action.query, step: `output:${datasetId}` });
+    } else if (action.type === 'SQL' && Array.isArray(action.statements)) {
+      for (const sql of action.statements) {
+        const target = typeof sql === 'string' ? sql.match(CREATE_TABLE_RE) : null;
+        if (target) statements.push({ sql, step: target[1].toLowerCase() });
+      }
+    }
+  }
+
+  const steps = new Map();
+  for (const table of inputs.keys()) steps.set(table, { derivations: new Map(), passthrough: [] });
+  const known = new Set([...inputs.keys(), ...statements.map((statement) => statement.step)]);
+  for (const { sql, step } of statements) {
+    if (!steps.has(step)) steps.set(step, { derivations: new Map(), passthrough: [] });
+    const { derivations, passthrough } = steps.get(step);
+    for (const table of statementSources(sql, dialect)) {
+      if (table === step || !known.has(table)) continue;
+      const info = findStatementRefs(sql, new Set([table]), dialect);
+      // `unsafe` is also set by subqueries and a bare `*` operator; only a
+      // star select item actually passes the table's columns through.
+      const selectsStar = info.selectItems.some((item) => STAR_ITEM_RE.test(sql.slice(item.start, item.exprEnd)));
+      if (info.unsafe && selectsStar && !passthrough.includes(table)) passthrough.push(table);
+      for (const item of info.selectItems) {
+        const output = item.alias ?? item.simpleRefName;
+        if (!output) continue;
+        for (const ref of info.colRefs) {
+          if (ref.start < item.start || ref.end > item.exprEnd) continue;
+          if (!derivations.has(output)) derivations.set(output, []);
+          derivations.get(output).push({ column: ref.name, step: table });
+        }
+      }
+    }
+  }
+  return { inputs, outputs, steps };
+}
+
 /**
  * Extract the set of origin column names referenced by an SQL dataflow's
  * statements. Over-reporting is acceptable (the user can leave a column
@@ -110,6 +185,12 @@ export function rewriteDataflowSqlColumns(definition, columnMap, originId) {
   return { changed, definition: next, unhandled };
 }
 
+/** Target table of a Redshift `CREATE TABLE <name> AS ...` statement. */
+const CREATE_TABLE_RE = /^\s*CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[`"]?([^\s`"(]+)/i;
+
+/** A select item that is `*` or `q.*`. */
+const STAR_ITEM_RE = /^\s*(?:(?:[`"][^`"]+[`"]|\w+)\s*\.\s*)?\*\s*$/;
+
 const DIALECTS = {
   mysql: { backslashEscape: true, hashComment: true, idQuote: '`' },
   redshift: { backslashEscape: false, hashComment: false, idQuote: '"' }
@@ -381,7 +462,7 @@ function rewriteStatement(sql, columnMap, originAliases, dialect) {
 
 /**
  * Inspect one select item's token span. Returns whether it carries an explicit
- * `AS` alias, the bare column name when the item is a single column ref
+ * `AS` alias (and its name), the bare column name when the item is a single column ref
  * (`Q.C` or `C`, the name we must preserve as the output), and the end offset
  * of the core expression (before any alias) for `AS` insertion.
  */
@@ -409,7 +490,9 @@ function selectItemInfo(sig, itemStart, itemEnd) {
   ) {
     simpleRefName = sig[itemStart + 2].value;
   }
+  const aliasTok = asIdx === -1 ? null : sig[asIdx + 1];
   return {
+    alias: aliasTok && aliasTok.type === 'id' ? aliasTok.value : null,
     exprEnd: sig[exprEndIdx - 1].end,
     hasAlias: asIdx !== -1,
     simpleRefName,
@@ -437,6 +520,19 @@ function significantTokens(tokens) {
   return sig;
 }
 
+/** Lowercased names of every table read via FROM / JOIN, at any depth. */
+function statementSources(sql, dialect) {
+  const sig = significantTokens(tokenizeSql(sql, dialect));
+  const tables = new Set();
+  for (let i = 0; i < sig.length - 1; i++) {
+    const t = sig[i];
+    if (t.type !== 'id' || t.quoted) continue;
+    const upper = t.value.toUpperCase();
+    if ((upper === 'FROM' || upper === 'JOIN') && sig[i + 1].type === 'id') tables.add(sig[i + 1].value.toLowerCase());
+  }
+  return tables;
+}
+
 /**
  * Tokenize SQL into positioned tokens. Identifiers (quoted or bare) carry an
  * unquoted `value`; strings and comments are opaque skips so their contents
@@ -0,0 +1,163 @@
+import { buildExcelBlob, generateExportFilename } from '@/utils/exportData';
+
+import { uploadDataFile } from './files';
+import { sendEmail } from './messages';
+import { TRANSFER_TYPES, TYPE_KEY_TO_LOG_TYPE } from './transferOwnership';
+
+/**
+ * Column shape of the Excel attachment on every Transfer Ownership email,
+ * whether the transfer ran from OwnershipView, from a scheduled job in the
+ * service worker, or as the Dev Menu smoke test.
+ */
+export const TRANSFER_LOG_COLUMNS = [
+  { accessorKey: 'Object Type', header: 'Object Type' },
+  { accessorKey: 'Object ID', header: 'Object ID' },
+  { accessorKey: 'Object Name', header: 'Object Name' },
+  { accessorKey: 'Date', header: 'Date' },
+  { accessorKey: 'Status', header: 'Status' },
+  { accessorKey: 'Notes', header: 'Notes' },
+  { accessorKey: 'Previous Owner ID', header: 'Previous Owner ID' },
+  { accessorKey: 'Previous Owner Name', header: 'Previous Owner Name' },
+  { accessorKey: 'New Owner ID', header: 'New Owner ID' },
+  { accessorKey: 'New Owner Name', header: 'New Owner Name' }
+];
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Build one audit row per attempted object from a transferAllOwnership
+ * result map.
+ *
+ * @param {Object} params
+ * @param {number} params.fromUserId
+ * @param {string} params.fromUserName
+ * @param {Map<string, {attempted?: Array, errors?: Array}>} params.results
+ * @param {number} params.toUserId
+ * @param {string} params.toUserName
+ * @returns {Array<Object>} Rows keyed by TRANSFER_LOG_COLUMNS headers
+ */
+export function buildTransferLogRows({ fromUserId, fromUserName, results, toUserId, toUserName }) {
+  const date = new Date().toISOString().slice(0, -5);
+  const rows = [];
+  for (const [typeKey, result] of results) {
+    const typeDef = TRANSFER_TYPES.find((t) => t.key === typeKey);
+    const logType = TYPE_KEY_TO_LOG_TYPE[typeKey];
+    const failedById = new Map((result.errors || []).map((e) => [e.id, e.error]));
+    // `{id: 'all'}` sentinel means the whole batch failed; every row in this
+    // type should be marked FAILED with the shared error message.
+    const wholeBatchError = failedById.get('all');
+    for (const item of result.attempted ?? []) {
+      const isFailure = wholeBatchError !== undefined || failedById.has(item.id);
+      // The `functions` category mixes Beast Modes and Variables; the per-item
+      // `global` flag (true only for Variables) overrides the category log type
+      // so the audit row reports the correct object type.
+      const itemLogType = typeKey === 'functions' && item.global ? 'VARIABLE' : logType;
+      rows.push({
+        'Date': date,
+        'New Owner ID': toUserId,
+        'New Owner Name': toUserName,
+        'Notes': isFailure ? (wholeBatchError ?? failedById.get(item.id)) : '',
+        'Object ID': item.id,
+        'Object Name': item.name,
+        'Object Type': item.subType ? item.subType.toUpperCase() : (itemLogType ?? typeDef?.label ?? typeKey),
+        'Previous Owner ID': fromUserId,
+        'Previous Owner Name': fromUserName,
+        'Status': isFailure ? 'FAILED' : 'TRANSFERRED'
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Email the Excel transfer log. The new-owner and summary emails are
+ * independent and need different copy: the new owner reads "transferred to
+ * you", while the toolkit user who ran the transfer gets a neutral summary
+ * naming both parties (nothing came to them). So a separate email goes out per
+ * perspective rather than one shared body. The one exception is a
+ * self-transfer (the summary recipient is also the new owner): the two
+ * addresses match, the "to you" copy is correct, and only that one is sent.
+ *
+ * @param {Object} params
+ * @param {string|null} [params.currentUserEmail] - Summary recipient, or null to skip
+ * @param {number} params.fromUserId
+ * @param {string} params.fromUserName
+ * @param {string|null} [params.newOwnerEmail] - New owner's address, or null to skip
+ * @param {Map<string, Object>} params.results - transferAllOwnership result map
+ * @param {number} params.tabId - Chrome tab ID
+ * @param {number} params.toUserId
+ * @param {string} params.toUserName
+ * @param {number} params.totalFailed
+ * @param {number} params.totalSucceeded
+ * @param {Object} [params.xlsx] - Preloaded SheetJS module, for callers that can't dynamic-import (see buildExcelBlob)
+ * @returns {Promise<number>} Number of emails sent
+ */
+export async function sendTransferSummaryEmails({
+  currentUserEmail,
+  fromUserId,
+  fromUserName,
+  newOwnerEmail,
+  results,
+  tabId,
+  totalFailed,
+  totalSucceeded,
+  toUserId,
+  toUserName,
+  xlsx
+}) {
+  const sendNewOwnerEmail = !!newOwnerEmail;
+  const sendSummaryEmail = !!currentUserEmail && currentUserEmail !== newOwnerEmail;
+  if (!sendNewOwnerEmail && !sendSummaryEmail) return 0;
+
+  const rows = buildTransferLogRows({ fromUserId, fromUserName, results, toUserId, toUserName });
+  const blob = await buildExcelBlob(rows, TRANSFER_LOG_COLUMNS, 'Transfer Log', xlsx);
+  const filename = `${generateExportFilename('transferred-objects')}.xlsx`;
+  const dataFileId = await uploadDataFile(blob, filename, XLSX_MIME_TYPE, tabId);
+
+  const emails = [];
+  if (sendNewOwnerEmail) {
+    emails.push({
+      bodyHtml: renderNewOwnerEmailBody({ sourceUserName: fromUserName, totalFailed, totalSucceeded }),
+      dataFileAttachments: [dataFileId],
+      recipientEmails: [newOwnerEmail],
+      subject: `Ownership transferred to you from ${fromUserName}`
+    });
+  }
+  if (sendSummaryEmail) {
+    emails.push({
+      bodyHtml: renderSummaryEmailBody({
+        sourceUserName: fromUserName,
+        targetUserName: toUserName,
+        totalFailed,
+        totalSucceeded
+      }),
+      dataFileAttachments: [dataFileId],
+      recipientEmails: [currentUserEmail],
+      subject: `Ownership transfer summary: ${fromUserName} to ${toUserName}`
+    });
+  }
+  for (const email of emails) {
+    await sendEmail(email, tabId);
+  }
+  return emails.length;
+}
+
+function renderFailedLine(totalFailed) {
+  if (totalFailed <= 0) return '';
+  return `<p>${totalFailed} object${totalFailed === 1 ? '' : 's'} could not be transferred and ${totalFailed === 1 ? 'is' : 'are'} included in the attachment with a FAILED status.</p>`;
+}
+
+// Body for the new owner: the objects landed in their account, so it reads in
+// the second person ("transferred to you").
+function renderNewOwnerEmailBody({ sourceUserName, totalFailed, totalSucceeded }) {
+  const objectWord = totalSucceeded === 1 ? 'object' : 'objects';
+  return `<p>Ownership of <strong>${totalSucceeded}</strong> ${objectWord} has been transferred to you from <strong>${sourceUserName}</strong>.</p><p>A complete list is attached.</p>${renderFailedLine(totalFailed)}`;
+}
+
+// Body for the "email me" copy sent to the toolkit user who ran the transfer.
+// Nothing came to them, so this is the observer's perspective: it names both
+// the source and the destination owner instead of saying "to you".
+function renderSummaryEmailBody({ sourceUserName, targetUserName, totalFailed, totalSucceeded }) {
+  const objectWord = totalSucceeded === 1 ? 'object' : 'objects';
+  return `<p>Ownership of <strong>${totalSucceeded}</strong> ${objectWord} has been transferred from <strong>${sourceUserName}</strong> to <strong>${targetUserName}</strong>.</p><p>A complete list is attached.</p>${renderFailedLine(totalFailed)}`;
+}
@@ -38,10 +38,13 @@ import { getOwnedWorkspaces, transferWorkspaces } from './workspaces';
 /**
  * Registry of all transferable object types.
  * Each entry defines how to list and transfer ownership for that type.
+ * `api` is the primary endpoint the `transfer` function calls, surfaced in
+ * dry-run plans so reviewers can see what a real run would hit.
  * Sorted alphabetically by key.
  */
 export const TRANSFER_TYPES = [
   {
+    api: 'PUT /api/data/v2/accounts/share/{id}',
     getOwned: getOwnedAccounts,
     key: 'accounts',
     label: 'Accounts',
@@ -49,6 +52,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAccounts
   },
   {
+    api: 'POST /api/datascience/ml/v1/models/{id}/ownership',
     getOwned: getOwnedAiModels,
     key: 'aiModels',
     label: 'AI Models',
@@ -56,6 +60,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAiModels
   },
   {
+    api: 'POST /api/datascience/ml/v1/projects/{id}/ownership',
     getOwned: getOwnedAiProjects,
     key: 'aiProjects',
     label: 'AI Projects',
@@ -63,6 +68,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAiProjects
   },
   {
+    api: 'PATCH /api/social/v4/alerts/{id}',
     getOwned: getOwnedAlerts,
     key: 'alerts',
     label: 'Alerts',
@@ -70,6 +76,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAlerts
   },
   {
+    api: 'PUT /api/content/v1/dataapps/bulk/owners',
     getOwned: getOwnedAppStudioApps,
     getOwnedForTransfer: getUserOwnedAppStudioApps,
     key: 'appStudioApps',
@@ -78,6 +85,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAppStudioApps
   },
   {
+    api: 'PUT /api/datastores/v1/collections/{id}',
     getOwned: getOwnedAppDbCollections,
     key: 'appDbCollections',
     label: 'AppDB Collections',
@@ -85,6 +93,7 @@ export const TRANSFER_TYPES = [
     transfer: transferAppDbCollections
   },
   {
+    api: 'POST /api/synapse/approval/graphql',
     getOwned: getOwnedApprovals,
     key: 'approvals',
     label: 'Approvals',
@@ -92,6 +101,7 @@ export const TRANSFER_TYPES = [
     transfer: transferApprovals
   },
   {
+    api: 'POST /api/synapse/approval/graphql',
     getOwned: getOwnedApprovalTemplates,
     key: 'approvalTemplates',
     label: 'Approval Templates',
@@ -99,6 +109,7 @@ export const TRANSFER_TYPES = [
     transfer: transferApprovalTemplates
   },
   {
+    api: 'POST /api/content/v1/cards/owners/add',
     getOwned: getOwnedCards,
     key: 'cards',
     label: 'Cards',
@@ -106,6 +117,7 @@ export const TRANSFER_TYPES = [
     transfer: transferCards
   },
   {
+    api: 'PUT /api/codeengine/v2/packages/{id}',
     getOwned: getOwnedCodeEnginePackages,
     key: 'codeEnginePackages',
     label: 'Code Engine Packages',
@@ -120,6 +132,7 @@ export const TRANSFER_TYPES = [
   //   transfer: transferCustomApps
   // }, Excluding for now because there is no server-side filtering and it takes forever to load
   {
+    api: 'PUT /api/dataprocessing/v1/dataflows/bulk/patch',
     getOwned: getOwnedDataflows,
     key: 'dataflows',
     label: 'DataFlows',
@@ -127,6 +140,7 @@ export const TRANSFER_TYPES = [
     transfer: transferDataflows
   },
   {
+    api: 'POST /api/data/v1/ui/bulk/reassign',
     getOwned: getOwnedDatasets,
     key: 'datasets',
     label: 'DataSets',
@@ -134,6 +148,7 @@ export const TRANSFER_TYPES = [
     transfer: transferDatasets
   },
   {
+    api: 'PUT /api/publish/v2/subscriptions/{id}',
     getOwned: getOwnedSubscriptions,
     key: 'subscriptions',
     label: 'Domo Everywhere Subscriptions',
@@ -141,6 +156,7 @@ export const TRANSFER_TYPES = [
     transfer: transferSubscriptions
   },
   {
+    api: 'POST /api/files/v1/filesets/{id}/ownership',
     getOwned: getOwnedFilesets,
     key: 'filesets',
     label: 'FileSets',
@@ -148,6 +164,7 @@ export const TRANSFER_TYPES = [
     transfer: transferFilesets
   },
   {
+    api: 'POST /api/query/v1/functions/bulk/template',
     getOwned: getOwnedFunctions,
     key: 'functions',
     label: 'Functions (Beast Modes & Variables)',
@@ -155,6 +172,7 @@ export const TRANSFER_TYPES = [
     transfer: transferFunctions
   },
   {
+    api: 'PUT /api/social/v1/objectives/{id}',
     getOwned: getOwnedGoals,
     key: 'goals',
     label: 'Goals',
@@ -162,6 +180,7 @@ export const TRANSFER_TYPES = [
     transfer: transferGoals
   },
   {
+    api: 'PUT /api/content/v2/groups/access',
     getOwned: getOwnedGroups,
     key: 'groups',
     label: 'Groups',
@@ -169,6 +188,7 @@ export const TRANSFER_TYPES = [
     transfer: transferGroups
   },
   {
+    api: 'PUT /api/datascience/v1/workspaces/{id}/ownership',
     getOwned: getOwnedJupyterWorkspaces,
     key: 'jupyterWorkspaces',
     label: 'Jupyter Workspaces',
@@ -176,6 +196,7 @@ export const TRANSFER_TYPES = [
     transfer: transferJupyterWorkspaces
   },
   {
+    api: 'POST /api/content/v1/metrics/{id}/owner/{toUserId}',
     getOwned: getOwnedMetrics,
     key: 'metrics',
     label: 'Metrics',
@@ -183,6 +204,7 @@ export const TRANSFER_TYPES = [
     transfer: transferMetrics
   },
   {
+    api: 'PUT /api/content/v1/pages/bulk/owners',
     getOwned: getOwnedPages,
     key: 'pages',
     label: 'Pages (Dashboards)',
@@ -190,6 +212,7 @@ export const TRANSFER_TYPES = [
     transfer: transferPages
   },
   {
+    api: 'PUT /api/content/v1/projects/{id}, PUT /api/content/v1/tasks/{id}',
     getOwned: getOwnedProjectsAndTasks,
     key: 'projectsAndTasks',
     label: 'Projects & Tasks',
@@ -197,6 +220,7 @@ export const TRANSFER_TYPES = [
     transfer: transferProjectsAndTasks
   },
   {
+    api: 'POST /api/version/v1/repositories/{id}/permissions',
     getOwned: getOwnedRepositories,
     key: 'repositories',
     label: 'Sandbox Repositories',
@@ -204,6 +228,7 @@ export const TRANSFER_TYPES = [
     transfer: transferRepositories
   },
   {
+    api: 'PUT /api/queues/v1/{id}/owner/{toUserId}',
     getOwned: getOwnedTaskCenterQueues,
     key: 'taskCenterQueues',
     label: 'Task Center Queues',
@@ -211,6 +236,7 @@ export const TRANSFER_TYPES = [
     transfer: transferTaskCenterQueues
   },
   {
+    api: 'PUT /api/queues/v1/{queueId}/tasks/{id}/assign',
     getOwned: getOwnedTaskCenterTasks,
     key: 'taskCenterTasks',
     label: 'Task Center Tasks',
@@ -218,6 +244,7 @@ export const TRANSFER_TYPES = [
     transfer: transferTaskCenterTasks
   },
   {
+    api: 'PUT /api/workflow/v1/models/{id}',
     getOwned: getOwnedWorkflows,
     key: 'workflows',
     label: 'Workflows',
@@ -225,6 +252,7 @@ export const TRANSFER_TYPES = [
     transfer: transferWorkflows
   },
   {
+    api: 'PUT /api/content/v1/dataapps/bulk/owners',
     getOwned: getOwnedWorksheets,
     getOwnedForTransfer: getUserOwnedWorksheets,
     key: 'worksheets',
@@ -233,6 +261,7 @@ export const TRANSFER_TYPES = [
     transfer: transferWorksheets
   },
   {
+    api: 'PUT /api/nav/v1/workspaces/{id}/members/{memberId}',
     getOwned: getOwnedWorkspaces,
     key: 'workspaces',
     label: 'Workspaces',
@@ -280,6 +309,81 @@ export const TYPE_KEY_TO_LOG_TYPE = {
   workspaces: 'WORKSPACE'
 };
 
+/**
+ * Dry-run counterpart of `transferAllOwnership`: runs only the listing phase
+ * (with the same seeding and per-item selection rules) and returns one plan row
+ * per object that a real run would transfer. Nothing is written.
+ *
+ * @param {Object} params
+ * @param {Map<string, Set<string|number>>} [params.enabledItemIds] - Same allow-list as transferAllOwnership
+ * @param {Set<string>} params.enabledTypes - Set of type keys to plan
+ * @param {number} params.fromUserId - Source user ID
+ * @param {Function} [params.onTypeProgress] - Callback: ({ typeKey, status, count }) => void
+ * @param {Object} [params.seededOwnedObjects] - Same pre-fetched owned map as transferAllOwnership
+ * @param {number} params.tabId - Chrome tab ID
+ * @returns {Promise<{ errors: Array<{ error: string, typeKey: string }>, rows: Array<{ api: string, id: any, name: string, objectType: string, typeKey: string, typeLabel: string }> }>}
+ */
+export async function buildTransferPlan({
+  enabledItemIds,
+  enabledTypes,
+  fromUserId,
+  onTypeProgress,
+  seededOwnedObjects,
+  tabId
+}) {
+  const types = TRANSFER_TYPES.filter((type) => enabledTypes.has(type.key));
+  const settled = await Promise.allSettled(
+    types.map(async (type) => {
+      const owned = await listOwnedForTransfer(type, {
+        enabledItemIds,
+        fromUserId,
+        onTypeProgress,
+        seededOwnedObjects,
+        tabId
+      });
+      const items = flattenOwned(type.key, owned);
+      onTypeProgress?.({ count: items.length, status: 'planned', typeKey: type.key });
+      return items.map((item) => ({
+        api: type.api,
+        id: item.id,
+        name: item.name,
+        objectType: resolveLogType(type, item),
+        typeKey: type.key,
+        typeLabel: type.label
+      }));
+    })
+  );
+
+  const rows = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') rows.push(...outcome.value);
+    else errors.push({ error: outcome.reason?.message || String(outcome.reason), typeKey: types[i].key });
+  });
+  return { errors, rows };
+}
+
+/**
+ * Reduce a transferAllOwnership result map to the items that actually moved,
+ * keyed by type. This is what the transfer journal records, so a reversal only
+ * ever sends back objects the original run succeeded on.
+ *
+ * @param {Map<string, {attempted?: Array, errors?: Array}>} results
+ * @returns {Object<string, Array<{id: any, name: string, subType?: string}>>}
+ */
+export function collectTransferredItems(results) {
+  const items = {};
+  for (const [typeKey, result] of results) {
+    const failedIds = new Set((result.errors || []).map((e) => e.id));
+    if (failedIds.has('all')) continue;
+    const moved = (result.attempted || [])
+      .filter((item) => !failedIds.has(item.id))
+      .map(({ id, name, subType }) => (subType ? { id, name, subType } : { id, name }));
+    if (moved.length > 0) items[typeKey] = moved;
+  }
+  return items;
+}
+
 /**
  * Count items in a raw owned-objects result, accounting for the nested
  * projectsAndTasks shape.
@@ -316,6 +420,44 @@ export function flattenOwned(typeKey, owned) {
   return Array.isArray(owned) ? owned : [];
 }
 
+/**
+ * Send every object recorded in a transfer journal entry back to its original
+ * owner. The new owner's objects are re-listed and filtered to the journaled
+ * ids, so anything that has since moved again (or been deleted) is skipped
+ * instead of failing.
+ *
+ * @param {Object} params
+ * @param {{ fromUser: { id: number }, items: Object<string, Array<{id: any, subType?: string}>>, toUser: { id: number } }} params.entry - Journal entry to reverse
+ * @param {Function} [params.onTypeProgress] - Same callback as transferAllOwnership
+ * @param {number} params.tabId - Chrome tab ID
+ * @returns {Promise<Map<string, {count: number, errors: Array, failed: number, succeeded: number}>>}
+ */
+export async function reverseTransfer({ entry, onTypeProgress, tabId }) {
+  const enabledTypes = new Set();
+  const enabledItemIds = new Map();
+  for (const [typeKey, items] of Object.entries(entry.items || {})) {
+    if (!items?.length) continue;
+    enabledTypes.add(typeKey);
+    enabledItemIds.set(
+      typeKey,
+      new Set(
+        items.map((item) =>
+          typeKey === 'projectsAndTasks' ? `${item.subType === 'Task' ? 'task' : 'project'}-${item.id}` : String(item.id)
+        )
+      )
+    );
+  }
+
+  return transferAllOwnership({
+    enabledItemIds,
+    enabledTypes,
+    fromUserId: entry.toUser.id,
+    onTypeProgress,
+    tabId,
+    toUserId: entry.fromUser.id
+  });
+}
+
 /**
  * Transfer all ownership from one user to another for selected types.
  * Runs each enabled type in parallel via Promise.allSettled.
@@ -356,28 +498,13 @@ export async function transferAllOwnership({
     let owned;
     try {
       // Phase 1: List owned objects (or reuse seeded data when safe)
-      const seed = !type.getOwnedForTransfer && seededOwnedObjects?.[type.key];
-
-      if (seed) {
-        owned = seed;
-      } else {
-        onTypeProgress?.({
-          count: 0,
-          status: 'listing',
-          typeKey: type.key
-        });
-        const listOwned = type.getOwnedForTransfer || type.getOwned;
-        owned = await listOwned(fromUserId, tabId);
-      }
-
-      // Apply the per-item selection filter (if any) AFTER listing so it
-      // works in both seeded and re-fetch paths. Items the user didn't pick
-      // get dropped; items the user picked that aren't in the listed result
-      // are silently skipped (no canonical owner record to operate on).
-      const itemFilter = enabledItemIds?.get(type.key);
-      if (itemFilter) {
-        owned = filterOwnedToSelection(type.key, owned, itemFilter);
-      }
+      owned = await listOwnedForTransfer(type, {
+        enabledItemIds,
+        fromUserId,
+        onTypeProgress,
+        seededOwnedObjects,
+        tabId
+      });
 
       const count = countOwned(type.key, owned);
 
@@ -492,3 +619,59 @@ function filterOwnedToSelection(typeKey, owned, selectedIds) {
   // entirely (count 0) with no transfer request ever sent.
   return owned.filter((o) => selectedIds.has(String(o.id)));
 }
+
+/**
+ * Phase 1 of a transfer (shared by the real run and the dry-run plan): list
+ * the source user's owned objects for one type, reusing seeded data when the
+ * type has no dedicated transfer listing, then apply the per-item selection.
+ *
+ * @param {Object} type - TRANSFER_TYPES entry
+ * @param {Object} options
+ * @param {Map<string, Set<string|number>>} [options.enabledItemIds]
+ * @param {number} options.fromUserId
+ * @param {Function} [options.onTypeProgress]
+ * @param {Object} [options.seededOwnedObjects]
+ * @param {number} options.tabId
+ * @returns {Promise<*>} Raw owned result, filtered to the selection
+ */
+async function listOwnedForTransfer(type, { enabledItemIds, fromUserId, onTypeProgress, seededOwnedObjects, tabId }) {
+  let owned;
+  const seed = !type.getOwnedForTransfer && seededOwnedObjects?.[type.key];
+
+  if (seed) {
+    owned = seed;
+  } else {
+    onTypeProgress?.({
+      count: 0,
+      status: 'listing',
+      typeKey: type.key
+    });
+    const listOwned = type.getOwnedForTransfer || type.getOwned;
+    owned = await listOwned(fromUserId, tabId);
+  }
+
+  // Apply the per-item selection filter (if any) AFTER listing so it
+  // works in both seeded and re-fetch paths. Items the user didn't pick
+  // get dropped; items the user picked that aren't in the listed result
+  // are silently skipped (no canonical owner record to operate on).
+  const itemFilter = enabledItemIds?.get(type.key);
+  if (itemFilter) {
+    owned = filterOwnedToSelection(type.key, owned, itemFilter);
+  }
+  return owned;
+}
+
+/**
+ * Object type label for a single owned item, matching the transfer log: the
+ * `functions` category mixes Beast Modes and Variables (told apart by the
+ * `global` flag), and projectsAndTasks items carry their own subType.
+ *
+ * @param {Object} type - TRANSFER_TYPES entry
+ * @param {{ global?: boolean, subType?: string }} item
+ * @returns {string}
+ */
+function resolveLogType(type, item) {
+  if (item.subType) return item.subType.toUpperCase();
+  if (type.key === 'functions' && item.global) return 'VARIABLE';
+  return TYPE_KEY_TO_LOG_TYPE[type.key] ?? type.label;
+}
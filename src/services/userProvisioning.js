@@ -0,0 +1,376 @@
+/**
+ * Bulk user provisioning from a CSV. Each row is one user keyed by email: an
+ * email the instance doesn't know yet becomes a create, a known one an update
+ * that only touches the columns the row fills in. Recognised columns are
+ * email, display name, role (name or ID), groups (names or IDs separated by
+ * `;` or `|`), locale, the profile fields in `USER_PROFILE_FIELDS`, and custom
+ * attributes (`attr:<key>`, or any header matching an attribute defined on the
+ * instance). Everything else is reported as ignored.
+ */
+
+import { addUsersToGroups, ASSIGNABLE_GROUP_TYPES, getAllGroups } from './groups';
+import {
+  bulkUpdateUsers,
+  createUser,
+  getRoles,
+  getUserAttributeDefinitions,
+  getUsersByEmail,
+  setUserAttributes,
+  USER_PROFILE_FIELDS
+} from './users';
+
+export const PROVISIONING_BATCH_SIZE = 25;
+
+export const PROVISIONING_RESULT_COLUMNS = [
+  { accessorKey: 'Line', header: 'Line' },
+  { accessorKey: 'Email', header: 'Email' },
+  { accessorKey: 'Display Name', header: 'Display Name' },
+  { accessorKey: 'Action', header: 'Action' },
+  { accessorKey: 'Status', header: 'Status' },
+  { accessorKey: 'User ID', header: 'User ID' },
+  { accessorKey: 'Errors', header: 'Errors' }
+];
+
+// Built-in columns by normalised header (lowercase, alphanumerics only).
+const FIELD_ALIASES = {
+  displayname: 'displayName',
+  email: 'email',
+  emailaddress: 'email',
+  fullname: 'displayName',
+  group: 'groups',
+  groups: 'groups',
+  locale: 'locale',
+  name: 'displayName',
+  role: 'role',
+  roleid: 'role',
+  rolename: 'role',
+  ...Object.fromEntries(USER_PROFILE_FIELDS.map((key) => [normalizeHeader(key), key]))
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * A validated CSV row.
+ * @typedef {Object} ProvisioningRow
+ * @property {number} line - 1-based line in the file, header included
+ * @property {string} email
+ * @property {string} displayName
+ * @property {'create'|'update'|'invalid'} action
+ * @property {string[]} errors - Why the row is invalid
+ * @property {number|null} existingUserId - Set for updates
+ * @property {number|null} roleId
+ * @property {Array<{groupId: string, name: string}>} groups
+ * @property {Object<string, string>} profile - USER_PROFILE_FIELDS values
+ * @property {Array<{key: string, values: string[]}>} attributes - Locale and custom attributes
+ */
+
+/**
+ * Fetch what validation checks rows against: roles, groups, attribute
+ * definitions, and which of the file's emails already belong to a user.
+ * Attribute definitions are best-effort; without them only `attr:` columns
+ * are treated as custom attributes.
+ *
+ * @param {Object} params
+ * @param {{headers: string[], rows: Array}} params.parsed - From `parseUserCsv`
+ * @param {number|null} [params.tabId]
+ */
+export async function fetchProvisioningLookups({ parsed, tabId = null }) {
+  const emailHeaders = parsed.headers.filter((header) => FIELD_ALIASES[normalizeHeader(header)] === 'email');
+  const emails = [
+    ...new Set(parsed.rows.flatMap((row) => emailHeaders.map((header) => row.values[header])).filter(Boolean))
+  ];
+  const [roles, groups, attributeDefinitions, existingUsers] = await Promise.all([
+    getRoles(tabId),
+    getAllGroups(tabId),
+    getUserAttributeDefinitions(tabId).catch((error) => {
+      console.warn('[userProvisioning] Could not load attribute definitions:', error);
+      return [];
+    }),
+    emails.length ? getUsersByEmail(emails, tabId) : []
+  ]);
+  return { attributeDefinitions, existingUsers, groups, roles };
+}
+
+/**
+ * Parse CSV text into header names and per-line values (trimmed strings).
+ * Blank lines are skipped but still counted, so `line` matches the file.
+ *
+ * @param {string} text
+ * @returns {Promise<{headers: string[], rows: Array<{line: number, values: Object<string, string>}>}>}
+ */
+export async function parseUserCsv(text) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(text, { raw: true, type: 'string' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const grid = sheet ? XLSX.utils.sheet_to_json(sheet, { blankrows: true, defval: '', header: 1, raw: false }) : [];
+  const [headerCells = [], ...body] = grid;
+  const headers = headerCells.map((cell) => String(cell).trim());
+  if (!headers.some(Boolean)) throw new Error('The file has no header row');
+
+  const rows = [];
+  body.forEach((cells, i) => {
+    const values = Object.fromEntries(headers.map((header, j) => [header, String(cells[j] ?? '').trim()]));
+    if (Object.values(values).some(Boolean)) rows.push({ line: i + 2, values });
+  });
+  return { headers, rows };
+}
+
+/**
+ * Create and update the valid rows, a batch at a time. Within a batch the
+ * creates run first, then one bulk profile update, the attribute patches, and
+ * one group-membership call. A failed create skips the rest of its row; any
+ * later failure is recorded and the row carries on.
+ *
+ * @param {Object} params
+ * @param {ProvisioningRow[]} params.rows - From `validateUserRows`; invalid rows are skipped
+ * @param {boolean} [params.sendInvite=true] - Send the invite email to created users
+ * @param {number|null} [params.tabId]
+ * @param {(progress: {batch: number, batches: number, done: number, total: number}) => void} [params.onProgress]
+ * @returns {Promise<Object<number, {errors: Array<{message: string, step: string}>, status: 'created'|'updated'|'partial'|'failed', userId: number|null}>>}
+ *   Results by line
+ */
+export async function runUserProvisioning({ onProgress = () => {}, rows, sendInvite = true, tabId = null }) {
+  const runnable = rows.filter((row) => row.action !== 'invalid');
+  const batches = Math.ceil(runnable.length / PROVISIONING_BATCH_SIZE);
+  const results = {};
+
+  for (let b = 0; b < batches; b++) {
+    const batch = runnable.slice(b * PROVISIONING_BATCH_SIZE, (b + 1) * PROVISIONING_BATCH_SIZE);
+    onProgress({ batch: b + 1, batches, done: b * PROVISIONING_BATCH_SIZE, total: runnable.length });
+
+    for (const row of batch) {
+      results[row.line] = {
+        errors: [],
+        status: row.action === 'create' ? 'created' : 'updated',
+        userId: row.existingUserId
+      };
+    }
+    const fail = (row, step, message) => results[row.line].errors.push({ message, step });
+
+    await Promise.all(
+      batch
+        .filter((row) => row.action === 'create')
+        .map(async (row) => {
+          try {
+            const created = await createUser(
+              { displayName: row.displayName, email: row.email, roleId: row.roleId, sendInvite },
+              tabId
+            );
+            if (!created?.id) throw new Error('User was not created; the role may be invalid or the email in use');
+            results[row.line].userId = created.id;
+          } catch (error) {
+            fail(row, 'createUser', error.message);
+            results[row.line].status = 'failed';
+          }
+        })
+    );
+    const live = batch.filter((row) => results[row.line].userId != null);
+
+    const updates = live
+      .map((row) => {
+        const entry = { ...row.profile };
+        if (row.action === 'update') {
+          if (row.displayName) entry.displayName = row.displayName;
+          if (row.roleId != null) entry.roleId = row.roleId;
+        }
+        return Object.keys(entry).length ? { ...entry, id: String(results[row.line].userId) } : null;
+      })
+      .filter(Boolean);
+    if (updates.length) {
+      try {
+        const ok = await bulkUpdateUsers(updates, tabId);
+        if (!ok) throw new Error('Bulk user update returned a non-OK status');
+      } catch (error) {
+        const updatedIds = new Set(updates.map((entry) => entry.id));
+        for (const row of live) {
+          if (updatedIds.has(String(results[row.line].userId))) fail(row, 'updateProfile', error.message);
+        }
+      }
+    }
+
+    await Promise.all(
+      live
+        .filter((row) => row.attributes.length)
+        .map(async (row) => {
+          try {
+            const ok = await setUserAttributes(results[row.line].userId, row.attributes, tabId);
+            if (!ok) throw new Error('Attribute update returned a non-OK status');
+          } catch (error) {
+            fail(row, 'setAttributes', error.message);
+          }
+        })
+    );
+
+    const membersByGroup = new Map();
+    for (const row of live) {
+      for (const group of row.groups) {
+        if (!membersByGroup.has(group.groupId)) membersByGroup.set(group.groupId, []);
+        membersByGroup.get(group.groupId).push(row);
+      }
+    }
+    if (membersByGroup.size) {
+      try {
+        const ok = await addUsersToGroups(
+          [...membersByGroup].map(([groupId, members]) => ({
+            addMembers: members.map((row) => ({ id: String(results[row.line].userId), type: 'USER' })),
+            groupId
+          })),
+          tabId
+        );
+        if (!ok) throw new Error('Group access update returned a non-OK status');
+      } catch (error) {
+        for (const row of live) {
+          if (row.groups.length) fail(row, 'addGroups', error.message);
+        }
+      }
+    }
+
+    for (const row of live) {
+      if (results[row.line].errors.length) results[row.line].status = 'partial';
+    }
+  }
+
+  onProgress({ batch: batches, batches, done: runnable.length, total: runnable.length });
+  return results;
+}
+
+/**
+ * One result-CSV row per input row, invalid rows included.
+ *
+ * @param {ProvisioningRow[]} rows
+ * @param {Object} results - From `runUserProvisioning`
+ * @returns {Array<Object>} Rows keyed by PROVISIONING_RESULT_COLUMNS headers
+ */
+export function toProvisioningResultRows(rows, results) {
+  return rows.map((row) => {
+    const result = results[row.line];
+    const errors = result
+      ? result.errors.map((error) => `${error.step}: ${error.message}`)
+      : row.errors.map((error) => `validation: ${error}`);
+    return {
+      'Action': row.action,
+      'Display Name': row.displayName,
+      'Email': row.email,
+      'Errors': errors.join(' | '),
+      'Line': row.line,
+      'Status': result?.status ?? (row.action === 'invalid' ? 'skipped' : 'not run'),
+      'User ID': result?.userId ?? row.existingUserId ?? ''
+    };
+  });
+}
+
+/**
+ * Map the parsed rows onto creates and updates, checking roles, groups and
+ * attributes against the instance.
+ *
+ * @param {Object} params
+ * @param {{headers: string[], rows: Array}} params.parsed - From `parseUserCsv`
+ * @param {Object} params.lookups - From `fetchProvisioningLookups`
+ * @returns {{columns: Array<{header: string, key: string, kind: 'attribute'|'field'}>, ignoredHeaders: string[], rows: ProvisioningRow[]}}
+ */
+export function validateUserRows({ lookups, parsed }) {
+  const { columns, ignoredHeaders } = mapColumns(parsed.headers, lookups.attributeDefinitions);
+  if (!columns.some((column) => column.key === 'email')) {
+    throw new Error('The file needs an "email" column');
+  }
+
+  const rolesById = new Map(lookups.roles.map((role) => [String(role.id), role]));
+  const rolesByName = new Map(lookups.roles.map((role) => [role.name.toLowerCase(), role]));
+  const groupsById = new Map(lookups.groups.map((group) => [group.groupId, group]));
+  const groupsByName = new Map(lookups.groups.map((group) => [group.name.toLowerCase(), group]));
+  const usersByEmail = new Map(lookups.existingUsers.map((user) => [user.emailAddress?.toLowerCase(), user]));
+  const firstLineByEmail = new Map();
+
+  const rows = parsed.rows.map(({ line, values }) => {
+    const fields = {};
+    const attributes = [];
+    for (const column of columns) {
+      const value = values[column.header];
+      if (!value) continue;
+      if (column.kind === 'attribute') attributes.push({ key: column.key, values: [value] });
+      else fields[column.key] = value;
+    }
+
+    const errors = [];
+    const email = fields.email ?? '';
+    const existing = usersByEmail.get(email.toLowerCase());
+    if (!email) errors.push('Missing email');
+    else if (!EMAIL_PATTERN.test(email)) errors.push(`"${email}" is not a valid email`);
+    else if (firstLineByEmail.has(email.toLowerCase())) {
+      errors.push(`Duplicate of line ${firstLineByEmail.get(email.toLowerCase())}`);
+    } else firstLineByEmail.set(email.toLowerCase(), line);
+
+    let roleId = null;
+    if (fields.role) {
+      const role = rolesById.get(fields.role) ?? rolesByName.get(fields.role.toLowerCase());
+      if (role) roleId = role.id;
+      else errors.push(`Unknown role "${fields.role}"`);
+    } else if (!existing) {
+      errors.push('New users need a role');
+    }
+    if (!existing && !fields.displayName) errors.push('New users need a display name');
+
+    const groups = [];
+    for (const ref of (fields.groups ?? '')
+      .split(/[;|]/)
+      .map((part) => part.trim())
+      .filter(Boolean)) {
+      const group = groupsById.get(ref) ?? groupsByName.get(ref.toLowerCase());
+      if (!group) errors.push(`Unknown group "${ref}"`);
+      else if (!ASSIGNABLE_GROUP_TYPES.has(group.groupType)) {
+        errors.push(`"${group.name}" is a ${group.groupType || 'system'} group and can't be assigned`);
+      } else groups.push({ groupId: group.groupId, name: group.name });
+    }
+
+    if (fields.reportsTo && !/^\d+$/.test(fields.reportsTo)) errors.push('reportsTo must be a user ID');
+    if (fields.locale) attributes.push({ key: 'locale', values: [fields.locale] });
+
+    return {
+      action: errors.length ? 'invalid' : existing ? 'update' : 'create',
+      attributes,
+      displayName: fields.displayName ?? existing?.displayName ?? '',
+      email,
+      errors,
+      existingUserId: existing?.id ?? null,
+      groups,
+      line,
+      profile: Object.fromEntries(USER_PROFILE_FIELDS.filter((key) => fields[key]).map((key) => [key, fields[key]])),
+      roleId
+    };
+  });
+
+  return { columns, ignoredHeaders, rows };
+}
+
+// Resolve each header to a built-in field or a custom attribute. Built-ins win
+// over a same-named attribute definition.
+function mapColumns(headers, attributeDefinitions) {
+  const attributesByHeader = new Map();
+  for (const definition of attributeDefinitions) {
+    attributesByHeader.set(normalizeHeader(definition.key), definition.key);
+    attributesByHeader.set(normalizeHeader(definition.title), definition.key);
+  }
+
+  const columns = [];
+  const ignoredHeaders = [];
+  for (const header of headers) {
+    if (!header) continue;
+    const normalized = normalizeHeader(header);
+    if (FIELD_ALIASES[normalized]) {
+      columns.push({ header, key: FIELD_ALIASES[normalized], kind: 'field' });
+    } else if (/^attr:/i.test(header) && header.slice(5).trim()) {
+      columns.push({ header, key: header.slice(5).trim(), kind: 'attribute' });
+    } else if (attributesByHeader.has(normalized)) {
+      columns.push({ header, key: attributesByHeader.get(normalized), kind: 'attribute' });
+    } else {
+      ignoredHeaders.push(header);
+    }
+  }
+  return { columns, ignoredHeaders };
+}
+
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
@@ -4,6 +4,20 @@
 
 import { executeInPage } from '@/utils/executeInPage';
 
+// Profile fields the v2 users/bulk endpoint accepts, shared by duplication and
+// CSV provisioning.
+export const USER_PROFILE_FIELDS = [
+  'department',
+  'employeeId',
+  'employeeLocation',
+  'employeeNumber',
+  'hireDate',
+  'phoneNumber',
+  'reportsTo',
+  'timeZone',
+  'title'
+];
+
 /**
  * Get the current user with ID and metadata
  * @param {number|null} tabId - The tab ID to execute in (optional)
@@ -250,6 +264,44 @@ export async function getInactiveUserIds(userIds, tabId = null) {
   );
 }
 
+/**
+ * List the roles defined on the instance.
+ * @param {number|null} tabId
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+export async function getRoles(tabId = null) {
+  return executeInPage(
+    async () => {
+      const response = await fetch('/api/authorization/v1/roles');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const roles = await response.json();
+      return (roles || []).map((role) => ({ id: role.id, name: role.name }));
+    },
+    [],
+    tabId
+  );
+}
+
+/**
+ * List the user attributes defined on the instance, including custom ones
+ * created under Admin > Attributes.
+ * @param {number|null} tabId
+ * @returns {Promise<Array<{key: string, title: string}>>}
+ */
+export async function getUserAttributeDefinitions(tabId = null) {
+  return executeInPage(
+    async () => {
+      const response = await fetch('/api/identity/v1/user/attributes');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      const attributes = Array.isArray(data) ? data : data?.attributes || [];
+      return attributes.map((attribute) => ({ key: attribute.key, title: attribute.title || attribute.key }));
+    },
+    [],
+    tabId
+  );
+}
+
 /**
  * Get basic details for a user by ID.
  * @param {number} userId - The Domo user ID
@@ -338,6 +390,46 @@ export async function getUserReportsTo(userId, tabId = null) {
   );
 }
 
+/**
+ * Look up existing users by email address, in batches of 100.
+ * @param {string[]} emails
+ * @param {number|null} tabId
+ * @returns {Promise<Array<{displayName: string, emailAddress: string, id: number}>>}
+ */
+export async function getUsersByEmail(emails, tabId = null) {
+  return executeInPage(
+    async (emails) => {
+      const users = [];
+      for (let i = 0; i < emails.length; i += 100) {
+        const batch = emails.slice(i, i + 100);
+        const response = await fetch('/api/identity/v1/users/search?explain=false', {
+          body: JSON.stringify({
+            attributes: ['emailAddress'],
+            filters: [{ field: 'emailAddress', filterType: 'value', operator: 'EQ', values: batch }],
+            includeDeleted: false,
+            includeSupport: false,
+            limit: batch.length,
+            offset: 0,
+            onlyDeleted: false,
+            parts: ['MINIMAL'],
+            showCount: false
+          }),
+          headers: { 'Content-Type': 'application/json' },
+          method: 'POST'
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        for (const user of data.users || []) {
+          users.push({ displayName: user.displayName, emailAddress: user.emailAddress, id: user.id });
+        }
+      }
+      return users;
+    },
+    [emails],
+    tabId
+  );
+}
+
 export async function searchUsers(text, tabId = null, offset = 0) {
   const result = await executeInPage(
     async (text, offset, limit) => {
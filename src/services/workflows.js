@@ -1,5 +1,56 @@
 import { executeInPage } from '@/utils/executeInPage';
 
+/**
+ * Create an empty Workflow Model. It has no versions until one is added with
+ * `createWorkflowVersion`.
+ * @param {Object} params
+ * @param {string} params.name - Workflow name
+ * @param {string} [params.description] - Workflow description
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The created model
+ */
+export async function createWorkflowModel({ description = '', name, tabId = null }) {
+  return executeInPage(
+    async (name, description) => {
+      const response = await fetch('/api/workflow/v1/models', {
+        body: JSON.stringify({ description, name }),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [name, description],
+    tabId
+  );
+}
+
+/**
+ * Add a version to a Workflow Model. The version starts with an empty
+ * definition; write one with `updateVersionDefinition`.
+ * @param {Object} params
+ * @param {string} params.modelId - The Workflow Model ID
+ * @param {string} params.version - Semver version number, e.g. "1.0.0"
+ * @param {string} [params.description] - Version description
+ * @param {number|null} [params.tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The created version
+ */
+export async function createWorkflowVersion({ description = '', modelId, tabId = null, version }) {
+  return executeInPage(
+    async (modelId, version, description) => {
+      const response = await fetch(`/api/workflow/v2/models/${modelId}/versions`, {
+        body: JSON.stringify({ description, version }),
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST'
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [modelId, version, description],
+    tabId
+  );
+}
+
 /**
  * Delete a Workflow Model. Internally lists the model's versions and
  * deactivates any that are still active before issuing the DELETE, because
@@ -49,52 +100,15 @@ export async function deleteWorkflow({ modelId, tabId = null }) {
  * @returns {Promise<Array<{id: string, name: string}>>}
  */
 export async function getOwnedWorkflows(userId, tabId = null) {
-  return executeInPage(
-    async (userId) => {
-      const allWorkflows = [];
-      const count = 100;
-      let moreData = true;
-      let offset = 0;
-
-      while (moreData) {
-        const response = await fetch('/api/search/v1/query', {
-          body: JSON.stringify({
-            count,
-            entityList: [['workflow_model']],
-            filters: [
-              {
-                facetType: 'user',
-                field: 'owned_by_id',
-                filterType: 'term',
-                value: `${userId}:USER`
-              }
-            ],
-            offset,
-            query: '*'
-          }),
-          headers: { 'Content-Type': 'application/json' },
-          method: 'POST'
-        });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        const data = await response.json();
-
-        if (data.searchObjects && data.searchObjects.length > 0) {
-          allWorkflows.push(
-            ...data.searchObjects.map((w) => ({
-              id: w.uuid,
-              name: w.winnerText || w.uuid
-            }))
-          );
-          offset += count;
-          if (data.searchObjects.length < count) moreData = false;
-        } else {
-          moreData = false;
-        }
+  return searchWorkflows(
+    [
+      {
+        facetType: 'user',
+        field: 'owned_by_id',
+        filterType: 'term',
+        value: `${userId}:USER`
       }
-
-      return allWorkflows;
-    },
-    [userId],
+    ],
     tabId
   );
 }
@@ -115,6 +129,24 @@ export async function getVersionDefinition(modelId, versionNumber, tabId = null)
   );
 }
 
+/**
+ * Fetch a workflow model, including its versions.
+ * @param {string} modelId - The Workflow Model ID
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The raw model
+ */
+export async function getWorkflowModel(modelId, tabId = null) {
+  return executeInPage(
+    async (modelId) => {
+      const response = await fetch(`/api/workflow/v1/models/${modelId}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [modelId],
+    tabId
+  );
+}
+
 /**
  * Fetch a workflow model's display name.
  * @param {string} modelId - The workflow model ID.
@@ -181,6 +213,26 @@ export async function getWorkflowTriggers(modelId, tabId = null) {
   );
 }
 
+/**
+ * Fetch one workflow version's details, including `releasedAt` (set once the
+ * version is released, after which its definition can no longer be edited).
+ * @param {string} modelId - The Workflow Model ID
+ * @param {string} versionNumber - Semver version number
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<Object>} The raw version
+ */
+export async function getWorkflowVersion(modelId, versionNumber, tabId = null) {
+  return executeInPage(
+    async (modelId, versionNumber) => {
+      const response = await fetch(`/api/workflow/v2/models/${modelId}/versions/${versionNumber}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    },
+    [modelId, versionNumber],
+    tabId
+  );
+}
+
 /**
  * List a workflow model's versions.
  * @param {string} modelId - The Workflow Model ID
@@ -200,6 +252,15 @@ export async function getWorkflowVersions(modelId, tabId = null) {
   );
 }
 
+/**
+ * List every workflow the current user can see.
+ * @param {number|null} [tabId] - Optional Chrome tab ID
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+export async function searchWorkflowModels(tabId = null) {
+  return searchWorkflows([], tabId);
+}
+
 /**
  * Transfer workflow ownership to a new user.
  * @param {string[]} workflowIds - Array of workflow model IDs to transfer
@@ -281,3 +342,53 @@ export async function updateWorkflowOwner({ modelId, newOwnerId, tabId = null })
     tabId
   );
 }
+
+/**
+ * Page through a workflow search.
+ * @param {Array<Object>} filters - Search filters; none lists every workflow the current user can see
+ * @param {number|null} tabId - Optional Chrome tab ID
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function searchWorkflows(filters, tabId) {
+  return executeInPage(
+    async (filters) => {
+      const allWorkflows = [];
+      const count = 100;
+      let moreData = true;
+      let offset = 0;
+
+      while (moreData) {
+        const response = await fetch('/api/search/v1/query', {
+          body: JSON.stringify({
+            count,
+            entityList: [['workflow_model']],
+            ...(filters.length > 0 && { filters }),
+            offset,
+            query: '*'
+          }),
+          headers: { 'Content-Type': 'application/json' },
+          method: 'POST'
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        if (data.searchObjects && data.searchObjects.length > 0) {
+          allWorkflows.push(
+            ...data.searchObjects.map((w) => ({
+              id: w.uuid,
+              name: w.winnerText || w.uuid
+            }))
+          );
+          offset += count;
+          if (data.searchObjects.length < count) moreData = false;
+        } else {
+          moreData = false;
+        }
+      }
+
+      return allWorkflows;
+    },
+    [filters],
+    tabId
+  );
+}
@@ -5,9 +5,15 @@ import { ActionButtons } from '@/components/ActionButtons';
 import { ContextFooter } from '@/components/ContextFooter';
 import { ToastProvider } from '@/components/ToastProvider';
 import { ApiErrorsView } from '@/components/views/ApiErrorsView';
+import { AppDbDocumentsView } from '@/components/views/AppDbDocumentsView';
+import { CodeEngineTestView } from '@/components/views/CodeEngineTestView';
+import { CodeEngineVersionDiffView } from '@/components/views/CodeEngineVersionDiffView';
+import { CodeEngineWorkflowImpactView } from '@/components/views/CodeEngineWorkflowImpactView';
+import { CompareUsersView } from '@/components/views/CompareUsersView';
 import { CopyColorRulesView } from '@/components/views/CopyColorRulesView';
 import { DeleteObjectView } from '@/components/views/DeleteObjectView';
 import { DuplicateView } from '@/components/views/DuplicateView';
+import { FilterPresetsView } from '@/components/views/FilterPresetsView';
 import { GeneratePackageDefinitionFromJSDocView } from '@/components/views/GeneratePackageDefinitionFromJSDocView';
 import { GenerateSchemaView } from '@/components/views/GenerateSchemaView';
 import { GetBeastModesView } from '@/components/views/GetBeastModesView';
@@ -16,13 +22,18 @@ import { GetDatasetsView } from '@/components/views/GetDatasetsView';
 import { GetPagesView } from '@/components/views/GetPagesView';
 import { GetViewInputsView } from '@/components/views/GetViewInputsView';
 import { GetWorkspacesView } from '@/components/views/GetWorkspacesView';
+import { ImportPageBundleView } from '@/components/views/ImportPageBundleView';
 import { InspectDataflowView } from '@/components/views/InspectDataflowView';
+import { InstanceManagerView } from '@/components/views/InstanceManagerView';
 import { LinkPreview } from '@/components/views/LinkPreview';
 import { ManageTagsView } from '@/components/views/ManageTagsView';
 import { MigrateDownstreamContentView } from '@/components/views/MigrateDownstreamContentView';
 import { ObjectDetailsView } from '@/components/views/ObjectDetailsView';
 import { OwnershipView } from '@/components/views/OwnershipView';
+import { ProvisionUsersView } from '@/components/views/ProvisionUsersView';
+import { RecycleBinView } from '@/components/views/RecycleBinView';
 import { RemapColumnsView } from '@/components/views/RemapColumnsView';
+import { SchemaDriftView } from '@/components/views/SchemaDriftView';
 import { SwitchAccountView } from '@/components/views/SwitchAccountView';
 import { UpdateCodeEngineVersionsView } from '@/components/views/UpdateCodeEngineVersionsView';
 import { UpdateDetailsView } from '@/components/views/UpdateDetailsView';
@@ -370,6 +381,27 @@ export default function App() {
           />
         )}
 
+        {slot.type === 'compareUsers' && (
+          <CompareUsersView
+            instance={instance}
+            isActive={isActive}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'filterPresets' && (
+          <FilterPresetsView
+            instance={instance}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
         {slot.type === 'duplicate' && (
           <DuplicateView
             instance={instance}
@@ -414,6 +446,47 @@ export default function App() {
           />
         )}
 
+        {slot.type === 'codeEngineTest' && (
+          <CodeEngineTestView
+            instance={instance}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'codeEngineVersionDiff' && (
+          <CodeEngineVersionDiffView
+            instance={instance}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'codeEngineWorkflowImpact' && (
+          <CodeEngineWorkflowImpactView
+            instance={instance}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'appDbDocuments' && (
+          <AppDbDocumentsView
+            instance={instance}
+            isActive={isActive}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
         {slot.type === 'generateSchema' && (
           <GenerateSchemaView
             instance={instance}
@@ -425,6 +498,16 @@ export default function App() {
           />
         )}
 
+        {slot.type === 'schemaDrift' && (
+          <SchemaDriftView
+            instance={instance}
+            key={slot.viewKey}
+            liveContext={currentContext}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
         {slot.type === 'updateDetails' && (
           <UpdateDetailsView
             instance={instance}
@@ -501,6 +584,42 @@ export default function App() {
           />
         )}
 
+        {slot.type === 'importPageBundle' && (
+          <ImportPageBundleView
+            instance={instance}
+            key={slot.viewKey}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'manageInstances' && (
+          <InstanceManagerView
+            instance={instance}
+            key={slot.viewKey}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'provisionUsers' && (
+          <ProvisionUsersView
+            instance={instance}
+            key={slot.viewKey}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
+        {slot.type === 'recycleBin' && (
+          <RecycleBinView
+            instance={instance}
+            key={slot.viewKey}
+            onBackToDefault={backToDefault}
+            onStatusUpdate={showStatus}
+          />
+        )}
+
         {slot.type === 'switchAccount' && (
           <SwitchAccountView
             instance={instance}
@@ -0,0 +1,312 @@
+import { getActivityLogForObject } from '@/activityLog/services/activityLog';
+
+/**
+ * Activity log watches: a saved audit query that the background service
+ * worker re-polls on a `chrome.alarms` interval, counting new matching events
+ * and badging the extension icon until someone looks at them. ActivityLogTable
+ * starts, stops and acknowledges watches, which messages background.js to make
+ * the change; background.js owns the alarm listener and calls
+ * `pollActivityLogWatch`, and re-renders the badge whenever the stored watches
+ * change.
+ *
+ * A watch stores the query up front, since polls run with no page open:
+ *   { id, instance, label, logType, objects: [{ type, id, name }],
+ *     filters: { actions, objectTypes, users: [{ id, displayName }], userMode },
+ *     intervalMinutes, createdAt, checkedAt, newCount, recent, seenKeys,
+ *     lastError }
+ * `recent` keeps the newest matching events for the watch list; `seenKeys`
+ * remembers events in the overlap window so they aren't counted twice.
+ */
+
+export const ACTIVITY_LOG_WATCHES_KEY = 'activityLogWatches';
+
+export const WATCH_INTERVAL_OPTIONS = [5, 15, 30, 60];
+
+const ALARM_PREFIX = 'activityLogWatch:';
+
+// Audit events can show up a little after they happen, so each poll reaches
+// back this far past the previous check and skips events it already counted.
+const OVERLAP_MS = 5 * 60 * 1000;
+
+// Events fetched per audit query per poll; more than this between two polls
+// is reported as this many.
+const POLL_LIMIT = 200;
+
+const MAX_RECENT = 20;
+
+// Watch changes are read-modify-write, and polls for different watches (plus
+// acknowledge/start/stop) can overlap, so each change waits for the previous
+// one instead of writing back a stale list. The chain only covers the context
+// it runs in, which is why every write is made by the service worker: the
+// sidepanel sends its changes there rather than writing storage itself.
+let watchesQueue = Promise.resolve();
+
+/**
+ * Clear a watch's new-event count and its recent events (e.g. after the
+ * table has been refreshed to show them).
+ * @param {string} watchId
+ * @returns {Promise<void>}
+ */
+export async function acknowledgeActivityLogWatch(watchId) {
+  await sendWatchMessage({ type: 'ACKNOWLEDGE_ACTIVITY_LOG_WATCH', watchId });
+}
+
+/**
+ * Watch id for an alarm name, or null when the alarm isn't an activity log watch.
+ * @param {string} alarmName
+ * @returns {string|null}
+ */
+export function activityLogWatchIdFromAlarm(alarmName) {
+  return alarmName?.startsWith(ALARM_PREFIX) ? alarmName.slice(ALARM_PREFIX.length) : null;
+}
+
+/**
+ * Total unacknowledged events across every watch, for the icon badge.
+ * @returns {Promise<number>}
+ */
+export async function getActivityLogWatchBadgeCount() {
+  const watches = await readWatches();
+  return watches.reduce((sum, watch) => sum + (watch.newCount || 0), 0);
+}
+
+/**
+ * Watches on one instance, newest first.
+ * @param {string} instance
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getActivityLogWatches(instance) {
+  const watches = await readWatches();
+  return watches.filter((watch) => watch.instance === instance).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Make a watch change sent by `acknowledgeActivityLogWatch`,
+ * `startActivityLogWatch` or `stopActivityLogWatch`. Called by background.js.
+ * @param {{ params?: Object, type: string, watchId?: string }} message
+ * @returns {Promise<Object|undefined>} The stored watch, for a start
+ */
+export async function handleActivityLogWatchMessage(message) {
+  switch (message.type) {
+    case 'ACKNOWLEDGE_ACTIVITY_LOG_WATCH':
+      return updateWatch(message.watchId, { newCount: 0, recent: [] });
+    case 'START_ACTIVITY_LOG_WATCH':
+      return createWatch(message.params);
+    case 'STOP_ACTIVITY_LOG_WATCH':
+      return removeWatch(message.watchId);
+    default:
+      throw new Error(`Unknown activity log watch message: ${message.type}`);
+  }
+}
+
+/**
+ * Poll one watch for events since its last check. Reuses an open tab on the
+ * watch's instance for credentials; with none open the poll is skipped and
+ * noted on the watch rather than opening a tab every few minutes. Never
+ * throws.
+ * @param {string} watchId
+ * @returns {Promise<void>}
+ */
+export async function pollActivityLogWatch(watchId) {
+  const watch = (await readWatches()).find((w) => w.id === watchId);
+  if (!watch) return;
+
+  const [tab] = await chrome.tabs.query({ url: `https://${watch.instance}.domo.com/*` });
+  if (!tab) {
+    await updateWatch(watchId, { lastError: `No open ${watch.instance}.domo.com tab to poll through` });
+    return;
+  }
+
+  const now = Date.now();
+  try {
+    const events = [];
+    for (const task of buildWatchTasks(watch)) {
+      const result = await getActivityLogForObject({
+        end: now,
+        eventType: task.eventType,
+        limit: POLL_LIMIT,
+        objectId: task.objectId,
+        objectType: task.objectType,
+        start: watch.checkedAt - OVERLAP_MS,
+        tabId: tab.id,
+        user: task.user
+      });
+      events.push(...(result?.events ?? []));
+    }
+
+    const seen = new Set(watch.seenKeys);
+    const fresh = [];
+    for (const event of events) {
+      const key = eventKey(event);
+      if (seen.has(key) || !matchesWatch(event, watch.filters)) continue;
+      seen.add(key);
+      fresh.push(event);
+    }
+    fresh.sort((a, b) => new Date(b.time) - new Date(a.time));
+
+    // Only keys still inside the next poll's overlap window are worth keeping.
+    const nextWindowStart = now - OVERLAP_MS;
+    const seenKeys = [...seen].filter((key) => keyTime(key) >= nextWindowStart);
+
+    await updateWatch(watchId, (current) => ({
+      checkedAt: now,
+      lastError: null,
+      newCount: current.newCount + fresh.length,
+      recent: [...fresh.map(toRecentEvent), ...current.recent].slice(0, MAX_RECENT),
+      seenKeys
+    }));
+  } catch (error) {
+    console.error('[ActivityLogWatches] Poll failed:', error);
+    await updateWatch(watchId, { lastError: error.message || 'Poll failed' });
+  }
+}
+
+/**
+ * Re-create the repeating alarm for every watch. Called when the service
+ * worker starts, since alarms aren't guaranteed to survive a browser restart.
+ * @returns {Promise<void>}
+ */
+export async function restoreActivityLogWatchAlarms() {
+  const watches = await readWatches();
+  for (const watch of watches) {
+    const existing = await chrome.alarms.get(`${ALARM_PREFIX}${watch.id}`);
+    if (!existing) {
+      await chrome.alarms.create(`${ALARM_PREFIX}${watch.id}`, { periodInMinutes: watch.intervalMinutes });
+    }
+  }
+}
+
+/**
+ * Save a watch and start its alarm. Only events after now count as new.
+ * @param {Object} params
+ * @param {{ actions: string[], objectTypes: string[], userMode: 'exclude'|'include', users: Array<{ displayName: string, id: string }> }} params.filters - Same shape as a filter preset
+ * @param {string} params.instance
+ * @param {number} params.intervalMinutes - One of WATCH_INTERVAL_OPTIONS
+ * @param {string} params.label - Shown in the watch list
+ * @param {string|null} [params.logType] - ActivityLogTable's `activityLogType`, to reopen the same log
+ * @param {Array<{ id: string, name?: string, type: string }>} params.objects - Objects the activity log covers
+ * @returns {Promise<Object>} The stored watch
+ */
+export async function startActivityLogWatch(params) {
+  return sendWatchMessage({ params, type: 'START_ACTIVITY_LOG_WATCH' });
+}
+
+/**
+ * Remove a watch and its alarm.
+ * @param {string} watchId
+ * @returns {Promise<void>}
+ */
+export async function stopActivityLogWatch(watchId) {
+  await sendWatchMessage({ type: 'STOP_ACTIVITY_LOG_WATCH', watchId });
+}
+
+/**
+ * One audit query per object × action × user, the same fan-out the table
+ * uses. Excluded users can't be negated server-side, so exclude mode queries
+ * every user and drops them in `matchesWatch`.
+ */
+function buildWatchTasks({ filters, objects }) {
+  const actions = filters.actions.length > 0 ? filters.actions : [undefined];
+  const users =
+    filters.userMode === 'include' && filters.users.length > 0 ? filters.users.map((user) => user.id) : [undefined];
+  return objects.flatMap((obj) =>
+    actions.flatMap((eventType) => users.map((user) => ({ eventType, objectId: obj.id, objectType: obj.type, user })))
+  );
+}
+
+async function createWatch({ filters, instance, intervalMinutes, label, logType = null, objects }) {
+  if (!objects?.length) {
+    throw new Error('Nothing to watch: the activity log has no objects');
+  }
+  const now = Date.now();
+  const watch = {
+    checkedAt: now,
+    createdAt: now,
+    filters: {
+      actions: filters.actions ?? [],
+      objectTypes: filters.objectTypes ?? [],
+      userMode: filters.userMode ?? 'include',
+      users: (filters.users ?? []).map(({ displayName, id }) => ({ displayName: displayName ?? null, id: String(id) }))
+    },
+    id: crypto.randomUUID(),
+    instance,
+    intervalMinutes,
+    label,
+    lastError: null,
+    logType,
+    newCount: 0,
+    objects: objects.map(({ id, name, type }) => ({ id, name: name ?? null, type })),
+    recent: [],
+    seenKeys: []
+  };
+  await updateWatches((watches) => [...watches, watch]);
+  await chrome.alarms.create(`${ALARM_PREFIX}${watch.id}`, {
+    delayInMinutes: intervalMinutes,
+    periodInMinutes: intervalMinutes
+  });
+  return watch;
+}
+
+// Keys start with the event time so stale ones can be pruned without parsing
+// the rest.
+function eventKey(event) {
+  return `${new Date(event.time).getTime()}|${event.userId}|${event.actionType}|${event.objectType}:${event.objectId}`;
+}
+
+function keyTime(key) {
+  return Number(key.split('|')[0]);
+}
+
+function matchesWatch(event, { objectTypes, userMode, users }) {
+  if (userMode === 'exclude' && users.some((user) => user.id === String(event.userId))) return false;
+  if (objectTypes.length > 0 && !objectTypes.includes(event.objectType)) return false;
+  return true;
+}
+
+async function readWatches() {
+  const stored = await chrome.storage.local.get([ACTIVITY_LOG_WATCHES_KEY]);
+  return Array.isArray(stored?.[ACTIVITY_LOG_WATCHES_KEY]) ? stored[ACTIVITY_LOG_WATCHES_KEY] : [];
+}
+
+async function removeWatch(watchId) {
+  await chrome.alarms.clear(`${ALARM_PREFIX}${watchId}`);
+  await updateWatches((watches) => watches.filter((watch) => watch.id !== watchId));
+}
+
+// Watch writes are made by the service worker only (see `watchesQueue`).
+async function sendWatchMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from the extension background');
+  }
+  return response.result;
+}
+
+function toRecentEvent(event) {
+  return {
+    actionType: event.actionType ?? null,
+    objectName: event.objectName ?? null,
+    objectType: event.objectType ?? null,
+    time: event.time,
+    userName: event.userName ?? null
+  };
+}
+
+// `changes` is an object or a function of the current watch, so counters can
+// be bumped against the latest stored value.
+async function updateWatch(watchId, changes) {
+  await updateWatches((watches) =>
+    watches.map((watch) =>
+      watch.id === watchId ? { ...watch, ...(typeof changes === 'function' ? changes(watch) : changes) } : watch
+    )
+  );
+}
+
+function updateWatches(update) {
+  const run = watchesQueue.then(async () => writeWatches(update(await readWatches())));
+  watchesQueue = run.catch(() => {});
+  return run;
+}
+
+async function writeWatches(watches) {
+  await chrome.storage.local.set({ [ACTIVITY_LOG_WATCHES_KEY]: watches });
+}
@@ -0,0 +1,156 @@
+/**
+ * AppDB collection schema helpers shared by Generate Schema (infer columns
+ * from documents) and the schema drift check (compare the saved columns
+ * against documents). Both classify a value the same way, so a column that
+ * Generate Schema would infer as LONG is also what the drift check expects
+ * LONG columns to hold.
+ */
+
+export const APPDB_COLUMN_TYPES = ['STRING', 'LONG', 'DOUBLE', 'DECIMAL', 'DATE', 'DATETIME'];
+
+const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Value kinds (see describeValue) each column type syncs without losing data.
+const ACCEPTED_KINDS = {
+  DATE: ['date string', 'datetime string'],
+  DATETIME: ['date string', 'datetime string'],
+  DECIMAL: ['integer', 'decimal'],
+  DOUBLE: ['integer', 'decimal'],
+  LONG: ['integer'],
+  STRING: ['string', 'date string', 'datetime string', 'integer', 'decimal', 'boolean']
+};
+
+// Document IDs kept per finding, enough to open a few and see the problem.
+const EXAMPLE_LIMIT = 3;
+
+/**
+ * The column type a single value would be inferred as.
+ * @param {*} value
+ * @returns {string} One of APPDB_COLUMN_TYPES
+ */
+export function classifyValue(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Number.isInteger(value) ? 'LONG' : 'DOUBLE';
+  }
+  if (typeof value === 'string') {
+    if (ISO_DATETIME_RE.test(value)) return 'DATETIME';
+    if (ISO_DATE_RE.test(value)) return 'DATE';
+  }
+  return 'STRING';
+}
+
+/**
+ * Compare a collection's saved schema against a sample of its documents.
+ * Null and missing values are not type conflicts; a column is only reported
+ * as disappeared when no sampled document has the key at all.
+ * @param {Object} params
+ * @param {Array<{name: string, type: string}>} params.columns - The saved schema columns
+ * @param {Array<Object>} params.documents - Full document objects (`id`, `content`)
+ * @returns {{
+ *   appeared: Array<{count: number, examples: string[], name: string, type: string}>,
+ *   disappeared: Array<{name: string, type: string}>,
+ *   sampleSize: number,
+ *   typeConflicts: Array<{count: number, kinds: Array<{count: number, examples: string[], kind: string}>, name: string, type: string}>
+ * }}
+ */
+export function detectSchemaDrift({ columns, documents }) {
+  const columnsByName = new Map(columns.map((column) => [column.name, column]));
+  const seenKeys = new Set();
+  const appeared = new Map();
+  const conflicts = new Map();
+
+  for (const doc of documents) {
+    const content = doc?.content;
+    if (!content || typeof content !== 'object') continue;
+    for (const [key, value] of Object.entries(content)) {
+      seenKeys.add(key);
+      const column = columnsByName.get(key);
+
+      if (!column) {
+        const finding = appeared.get(key) || { count: 0, examples: [], name: key, values: [] };
+        addExample(finding, doc.id);
+        if (value !== null && value !== undefined) finding.values.push(value);
+        appeared.set(key, finding);
+        continue;
+      }
+
+      const accepted = ACCEPTED_KINDS[column.type];
+      if (!accepted || value === null || value === undefined) continue;
+      const kind = describeValue(value);
+      if (accepted.includes(kind)) continue;
+
+      const finding = conflicts.get(key) || { count: 0, kinds: new Map(), name: key, type: column.type };
+      finding.count++;
+      const kindFinding = finding.kinds.get(kind) || { count: 0, examples: [], kind };
+      addExample(kindFinding, doc.id);
+      finding.kinds.set(kind, kindFinding);
+      conflicts.set(key, finding);
+    }
+  }
+
+  return {
+    appeared: [...appeared.values()]
+      .map(({ values, ...finding }) => ({ ...finding, type: inferType(values) }))
+      .sort((a, b) => b.count - a.count),
+    disappeared: columns.filter((column) => !seenKeys.has(column.name)),
+    sampleSize: documents.length,
+    typeConflicts: [...conflicts.values()]
+      .map((finding) => ({ ...finding, kinds: [...finding.kinds.values()].sort((a, b) => b.count - a.count) }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Infer schema columns from documents, in the order keys first appear.
+ * @param {Array<Object>} documents - Full document objects (`content` is read)
+ * @returns {Array<{name: string, type: string}>}
+ */
+export function inferColumnsFromDocuments(documents) {
+  const orderedKeys = [];
+  const seen = new Set();
+  const valuesByKey = new Map();
+
+  for (const doc of documents) {
+    const content = doc?.content;
+    if (!content || typeof content !== 'object') continue;
+    for (const [key, value] of Object.entries(content)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        orderedKeys.push(key);
+        valuesByKey.set(key, []);
+      }
+      if (value !== null && value !== undefined) {
+        valuesByKey.get(key).push(value);
+      }
+    }
+  }
+
+  return orderedKeys.map((key) => ({ name: key, type: inferType(valuesByKey.get(key) || []) }));
+}
+
+function addExample(finding, documentId) {
+  finding.count++;
+  if (documentId && finding.examples.length < EXAMPLE_LIMIT) finding.examples.push(documentId);
+}
+
+// A finer split than classifyValue, so a conflict can say what was found
+// (a boolean, an object) rather than just "not a LONG".
+function describeValue(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return classifyValue(value) === 'LONG' ? 'integer' : 'decimal';
+  const type = classifyValue(value);
+  if (type === 'DATETIME') return 'datetime string';
+  if (type === 'DATE') return 'date string';
+  return 'string';
+}
+
+function inferType(samples) {
+  if (samples.length === 0) return 'STRING';
+  const buckets = new Set(samples.map(classifyValue));
+  if (buckets.size === 1) return [...buckets][0];
+  if (buckets.size === 2 && buckets.has('LONG') && buckets.has('DOUBLE')) return 'DOUBLE';
+  return 'STRING';
+}
@@ -88,6 +88,16 @@ export function getAvailableActions(currentContext) {
     actions.add('copyFilteredUrl');
   }
 
+  // Sidepanel routing key for FilterPresetsView, opened from the Copy Filters
+  // long-press menu. Not consumed by any button.
+  if (['DATA_APP_VIEW', 'PAGE'].includes(typeId)) {
+    actions.add('filterPresets');
+  }
+
+  if (typeId === 'PAGE') {
+    actions.add('pageBundle');
+  }
+
   if (typeId === 'DATAFLOW_TYPE') {
     actions.add('inspectDataflow');
     if (metadata?.permission?.mask & 2) {
@@ -136,11 +146,17 @@ export function getAvailableActions(currentContext) {
     actions.add('export');
   }
 
+  if (['CODEENGINE_PACKAGE', 'CODEENGINE_PACKAGE_VERSION'].includes(typeId) && !metadata?.context?.workflowModelId) {
+    actions.add('codeEngineVersionDiff');
+    actions.add('codeEngineWorkflowImpact');
+  }
+
   if (
     ['CODEENGINE_PACKAGE', 'CODEENGINE_PACKAGE_VERSION'].includes(typeId) &&
     !metadata?.context?.workflowModelId &&
     (metadata?.details?.language || metadata?.parent?.details?.language || 'JAVASCRIPT').toUpperCase() !== 'PYTHON'
   ) {
+    actions.add('codeEngineTest');
     actions.add('generate');
     // Routing key for the Generate Definition from JSDoc view's reload action
     // (not consumed by any button — the button uses `generate`).
@@ -148,9 +164,11 @@ export function getAvailableActions(currentContext) {
   }
 
   if (typeId === 'MAGNUM_COLLECTION') {
+    actions.add('appDbDocuments');
     actions.add('generate');
     // Routing key for the Generate Schema view's reload action.
     actions.add('generateSchema');
+    actions.add('schemaDrift');
     actions.add('updateDetails');
     if (details?.syncEnabled === true) {
       actions.add('sync');
@@ -161,10 +179,15 @@ export function getAvailableActions(currentContext) {
     actions.add('removeEmptyStrings');
   }
 
+  if (['GROUP', 'PAGE', 'WORKFLOW_MODEL'].includes(typeId) || (typeId === 'CARD' && details?.type === 'kpi')) {
+    actions.add('duplicate');
+  }
+
   if (typeId === 'USER') {
     actions.add('transferOwnership');
     actions.add('getOwnedObjects');
     actions.add('duplicate');
+    actions.add('compareUsers');
     if (userRights.includes('user.edit')) {
       actions.add('updateDetails');
     }
@@ -178,15 +201,28 @@ export function getAvailableActions(currentContext) {
     actions.add('directSignOn');
   }
 
+  if (currentContext?.isDomoPage) {
+    actions.add('manageInstances');
+    actions.add('recycleBin');
+  }
+
+  if (currentContext?.isDomoPage && userRights.includes('user.edit')) {
+    actions.add('provisionUsers');
+  }
+
   // Routing key for the Delete view's reload action (not consumed by any button;
   // the Delete control lives outside getAvailableActions). Mirrors the object
   // types DeleteObjectView's `deletersByType` knows how to delete.
   if (
     [
+      'ALERT',
       'APP',
       'BEAST_MODE_FORMULA',
+      'CARD',
       'DATA_APP_VIEW',
+      'DATA_SOURCE',
       'DATAFLOW_TYPE',
+      'GROUP',
       'MAGNUM_COLLECTION',
       'PAGE',
       'REPORT_SCHEDULE',
@@ -1,5 +1,5 @@
 import { getCodeEnginePackageVersion } from '@/services/codeEngine';
-import { computeStructuralDiff } from '@/utils/jsdocToPackage/mergeManifest';
+import { computeStructuralDiff, diffFunctions } from '@/utils/jsdocToPackage/mergeManifest';
 
 /**
  * Compare a function's input/output contract between two Code Engine versions
@@ -48,6 +48,49 @@ export function classifyContractChanges(oldFn, newFn) {
   return { functionDeleted: false, hasChanges, inputs, outputs };
 }
 
+/**
+ * Compare the function manifests of two package versions. Functions are
+ * matched by `name`; a function in both versions is `changed` when its
+ * contract (see {@link classifyContractChanges}) or any of its descriptive
+ * fields (display name, description, privacy, whether it returns) differ.
+ *
+ * @param {Object[]} oldFunctions - The `functions` of the older version.
+ * @param {Object[]} newFunctions - The `functions` of the newer version.
+ * @returns {{
+ *   added: Object[],
+ *   changed: Array<{contract: Object, fields: string[], name: string, new: Object, old: Object}>,
+ *   removed: Object[],
+ *   unchanged: number
+ * }} `fields` lists the descriptive fields that changed.
+ */
+export function comparePackageFunctions(oldFunctions, newFunctions) {
+  const oldList = Array.isArray(oldFunctions) ? oldFunctions : [];
+  const newList = Array.isArray(newFunctions) ? newFunctions : [];
+  const oldByName = new Map(oldList.map((fn) => [fn.name, fn]));
+  const newNames = new Set(newList.map((fn) => fn.name));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const fn of newList) {
+    const prev = oldByName.get(fn.name);
+    if (!prev) {
+      added.push(fn);
+      continue;
+    }
+    const contract = classifyContractChanges(prev, fn);
+    const fields = diffFunctions(fn, prev).filter((field) => field !== 'inputs' && field !== 'output');
+    if (contract.hasChanges || fields.length > 0) {
+      changed.push({ contract, fields, name: fn.name, new: fn, old: prev });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { added, changed, removed: oldList.filter((fn) => !newNames.has(fn.name)), unchanged };
+}
+
 /**
  * Fetch a single function's manifest for a specific package version, caching the
  * version's full `functions` array so repeated lookups (and the common case
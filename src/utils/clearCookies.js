@@ -5,10 +5,17 @@ import { executeInPage } from './executeInPage.js';
  * @param {boolean} excludeDomains - If true, clears cookies for all domains EXCEPT the specified domains
  * @param {number} tabId - The ID of the tab (used to get DA-SID for include mode)
  * @param {string[]} daSidsToPreserve - Array of DA-SID cookie names to preserve (used in exclude mode)
+ * @param {string[]} daSidsToClear - Array of DA-SID cookie names to also clear (used in include mode, when no tab is open to read one from)
  * @returns {Promise<any>} - The result from the executed function
  */
 
-export async function clearCookies({ daSidsToPreserve = [], domains = null, excludeDomains = false, tabId = null }) {
+export async function clearCookies({
+  daSidsToClear = [],
+  daSidsToPreserve = [],
+  domains = null,
+  excludeDomains = false,
+  tabId = null
+}) {
   try {
     // Get all cookies for domo.com and subdomains (doesn't get other domains because of host permissions)
     const domoCookies = await chrome.cookies.getAll({});
@@ -64,8 +71,8 @@ export async function clearCookies({ daSidsToPreserve = [], domains = null, excl
           }
         }
       } else {
-        // Include mode - clear cookies that match any domain (or the current DA-SID)
-        shouldClear = matchesDomains || cookie.name === currentDaSid;
+        // Include mode - clear cookies that match any domain (or the current/listed DA-SIDs)
+        shouldClear = matchesDomains || cookie.name === currentDaSid || daSidsToClear.includes(cookie.name);
       }
 
       if (shouldClear) {
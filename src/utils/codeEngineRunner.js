@@ -0,0 +1,67 @@
+/**
+ * Run a Code Engine function in the sandboxed runner page
+ * (src/codeEngineRunner). The page is embedded once as a hidden iframe and
+ * reused; every run gets its own worker inside it.
+ */
+
+const RUNNER_PATH = 'src/codeEngineRunner/index.html';
+
+export const DEFAULT_RUN_TIMEOUT_MS = 10000;
+
+const pending = new Map();
+let framePromise = null;
+
+/**
+ * Run one function with the given arguments and SDK fixtures.
+ * @param {Object} params
+ * @param {Array} params.args - Positional arguments, in manifest input order
+ * @param {string} params.code - Package source
+ * @param {Array<Object>} params.fixtures - SDK fixtures (see codeEngineTestHarness)
+ * @param {string} params.functionName
+ * @param {number} [params.timeoutMs]
+ * @returns {Promise<{
+ *   calls: Array<{args: Array, matched: boolean, name: string, signature: string}>,
+ *   durationMs: number,
+ *   error: {message: string, stack?: string|null}|null,
+ *   logs: Array<{level: string, text: string}>,
+ *   status: 'error'|'success'|'timeout',
+ *   value: *
+ * }>}
+ */
+export async function runCodeEngineFunction({ args, code, fixtures, functionName, timeoutMs = DEFAULT_RUN_TIMEOUT_MS }) {
+  const frame = await getRunnerFrame();
+  const id = crypto.randomUUID();
+  return new Promise((resolve, reject) => {
+    // The runner enforces timeoutMs itself; this only catches the page not
+    // answering at all.
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error('The test runner did not respond'));
+    }, timeoutMs + 5000);
+    pending.set(id, (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    // A sandboxed page has an opaque origin, so there is no origin to target.
+    frame.contentWindow.postMessage({ id, payload: { args, code, fixtures, functionName }, timeoutMs }, '*');
+  });
+}
+
+function getRunnerFrame() {
+  if (!framePromise) {
+    framePromise = new Promise((resolve) => {
+      const frame = document.createElement('iframe');
+      frame.hidden = true;
+      frame.src = chrome.runtime.getURL(RUNNER_PATH);
+      frame.addEventListener('load', () => resolve(frame), { once: true });
+      window.addEventListener('message', (event) => {
+        if (event.source !== frame.contentWindow) return;
+        const { id, result } = event.data ?? {};
+        pending.get(id)?.(result);
+        pending.delete(id);
+      });
+      document.body.appendChild(frame);
+    });
+  }
+  return framePromise;
+}
@@ -0,0 +1,234 @@
+/**
+ * Helpers for the Code Engine test panel: turning form text into function
+ * arguments, checking a returned value against the manifest's declared output,
+ * and the SDK fixtures a test run answers `codeengine.*` calls from.
+ *
+ * A fixture is `{ call, response }` (or `{ call, error }` to make the call
+ * throw), where `call` is the signature {@link describeSdkCall} gives the call,
+ * e.g. `sendRequest GET /api/content/v2/users/27`. Fixtures are kept in
+ * `chrome.storage.local` per instance and package.
+ */
+
+const STORAGE_KEY = 'codeEngineTestFixtures';
+
+// Validation stops collecting after this many problems; past a handful the
+// first few explain the rest.
+const MAX_ISSUES = 20;
+
+// Manifest types whose values are Domo object IDs. Numbers and strings are
+// both seen in practice, and some SDK helpers hand back the whole object.
+const ID_TYPES = new Set(['ACCOUNT', 'dataset', 'DIRECTORY', 'FILE', 'group', 'person', 'queue']);
+
+/**
+ * The text a new form field starts with for a manifest input.
+ * @param {Object} entry - Manifest input entry
+ * @returns {string}
+ */
+export function defaultInputText(entry) {
+  if (entry?.isList) return '[]';
+  if (entry?.type === 'object') return '{}';
+  if (entry?.type === 'boolean') return 'false';
+  return '';
+}
+
+/**
+ * The signature a recorded SDK call and its fixture share. Requests are keyed
+ * by method and URL (the body is ignored, so one fixture answers every POST to
+ * an endpoint); any other SDK function by its name and JSON arguments.
+ * @param {{args: Array, name: string}} call
+ * @returns {string}
+ */
+export function describeSdkCall({ args = [], name }) {
+  if (name === 'sendRequest') {
+    return `sendRequest ${String(args[0] ?? 'GET').toUpperCase()} ${args[1] ?? ''}`.trim();
+  }
+  return `${name}(${args.map((arg) => JSON.stringify(arg)).join(', ')})`;
+}
+
+/**
+ * The fixture answering an SDK call, if any.
+ * @param {Array<Object>} fixtures
+ * @param {{args: Array, name: string}} call
+ * @returns {Object|null}
+ */
+export function findFixture(fixtures, call) {
+  const signature = describeSdkCall(call);
+  return (fixtures ?? []).find((fixture) => fixture?.call === signature) ?? null;
+}
+
+/**
+ * Fixtures saved for a package.
+ * @param {string} instance
+ * @param {string} packageId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getTestFixtures(instance, packageId) {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  const fixtures = stored?.[STORAGE_KEY]?.[fixtureScope(instance, packageId)];
+  return Array.isArray(fixtures) ? fixtures : [];
+}
+
+/**
+ * Validate the fixtures editor's text. Throws with a readable message.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseFixturesText(text) {
+  let data;
+  try {
+    data = JSON.parse(text.trim() || '[]');
+  } catch (error) {
+    throw new Error(`Fixtures are not valid JSON: ${error.message}`, { cause: error });
+  }
+  if (!Array.isArray(data)) throw new Error('Fixtures must be a JSON array');
+  data.forEach((fixture, i) => {
+    if (typeof fixture?.call !== 'string' || !fixture.call.trim()) {
+      throw new Error(`Fixture ${i + 1} needs a "call" signature`);
+    }
+    if (!('response' in fixture) && !('error' in fixture)) {
+      throw new Error(`Fixture ${i + 1} needs a "response" or an "error"`);
+    }
+  });
+  return data;
+}
+
+/**
+ * Turn a form field's text into the argument the function receives. Lists and
+ * objects are written as JSON; an empty field passes `null`, as Code Engine
+ * does for an input left unset.
+ * @param {Object} entry - Manifest input entry
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseInputValue(entry, text) {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return null;
+
+  let value;
+  if (entry.isList || entry.type === 'object') {
+    try {
+      value = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`${entry.name} is not valid JSON: ${error.message}`, { cause: error });
+    }
+  } else if (entry.type === 'number' || entry.type === 'decimal') {
+    value = Number(trimmed);
+  } else if (entry.type === 'boolean') {
+    value = trimmed === 'true';
+  } else if (ID_TYPES.has(entry.type) && /^\d+$/.test(trimmed)) {
+    value = Number(trimmed);
+  } else {
+    value = text;
+  }
+
+  const issues = [];
+  checkValue(entry, value, entry.name, issues);
+  if (issues.length > 0) throw new Error(`${issues[0].path} ${issues[0].message}`);
+  return value;
+}
+
+/**
+ * Save a package's fixtures, replacing what was there.
+ * @param {string} instance
+ * @param {string} packageId
+ * @param {Array<Object>} fixtures
+ * @returns {Promise<void>}
+ */
+export async function saveTestFixtures(instance, packageId, fixtures) {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  const all = { ...stored?.[STORAGE_KEY] };
+  if (fixtures.length > 0) {
+    all[fixtureScope(instance, packageId)] = fixtures;
+  } else {
+    delete all[fixtureScope(instance, packageId)];
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY]: all });
+}
+
+/**
+ * Check a function's returned value against its declared output. Nested
+ * object properties are checked when the manifest describes them.
+ * @param {Object} fn - Manifest function (`output`, `hasReturn`)
+ * @param {*} value
+ * @returns {Array<{message: string, path: string}>} Empty when the value fits
+ */
+export function validateOutputValue(fn, value) {
+  const issues = [];
+  if (!fn?.output) {
+    if (value !== undefined && value !== null) {
+      issues.push({ message: 'was returned, but the function declares no @returns', path: 'Value' });
+    }
+    return issues;
+  }
+  checkValue(fn.output, value, fn.output.name || 'result', issues);
+  return issues;
+}
+
+function checkValue(entry, value, path, issues) {
+  if (issues.length >= MAX_ISSUES) return;
+
+  if (value === null || value === undefined) {
+    if (entry.nullable === false) issues.push({ message: `is ${value} but is not nullable`, path });
+    return;
+  }
+
+  if (entry.isList) {
+    if (!Array.isArray(value)) {
+      issues.push({ message: `should be a list of ${entry.type}, got ${kindOf(value)}`, path });
+      return;
+    }
+    value.forEach((item, i) => checkValue({ ...entry, isList: false, nullable: true }, item, `${path}[${i}]`, issues));
+    return;
+  }
+
+  const expected = expectedKind(entry.type);
+  if (expected && !expected.test(value)) {
+    issues.push({ message: `should be ${expected.label}, got ${kindOf(value)}`, path });
+    return;
+  }
+
+  if (entry.type === 'object' && Array.isArray(entry.children)) {
+    for (const child of entry.children) {
+      checkValue(child, value[child.name], `${path}.${child.name}`, issues);
+    }
+  }
+}
+
+function expectedKind(type) {
+  switch (type) {
+    case 'boolean':
+      return { label: 'a boolean', test: (v) => typeof v === 'boolean' };
+    case 'date':
+    case 'dateTime':
+      return {
+        label: 'a date string',
+        test: (v) => v instanceof Date || (typeof v === 'string' && !Number.isNaN(Date.parse(v)))
+      };
+    case 'decimal':
+    case 'number':
+      return { label: 'a number', test: (v) => typeof v === 'number' && Number.isFinite(v) };
+    case 'duration':
+    case 'time':
+      return { label: 'a string or number', test: (v) => typeof v === 'string' || typeof v === 'number' };
+    case 'object':
+      return { label: 'an object', test: (v) => typeof v === 'object' && !Array.isArray(v) };
+    case 'text':
+      return { label: 'a string', test: (v) => typeof v === 'string' };
+    default:
+      return ID_TYPES.has(type)
+        ? { label: 'an ID', test: (v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'object' }
+        : null;
+  }
+}
+
+function fixtureScope(instance, packageId) {
+  return `${instance}/${packageId}`;
+}
+
+function kindOf(value) {
+  if (Array.isArray(value)) return 'a list';
+  if (value instanceof Date) return 'a Date';
+  if (typeof value === 'object') return 'an object';
+  const shown = JSON.stringify(value);
+  return `${typeof value === 'number' ? 'the number' : `a ${typeof value}`} ${shown.length > 40 ? `${shown.slice(0, 37)}...` : shown}`;
+}
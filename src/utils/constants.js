@@ -71,3 +71,9 @@ export const EXPORT_FORMATS = {
     extension: 'pptx'
   }
 };
+
+// Query param a copied filtered URL carries variable control selections in.
+// Domo has no URL parameter for variables (pfilters only filter columns), so
+// the content script reads this on load and, once the user confirms, writes
+// the values back to the controls itself (see variableUrlRestore.js).
+export const VARIABLES_URL_PARAM = 'dtvariables';
@@ -4,9 +4,12 @@
  * @param {Array} data - Array of row data objects
  * @param {Array} columns - Array of visible column definitions
  * @param {string} sheetName - Name of the Excel sheet
+ * @param {Object} [xlsx] - Preloaded SheetJS module. The service worker can't
+ *   use dynamic `import()`, so it passes a statically imported copy; pages
+ *   omit it and get the lazily loaded chunk.
  * @returns {Promise<Blob>} The workbook as a Blob with the xlsx MIME type
  */
-export async function buildExcelBlob(data, columns, sheetName = 'Data') {
+export async function buildExcelBlob(data, columns, sheetName = 'Data', xlsx) {
   const exportData = transformDataForExport(data || [], columns);
   const headers = columns.map((col) => (typeof col.header === 'string' ? col.header : col.accessorKey || col.id));
 
@@ -17,7 +20,7 @@ export async function buildExcelBlob(data, columns, sheetName = 'Data') {
     wsData.push(rowValues);
   });
 
-  const XLSX = await import('xlsx');
+  const XLSX = xlsx ?? (await import('xlsx'));
 
   // Create workbook and worksheet
   const wb = XLSX.utils.book_new();
@@ -114,6 +117,23 @@ export function exportToJson(data, filename = 'export') {
   downloadBlob(blob, `${filename}.json`);
 }
 
+/**
+ * Export prebuilt text (e.g. a diagram source) to a file and trigger download
+ * @param {string} text - File content
+ * @param {string} filename - Filename without extension
+ * @param {string} extension - File extension without the dot
+ * @param {string} [mimeType] - MIME type of the content
+ */
+export function exportToText(text, filename = 'export', extension = 'txt', mimeType = 'text/plain') {
+  if (!text) {
+    console.warn('No data to export');
+    return;
+  }
+
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8;` });
+  downloadBlob(blob, `${filename}.${extension}`);
+}
+
 /**
  * Generate a filename with timestamp
  * @param {string} prefix - Filename prefix
@@ -0,0 +1,127 @@
+/**
+ * Named page filter presets, kept in `chrome.storage.local` per instance and
+ * page (or App Studio view). A preset is just the merged pfilter array that
+ * `getAllFilters` captured, so reapplying it is a navigation to the
+ * `buildPfilterUrl` URL. Presets travel between teammates as a JSON file (see
+ * `serializeFilterPresets` / `parseFilterPresetsFile`).
+ */
+
+const STORAGE_KEY = 'filterPresets';
+
+const FILE_FORMAT = 'domo-toolkit-filter-presets';
+const FILE_VERSION = 1;
+
+/**
+ * Delete a preset.
+ * @param {string} presetId
+ * @returns {Promise<void>}
+ */
+export async function deleteFilterPreset(presetId) {
+  const presets = await readPresets();
+  await chrome.storage.local.set({ [STORAGE_KEY]: presets.filter((preset) => preset.id !== presetId) });
+}
+
+/**
+ * Presets saved for one page, most recently updated first.
+ * @param {string} instance
+ * @param {number|string} objectId - Page or App Studio view ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getFilterPresets(instance, objectId) {
+  const presets = await readPresets();
+  return presets
+    .filter((preset) => preset.instance === instance && String(preset.objectId) === String(objectId))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Validate a presets file. Throws with a readable message when the file isn't
+ * one; filters that aren't valid pfilters are dropped, and a preset left with
+ * none is skipped.
+ * @param {string} text
+ * @returns {{presets: Array<{filters: Array, name: string}>, source: Object|null}}
+ */
+export function parseFilterPresetsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== FILE_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error('The file is not a filter presets export');
+  }
+  if (data.version > FILE_VERSION) {
+    throw new Error(`The file was exported by a newer version of the toolkit (format version ${data.version})`);
+  }
+  const presets = data.presets
+    .map((preset) => ({
+      filters: Array.isArray(preset?.filters) ? preset.filters.filter(isValidPfilter) : [],
+      name: String(preset?.name ?? '').trim() || 'Imported preset'
+    }))
+    .filter((preset) => preset.filters.length > 0);
+  return { presets, source: data.source ?? null };
+}
+
+/**
+ * Save a new preset for a page.
+ * @param {Object} params
+ * @param {Array} params.filters - Pfilter objects
+ * @param {string} params.instance
+ * @param {string} params.name
+ * @param {number|string} params.objectId - Page or App Studio view ID
+ * @param {string} params.typeId - 'PAGE' or 'DATA_APP_VIEW'
+ * @returns {Promise<Object>} The stored preset
+ */
+export async function saveFilterPreset({ filters, instance, name, objectId, typeId }) {
+  const now = Date.now();
+  const preset = { createdAt: now, filters, id: crypto.randomUUID(), instance, name, objectId, typeId, updatedAt: now };
+  const presets = await readPresets();
+  await chrome.storage.local.set({ [STORAGE_KEY]: [preset, ...presets] });
+  return preset;
+}
+
+/**
+ * The JSON document an export writes.
+ * @param {Array<Object>} presets
+ * @param {{instance: string, objectId: number|string, pageName?: string}} source - Where they were exported from
+ * @returns {Object}
+ */
+export function serializeFilterPresets(presets, source) {
+  return {
+    exportedAt: new Date().toISOString(),
+    format: FILE_FORMAT,
+    presets: presets.map(({ filters, name }) => ({ filters, name })),
+    source,
+    version: FILE_VERSION
+  };
+}
+
+/**
+ * Update a preset's name and/or filters.
+ * @param {string} presetId
+ * @param {{filters?: Array, name?: string}} changes
+ * @returns {Promise<void>}
+ */
+export async function updateFilterPreset(presetId, changes) {
+  const presets = await readPresets();
+  await chrome.storage.local.set({
+    [STORAGE_KEY]: presets.map((preset) =>
+      preset.id === presetId ? { ...preset, ...changes, updatedAt: Date.now() } : preset
+    )
+  });
+}
+
+function isValidPfilter(filter) {
+  return (
+    typeof filter?.column === 'string' &&
+    filter.column.length > 0 &&
+    typeof filter.operand === 'string' &&
+    Array.isArray(filter.values)
+  );
+}
+
+async function readPresets() {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(stored?.[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
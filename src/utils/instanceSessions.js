@@ -0,0 +1,242 @@
+import { clearCookies } from '@/utils/clearCookies';
+import { executeInPage } from '@/utils/executeInPage';
+
+/**
+ * Instance sessions: every Domo instance the toolkit has seen a signed-in
+ * user on, for the instance manager view. background.js records a visit each
+ * time it resolves a tab's user (and marks the instance signed out when the
+ * tab navigates to an auth page); the view adds cookie sizes and open tabs at
+ * read time, since both change without the toolkit hearing about it.
+ *
+ * A record is kept per instance subdomain:
+ *   { daSid, lastActiveAt, signedIn, user: { displayName, email, id } }
+ * `daSid` is the instance's DA-SID cookie name, which lives on the root
+ * `domo.com` domain, so it can be kept or cleared with no tab open.
+ *
+ * Pinned instances are a synced setting: the 431 auto-clear and the preserve
+ * mode of the Clear Cookies button keep their cookies on top of the two most
+ * recent instances.
+ */
+
+export const INSTANCE_SESSIONS_KEY = 'instanceSessions';
+
+export const PINNED_INSTANCES_KEY = 'pinnedInstances';
+
+// Visits come in on every navigation; an unchanged record is only written
+// again once its `lastActiveAt` is this old.
+const VISIT_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Drop an instance from the list (and its pin). It reappears on the next visit.
+ * @param {string} instance
+ * @returns {Promise<void>}
+ */
+export async function forgetInstance(instance) {
+  const sessions = await readSessions();
+  delete sessions[instance];
+  await chrome.storage.local.set({ [INSTANCE_SESSIONS_KEY]: sessions });
+  await setInstancePinned(instance, false);
+}
+
+/**
+ * Every recorded instance with its cookie footprint, open tabs and pin state,
+ * most recently active first. `totalCookieBytes` covers every Domo cookie the
+ * browser sends, which is what a 431 is measured against.
+ * @returns {Promise<{ instances: Array<Object>, totalCookieBytes: number, totalCookieCount: number }>}
+ */
+export async function getInstanceSessions() {
+  const [sessions, pinned, cookies, tabs] = await Promise.all([
+    readSessions(),
+    getPinnedInstances(),
+    chrome.cookies.getAll({ domain: 'domo.com' }),
+    chrome.tabs.query({ url: '*://*.domo.com/*' })
+  ]);
+
+  const instances = Object.entries(sessions).map(([instance, session]) => {
+    const hostname = `${instance}.domo.com`;
+    const instanceCookies = cookies.filter((cookie) => {
+      const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+      return domain === hostname || domain.endsWith(`.${hostname}`) || cookie.name === session.daSid;
+    });
+    const instanceTabs = tabs.filter((tab) => hostnameOf(tab.url) === hostname);
+    // An open tab is as good a signal of activity as a detection, and Chrome
+    // keeps it current without the toolkit running.
+    const lastTabAccess = Math.max(0, ...instanceTabs.map((tab) => tab.lastAccessed || 0));
+    return {
+      cookieBytes: instanceCookies.reduce((sum, cookie) => sum + cookieBytes(cookie), 0),
+      cookieCount: instanceCookies.length,
+      hostname,
+      instance,
+      isPinned: pinned.includes(instance),
+      lastActiveAt: Math.max(session.lastActiveAt || 0, lastTabAccess) || null,
+      signedIn: session.signedIn !== false && instanceCookies.length > 0,
+      tabIds: instanceTabs.map((tab) => tab.id),
+      user: session.user ?? null
+    };
+  });
+  instances.sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+
+  return {
+    instances,
+    totalCookieBytes: cookies.reduce((sum, cookie) => sum + cookieBytes(cookie), 0),
+    totalCookieCount: cookies.length
+  };
+}
+
+/**
+ * Pinned instance subdomains.
+ * @returns {Promise<string[]>}
+ */
+export async function getPinnedInstances() {
+  const stored = await chrome.storage.sync.get([PINNED_INSTANCES_KEY]);
+  return Array.isArray(stored?.[PINNED_INSTANCES_KEY]) ? stored[PINNED_INSTANCES_KEY] : [];
+}
+
+/**
+ * Hostnames and DA-SID cookie names of the pinned instances, in the shape
+ * clearCookies' exclude mode takes. A pinned instance with no recorded DA-SID
+ * (never visited since pinning was added) keeps its subdomain cookies only.
+ * @returns {Promise<{ daSids: string[], domains: string[] }>}
+ */
+export async function getPinnedPreservation() {
+  const [pinned, sessions] = await Promise.all([getPinnedInstances(), readSessions()]);
+  return {
+    daSids: pinned.map((instance) => sessions[instance]?.daSid).filter(Boolean),
+    domains: pinned.map((instance) => `${instance}.domo.com`)
+  };
+}
+
+/**
+ * Note that an instance has been signed out of (the tab went to an auth page),
+ * keeping the last user so the list still says who it was.
+ * @param {string} instance
+ * @returns {Promise<void>}
+ */
+export async function markInstanceSignedOut(instance) {
+  const sessions = await readSessions();
+  if (!sessions[instance] || sessions[instance].signedIn === false) return;
+  sessions[instance] = { ...sessions[instance], signedIn: false };
+  await chrome.storage.local.set({ [INSTANCE_SESSIONS_KEY]: sessions });
+}
+
+/**
+ * Bring up an instance: focus its most recently used tab, or open a new one.
+ * @param {string} instance
+ * @returns {Promise<void>}
+ */
+export async function openInstance(instance) {
+  const tabs = await chrome.tabs.query({ url: `*://${instance}.domo.com/*` });
+  if (tabs.length === 0) {
+    await chrome.tabs.create({ url: `https://${instance}.domo.com/` });
+    return;
+  }
+  const [tab] = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Record that a signed-in user was seen on an instance. The DA-SID name is
+ * read from the page once per instance, and nothing is written when the
+ * record would only move `lastActiveAt` by less than a few minutes. Never
+ * throws.
+ * @param {Object} params
+ * @param {string} params.instance
+ * @param {number} params.tabId - A tab on the instance
+ * @param {Object} params.user - As returned by getCurrentUser
+ * @returns {Promise<void>}
+ */
+export async function recordInstanceVisit({ instance, tabId, user }) {
+  try {
+    const sessions = await readSessions();
+    const existing = sessions[instance] ?? {};
+    let daSid = existing.daSid ?? null;
+    if (!daSid) {
+      const data = await executeInPage(
+        async () => ({
+          company: window.bootstrap?.data?.analytics?.company,
+          environmentId: window.bootstrap?.data?.environmentId
+        }),
+        [],
+        tabId
+      ).catch(() => null);
+      if (data?.environmentId && data?.company) daSid = `DA-SID-${data.environmentId}-${data.company}`;
+    }
+    // Re-read so a write from another tab's detection in the meantime isn't lost.
+    const latest = await readSessions();
+    const record = {
+      daSid,
+      lastActiveAt: Date.now(),
+      signedIn: true,
+      user: {
+        displayName: user.metadata?.USER_FULLNAME || user.metadata?.USER_NAME || null,
+        email: user.metadata?.USER_EMAIL || null,
+        id: user.id
+      }
+    };
+    const current = latest[instance];
+    if (
+      current?.signedIn &&
+      current.daSid === record.daSid &&
+      current.user?.id === record.user.id &&
+      current.user?.email === record.user.email &&
+      current.user?.displayName === record.user.displayName &&
+      record.lastActiveAt - (current.lastActiveAt ?? 0) < VISIT_REFRESH_MS
+    ) {
+      return;
+    }
+    latest[instance] = record;
+    await chrome.storage.local.set({ [INSTANCE_SESSIONS_KEY]: latest });
+  } catch (error) {
+    console.error('[InstanceSessions] Could not record visit:', error);
+  }
+}
+
+/**
+ * Pin or unpin an instance.
+ * @param {string} instance
+ * @param {boolean} isPinned
+ * @returns {Promise<void>}
+ */
+export async function setInstancePinned(instance, isPinned) {
+  const pinned = (await getPinnedInstances()).filter((name) => name !== instance);
+  await chrome.storage.sync.set({ [PINNED_INSTANCES_KEY]: isPinned ? [...pinned, instance] : pinned });
+}
+
+/**
+ * Sign out of one instance by clearing its cookies, including its DA-SID on
+ * the root domain, then reload its open tabs so they land on the login page.
+ * @param {string} instance
+ * @returns {Promise<{ description: string, status: string, title: string }>} The clearCookies result
+ */
+export async function signOutInstance(instance) {
+  const [sessions, tabs] = await Promise.all([readSessions(), chrome.tabs.query({ url: `*://${instance}.domo.com/*` })]);
+  const daSid = sessions[instance]?.daSid;
+  const result = await clearCookies({
+    daSidsToClear: daSid ? [daSid] : [],
+    domains: [`${instance}.domo.com`],
+    excludeDomains: false
+  });
+  if (result.status === 'danger') return result;
+  await markInstanceSignedOut(instance);
+  for (const tab of tabs) chrome.tabs.reload(tab.id);
+  return result;
+}
+
+// Roughly what the cookie adds to a request's Cookie header.
+function cookieBytes(cookie) {
+  return cookie.name.length + cookie.value.length + 3;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+async function readSessions() {
+  const stored = await chrome.storage.local.get([INSTANCE_SESSIONS_KEY]);
+  return stored?.[INSTANCE_SESSIONS_KEY] ?? {};
+}
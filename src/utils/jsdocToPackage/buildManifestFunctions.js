@@ -1,35 +1,31 @@
 import { deriveDisplayName } from './displayName';
-import { mapJSDocType, SUBTYPE_ELIGIBLE_TYPES } from './typeMap';
+import { isTypedefAlias, mapJSDocType, SUBTYPE_ELIGIBLE_TYPES, templateScope } from './typeMap';
 
 const EMPTY_TYPE = '';
 
-// Validates an `entitySubType` parsed from a JSDoc type (e.g. `{account:json5}`)
-// against the resolved type. Subtypes are only meaningful on Domo entity types;
-// on a typedef reference or a plain primitive they are ignored with a warning so
-// the mistake surfaces instead of silently doing nothing.
-function resolveEntitySubType(typeInfo, { doc, label, warnings }) {
-  const sub = typeInfo.entitySubType;
-  if (!sub) return null;
-  if (typeInfo.isTypedef || !SUBTYPE_ELIGIBLE_TYPES.has(typeInfo.type)) {
-    warnings.push({
-      functionName: doc.functionName,
-      message: `${label} has entity subtype \`${sub}\` on type \`${typeInfo.type}\`, which does not support a subtype; ignoring it.`,
-      severity: 'warning'
-    });
-    return null;
-  }
-  return sub;
-}
-
 export function buildManifestFunctions({ editorStartIndices = {}, reconciledDocs, typedefs }) {
   const functions = [];
   const warnings = [];
   const perFunctionMeta = {};
 
+  validateTypedefs(typedefs, warnings);
+
   for (const doc of reconciledDocs) {
-    const variables = buildVariables(doc, typedefs, warnings);
+    for (const template of doc.templates ?? []) {
+      if (!template.constraint) continue;
+      reportTypeIssues(mapJSDocType(template.constraint, { typedefs }), {
+        functionName: doc.functionName,
+        label: `@template \`${template.name}\``,
+        line: template.line,
+        warnings
+      });
+    }
+    // What mapJSDocType reads this function's types against: its own @template
+    // names and the package's typedefs.
+    const scope = templateScope(doc.templates, [], typedefs);
+    const variables = buildVariables(doc, { scope, typedefs }, warnings);
     const inputs = deriveInputsFromVariables(variables);
-    const output = doc.returns ? buildOutput(doc, typedefs, warnings) : null;
+    const output = doc.returns ? buildOutput(doc, { scope, typedefs }, warnings) : null;
 
     const fn = {
       description: doc.description || '',
@@ -76,23 +72,27 @@ function buildExampleStub(inputs, output) {
   return lines.join('\n');
 }
 
-function buildOutput(doc, typedefs, warnings) {
+function buildOutput(doc, types, warnings) {
   const ret = doc.returns;
-  const typeInfo = mapJSDocType(ret.rawType);
+  const typeInfo = mapJSDocType(ret.rawType, types);
+  // `@returns {void}` / `{Promise<void>}` documents a function with no result.
+  if (typeInfo.isVoid) return null;
   const name = ret.name || defaultOutputName(typeInfo);
 
   if (typeInfo.isUnknown) {
     warnings.push({
       functionName: doc.functionName,
+      line: ret.line,
       message: '@returns has no type, falling back to text.',
       severity: 'warning'
     });
   }
+  reportTypeIssues(typeInfo, { functionName: doc.functionName, label: '@returns', line: ret.line, warnings });
 
   // Subtype only applies to a primitive entity output; the object branches below
   // (inline schema, typedef) always emit type `object` with no subtype. Resolve
   // here so a subtype misused on those still warns via resolveEntitySubType.
-  const outputSubType = resolveEntitySubType(typeInfo, { doc, label: '@returns', warnings });
+  const outputSubType = resolveEntitySubType(typeInfo, { doc, label: '@returns', line: ret.line, warnings });
 
   // Inline nested output schema: dotted-path @returns tags (e.g. `users[].id`).
   // The paths are rooted at the output name, so strip that prefix to root the
@@ -103,7 +103,7 @@ function buildOutput(doc, typedefs, warnings) {
       .filter((prop) => prop.rawName);
     const tree = buildPathTree(childParams);
     return {
-      children: tree.children.map((node) => buildOutputEntryFromNode(node, typedefs)),
+      children: tree.children.map((node) => buildOutputEntryFromNode(node, types, { doc, warnings })),
       defaultValues: null,
       displayName: name,
       entitySubType: null,
@@ -116,16 +116,19 @@ function buildOutput(doc, typedefs, warnings) {
   }
 
   if (typeInfo.isTypedef) {
-    const typedef = typedefs[typeInfo.type];
+    const typedef = typeInfo.typedef;
     if (!typedef) {
       warnings.push({
         functionName: doc.functionName,
-        message: `@returns references unknown typedef \`${typeInfo.type}\`, emitting empty children.`,
+        line: ret.line,
+        message: unknownTypedefMessage('@returns', typeInfo),
         severity: 'warning'
       });
       return primitiveOutputEntry({ isList: typeInfo.isList, name, type: 'object' });
     }
-    const children = typedef.properties.map((prop) => buildOutputPropertyEntry(prop, typedefs));
+    const children = typedef.properties.map((prop) =>
+      buildOutputPropertyEntry(prop, { scope: typeInfo.scope, typedefs: types.typedefs })
+    );
     return {
       children,
       defaultValues: null,
@@ -142,20 +145,37 @@ function buildOutput(doc, typedefs, warnings) {
   return primitiveOutputEntry({ entitySubType: outputSubType, isList: typeInfo.isList, name, type: typeInfo.type });
 }
 
-function buildOutputEntryFromNode(node, typedefs) {
+function buildOutputEntryFromNode(node, types, { doc, warnings }) {
   const docParam = node.docParam;
-  const typeInfo = docParam ? mapJSDocType(docParam.rawType) : null;
+  const typeInfo = docParam ? mapJSDocType(docParam.rawType, types) : null;
   const isList = (typeInfo?.isList ?? false) || !!node.segIsList;
   let resolvedType = typeInfo?.type ?? 'object';
   let resolvedChildren = null;
 
+  if (typeInfo) {
+    const label = `@returns \`${docParam.rawName}\``;
+    reportTypeIssues(typeInfo, { functionName: doc.functionName, label, line: docParam.line, warnings });
+    if (typeInfo.isTypedef && !typeInfo.typedef) {
+      warnings.push({
+        functionName: doc.functionName,
+        line: docParam.line,
+        message: unknownTypedefMessage(label, typeInfo),
+        severity: 'warning'
+      });
+    }
+  }
+
   if (typeInfo?.isTypedef) {
-    const typedef = typedefs[typeInfo.type];
+    const typedef = typeInfo.typedef;
     resolvedType = 'object';
-    resolvedChildren = typedef ? typedef.properties.map((nested) => buildOutputPropertyEntry(nested, typedefs)) : null;
+    resolvedChildren = typedef
+      ? typedef.properties.map((nested) =>
+          buildOutputPropertyEntry(nested, { scope: typeInfo.scope, typedefs: types.typedefs })
+        )
+      : null;
   } else if (node.children.length > 0) {
     resolvedType = 'object';
-    resolvedChildren = node.children.map((child) => buildOutputEntryFromNode(child, typedefs));
+    resolvedChildren = node.children.map((child) => buildOutputEntryFromNode(child, types, { doc, warnings }));
   }
 
   return {
@@ -164,23 +184,25 @@ function buildOutputEntryFromNode(node, typedefs) {
     entitySubType: typeInfo?.isTypedef ? null : typeInfo?.entitySubType ?? null,
     isList,
     name: node.name,
-    nullable: !!(docParam && docParam.optional),
+    nullable: !!(docParam && (docParam.optional || typeInfo.nullable)),
     type: resolvedType,
     value: null
   };
 }
 
-function buildOutputPropertyEntry(prop, typedefs) {
-  const typeInfo = mapJSDocType(prop.rawType);
+function buildOutputPropertyEntry(prop, types) {
+  const typeInfo = mapJSDocType(prop.rawType, types);
   const baseName = prop.rawName.split('.').pop().replace(/\[\]$/, '');
   let resolvedType = typeInfo.type;
   let resolvedChildren = null;
 
   if (typeInfo.isTypedef) {
-    const typedef = typedefs[typeInfo.type];
+    const typedef = typeInfo.typedef;
     if (typedef) {
       resolvedType = 'object';
-      resolvedChildren = typedef.properties.map((nested) => buildOutputPropertyEntry(nested, typedefs));
+      resolvedChildren = typedef.properties.map((nested) =>
+        buildOutputPropertyEntry(nested, { scope: typeInfo.scope, typedefs: types.typedefs })
+      );
     } else {
       resolvedType = 'object';
       resolvedChildren = null;
@@ -193,7 +215,7 @@ function buildOutputPropertyEntry(prop, typedefs) {
     entitySubType: typeInfo.isTypedef ? null : typeInfo.entitySubType ?? null,
     isList: typeInfo.isList,
     name: baseName,
-    nullable: !!prop.optional,
+    nullable: !!prop.optional || typeInfo.nullable,
     type: resolvedType,
     value: null
   };
@@ -222,13 +244,13 @@ function buildPathTree(params) {
   return root;
 }
 
-function buildVariableEntry({ depth, doc, node, typedefs, warnings }) {
+function buildVariableEntry({ depth, doc, node, types, warnings }) {
   const docParam = node.docParam;
   const isTopLevel = depth === 0;
 
   if (!docParam) {
     const children = node.children.map((child) =>
-      buildVariableEntry({ depth: depth + 1, doc, node: child, typedefs, warnings })
+      buildVariableEntry({ depth: depth + 1, doc, node: child, types, warnings })
     );
     const entry = {
       children,
@@ -244,30 +266,42 @@ function buildVariableEntry({ depth, doc, node, typedefs, warnings }) {
     return entry;
   }
 
-  const typeInfo = mapJSDocType(docParam.rawType);
+  const typeInfo = mapJSDocType(docParam.rawType, types);
+  const label = `Param \`${docParam.rawName}\``;
 
   if (typeInfo.isUnknown) {
     warnings.push({
       functionName: doc.functionName,
-      message: `Param \`${docParam.rawName}\` has no type, falling back to text.`,
+      line: docParam.line,
+      message: `${label} has no type, falling back to text.`,
       paramName: docParam.rawName,
       severity: 'warning'
     });
   }
+  reportTypeIssues(typeInfo, {
+    functionName: doc.functionName,
+    label,
+    line: docParam.line,
+    paramName: docParam.rawName,
+    warnings
+  });
 
   let resolvedType = typeInfo.type;
   let resolvedChildren = null;
   const isList = typeInfo.isList || !!node.segIsList;
 
   if (typeInfo.isTypedef) {
-    const typedef = typedefs[typeInfo.type];
+    const typedef = typeInfo.typedef;
     if (typedef) {
       resolvedType = 'object';
-      resolvedChildren = typedef.properties.map((prop) => buildVariablePropertyEntry(prop, typedefs));
+      resolvedChildren = typedef.properties.map((prop) =>
+        buildVariablePropertyEntry(prop, { scope: typeInfo.scope, typedefs: types.typedefs })
+      );
     } else {
       warnings.push({
         functionName: doc.functionName,
-        message: `Param \`${docParam.rawName}\` references unknown typedef \`${typeInfo.type}\`, emitting empty children.`,
+        line: docParam.line,
+        message: unknownTypedefMessage(label, typeInfo),
         paramName: docParam.rawName,
         severity: 'warning'
       });
@@ -276,7 +310,7 @@ function buildVariableEntry({ depth, doc, node, typedefs, warnings }) {
     }
   } else if (resolvedType === 'object') {
     resolvedChildren = node.children.map((child) =>
-      buildVariableEntry({ depth: depth + 1, doc, node: child, typedefs, warnings })
+      buildVariableEntry({ depth: depth + 1, doc, node: child, types, warnings })
     );
   }
 
@@ -291,10 +325,10 @@ function buildVariableEntry({ depth, doc, node, typedefs, warnings }) {
   const entry = {
     children,
     displayName: baseName,
-    entitySubType: resolveEntitySubType(typeInfo, { doc, label: `Param \`${docParam.rawName}\``, warnings }),
+    entitySubType: resolveEntitySubType(typeInfo, { doc, label, line: docParam.line, warnings }),
     isList,
     name: baseName,
-    nullable: docParam.defaultRaw != null,
+    nullable: docParam.defaultRaw != null || typeInfo.nullable,
     type: resolvedType,
     value
   };
@@ -302,17 +336,19 @@ function buildVariableEntry({ depth, doc, node, typedefs, warnings }) {
   return entry;
 }
 
-function buildVariablePropertyEntry(prop, typedefs) {
-  const typeInfo = mapJSDocType(prop.rawType);
+function buildVariablePropertyEntry(prop, types) {
+  const typeInfo = mapJSDocType(prop.rawType, types);
   const baseName = prop.rawName.split('.').pop().replace(/\[\]$/, '');
   let resolvedType = typeInfo.type;
   let resolvedChildren = null;
 
   if (typeInfo.isTypedef) {
-    const typedef = typedefs[typeInfo.type];
+    const typedef = typeInfo.typedef;
     if (typedef) {
       resolvedType = 'object';
-      resolvedChildren = typedef.properties.map((nested) => buildVariablePropertyEntry(nested, typedefs));
+      resolvedChildren = typedef.properties.map((nested) =>
+        buildVariablePropertyEntry(nested, { scope: typeInfo.scope, typedefs: types.typedefs })
+      );
     } else {
       resolvedType = 'object';
       resolvedChildren = null;
@@ -325,16 +361,16 @@ function buildVariablePropertyEntry(prop, typedefs) {
     entitySubType: typeInfo.isTypedef ? null : typeInfo.entitySubType ?? null,
     isList: typeInfo.isList,
     name: baseName,
-    nullable: !!prop.optional,
+    nullable: !!prop.optional || typeInfo.nullable,
     type: resolvedType,
     value: typeInfo.isList ? [] : null
   };
 }
 
-function buildVariables(doc, typedefs, warnings) {
+function buildVariables(doc, types, warnings) {
   const usableParams = doc.params.filter((p) => p && !p.excludeFromManifest);
   const tree = buildPathTree(usableParams);
-  return tree.children.map((node) => buildVariableEntry({ depth: 0, doc, node, typedefs, warnings }));
+  return tree.children.map((node) => buildVariableEntry({ depth: 0, doc, node, types, warnings }));
 }
 
 function camelLower(name) {
@@ -369,6 +405,39 @@ function primitiveOutputEntry({ entitySubType = null, isList, name, type }) {
   };
 }
 
+// Everything a type expression couldn't carry into the manifest (see
+// mapJSDocType), one warning each, on the line of the tag that wrote it.
+function reportTypeIssues(typeInfo, { functionName = null, label, line, paramName, warnings }) {
+  for (const issue of typeInfo.issues ?? []) {
+    warnings.push({
+      functionName,
+      line,
+      message: `${label}: ${issue}`,
+      ...(paramName ? { paramName } : {}),
+      severity: 'warning'
+    });
+  }
+}
+
+// Validates an `entitySubType` parsed from a JSDoc type (e.g. `{account:json5}`)
+// against the resolved type. Subtypes are only meaningful on Domo entity types;
+// on a typedef reference or a plain primitive they are ignored with a warning so
+// the mistake surfaces instead of silently doing nothing.
+function resolveEntitySubType(typeInfo, { doc, label, line, warnings }) {
+  const sub = typeInfo.entitySubType;
+  if (!sub) return null;
+  if (typeInfo.isTypedef || !SUBTYPE_ELIGIBLE_TYPES.has(typeInfo.type)) {
+    warnings.push({
+      functionName: doc.functionName,
+      line,
+      message: `${label} has entity subtype \`${sub}\` on type \`${typeInfo.type}\`, which does not support a subtype; ignoring it.`,
+      severity: 'warning'
+    });
+    return null;
+  }
+  return sub;
+}
+
 function splitPath(path) {
   return path.split('.').filter(Boolean);
 }
@@ -379,3 +448,39 @@ function stripOutputRoot(rawName, rootName) {
   }
   return rawName;
 }
+
+// A typedef-reference type whose typedef isn't declared. An `import()` gets its
+// own wording: a package is one file, so the import can never resolve.
+function unknownTypedefMessage(label, typeInfo) {
+  if (typeInfo.importPath) {
+    return `${label} imports \`${typeInfo.type}\` from \`${typeInfo.importPath}\`, which isn't declared in this package (a package is a single file); add a @typedef for it here. Emitting empty children.`;
+  }
+  return `${label} references unknown typedef \`${typeInfo.type}\`, emitting empty children.`;
+}
+
+// Typedef declarations are checked once, where they're written, rather than at
+// every param that uses them.
+function validateTypedefs(typedefs, warnings) {
+  for (const typedef of Object.values(typedefs)) {
+    // Inside a generic typedef its own template names stand for whatever a use
+    // supplies, so they resolve quietly here.
+    const scope = templateScope(
+      (typedef.templates ?? []).map((template) => ({ ...template, constraint: template.constraint ?? 'object' })),
+      [],
+      typedefs
+    );
+    if (isTypedefAlias(typedef)) {
+      const typeInfo = mapJSDocType(typedef.baseType, { scope, typedefs });
+      reportTypeIssues(typeInfo, { label: `Typedef \`${typedef.name}\``, line: typedef.line, warnings });
+      continue;
+    }
+    for (const prop of typedef.properties) {
+      const typeInfo = mapJSDocType(prop.rawType, { scope, typedefs });
+      const label = `Typedef \`${typedef.name}\` property \`${prop.rawName}\``;
+      reportTypeIssues(typeInfo, { label, line: prop.line, warnings });
+      if (typeInfo.isTypedef && !typeInfo.typedef) {
+        warnings.push({ line: prop.line, message: unknownTypedefMessage(label, typeInfo), severity: 'warning' });
+      }
+    }
+  }
+}
@@ -0,0 +1,235 @@
+import { parse as parseAcorn } from 'acorn';
+
+import { deriveDisplayName } from './displayName';
+import { parseJSDoc } from './parseJSDoc';
+import { parseSourceToManifest } from './parseSourceToManifest';
+import { serializeJSDocDefault } from './reconcileSignatures';
+import { PRIMITIVE_TYPES } from './typeMap';
+
+// Manifest type -> the JSDoc word that maps back to it. `text` is written as
+// `string`, which reads naturally and maps back through the `string` alias.
+const JSDOC_TYPE_NAMES = {
+  ...Object.fromEntries(Object.entries(PRIMITIVE_TYPES).map(([word, type]) => [type, word])),
+  text: 'string'
+};
+
+/**
+ * Write JSDoc for a package whose functions were defined in the Code Engine UI,
+ * so the JSDoc-to-manifest flow can take over without losing what was curated
+ * there. This is the reverse of `parseSourceToManifest`: each manifest function
+ * gets a block (description, `@summary` when its display name isn't the one
+ * derived from its name, `@private`, `@param` per input with dotted paths for
+ * nested properties, `@returns`), and an object output with properties gets a
+ * `@typedef` declared above it.
+ *
+ * Functions that already have JSDoc are left alone, as are manifest functions
+ * with no declaration in the source or nothing to document. The result is
+ * parsed back and compared to the manifest, so what JSDoc can't express (an
+ * input display name, say) is reported instead of surfacing later as an
+ * unexpected update.
+ * @param {string} source - Package source, as read from the editor
+ * @param {Array<Object>} functions - The version's manifest functions
+ * @param {Object<string, number>} [editorStartIndices] - From `getCodeEngineEditorSource`
+ * @returns {{
+ *   code: string,
+ *   inserted: string[],
+ *   roundTrip: Array<{diffFields: string[], name: string}>,
+ *   skipped: Array<{name: string, reason: string}>
+ * }} `roundTrip` lists the inserted functions that wouldn't parse back unchanged
+ */
+export function generateJSDocFromManifest(source, functions, editorStartIndices = {}) {
+  const declarations = findFunctionDeclarations(source);
+  const { functionDocs, typedefs } = parseJSDoc(source);
+  const documented = new Set(functionDocs.map((doc) => doc.functionName));
+  const typedefNames = new Set(Object.keys(typedefs));
+
+  const inserted = [];
+  const skipped = [];
+  const insertions = [];
+
+  for (const fn of functions ?? []) {
+    if (!fn?.name) continue;
+    const declaration = declarations.get(fn.name);
+    if (!declaration) {
+      skipped.push({ name: fn.name, reason: 'no top-level declaration in the source' });
+      continue;
+    }
+    if (documented.has(fn.name)) {
+      skipped.push({ name: fn.name, reason: 'already has JSDoc' });
+      continue;
+    }
+    const typedefs = buildTypedefBlocks(fn, typedefNames);
+    const functionBlock = buildFunctionBlock(fn, typedefs.name);
+    // No description, inputs or output: an empty block would be all there is,
+    // and the sync keeps a function without JSDoc as it is anyway.
+    if (functionBlock.length === 0) {
+      skipped.push({ name: fn.name, reason: 'nothing to document' });
+      continue;
+    }
+    const blocks = [...typedefs.blocks, functionBlock];
+    const text = blocks.map((lines) => formatBlock(lines, declaration.indent)).join('');
+    insertions.push({ at: declaration.lineStart, text });
+    inserted.push(fn.name);
+  }
+
+  let code = source;
+  for (const { at, text } of insertions.sort((a, b) => b.at - a.at)) {
+    code = code.slice(0, at) + text + code.slice(at);
+  }
+
+  let roundTrip = [];
+  if (inserted.length > 0) {
+    const { decisions } = parseSourceToManifest(code, functions, editorStartIndices);
+    roundTrip = decisions
+      .filter((decision) => inserted.includes(decision.name) && decision.action !== 'unchanged')
+      .map((decision) => ({ diffFields: decision.diffFields, name: decision.name }));
+  }
+
+  return { code, inserted, roundTrip, skipped };
+}
+
+function buildFunctionBlock(fn, outputTypedefName) {
+  const lines = [];
+  if (fn.description) lines.push(...fn.description.split('\n'));
+  if (fn.displayName && fn.displayName !== deriveDisplayName(fn.name)) {
+    if (lines.length > 0) lines.push('');
+    lines.push(`@summary ${fn.displayName}`);
+  } else if (lines.length > 0) {
+    lines.push('');
+  }
+  if (fn.isPrivate) lines.push('@private');
+
+  for (const input of fn.inputs ?? []) {
+    lines.push(paramTag(input, input.name, { isTopLevel: true }));
+    lines.push(...childParamTags(input, input.name));
+  }
+
+  if (fn.output && fn.hasReturn !== false) {
+    // An explicit name is only written when the manifest shows it as-is. A
+    // curated display name can't be expressed, but leaving the name off makes
+    // the sync keep both the manifest's name and its display name.
+    const named = !fn.output.displayName || fn.output.displayName === fn.output.name;
+    const typeText = outputTypedefName ? `${outputTypedefName}${fn.output.isList ? '[]' : ''}` : jsdocType(fn.output);
+    lines.push(`@returns {${typeText}}${named ? ` ${fn.output.name}` : ''}`);
+  }
+
+  // A leading blank line is left when there's no description.
+  while (lines[0] === '') lines.shift();
+  return lines;
+}
+
+// One `@typedef` per object in the output that has properties, outermost
+// first, named after the function (`getUsers` -> `GetUsersResult`).
+function buildTypedefBlocks(fn, typedefNames) {
+  if (!fn.output || fn.hasReturn === false || !hasProperties(fn.output)) return { blocks: [], name: null };
+  const blocks = [];
+  const name = uniqueName(`${pascalCase(fn.name)}Result`, typedefNames);
+  collectTypedefBlocks(fn.output, name, typedefNames, blocks);
+  return { blocks, name };
+}
+
+function childParamTags(entry, path) {
+  const tags = [];
+  for (const child of entry.children ?? []) {
+    const childPath = `${path}${entry.isList ? '[]' : ''}.${child.name}`;
+    tags.push(paramTag(child, childPath, { isTopLevel: false }));
+    tags.push(...childParamTags(child, childPath));
+  }
+  return tags;
+}
+
+function collectTypedefBlocks(entry, name, typedefNames, blocks) {
+  const lines = [`@typedef {Object} ${name}`];
+  const nested = [];
+  for (const child of entry.children ?? []) {
+    let type = jsdocType(child);
+    if (hasProperties(child)) {
+      const childName = uniqueName(`${name}${pascalCase(child.name)}`, typedefNames);
+      nested.push({ child, name: childName });
+      type = `${childName}${child.isList ? '[]' : ''}`;
+    }
+    lines.push(`@property {${type}} ${child.nullable ? `[${child.name}]` : child.name}`);
+  }
+  blocks.push(lines);
+  for (const { child, name: childName } of nested) collectTypedefBlocks(child, childName, typedefNames, blocks);
+}
+
+// Top-level function declarations by name, with where their line starts (a
+// block is inserted there) and its indentation.
+function findFunctionDeclarations(source) {
+  const declarations = new Map();
+  let ast;
+  try {
+    ast = parseAcorn(source, { allowReturnOutsideFunction: true, ecmaVersion: 'latest', sourceType: 'module' });
+  } catch {
+    try {
+      ast = parseAcorn(source, { allowReturnOutsideFunction: true, ecmaVersion: 'latest', sourceType: 'script' });
+    } catch {
+      return declarations;
+    }
+  }
+
+  const add = (name, start) => {
+    if (!name || declarations.has(name)) return;
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    declarations.set(name, { indent: source.slice(lineStart, start).match(/^[ \t]*/)[0], lineStart });
+  };
+
+  for (const node of ast.body) {
+    const declaration =
+      node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration' ? node.declaration : node;
+    if (!declaration) continue;
+    if (declaration.type === 'FunctionDeclaration') {
+      add(declaration.id?.name, node.start);
+    } else if (declaration.type === 'VariableDeclaration' && declaration.declarations.length === 1) {
+      const [decl] = declaration.declarations;
+      if (
+        decl.id?.type === 'Identifier' &&
+        (decl.init?.type === 'ArrowFunctionExpression' || decl.init?.type === 'FunctionExpression')
+      ) {
+        add(decl.id.name, node.start);
+      }
+    }
+  }
+  return declarations;
+}
+
+function formatBlock(lines, indent) {
+  const body = lines.map((line) => `${indent} *${line ? ` ${line.replace(/\*\//g, '*\\/')}` : ''}`);
+  return `${indent}/**\n${body.join('\n')}\n${indent} */\n`;
+}
+
+function hasProperties(entry) {
+  return entry?.type === 'object' && Array.isArray(entry.children) && entry.children.length > 0;
+}
+
+function jsdocType(entry) {
+  const base = JSDOC_TYPE_NAMES[entry.type] ?? (entry.type || 'string');
+  const subtype = entry.entitySubType ? `:${entry.entitySubType}` : '';
+  return `${base}${subtype}${entry.isList ? '[]' : ''}`;
+}
+
+function paramTag(entry, path, { isTopLevel }) {
+  // Nullable is carried by the type (`?string`): the manifest builder only reads
+  // `[name]` for a default value.
+  const type = `${entry.nullable ? '?' : ''}${jsdocType(entry)}`;
+  const value = isTopLevel ? (entry.value ?? entry.defaultValues ?? null) : null;
+  const name = value != null ? `[${path}=${serializeJSDocDefault(value)}]` : path;
+  const description = entry.description || (entry.displayName && entry.displayName !== entry.name ? entry.displayName : '');
+  return `@param {${type}} ${name}${description ? ` - ${description}` : ''}`;
+}
+
+function pascalCase(name) {
+  return String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+function uniqueName(base, taken) {
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+  taken.add(name);
+  return name;
+}
@@ -70,7 +70,8 @@ function buildFunctionDoc({ block, functionName, range }) {
     isPrivate,
     params,
     rawBlock: block,
-    returns
+    returns,
+    templates: extractTemplates(block)
   };
 }
 
@@ -80,6 +81,7 @@ function buildParamFromTag(tag) {
   return {
     defaultRaw: typeof tag.default === 'string' ? tag.default : null,
     description: (tag.description || '').trim(),
+    line: tagLine(tag),
     optional: Boolean(tag.optional),
     rawName,
     rawType: tag.type || ''
@@ -91,7 +93,7 @@ function buildTypedef(block, typedefTag) {
   if (!name) return null;
   const baseType = typedefTag.type?.trim() || 'object';
   const properties = extractProperties(block.tags.filter((t) => t.tag === 'property' || t.tag === 'prop'));
-  return { baseType, name, properties };
+  return { baseType, line: tagLine(typedefTag), name, properties, templates: extractTemplates(block) };
 }
 
 function extractParams(paramTags) {
@@ -122,6 +124,7 @@ function extractReturns(returnsTags) {
     return {
       description: descRaw.replace(/^-\s*/, ''),
       explicitName: true,
+      line: tagLine(rootTag),
       name: nameRaw,
       properties,
       rawType
@@ -132,7 +135,22 @@ function extractReturns(returnsTags) {
   // first word is a valid identifier like "The"). Treat the whole post-type text
   // as the description.
   const fullDesc = [nameRaw, descRaw].filter(Boolean).join(' ').replace(/^-\s*/, '').trim();
-  return { description: fullDesc, explicitName: false, name: null, properties, rawType };
+  return { description: fullDesc, explicitName: false, line: tagLine(rootTag), name: null, properties, rawType };
+}
+
+// `@template T`, `@template K, V`, or `@template {Constraint} T`. The names are
+// a comma list, so they can land across the tag's name and description.
+function extractTemplates(block) {
+  return block.tags
+    .filter((t) => t.tag === 'template')
+    .flatMap((tag) => {
+      const list = joinTagText(tag).match(/^[A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*/)?.[0] ?? '';
+      return list
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .map((name) => ({ constraint: tag.type?.trim() || null, line: tagLine(tag), name }));
+    });
 }
 
 function findFunctionNameAfter(source, fromIndex) {
@@ -171,3 +189,9 @@ function singleTagText(block, tagName) {
   if (!tag) return '';
   return joinTagText(tag).trim();
 }
+
+// 1-based source line a tag starts on, for warnings.
+function tagLine(tag) {
+  const number = tag.source?.[0]?.number;
+  return typeof number === 'number' ? number + 1 : null;
+}
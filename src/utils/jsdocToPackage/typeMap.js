@@ -35,22 +35,431 @@ export const SUBTYPE_ELIGIBLE_TYPES = new Set([
   'queue'
 ]);
 
-export function mapJSDocType(rawType) {
-  if (!rawType || typeof rawType !== 'string') {
-    return { entitySubType: null, isList: false, isTypedef: false, isUnknown: true, type: 'text' };
-  }
-  const trimmed = rawType.trim();
-  const isList = trimmed.endsWith('[]');
-  const withoutList = (isList ? trimmed.slice(0, -2) : trimmed).trim();
-  // Optional entity subtype after a colon: `{account:json5}` -> base `account`,
-  // subtype `json5`. Only the first colon splits; the rest is the subtype name.
-  const colonIdx = withoutList.indexOf(':');
-  const baseRaw = (colonIdx === -1 ? withoutList : withoutList.slice(0, colonIdx)).trim();
-  const entitySubType = colonIdx === -1 ? null : withoutList.slice(colonIdx + 1).trim() || null;
-  const baseLower = baseRaw.toLowerCase();
-  const canonical = PRIMITIVE_TYPES[TYPE_ALIASES[baseLower] || baseLower];
-  if (canonical) {
-    return { entitySubType, isList, isTypedef: false, isUnknown: false, type: canonical };
-  }
-  return { entitySubType, isList, isTypedef: true, isUnknown: false, type: baseRaw };
+// Generic containers with a manifest equivalent. Lists keep their item type;
+// maps become a plain object (their keys are dynamic, so there are no children
+// to describe); a Promise is what an async function returns, so it unwraps.
+const LIST_GENERICS = new Set(['array', 'readonlyarray', 'set']);
+const MAP_GENERICS = new Set(['map', 'object', 'record']);
+const NULL_TYPES = new Set(['null', 'undefined', 'void']);
+const ANY_TYPES = new Set(['*', 'any', 'unknown']);
+
+// Guards alias typedefs that refer to each other.
+const MAX_ALIAS_DEPTH = 10;
+
+// Identifiers (hyphens allowed, for subtype names), numbers, quoted strings,
+// and the punctuation JSDoc type expressions use.
+const TOKEN_RE =
+  /\s*(?:(=>)|([A-Za-z_$][\w$-]*)|(-?\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`)|([|?!=<>,()[\]{}:.*&;]))/y;
+
+/**
+ * Whether a typedef renames another type rather than declaring an object with
+ * `@property` tags.
+ * @param {Object} typedef
+ * @returns {boolean}
+ */
+export function isTypedefAlias(typedef) {
+  return typedef.properties.length === 0 && !/^object$/i.test(typedef.baseType.trim());
+}
+
+/**
+ * Map a JSDoc type expression to a manifest type. Understands the Closure and
+ * TypeScript flavors JSDoc is written in: `T[]` and `Array<T>` lists,
+ * `Record<K, V>` / `Object<K, V>` maps, `Promise<T>`, unions, nullable `?T` and
+ * `T|null`, `import('./x').T` references, `@template` names (through `scope`),
+ * typedef aliases, and this package's `{account:json5}` entity subtype.
+ *
+ * Anything a manifest can't express still maps to something usable, but the
+ * reason is returned in `issues` so callers can warn about it.
+ * @param {string} rawType - The text between the braces of a tag
+ * @param {Object} [options]
+ * @param {Object<string, Object|null>} [options.scope] - Template names in scope, each the type info it stands for (null
+ *   when unconstrained)
+ * @param {Object<string, Object>} [options.typedefs] - Typedefs from `parseJSDoc`, by name
+ * @returns {{
+ *   entitySubType: string|null,
+ *   importPath: string|null,
+ *   isList: boolean,
+ *   isTypedef: boolean,
+ *   isUnknown: boolean,
+ *   isVoid: boolean,
+ *   issues: string[],
+ *   nullable: boolean,
+ *   scope: Object|null,
+ *   type: string,
+ *   typedef: Object|null
+ * }} For a typedef reference, `typedef` is the resolved typedef (null when it
+ *   isn't declared) and `scope` binds its `@template` names for its properties.
+ *   `isVoid` marks `void` and `undefined` (also inside a Promise): as a return
+ *   type that means no output, so callers skip its `issues`.
+ */
+export function mapJSDocType(rawType, { scope = {}, typedefs = {} } = {}) {
+  if (!rawType || typeof rawType !== 'string' || !rawType.trim()) {
+    return { ...typeInfo('text'), isUnknown: true };
+  }
+  const ctx = { aliasDepth: 0, issues: [], scope, typedefs };
+  let node;
+  try {
+    node = parseTypeExpression(rawType.trim());
+  } catch {
+    return { ...typeInfo('text'), issues: [`Couldn't read type \`${rawType.trim()}\`; using text.`] };
+  }
+  return { ...resolveNode(node, ctx), issues: ctx.issues };
+}
+
+/**
+ * The scope `@template` names are read in: each bound to the matching type
+ * argument, else its constraint, else null (unconstrained).
+ * @param {Array<{constraint: string|null, name: string}>} templates - From `parseJSDoc`
+ * @param {Array<Object>} [typeArgs] - Resolved type infos, in template order
+ * @param {Object<string, Object>} [typedefs]
+ * @returns {Object<string, Object|null>}
+ */
+export function templateScope(templates = [], typeArgs = [], typedefs = {}) {
+  const scope = {};
+  templates.forEach((template, i) => {
+    scope[template.name] =
+      typeArgs[i] ??
+      (template.constraint ? resolveRaw(template.constraint, { aliasDepth: 0, issues: [], scope: {}, typedefs }) : null);
+  });
+  return scope;
+}
+
+function asList(info, node, ctx) {
+  if (info.isList) {
+    ctx.issues.push(`Nested list \`${node.text}\` isn't supported in a manifest; using a list of ${info.type}.`);
+  }
+  // A list is never null itself; `(T|null)[]` only makes its items nullable.
+  return { ...info, isList: true, nullable: false };
+}
+
+// A small recursive-descent reader. Nodes keep their source text so an issue
+// can quote exactly the part that didn't map.
+function parseTypeExpression(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isPunct = (value, offset = 0) => peek(offset)?.type === 'punct' && peek(offset).value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) throw new Error(`Expected ${value}`);
+    return tokens[pos++];
+  };
+  const sliceFrom = (startToken) => text.slice(startToken.start, tokens[pos - 1].end);
+
+  // Skip a balanced bracket group, returning its opening token.
+  const skipGroup = (open, close) => {
+    const first = expect(open);
+    let depth = 1;
+    while (depth > 0) {
+      const token = tokens[pos++];
+      if (!token) throw new Error(`Unclosed ${open}`);
+      if (token.type === 'punct' && token.value === open) depth++;
+      if (token.type === 'punct' && token.value === close) depth--;
+    }
+    return first;
+  };
+
+  const parseUnion = () => {
+    const first = peek();
+    if (isPunct('|')) pos++;
+    const members = [parsePrefixed()];
+    while (isPunct('|')) {
+      pos++;
+      members.push(parsePrefixed());
+    }
+    return members.length === 1 ? members[0] : { kind: 'union', members, text: sliceFrom(first) };
+  };
+
+  const parsePrefixed = () => {
+    const first = peek();
+    if (isPunct('?')) {
+      pos++;
+      // A bare `?` is Closure's "any type".
+      if (!peek() || isPunct('|') || isPunct(',') || isPunct('>') || isPunct(')')) return { kind: 'any', text: '?' };
+      return { inner: parsePrefixed(), kind: 'nullable', text: sliceFrom(first) };
+    }
+    if (isPunct('!')) {
+      pos++;
+      return parsePrefixed();
+    }
+    let node = parsePostfix();
+    while (isPunct('?') || isPunct('=')) {
+      pos++;
+      node = { inner: node, kind: 'nullable', text: sliceFrom(first) };
+    }
+    return node;
+  };
+
+  const parsePostfix = () => {
+    const first = peek();
+    let node = parsePrimary();
+    while (isPunct('[') && isPunct(']', 1)) {
+      pos += 2;
+      node = { inner: node, kind: 'array', text: sliceFrom(first) };
+    }
+    if (isPunct('&')) throw new Error('Intersection types are not supported');
+    return node;
+  };
+
+  const parseTypeArgs = () => {
+    if (isPunct('.') && isPunct('<', 1)) pos++;
+    if (!isPunct('<')) return [];
+    pos++;
+    const args = [parseUnion()];
+    while (isPunct(',')) {
+      pos++;
+      args.push(parseUnion());
+    }
+    expect('>');
+    return args;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of type');
+
+    if (isPunct('(')) {
+      pos++;
+      const inner = parseUnion();
+      expect(')');
+      if (isPunct('=>')) throw new Error('Arrow function types are not supported');
+      return inner;
+    }
+
+    if (isPunct('{')) {
+      const isIndexSignature = isPunct('[', 1);
+      skipGroup('{', '}');
+      return { isIndexSignature, kind: 'record', text: sliceFrom(token) };
+    }
+
+    if (isPunct('*')) {
+      pos++;
+      return { kind: 'any', text: '*' };
+    }
+
+    if (token.type === 'string') {
+      pos++;
+      return { kind: 'literal', text: sliceFrom(token), valueType: 'text' };
+    }
+    if (token.type === 'number') {
+      pos++;
+      return { kind: 'literal', text: sliceFrom(token), valueType: 'number' };
+    }
+
+    if (token.type !== 'ident') throw new Error(`Unexpected ${token.value}`);
+
+    if (token.value === 'import' && isPunct('(', 1)) {
+      pos++;
+      expect('(');
+      const pathToken = tokens[pos++];
+      if (pathToken?.type !== 'string') throw new Error('import() needs a path');
+      expect(')');
+      const segments = [];
+      while (isPunct('.') && peek(1)?.type === 'ident') {
+        segments.push(tokens[pos + 1].value);
+        pos += 2;
+      }
+      const args = parseTypeArgs();
+      return { args, kind: 'import', name: segments.at(-1) ?? null, path: pathToken.value, text: sliceFrom(token) };
+    }
+
+    if (token.value === 'function' && isPunct('(', 1)) {
+      pos++;
+      skipGroup('(', ')');
+      if (isPunct(':')) {
+        pos++;
+        parsePostfix();
+      }
+      return { kind: 'function', text: sliceFrom(token) };
+    }
+
+    if (token.value === 'true' || token.value === 'false') {
+      pos++;
+      return { kind: 'literal', text: token.value, valueType: 'boolean' };
+    }
+
+    pos++;
+    let name = token.value;
+    while (isPunct('.') && peek(1)?.type === 'ident') {
+      name += `.${tokens[pos + 1].value}`;
+      pos += 2;
+    }
+    // This package's entity subtype: `account:json5`. Everything up to the next
+    // delimiter is the subtype name.
+    let subtype = null;
+    if (isPunct(':')) {
+      pos++;
+      const parts = [];
+      while (peek() && !['|', ',', '>', ')', '[', '?', '='].some((value) => isPunct(value))) {
+        parts.push(tokens[pos++]);
+      }
+      subtype = parts.length > 0 ? text.slice(parts[0].start, parts.at(-1).end) : null;
+    }
+    const args = parseTypeArgs();
+    return { args, kind: 'name', name, subtype, text: sliceFrom(token) };
+  };
+
+  const node = parseUnion();
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].value}`);
+  return node;
+}
+
+function resolveImport(node, ctx) {
+  if (!node.name) {
+    ctx.issues.push(`\`${node.text}\` imports a whole module, not a type; using object.`);
+    return typeInfo('object');
+  }
+  const resolved = resolveTypedefReference(node.name, node.args, ctx);
+  return resolved ?? typeInfo(node.name, { importPath: node.path, isTypedef: true });
+}
+
+function resolveName(node, ctx) {
+  const { args, name, subtype } = node;
+
+  if (Object.hasOwn(ctx.scope, name)) {
+    const bound = ctx.scope[name];
+    if (!bound) {
+      ctx.issues.push(
+        `Template type \`${name}\` has no constraint; using object. Add one with \`@template {Type} ${name}\`.`
+      );
+      return typeInfo('object');
+    }
+    return bound;
+  }
+
+  const lower = name.toLowerCase();
+  if (NULL_TYPES.has(lower)) {
+    ctx.issues.push(`\`${name}\` on its own has no manifest type; using text.`);
+    return typeInfo('text', { isVoid: lower !== 'null', nullable: true });
+  }
+  if (ANY_TYPES.has(lower)) return resolveNode({ kind: 'any', text: name }, ctx);
+
+  if (args.length > 0) {
+    if (LIST_GENERICS.has(lower)) return asList(resolveNode(args[0], ctx), node, ctx);
+    if (MAP_GENERICS.has(lower)) return typeInfo('object');
+    if (lower === 'promise') return resolveNode(args[0], ctx);
+  } else if (LIST_GENERICS.has(lower)) {
+    ctx.issues.push(`\`${name}\` has no item type; using a list of object. Write \`${name}<Type>\` or \`Type[]\`.`);
+    return typeInfo('object', { isList: true });
+  } else if (lower === 'promise') {
+    return { ...typeInfo('text'), isUnknown: true };
+  }
+
+  const canonical = PRIMITIVE_TYPES[TYPE_ALIASES[lower] || lower];
+  if (canonical) return typeInfo(canonical, { entitySubType: subtype });
+
+  const resolved = resolveTypedefReference(name, args, ctx);
+  if (resolved) return { ...resolved, entitySubType: subtype };
+  return typeInfo(name, { entitySubType: subtype, isTypedef: true });
+}
+
+function resolveNode(node, ctx) {
+  switch (node.kind) {
+    case 'any':
+      ctx.issues.push(`\`${node.text}\` has no manifest equivalent; using object.`);
+      return typeInfo('object');
+    case 'array':
+      return asList(resolveNode(node.inner, ctx), node, ctx);
+    case 'function':
+      ctx.issues.push(`Function type \`${node.text}\` can't be passed to or from Code Engine; using text.`);
+      return typeInfo('text');
+    case 'import':
+      return resolveImport(node, ctx);
+    case 'literal':
+      return typeInfo(node.valueType);
+    case 'name':
+      return resolveName(node, ctx);
+    case 'nullable':
+      return { ...resolveNode(node.inner, ctx), nullable: true };
+    case 'record':
+      if (!node.isIndexSignature && node.text.replace(/\s/g, '') !== '{}') {
+        ctx.issues.push(
+          `Inline object type \`${node.text}\` doesn't carry its properties into the manifest; declare a @typedef to keep them.`
+        );
+      }
+      return typeInfo('object');
+    case 'union':
+      return resolveUnion(node, ctx);
+    default:
+      return typeInfo('text');
+  }
+}
+
+function resolveRaw(rawType, ctx) {
+  try {
+    return resolveNode(parseTypeExpression(rawType), ctx);
+  } catch {
+    return typeInfo('text');
+  }
+}
+
+// A declared typedef: an object typedef is referenced (its properties become
+// children), while an alias (`@typedef {Array<User>} Users`) resolves to what it
+// stands for. Issues inside a typedef's own declaration are reported where it's
+// declared, not at every use, so they're collected separately here.
+function resolveTypedefReference(name, args, ctx) {
+  const typedef = ctx.typedefs[name];
+  if (!typedef || ctx.aliasDepth >= MAX_ALIAS_DEPTH) return null;
+  const typeArgs = args.map((arg) => resolveNode(arg, ctx));
+  const scope = templateScope(typedef.templates, typeArgs, ctx.typedefs);
+
+  if (isTypedefAlias(typedef)) {
+    return resolveRaw(typedef.baseType, { ...ctx, aliasDepth: ctx.aliasDepth + 1, issues: [], scope });
+  }
+  return typeInfo(name, { isTypedef: true, scope, typedef });
+}
+
+function resolveUnion(node, ctx) {
+  const members = node.members.filter((member) => !(member.kind === 'name' && NULL_TYPES.has(member.name.toLowerCase())));
+  const nullable = members.length < node.members.length;
+  if (members.length === 0) return { ...typeInfo('text'), isUnknown: true, nullable };
+
+  const resolved = members.map((member) => resolveNode(member, ctx));
+  const [first] = resolved;
+  const key = (info) => `${info.type}|${info.isList}|${info.isTypedef}`;
+  if (resolved.some((info) => key(info) !== key(first))) {
+    const types = [...new Set(resolved.map((info) => (info.isList ? `list of ${info.type}` : info.type)))];
+    ctx.issues.push(
+      `Union \`${node.text}\` mixes ${types.join(', ')}; a manifest field has one type, so using ${types[0]}.`
+    );
+  }
+  return { ...first, nullable: nullable || resolved.some((info) => info.nullable) };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const start = TOKEN_RE.lastIndex;
+    const match = TOKEN_RE.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) break;
+      throw new Error(`Unexpected character at ${start}`);
+    }
+    const [whole, arrow, ident, number, string, punct] = match;
+    const tokenStart = start + whole.length - whole.trimStart().length;
+    const end = TOKEN_RE.lastIndex;
+    if (arrow) tokens.push({ end, start: tokenStart, type: 'punct', value: '=>' });
+    else if (ident) tokens.push({ end, start: tokenStart, type: 'ident', value: ident });
+    else if (number) tokens.push({ end, start: tokenStart, type: 'number', value: number });
+    else if (string) tokens.push({ end, start: tokenStart, type: 'string', value: string.slice(1, -1) });
+    else tokens.push({ end, start: tokenStart, type: 'punct', value: punct });
+  }
+  return tokens;
+}
+
+function typeInfo(type, overrides = {}) {
+  return {
+    entitySubType: null,
+    importPath: null,
+    isList: false,
+    isTypedef: false,
+    isUnknown: false,
+    isVoid: false,
+    nullable: false,
+    scope: null,
+    type,
+    typedef: null,
+    ...overrides
+  };
 }
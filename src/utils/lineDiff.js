@@ -0,0 +1,181 @@
+/**
+ * Line-level text diff (Myers' O(ND) algorithm) for comparing source code,
+ * plus helpers to fold unchanged stretches into hunks and to pair removed and
+ * added lines for a side-by-side layout.
+ */
+
+// Past this many changed lines a minimal diff stops being readable anyway,
+// so the whole changed region is shown as removed then added.
+const MAX_EDIT_DISTANCE = 3000;
+
+/**
+ * Diff two texts line by line.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{newLine: number|null, oldLine: number|null, text: string, type: 'added'|'removed'|'same'}>}
+ *   Line numbers are 1-based; the side a line doesn't exist on is `null`.
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix and suffix first: version-to-version changes are
+  // usually small, and this keeps the edit graph to just the changed middle.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = [];
+  for (let i = 0; i < start; i++) result.push({ newLine: i + 1, oldLine: i + 1, text: a[i], type: 'same' });
+
+  for (const op of myers(a.slice(start, endA), b.slice(start, endB))) {
+    if (op.type === 'same') {
+      result.push({ newLine: start + op.newIndex + 1, oldLine: start + op.oldIndex + 1, text: op.text, type: 'same' });
+    } else if (op.type === 'removed') {
+      result.push({ newLine: null, oldLine: start + op.oldIndex + 1, text: op.text, type: 'removed' });
+    } else {
+      result.push({ newLine: start + op.newIndex + 1, oldLine: null, text: op.text, type: 'added' });
+    }
+  }
+
+  for (let i = 0; i < a.length - endA; i++) {
+    result.push({ newLine: endB + i + 1, oldLine: endA + i + 1, text: a[endA + i], type: 'same' });
+  }
+  return result;
+}
+
+/**
+ * Group diff lines into hunks, keeping `context` unchanged lines around each
+ * change and folding the rest.
+ * @param {Array<Object>} lines - Output of diffLines
+ * @param {number} [context]
+ * @returns {Array<{hiddenBefore: number, lines: Array<Object>}>} `hiddenBefore`
+ *   counts the unchanged lines folded away ahead of the hunk.
+ */
+export function groupDiffHunks(lines, context = 3) {
+  const keep = new Array(lines.length).fill(false);
+  lines.forEach((line, i) => {
+    if (line.type === 'same') return;
+    for (let j = Math.max(0, i - context); j <= Math.min(lines.length - 1, i + context); j++) keep[j] = true;
+  });
+
+  const hunks = [];
+  let hidden = 0;
+  let current = null;
+  lines.forEach((line, i) => {
+    if (!keep[i]) {
+      hidden++;
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { hiddenBefore: hidden, lines: [] };
+      hunks.push(current);
+      hidden = 0;
+    }
+    current.lines.push(line);
+  });
+  return hunks;
+}
+
+/**
+ * Pair lines for a side-by-side layout: unchanged lines sit on both sides, and
+ * each run of removals is matched row by row with the additions that follow it.
+ * @param {Array<Object>} lines - Diff lines (a whole diff or one hunk)
+ * @returns {Array<{left: Object|null, right: Object|null}>}
+ */
+export function pairDiffLines(lines) {
+  const rows = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type === 'same') {
+      rows.push({ left: lines[i], right: lines[i] });
+      i++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (i < lines.length && lines[i].type === 'removed') removed.push(lines[i++]);
+    while (i < lines.length && lines[i].type === 'added') added.push(lines[i++]);
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+      rows.push({ left: removed[j] ?? null, right: added[j] ?? null });
+    }
+  }
+  return rows;
+}
+
+// Shortest edit script between two line arrays, as a list of same/removed/added ops.
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Frontier k-1..k+1 for every k of each step, kept for the backtrack. Only
+  // the band a step can reach is saved, so memory grows with the edit distance
+  // rather than with the file size.
+  const trace = [];
+
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) return replaceAll(a, b);
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the saved frontiers backwards to recover the path.
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && frontier(k - 1) < frontier(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : frontier(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ newIndex: y, oldIndex: x, text: a[x], type: 'same' });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ newIndex: y, text: b[y], type: 'added' });
+      } else {
+        x--;
+        ops.push({ oldIndex: x, text: a[x], type: 'removed' });
+      }
+    }
+  }
+  return ops.reverse();
+}
+
+function replaceAll(a, b) {
+  return [
+    ...a.map((text, oldIndex) => ({ oldIndex, text, type: 'removed' })),
+    ...b.map((text, newIndex) => ({ newIndex, text, type: 'added' }))
+  ];
+}
+
+function splitLines(text) {
+  if (typeof text !== 'string' || text === '') return [];
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
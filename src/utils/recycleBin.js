@@ -0,0 +1,141 @@
+/**
+ * Recycle bin: full definitions of deleted objects, captured just before
+ * DeleteObjectView deletes them so they can be recreated later. Kept in
+ * IndexedDB rather than `chrome.storage.local` because an AppDB collection's
+ * snapshot carries every document and can run far past what storage.local is
+ * comfortable holding.
+ *
+ * An entry is:
+ *   { deletedAt, id, instance, name, objectId, payload, restored, summary, typeId }
+ * `payload` is whatever services/recycleBin.js needs to recreate the object,
+ * and `restored` is `{ at, id }` once it has been recreated (the entry stays so
+ * it can be restored again or downloaded).
+ */
+
+const DB_NAME = 'domoToolkitRecycleBin';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Oldest entries per instance are dropped past this many, so one busy
+// instance can't push another's history out.
+export const RECYCLE_BIN_LIMIT = 25;
+
+/**
+ * Store a snapshot and drop that instance's oldest entries past the limit.
+ * @param {Object} params
+ * @param {string} params.instance - Domo instance the object was deleted on
+ * @param {string} params.name - Object name at deletion time
+ * @param {string} params.objectId - The deleted object's ID
+ * @param {Object} params.payload - What the restore needs (see services/recycleBin.js)
+ * @param {string} [params.summary] - Short description for the list, e.g. "42 documents"
+ * @param {string} params.typeId - DomoObjectType ID
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function addRecycleBinEntry({ instance, name, objectId, payload, summary = '', typeId }) {
+  const entry = {
+    deletedAt: Date.now(),
+    id: crypto.randomUUID(),
+    instance,
+    name,
+    objectId: String(objectId),
+    payload,
+    restored: null,
+    summary,
+    typeId
+  };
+  const db = await openDatabase();
+  try {
+    await runTransaction(db, 'readwrite', (store) => store.put(entry));
+    const stale = (await readInstanceEntries(db, instance)).slice(RECYCLE_BIN_LIMIT);
+    if (stale.length > 0) {
+      await runTransaction(db, 'readwrite', (store) => {
+        for (const old of stale) store.delete(old.id);
+      });
+    }
+  } finally {
+    db.close();
+  }
+  return entry;
+}
+
+/**
+ * Recycle bin entries for one instance, most recently deleted first.
+ * @param {string} instance
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRecycleBinEntries(instance) {
+  const db = await openDatabase();
+  try {
+    return await readInstanceEntries(db, instance);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Record that an entry was recreated, and under which new ID.
+ * @param {string} entryId
+ * @param {string|number} restoredId - ID of the recreated object
+ * @returns {Promise<void>}
+ */
+export async function markRecycleBinEntryRestored(entryId, restoredId) {
+  const db = await openDatabase();
+  try {
+    const entry = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(entryId));
+    if (!entry) return;
+    await runTransaction(db, 'readwrite', (store) =>
+      store.put({ ...entry, restored: { at: Date.now(), id: String(restoredId) } })
+    );
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Permanently drop an entry.
+ * @param {string} entryId
+ * @returns {Promise<void>}
+ */
+export async function removeRecycleBinEntry(entryId) {
+  const db = await openDatabase();
+  try {
+    await runTransaction(db, 'readwrite', (store) => store.delete(entryId));
+  } finally {
+    db.close();
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('instance', 'instance');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function readInstanceEntries(db, instance) {
+  const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('instance');
+  const entries = await requestToPromise(index.getAll(instance));
+  return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runTransaction(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    work(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,385 @@
+import { sendTransferSummaryEmails } from '@/services/transferEmail';
+import { collectTransferredItems, transferAllOwnership } from '@/services/transferOwnership';
+import { deleteUser } from '@/services/users';
+
+import { appendTransferJournalEntry } from './transferJournal';
+
+/**
+ * Queue of ownership transfers scheduled to run later (e.g. at 5pm on an
+ * offboarded user's last day), kept in `chrome.storage.local` and driven by
+ * `chrome.alarms` so the run happens in the background service worker with no
+ * sidepanel open. OwnershipView queues and cancels jobs, which messages
+ * background.js to make the change; background.js also owns the alarm
+ * listener and calls `runScheduledTransfer`.
+ *
+ * A job stores everything the run needs up front, since nobody is around to
+ * answer questions at run time:
+ *   { id, instance, fromUser: {id, name}, toUser: {id, name}, typeKeys,
+ *     itemIds: {[typeKey]: string[]} | null, newOwnerEmail, currentUserEmail,
+ *     deleteAfterTransfer, runAt, createdAt, status, finishedAt, summary, error }
+ * `itemIds` narrows a type to specific objects (same composite ids as
+ * `enabledItemIds`); a type without an entry transfers everything the user
+ * owns of that type when the job runs.
+ */
+
+const STORAGE_KEY = 'scheduledTransfers';
+
+const ALARM_PREFIX = 'scheduledTransfer:';
+
+// Finished jobs are kept for the status list, but only the newest this many.
+const MAX_FINISHED = 20;
+
+// How long to wait for a freshly opened Domo tab to finish loading before
+// giving up on the run.
+const TAB_LOAD_TIMEOUT_MS = 60000;
+
+// Every change to the job list is a read-modify-write, and the startup
+// restore runs alongside alarm-driven runs (and jobs alongside each other), so
+// changes go through this chain one at a time instead of overwriting each
+// other with a stale list. The chain only covers the service worker, so
+// OwnershipView's schedule and cancel are sent there too.
+let jobsQueue = Promise.resolve();
+
+// Jobs this worker is running right now. Their `running` status is live, not
+// left over from a torn-down worker, so the startup restore leaves them alone.
+const runningJobIds = new Set();
+
+/**
+ * Remove a scheduled job and its alarm. Jobs that already ran are simply
+ * dropped from the list.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function cancelScheduledTransfer(jobId) {
+  await sendJobMessage({ jobId, type: 'CANCEL_SCHEDULED_TRANSFER' });
+}
+
+/**
+ * Scheduled jobs for one instance, soonest first, optionally narrowed to
+ * transfers away from a given user.
+ * @param {string} instance
+ * @param {number|string} [fromUserId]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getScheduledTransfers(instance, fromUserId) {
+  const jobs = await readJobs();
+  return jobs
+    .filter(
+      (job) => job.instance === instance && (fromUserId === undefined || String(job.fromUser?.id) === String(fromUserId))
+    )
+    .sort((a, b) => a.runAt - b.runAt);
+}
+
+/**
+ * Make a job change sent by `cancelScheduledTransfer` or `scheduleTransfer`.
+ * Called by background.js.
+ * @param {{ jobId?: string, params?: Object, type: string }} message
+ * @returns {Promise<Object|undefined>} The stored job, for a schedule
+ */
+export async function handleScheduledTransferMessage(message) {
+  switch (message.type) {
+    case 'CANCEL_SCHEDULED_TRANSFER':
+      return removeJob(message.jobId);
+    case 'SCHEDULE_TRANSFER':
+      return createJob(message.params);
+    default:
+      throw new Error(`Unknown scheduled transfer message: ${message.type}`);
+  }
+}
+
+/**
+ * Re-create alarms for every pending job and fail any job left `running`.
+ * Called when the service worker starts: alarms aren't guaranteed to survive
+ * a browser restart, and a job still marked running belonged to a worker that
+ * has since been torn down, so it will never finish on its own. Jobs this
+ * worker has already started are skipped. Jobs whose time passed while the
+ * browser was closed run shortly after startup.
+ * @returns {Promise<void>}
+ */
+export async function restoreScheduledTransferAlarms() {
+  await updateJobs(async (jobs) => {
+    const restored = [];
+    for (const job of jobs) {
+      if (runningJobIds.has(job.id)) {
+        restored.push(job);
+      } else if (job.status === 'running') {
+        restored.push({
+          ...job,
+          error: 'Interrupted before it finished; check the journal before rescheduling',
+          finishedAt: Date.now(),
+          status: 'failed'
+        });
+      } else {
+        if (job.status === 'scheduled' && !(await chrome.alarms.get(`${ALARM_PREFIX}${job.id}`))) {
+          await chrome.alarms.create(`${ALARM_PREFIX}${job.id}`, { when: Math.max(job.runAt, Date.now() + 1000) });
+        }
+        restored.push(job);
+      }
+    }
+    return restored;
+  });
+}
+
+/**
+ * Run a scheduled job: transfer, journal, email, optionally delete the source
+ * user, then report the outcome as a notification. Never throws; failures are
+ * recorded on the job and in the notification.
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {Object} [options.xlsx] - Statically imported SheetJS module (the service worker can't dynamic-import)
+ * @returns {Promise<void>}
+ */
+export async function runScheduledTransfer(jobId, { xlsx } = {}) {
+  // Claimed before anything awaits, so a restore queued meanwhile skips it.
+  if (runningJobIds.has(jobId)) return;
+  runningJobIds.add(jobId);
+
+  let job = null;
+  await updateJobs((jobs) => {
+    const found = jobs.find((j) => j.id === jobId);
+    // A duplicate alarm (or a cancel racing the alarm) must not run a job twice.
+    if (!found || found.status !== 'scheduled') return jobs;
+    job = found;
+    return jobs.map((j) => (j.id === jobId ? { ...j, status: 'running' } : j));
+  }).catch((error) => console.error('[ScheduledTransfers] Error claiming job:', error));
+  if (!job) {
+    runningJobIds.delete(jobId);
+    return;
+  }
+
+  let tab;
+  try {
+    tab = await acquireInstanceTab(job.instance);
+
+    const enabledItemIds = new Map(
+      Object.entries(job.itemIds || {}).map(([typeKey, ids]) => [typeKey, new Set(ids.map(String))])
+    );
+    const results = await transferAllOwnership({
+      enabledItemIds,
+      enabledTypes: new Set(job.typeKeys),
+      fromUserId: job.fromUser.id,
+      tabId: tab.id,
+      toUserId: job.toUser.id
+    });
+
+    let succeeded = 0;
+    let failed = 0;
+    for (const [, r] of results) {
+      succeeded += r.succeeded || 0;
+      failed += r.failed || 0;
+    }
+    const notes = [];
+
+    if (succeeded > 0) {
+      try {
+        await appendTransferJournalEntry({
+          fromUser: job.fromUser,
+          instance: job.instance,
+          items: collectTransferredItems(results),
+          toUser: job.toUser
+        });
+      } catch (error) {
+        console.error('[ScheduledTransfers] Error writing transfer journal:', error);
+      }
+      try {
+        await sendTransferSummaryEmails({
+          currentUserEmail: job.currentUserEmail,
+          fromUserId: job.fromUser.id,
+          fromUserName: job.fromUser.name,
+          newOwnerEmail: job.newOwnerEmail,
+          results,
+          tabId: tab.id,
+          totalFailed: failed,
+          totalSucceeded: succeeded,
+          toUserId: job.toUser.id,
+          toUserName: job.toUser.name,
+          xlsx
+        });
+      } catch (error) {
+        notes.push(`email not sent (${error.message})`);
+      }
+    }
+
+    let deleted = false;
+    if (job.deleteAfterTransfer && failed === 0) {
+      try {
+        await deleteUser(job.fromUser.id, tab.id);
+        deleted = true;
+      } catch (error) {
+        notes.push(`user not deleted (${error.message})`);
+      }
+    }
+
+    const summary = { deleted, failed, notes, succeeded };
+    await updateJob(jobId, { finishedAt: Date.now(), status: failed > 0 ? 'failed' : 'completed', summary });
+    notify(jobId, {
+      message: describeOutcome(job, summary),
+      title: failed > 0 ? 'Scheduled Transfer Partially Complete' : 'Scheduled Transfer Complete'
+    });
+  } catch (error) {
+    await updateJob(jobId, { error: error.message, finishedAt: Date.now(), status: 'failed' });
+    notify(jobId, {
+      message: `${job.fromUser.name} → ${job.toUser.name}: ${error.message}`,
+      title: 'Scheduled Transfer Failed'
+    });
+  } finally {
+    runningJobIds.delete(jobId);
+    if (tab?.openedForJob) {
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Job id for an alarm name, or null when the alarm isn't a scheduled transfer.
+ * @param {string} alarmName
+ * @returns {string|null}
+ */
+export function scheduledTransferIdFromAlarm(alarmName) {
+  return alarmName?.startsWith(ALARM_PREFIX) ? alarmName.slice(ALARM_PREFIX.length) : null;
+}
+
+/**
+ * Queue a transfer and set its alarm.
+ * @param {Object} params
+ * @param {string|null} [params.currentUserEmail] - Summary email recipient
+ * @param {boolean} [params.deleteAfterTransfer] - Delete the source user if every object transfers
+ * @param {{ id: number, name: string }} params.fromUser
+ * @param {string} params.instance
+ * @param {Object<string, string[]>|null} [params.itemIds] - Per-type object selection; omitted types transfer everything
+ * @param {string|null} [params.newOwnerEmail] - New-owner email recipient
+ * @param {number} params.runAt - Epoch ms to run at
+ * @param {{ id: number, name: string }} params.toUser
+ * @param {string[]} params.typeKeys - TRANSFER_TYPES keys to include
+ * @returns {Promise<Object>} The stored job
+ */
+export async function scheduleTransfer(params) {
+  return sendJobMessage({ params, type: 'SCHEDULE_TRANSFER' });
+}
+
+/**
+ * A tab on the job's instance to run API calls through. Reuses an open tab
+ * when there is one; otherwise opens a background tab (closed again after the
+ * run) and waits for it to load so the page carries the Domo session.
+ */
+async function acquireInstanceTab(instance) {
+  const [existing] = await chrome.tabs.query({ url: `https://${instance}.domo.com/*` });
+  if (existing) return { id: existing.id, openedForJob: false };
+
+  const created = await chrome.tabs.create({ active: false, url: `https://${instance}.domo.com/` });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(`Timed out opening ${instance}.domo.com`));
+    }, TAB_LOAD_TIMEOUT_MS);
+    function listener(tabId, changeInfo) {
+      if (tabId !== created.id || changeInfo.status !== 'complete') return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+
+  // An expired session lands on the login page rather than the instance.
+  const loaded = await chrome.tabs.get(created.id);
+  if (!loaded.url?.startsWith(`https://${instance}.domo.com/`) || loaded.url.includes('/auth/')) {
+    chrome.tabs.remove(created.id).catch(() => {});
+    throw new Error(`Not signed in to ${instance}.domo.com`);
+  }
+  return { id: created.id, openedForJob: true };
+}
+
+async function createJob({
+  currentUserEmail = null,
+  deleteAfterTransfer = false,
+  fromUser,
+  instance,
+  itemIds = null,
+  newOwnerEmail = null,
+  runAt,
+  toUser,
+  typeKeys
+}) {
+  if (!(runAt > Date.now())) {
+    throw new Error('Scheduled time must be in the future');
+  }
+  const job = {
+    createdAt: Date.now(),
+    currentUserEmail,
+    deleteAfterTransfer,
+    error: null,
+    finishedAt: null,
+    fromUser,
+    id: crypto.randomUUID(),
+    instance,
+    itemIds,
+    newOwnerEmail,
+    runAt,
+    status: 'scheduled',
+    summary: null,
+    toUser,
+    typeKeys
+  };
+  await updateJobs((jobs) => [...jobs, job]);
+  await chrome.alarms.create(`${ALARM_PREFIX}${job.id}`, { when: runAt });
+  return job;
+}
+
+function describeOutcome(job, { deleted, failed, notes, succeeded }) {
+  const parts = [`${job.fromUser.name} → ${job.toUser.name}: ${succeeded} transferred`];
+  if (failed > 0) parts.push(`${failed} failed`);
+  if (deleted) parts.push('user deleted');
+  return [...parts, ...notes].join(', ');
+}
+
+function notify(jobId, { message, title }) {
+  chrome.notifications.create(`${ALARM_PREFIX}${jobId}`, {
+    iconUrl: chrome.runtime.getURL('public/toolkit-128.png'),
+    message,
+    title,
+    type: 'basic'
+  });
+}
+
+async function readJobs() {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(stored?.[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
+
+async function removeJob(jobId) {
+  await chrome.alarms.clear(`${ALARM_PREFIX}${jobId}`);
+  await updateJobs((jobs) => jobs.filter((job) => job.id !== jobId));
+}
+
+// Job writes are made by the service worker only (see `jobsQueue`).
+async function sendJobMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from the extension background');
+  }
+  return response.result;
+}
+
+async function updateJob(jobId, changes) {
+  await updateJobs((jobs) => jobs.map((job) => (job.id === jobId ? { ...job, ...changes } : job)));
+}
+
+// Apply `update` (jobs -> next jobs, may be async) to the stored list, queued
+// behind every earlier change.
+function updateJobs(update) {
+  const run = jobsQueue.then(async () => writeJobs(await update(await readJobs())));
+  jobsQueue = run.catch(() => {});
+  return run;
+}
+
+// Pending and running jobs are always kept; finished ones are trimmed to the
+// newest MAX_FINISHED.
+async function writeJobs(jobs) {
+  const active = jobs.filter((job) => job.status === 'scheduled' || job.status === 'running');
+  const finished = jobs
+    .filter((job) => job.status !== 'scheduled' && job.status !== 'running')
+    .sort((a, b) => (b.finishedAt ?? 0) - (a.finishedAt ?? 0))
+    .slice(0, MAX_FINISHED);
+  await chrome.storage.local.set({ [STORAGE_KEY]: [...active, ...finished] });
+}
@@ -0,0 +1,109 @@
+/**
+ * Persisted journal of completed ownership transfers, kept in
+ * `chrome.storage.local` so it survives the sidepanel closing mid-offboarding.
+ * Each entry records the objects that actually moved (per TRANSFER_TYPES key),
+ * which is exactly what `reverseTransfer` needs to send them back.
+ */
+
+const STORAGE_KEY = 'transferJournal';
+
+// Oldest entries are dropped past this many so a busy admin's journal can't
+// grow into the storage quota.
+const MAX_ENTRIES = 50;
+
+// Journal updates are read-modify-write, so two transfers finishing close
+// together could each read the old list and one entry would be lost. Every
+// update runs on this chain, one after the other.
+let journalQueue = Promise.resolve();
+
+/**
+ * Append a completed transfer to the journal.
+ * @param {Object} params
+ * @param {{ id: number, name: string }} params.fromUser - Original owner
+ * @param {string} params.instance - Domo instance the transfer ran on
+ * @param {Object<string, Array<{id: any, name: string, subType?: string}>>} params.items - Transferred items keyed by type (see `collectTransferredItems`)
+ * @param {{ id: number, name: string }} params.toUser - New owner
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function appendTransferJournalEntry({ fromUser, instance, items, toUser }) {
+  const entry = {
+    fromUser,
+    id: crypto.randomUUID(),
+    instance,
+    items,
+    reversedAt: null,
+    timestamp: Date.now(),
+    toUser
+  };
+  await updateJournal((journal) => [entry, ...journal].slice(0, MAX_ENTRIES));
+  return entry;
+}
+
+/**
+ * Count the objects recorded in a journal entry across all types.
+ * @param {{ items: Object<string, Array> }} entry
+ * @returns {number}
+ */
+export function countJournalItems(entry) {
+  return Object.values(entry?.items || {}).reduce((sum, items) => sum + (items?.length || 0), 0);
+}
+
+/**
+ * Journal entries for one instance, newest first, optionally narrowed to
+ * transfers away from a given user.
+ * @param {string} instance
+ * @param {number|string} [fromUserId]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getTransferJournal(instance, fromUserId) {
+  const journal = await readJournal();
+  return journal.filter(
+    (entry) => entry.instance === instance && (fromUserId === undefined || String(entry.fromUser?.id) === String(fromUserId))
+  );
+}
+
+/**
+ * Record a reversal run against an entry. A clean run stamps the entry as
+ * reversed so the UI stops offering it. When anything failed, the returned
+ * items are dropped from the entry and it stays reversible, so a retry only
+ * sends back what's still with the new owner.
+ * @param {string} entryId
+ * @param {{ failed: number, returned: Object<string, Array<{id: any}>>, succeeded: number }} outcome - Totals
+ *   from the reversal run, with the items that moved back (see `collectTransferredItems`)
+ * @returns {Promise<void>}
+ */
+export async function markTransferReversed(entryId, { failed, returned, succeeded }) {
+  await updateJournal((journal) =>
+    journal.map((entry) => {
+      if (entry.id !== entryId) return entry;
+      const reversal = { failed, succeeded };
+      if (failed === 0) return { ...entry, reversal, reversedAt: Date.now() };
+      return { ...entry, items: withoutItems(entry.items, returned), reversal };
+    })
+  );
+}
+
+async function readJournal() {
+  const stored = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(stored?.[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
+
+function updateJournal(update) {
+  const run = journalQueue.then(async () => {
+    const journal = await readJournal();
+    await chrome.storage.local.set({ [STORAGE_KEY]: update(journal) });
+  });
+  journalQueue = run.catch(() => {});
+  return run;
+}
+
+function withoutItems(items, removed) {
+  const itemKey = (item) => `${item.subType || ''}:${item.id}`;
+  const remaining = {};
+  for (const [typeKey, typeItems] of Object.entries(items || {})) {
+    const removedKeys = new Set((removed?.[typeKey] || []).map(itemKey));
+    const kept = (typeItems || []).filter((item) => !removedKeys.has(itemKey(item)));
+    if (kept.length > 0) remaining[typeKey] = kept;
+  }
+  return remaining;
+}
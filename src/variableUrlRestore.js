@@ -0,0 +1,138 @@
+/**
+ * Variable URL restore
+ * Offers to apply the variable control selections a copied filtered URL
+ * carries in VARIABLES_URL_PARAM, so a shared link can open on the same
+ * what-if scenario
+ */
+
+import { VARIABLES_URL_PARAM } from './utils/constants';
+
+// Variable selections are only captured on regular pages (see getAllFilters)
+const PAGE_PATH = /\/page\/(-?\d+)/;
+
+/**
+ * If the current URL carries variable selections for cards on this page, ask
+ * the user whether to apply them. Domo keeps one saved selection per user for
+ * each variable control and there's no way to set one for the current view
+ * only, so applying means overwriting the user's saved selections; the prompt
+ * says so. On confirm the selections are saved and the page reloads so the
+ * cards query with them. The param is dropped either way, so a refresh never
+ * asks again.
+ */
+export async function restoreVariablesFromUrl() {
+  const url = new URL(location.href);
+  const raw = url.searchParams.get(VARIABLES_URL_PARAM);
+  if (!raw) return;
+
+  url.searchParams.delete(VARIABLES_URL_PARAM);
+  history.replaceState(history.state, '', url);
+
+  let selections;
+  try {
+    selections = JSON.parse(raw);
+  } catch {
+    console.warn('[VariableUrlRestore] Ignoring malformed variables param');
+    return;
+  }
+
+  const pageId = location.pathname.match(PAGE_PATH)?.[1];
+  if (!pageId) return;
+  const pageCards = await getPageCards(pageId);
+
+  // Group by the card hosting the control; a card can host several controls.
+  // Cards that aren't on this page are ignored: a link can only change the
+  // controls the user is looking at.
+  const selectionsByCard = new Map();
+  for (const selection of Array.isArray(selections) ? selections : []) {
+    if (!selection?.cardId || !selection.column || !Array.isArray(selection.values)) continue;
+    if (!pageCards.has(String(selection.cardId))) continue;
+    const cardSelections = selectionsByCard.get(String(selection.cardId)) || [];
+    cardSelections.push(selection);
+    selectionsByCard.set(String(selection.cardId), cardSelections);
+  }
+
+  const changes = (
+    await Promise.allSettled(
+      [...selectionsByCard].map(([cardId, cardSelections]) => diffCardSelections(cardId, cardSelections))
+    )
+  ).flatMap((result) => {
+    if (result.status === 'fulfilled') return result.value ? [result.value] : [];
+    console.warn('[VariableUrlRestore] Failed to read variable controls:', result.reason);
+    return [];
+  });
+  if (changes.length === 0) return;
+
+  if (!window.confirm(buildConfirmMessage(changes, pageCards))) return;
+
+  const results = await Promise.allSettled(changes.map(saveCardControls));
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.warn('[VariableUrlRestore] Failed to restore variables:', result.reason));
+
+  if (results.some((result) => result.status === 'fulfilled')) {
+    location.reload();
+  }
+}
+
+function buildConfirmMessage(changes, pageCards) {
+  const lines = changes.flatMap(({ cardId, changedColumns, controls }) =>
+    changedColumns.map((column) => {
+      const values = controls.find((control) => control.column === column)?.values ?? [];
+      return `• ${column} = ${values.join(', ')} (${pageCards.get(cardId) || `card ${cardId}`})`;
+    })
+  );
+  return [
+    'This link sets variable controls on this page:',
+    '',
+    ...lines,
+    '',
+    'Applying them overwrites your saved selections for these controls (Domo keeps one per user) and reloads the page. Apply them?'
+  ].join('\n');
+}
+
+/**
+ * Compare one card's variable controls with the link's selections, leaving
+ * controls that weren't in the link as they are.
+ * @param {string} cardId
+ * @param {Array<{column: string, values: Array}>} cardSelections
+ * @returns {Promise<{cardId: string, changedColumns: string[], controls: Array}|null>} The
+ *   updated controls, or null when the link matches what's saved
+ */
+async function diffCardSelections(cardId, cardSelections) {
+  const response = await fetch(`/api/content/v1/cards/${cardId}/variable/controls`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const controls = await response.json();
+  if (!Array.isArray(controls)) return null;
+
+  const valuesByColumn = new Map(cardSelections.map((selection) => [selection.column, selection.values]));
+  const changedColumns = [];
+  const updated = controls.map((control) => {
+    const values = valuesByColumn.get(control.column);
+    if (!values || JSON.stringify(values) === JSON.stringify(control.values)) return control;
+    changedColumns.push(control.column);
+    return { ...control, values };
+  });
+  return changedColumns.length > 0 ? { cardId, changedColumns, controls: updated } : null;
+}
+
+// Card id -> title for the cards on a page
+async function getPageCards(pageId) {
+  const response = await fetch(`/api/content/v1/pages/${pageId}/cards`);
+  if (!response.ok) return new Map();
+  const cards = await response.json();
+  return new Map((Array.isArray(cards) ? cards : []).map((card) => [String(card.id), card.title || card.name || null]));
+}
+
+async function saveCardControls({ cardId, controls }) {
+  const response = await fetch(`/api/content/v1/cards/${cardId}/variable/controls`, {
+    body: JSON.stringify(controls),
+    headers: { 'Content-Type': 'application/json' },
+    method: 'PUT'
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}